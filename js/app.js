@@ -18,6 +18,21 @@ const App = (() => {
         activeConnection: null
     };
 
+    // Social recovery: shares needed to rebuild the identity until the user
+    // picks another threshold, and where a recovery in progress on a new
+    // device was kept before it moved into the settings store
+    const RECOVERY_THRESHOLD = 3;
+    const MIN_RECOVERY_THRESHOLD = 2;
+    const MAX_RECOVERY_SHARES = 255;
+    const RECOVERY_STORAGE_KEY = 'recovery';
+
+    // App lock: how long without user activity before the database locks
+    // again, and how soon to try again if an exchange holds it off
+    const INACTIVITY_LOCK_MS = 5 * 60 * 1000;
+    const LOCK_RETRY_MS = 10 * 1000;
+    const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'scroll'];
+    let inactivityTimer = null;
+
     /**
      * Initialize the application
      * @returns {Promise} - Resolves when app is initialized
@@ -27,9 +42,26 @@ const App = (() => {
             // Initialize database
             await DB.init();
             
+            // Records are encrypted under the app passcode; ask for it before reading
+            if (DB.isLocked()) {
+                await UI.requestUnlock();
+            }
+            
+            if (DB.hasPasscode()) {
+                startInactivityLock();
+            }
+            
+            // Apply saved STUN/TURN servers before any connection is made
+            await loadNetworkSettings();
+            
             // Load user profile if exists
-            const profile = await DB.getProfile();
+            let profile = await DB.getProfile();
             if (profile) {
+                // Upgrade identities created before WebCrypto keys and did:key
+                if (Crypto.isLegacyIdentity(profile.identity)) {
+                    profile = await migrateLegacyIdentity(profile);
+                }
+                
                 state.profile = profile;
                 state.identity = profile.identity;
                 state.initialized = true;
@@ -41,12 +73,18 @@ const App = (() => {
                 // Check for expired connections
                 cleanupExpiredConnections();
                 
+                // Encrypt restored outbox messages again, then drop carried
+                // relays that have expired or no longer fit; this runs in the
+                // background and never rejects
+                reencryptRestoredMessages().then(cleanupRelays);
+                
                 // Show the home screen
                 UI.showScreen('home-screen');
                 UI.updateProfileDisplay(profile);
                 
                 // Initialize connection graph
                 UI.initConnectionGraph(state.connections, profile);
+                UI.updateConnectionsList(state.connections);
             } else {
                 // Show setup screen for new users
                 UI.showScreen('setup-screen');
@@ -67,6 +105,29 @@ const App = (() => {
         }
     };
 
+    /**
+     * Upgrade a legacy identity to WebCrypto keys and a did:key identifier
+     * @param {Object} profile - Profile holding a legacy identity
+     * @returns {Promise<Object>} - The saved profile with the migrated identity
+     */
+    const migrateLegacyIdentity = async (profile) => {
+        try {
+            const migratedProfile = {
+                ...profile,
+                identity: await Crypto.migrateIdentity(profile.identity),
+                updated: new Date().toISOString()
+            };
+            
+            await DB.saveProfile(migratedProfile);
+            console.log('Migrated identity to', migratedProfile.identity.did);
+            
+            return migratedProfile;
+        } catch (error) {
+            console.error('Identity migration failed:', error);
+            throw error;
+        }
+    };
+
     /**
      * Create a new user profile
      * @param {Object} profileData - Profile data from setup form
@@ -75,7 +136,7 @@ const App = (() => {
     const createProfile = async (profileData) => {
         try {
             // Create identity
-            const identity = Crypto.createIdentity();
+            const identity = await Crypto.createIdentity();
             
             // Create profile object
             const profile = {
@@ -154,20 +215,34 @@ const App = (() => {
         }
     };
 
+    /**
+     * Get every DID this identity has used, newest first
+     * @returns {Array<string>} - Current DID followed by earlier ones
+     */
+    const getOwnDIDs = () => {
+        const rotations = state.identity.rotations || [];
+        const dids = [
+            state.identity.did,
+            ...rotations.map(rotation => rotation.previousDID).reverse(),
+            state.identity.previousDID
+        ];
+        
+        return [...new Set(dids.filter(Boolean))];
+    };
+
     /**
      * Load all messages from the database
      * @returns {Promise} - Resolves when messages are loaded
      */
     const loadMessages = async () => {
         try {
-            // Get user DID
-            const userDID = state.identity.did;
-            
-            // Load received messages
-            const received = await DB.getReceivedMessages(userDID);
-            
-            // Load sent messages
-            const sent = await DB.getSentMessages(userDID);
+            // Messages may be stored under DIDs we used before a key rotation.
+            // Senders and recipients are sealed, so every message is read once
+            // and sorted after decrypting
+            const ownDIDs = getOwnDIDs();
+            const messages = await DB.getAllMessages();
+            const received = messages.filter(message => ownDIDs.includes(message.recipientId));
+            const sent = messages.filter(message => ownDIDs.includes(message.senderId));
             
             // Load relay messages
             const relays = await DB.getAllRelays();
@@ -197,21 +272,72 @@ const App = (() => {
     const addConnection = async (connectionData) => {
         try {
             // Check if this connection already exists
-            const existingConnection = await DB.getConnectionByDID(connectionData.did);
+            let existingConnection = await DB.getConnectionByDID(connectionData.did);
+            
+            // Peers that migrated to did:key announce their old DID. Anyone can
+            // claim a DID, so only take over the old connection if it holds the
+            // same key or a valid rotation chain leads from its key to the new one
+            if (!existingConnection && connectionData.previousDID) {
+                const previousConnection = await DB.getConnectionByDID(connectionData.previousDID);
+                if (previousConnection) {
+                    let proven = previousConnection.publicKey === connectionData.publicKey;
+                    if (!proven && connectionData.rotations) {
+                        const resolved = await Crypto.resolveRotationChain(previousConnection.publicKey, connectionData.rotations);
+                        proven = Boolean(resolved && resolved.publicKey === connectionData.publicKey);
+                    }
+                    
+                    if (proven) {
+                        existingConnection = previousConnection;
+                    }
+                }
+            }
+            
+            // Peers that rotated their key are matched through their rotation chain
+            if (!existingConnection && connectionData.rotations) {
+                existingConnection = await findRotatedConnection(connectionData);
+            }
             
+            let connection;
             if (existingConnection) {
                 // Update the existing connection
-                return updateExistingConnection(existingConnection, connectionData);
+                connection = await updateExistingConnection(existingConnection, connectionData);
             } else {
                 // Create a new connection
-                return createNewConnection(connectionData);
+                connection = await createNewConnection(connectionData);
             }
+            
+            // The peer has now seen our rotation chain in person
+            await clearRotationRelays(connection.did);
+            
+            return connection;
         } catch (error) {
             console.error('Adding connection failed:', error);
             throw error;
         }
     };
 
+    /**
+     * Find the stored connection for a peer that has rotated its key
+     * @param {Object} connectionData - Connection data with did, publicKey and rotations
+     * @returns {Promise<Object|null>} - Connection held under an earlier DID, or null
+     */
+    const findRotatedConnection = async (connectionData) => {
+        // Newest earlier DID first
+        const previousDIDs = connectionData.rotations.map(rotation => rotation.previousDID).reverse();
+        
+        for (const did of previousDIDs) {
+            const connection = await DB.getConnectionByDID(did);
+            if (!connection) continue;
+            
+            const resolved = await Crypto.resolveRotationChain(connection.publicKey, connectionData.rotations);
+            if (resolved && resolved.publicKey === connectionData.publicKey) {
+                return connection;
+            }
+        }
+        
+        return null;
+    };
+
     /**
      * Create a new connection
      * @param {Object} connectionData - Connection data
@@ -236,7 +362,10 @@ const App = (() => {
             lastConnected: new Date().toISOString(),
             expiresOn: expiresOn.toISOString(),
             connectionCount: 1,
-            backupData: Crypto.createBackupData(state.profile, state.identity)
+            ratchet: connectionData.ratchet || null,
+            heldShare: connectionData.heldShare || null,
+            rotations: connectionData.rotations || [],
+            connectionDIDs: connectionData.connectionDIDs || []
         };
         
         // Save to database
@@ -259,6 +388,17 @@ const App = (() => {
      * @returns {Promise} - Resolves with the updated connection
      */
     const updateExistingConnection = async (existingConnection, newData) => {
+        // A new key is only accepted when a rotation chain from the stored key
+        // backs it (keys from before WebCrypto identities can't sign one)
+        if (newData.publicKey &&
+            newData.publicKey !== existingConnection.publicKey &&
+            !Crypto.isLegacyPublicKey(existingConnection.publicKey)) {
+            const resolved = await Crypto.resolveRotationChain(existingConnection.publicKey, newData.rotations);
+            if (!resolved || resolved.publicKey !== newData.publicKey) {
+                throw new Error('Public key change is not backed by a valid key rotation');
+            }
+        }
+        
         // Calculate new expiration date (1 year from now)
         const expiresOn = new Date();
         expiresOn.setFullYear(expiresOn.getFullYear() + 1);
@@ -266,6 +406,7 @@ const App = (() => {
         // Update connection object
         const updatedConnection = {
             ...existingConnection,
+            did: newData.did || existingConnection.did,
             publicKey: newData.publicKey || existingConnection.publicKey,
             firstName: newData.profile.firstName || existingConnection.firstName,
             lastName: newData.profile.lastName || existingConnection.lastName,
@@ -274,7 +415,12 @@ const App = (() => {
             lastConnected: new Date().toISOString(),
             expiresOn: expiresOn.toISOString(),
             connectionCount: existingConnection.connectionCount + 1,
-            backupData: Crypto.createBackupData(state.profile, state.identity)
+            ratchet: newData.ratchet || existingConnection.ratchet || null,
+            heldShare: newData.heldShare || existingConnection.heldShare || null,
+            rotations: newData.rotations && newData.rotations.length > 0
+                ? newData.rotations
+                : existingConnection.rotations || [],
+            connectionDIDs: newData.connectionDIDs || existingConnection.connectionDIDs || []
         };
         
         // Update profile picture if provided
@@ -343,6 +489,267 @@ const App = (() => {
         }
     };
 
+    /**
+     * Seal relays queued before relays were routed by tag
+     * Our own message relays are sealed again for their recipient; relays
+     * carried for others name their sender and target and cannot be, so
+     * they are dropped.
+     * @returns {Promise} - Resolves when every relay is sealed or removed
+     */
+    const sealLegacyRelays = async () => {
+        const ownDIDs = getOwnDIDs();
+        const legacy = state.messages.relays.filter(relay =>
+            Routing.getKind(relay) !== Routing.RELAY_KINDS.KEY_ROTATION && !Routing.isSealed(relay)
+        );
+        
+        for (const relay of legacy) {
+            const recipient = ownDIDs.includes(relay.originalSenderId) &&
+                state.connections.find(connection => connection.did === relay.targetRecipientId);
+            
+            let sealed = null;
+            if (recipient && relay.encryptedContent) {
+                try {
+                    // Signed with our current key, so named by our current DID
+                    sealed = {
+                        ...await buildRelay({
+                            id: relay.messageId,
+                            senderId: state.identity.did,
+                            senderName: relay.originalSenderName,
+                            encrypted: relay.encryptedContent,
+                            timestamp: relay.timestamp
+                        }, recipient),
+                        id: relay.id
+                    };
+                } catch (error) {
+                    console.warn('Relay could not be sealed:', relay.messageId, error);
+                }
+            }
+            
+            if (sealed) {
+                await DB.saveRelay(sealed);
+            } else {
+                await DB.deleteRelay(relay.id);
+            }
+            
+            state.messages.relays = state.messages.relays
+                .map(held => held === relay ? sealed : held)
+                .filter(Boolean);
+        }
+    };
+
+    /**
+     * Flag the relays we started before relays said so themselves
+     * They named their sender and target instead. Those are dropped: our
+     * outbox already says who each message is for. Rotation announcements
+     * keep their target, as they are only handed to it in person.
+     * @returns {Promise} - Resolves when every relay is flagged
+     */
+    const flagOwnRelays = async () => {
+        const ownDIDs = getOwnDIDs();
+        const legacy = state.messages.relays.filter(relay =>
+            'originalSenderId' in relay || 'originalSenderName' in relay || 'targetRecipientName' in relay
+        );
+        if (legacy.length === 0) return;
+        
+        const flagged = legacy.map(relay => {
+            const { originalSenderId, originalSenderName, targetRecipientName, ...rest } = relay;
+            if (Routing.getKind(relay) !== Routing.RELAY_KINDS.KEY_ROTATION) {
+                delete rest.targetRecipientId;
+            }
+            return { ...rest, own: ownDIDs.includes(originalSenderId) };
+        });
+        
+        await DB.saveRecords({ [DB.STORES.RELAYS]: flagged });
+        state.messages.relays = state.messages.relays.map(relay =>
+            flagged.find(updated => updated.id === relay.id) || relay
+        );
+    };
+
+    /**
+     * Encrypt outbox messages restored from a backup again
+     * They were encrypted under ratchet sessions that are not restored, so
+     * their recipients could not read them. They are encrypted under the
+     * session in use now, or for the recipient's identity key if there is
+     * none yet, and relays for them are built again.
+     * @returns {Promise<number>} - Resolves with the number of messages encrypted again
+     */
+    const reencryptRestoredMessages = async () => {
+        const restored = state.messages.sent.filter(message =>
+            !message.encrypted && message.content && Lifecycle.isPending(message)
+        );
+        
+        let count = 0;
+        for (const message of restored) {
+            try {
+                const recipient = state.connections.find(connection =>
+                    getConnectionDIDs(connection).includes(message.recipientId)
+                );
+                if (!recipient) continue;
+                
+                const updated = { ...message, encrypted: await encryptForConnection(recipient, message.content) };
+                await DB.saveMessage(updated);
+                replaceSentMessages([updated]);
+                
+                // Relays are signed with our current key, so named by our current DID
+                if (updated.isRelay) {
+                    await createRelay({ ...updated, senderId: state.identity.did }, recipient);
+                }
+                count++;
+            } catch (error) {
+                console.error('Encrypting restored message again failed:', message.id, error);
+            }
+        }
+        
+        if (count > 0) {
+            UI.updateMessageLists(state.messages);
+        }
+        return count;
+    };
+
+    /**
+     * Apply the relay policy to the relays held and remove what it evicts
+     * Failures are logged rather than thrown: relays left over are cleaned
+     * up the next time the app starts.
+     * @returns {Promise<number>} - Resolves with the number of relays removed, 0 if cleanup failed
+     */
+    const cleanupRelays = async () => {
+        try {
+            await sealLegacyRelays();
+            await flagOwnRelays();
+            
+            const { evict } = RelayPolicy.enforce(state.messages.relays);
+            
+            for (const { relay, reason } of evict) {
+                await DB.deleteRelay(relay.id);
+                console.log(`Evicted relay ${relay.id} (${reason})`);
+            }
+            
+            if (evict.length > 0) {
+                const evicted = evict.map(entry => entry.relay);
+                state.messages.relays = state.messages.relays.filter(relay => !evicted.includes(relay));
+                UI.updateMessageLists(state.messages);
+            }
+            
+            return evict.length;
+        } catch (error) {
+            console.error('Relay cleanup failed:', error);
+            return 0;
+        }
+    };
+
+    /**
+     * Summarise the storage taken by relays
+     * @param {Array} [relays] - Relays to summarise, all held by default
+     * @returns {Object} - Usage from RelayPolicy.getUsage
+     */
+    const getRelayStorage = (relays = state.messages.relays) => {
+        return RelayPolicy.getUsage(relays);
+    };
+
+    /**
+     * Delete every relay carried for other people
+     * Relays we started are kept, so our own queued messages still go out.
+     * @returns {Promise<number>} - Resolves with the number of relays deleted
+     */
+    const purgeRelays = async () => {
+        try {
+            const carried = state.messages.relays.filter(relay => !relay.own);
+            
+            for (const relay of carried) {
+                await DB.deleteRelay(relay.id);
+            }
+            
+            // Update state
+            state.messages.relays = state.messages.relays.filter(relay => !carried.includes(relay));
+            
+            // Update UI
+            UI.updateMessageLists(state.messages);
+            
+            return carried.length;
+        } catch (error) {
+            console.error('Purging relays failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Save a connection record and keep application state in step
+     * @param {Object} connection - Updated connection object
+     * @returns {Promise} - Resolves when the connection is saved
+     */
+    const storeConnection = async (connection) => {
+        await DB.saveConnection(connection);
+        
+        const index = state.connections.findIndex(c => c.id === connection.id);
+        if (index !== -1) {
+            state.connections[index] = connection;
+        }
+    };
+
+    /**
+     * Encrypt message content for a connection
+     * Uses the connection's ratchet session when one exists, so every message
+     * gets a fresh key; otherwise encrypts to the connection's identity key.
+     * @param {Object} connection - Recipient connection
+     * @param {string} content - Message content
+     * @returns {Promise<string>} - Encrypted message
+     */
+    const encryptForConnection = async (connection, content) => {
+        if (!connection.ratchet) {
+            return Crypto.encryptMessage(content, connection.publicKey);
+        }
+        
+        const result = await Ratchet.encrypt(connection.ratchet, content);
+        await storeConnection({ ...connection, ratchet: result.session });
+        
+        return result.envelope;
+    };
+
+    /**
+     * Decrypt message content from a sender
+     * @param {string} senderDID - Sender's DID
+     * @param {string} encrypted - Encrypted message
+     * @returns {Promise<string|null>} - Decrypted content or null if failed
+     */
+    const decryptFromSender = async (senderDID, encrypted) => {
+        const sessions = new Map();
+        const content = await decryptWithSessions(senderDID, encrypted, sessions);
+        
+        for (const connection of sessions.values()) {
+            await storeConnection(connection);
+        }
+        return content;
+    };
+
+    /**
+     * Decrypt message content, keeping advanced ratchet sessions in memory
+     * Lets several messages be decrypted before any session is saved.
+     * @param {string} senderDID - Sender's DID
+     * @param {string} encrypted - Encrypted message
+     * @param {Map} sessions - Connections by DID whose sessions have advanced; updated in place
+     * @returns {Promise<string|null>} - Decrypted content or null if failed
+     */
+    const decryptWithSessions = async (senderDID, encrypted, sessions) => {
+        if (!Ratchet.isRatchetEnvelope(encrypted)) {
+            return Crypto.decryptMessage(encrypted, state.identity.privateKey);
+        }
+        
+        const sender = sessions.get(senderDID) || await DB.getConnectionByDID(senderDID);
+        if (!sender || !sender.ratchet) {
+            console.error('No ratchet session for sender:', senderDID);
+            return null;
+        }
+        
+        try {
+            const result = await Ratchet.decrypt(sender.ratchet, encrypted);
+            sessions.set(senderDID, { ...sender, ratchet: result.session });
+            return result.plaintext;
+        } catch (error) {
+            console.error('Ratchet decryption failed:', error);
+            return null;
+        }
+    };
+
     /**
      * Create and send a message
      * @param {Object} messageData - Message data
@@ -365,11 +772,14 @@ const App = (() => {
                 recipientId: recipient.did,
                 recipientName: `${recipient.firstName} ${recipient.lastName}`,
                 content: messageData.content,
-                encrypted: Crypto.encryptMessage(messageData.content, recipient.publicKey),
+                encrypted: await encryptForConnection(recipient, messageData.content),
+                replyTo: messageData.replyTo || null,
                 timestamp: new Date().toISOString(),
-                status: 'sent',
                 isRelay: messageData.isRelay || false
             };
+            message.status = Lifecycle.STATES.QUEUED;
+            message.statusChangedAt = message.timestamp;
+            message.statusHistory = { [Lifecycle.STATES.QUEUED]: message.timestamp };
             
             // Save to database
             await DB.saveMessage(message);
@@ -393,24 +803,46 @@ const App = (() => {
     };
 
     /**
-     * Create a relay message
+     * Build a sealed relay for a message
+     * Carriers see only the routing tag; the sender and the encrypted
+     * message are sealed for the recipient. Not even this device keeps who
+     * it is for outside the envelope; the sent message says so.
      * @param {Object} message - Original message
      * @param {Object} recipient - Target recipient
-     * @returns {Promise} - Resolves with the created relay
+     * @returns {Promise<Object>} - Relay, not yet saved
      */
-    const createRelay = async (message, recipient) => {
-        // Create relay object
-        const relay = {
+    const buildRelay = async (message, recipient) => {
+        const envelope = await Routing.sealEnvelope({
+            messageId: message.id,
+            senderId: message.senderId,
+            senderName: message.senderName,
+            encrypted: message.encrypted,
+            replyTo: message.replyTo || null,
+            timestamp: message.timestamp
+        }, recipient.publicKey, state.identity);
+        
+        return {
             id: uuid.v4(),
+            kind: Routing.RELAY_KINDS.MESSAGE,
             messageId: message.id,
-            originalSenderId: message.senderId,
-            originalSenderName: message.senderName,
-            targetRecipientId: recipient.did,
-            targetRecipientName: `${recipient.firstName} ${recipient.lastName}`,
-            encryptedContent: message.encrypted,
-            timestamp: new Date().toISOString(),
+            envelope,
+            ...await Routing.createRoute(recipient.did),
+            handedTo: [],
+            own: true,
+            timestamp: message.timestamp || new Date().toISOString(),
             status: 'pending'
         };
+    };
+
+    /**
+     * Create a relay message
+     * @param {Object} message - Original message
+     * @param {Object} recipient - Target recipient
+     * @returns {Promise} - Resolves with the created relay
+     */
+    const createRelay = async (message, recipient) => {
+        // Create relay object
+        const relay = await buildRelay(message, recipient);
         
         // Save to database
         await DB.saveRelay(relay);
@@ -425,116 +857,429 @@ const App = (() => {
     };
 
     /**
-     * Process received messages from WebRTC connection
-     * @param {Array} messages - Array of received messages
-     * @returns {Promise} - Resolves when processing is complete
+     * Get the outbox messages still waiting to reach a recipient
+     * Only the encrypted content is included, ready to hand over in person.
+     * Messages already handed to a relay are included too, as meeting the
+     * recipient is quicker than the relay.
+     * @param {Array<string>} recipientDIDs - Every DID the recipient has used
+     * @returns {Array} - Queued messages, oldest first
      */
-    const processReceivedMessages = async (messages) => {
+    const getQueuedMessages = (recipientDIDs) => {
+        // Restored messages waiting to be encrypted again are left for later
+        return state.messages.sent
+            .filter(message =>
+                Lifecycle.isPending(message) && message.encrypted && recipientDIDs.includes(message.recipientId)
+            )
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(message => ({
+                id: message.id,
+                senderId: message.senderId,
+                senderName: message.senderName,
+                recipientId: message.recipientId,
+                recipientName: message.recipientName,
+                encrypted: message.encrypted,
+                replyTo: message.replyTo || null,
+                timestamp: message.timestamp
+            }));
+    };
+
+    /**
+     * Get every DID a connection has used, newest first
+     * @param {Object} connection - Connection
+     * @returns {Array<string>} - Current DID followed by earlier ones
+     */
+    const getConnectionDIDs = (connection) => {
+        const dids = [
+            connection.did,
+            ...(connection.rotations || []).map(rotation => rotation.previousDID).reverse()
+        ];
+        
+        return [...new Set(dids.filter(Boolean))];
+    };
+
+    /**
+     * Get the messages sent to and received from a connection as one thread
+     * @param {string} connectionId - Connection ID
+     * @returns {Object|null} - Contains connection and messages (oldest first, each
+     *                          flagged outgoing), or null if the connection is gone
+     */
+    const getConversation = (connectionId) => {
+        const connection = state.connections.find(c => c.id === connectionId);
+        if (!connection) return null;
+        
+        const dids = getConnectionDIDs(connection);
+        const messages = [
+            ...state.messages.sent
+                .filter(message => dids.includes(message.recipientId))
+                .map(message => ({ ...message, outgoing: true })),
+            ...state.messages.received
+                .filter(message => dids.includes(message.senderId))
+                .map(message => ({ ...message, outgoing: false }))
+        ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        
+        return { connection, messages };
+    };
+
+    /**
+     * Count the messages from a connection that have not been read
+     * @param {string} connectionId - Connection ID
+     * @returns {number} - Unread messages
+     */
+    const getUnreadCount = (connectionId) => {
+        const conversation = getConversation(connectionId);
+        if (!conversation) return 0;
+        
+        return conversation.messages.filter(message => !message.outgoing && !message.readAt).length;
+    };
+
+    /**
+     * Mark every message received from a connection as read
+     * @param {string} connectionId - Connection ID
+     * @returns {Promise<Array>} - Resolves with the messages that changed
+     */
+    const markConversationRead = async (connectionId) => {
         try {
-            // Process each message
-            for (const message of messages) {
-                // Check if message already exists
-                const existingMessage = state.messages.received.find(m => m.id === message.id);
-                
-                if (!existingMessage) {
-                    // Decrypt the message content
-                    message.content = Crypto.decryptMessage(
-                        message.encrypted, 
-                        state.identity.privateKey
-                    );
-                    
-                    // Save to database
-                    await DB.saveMessage(message);
-                    
-                    // Add to state
-                    state.messages.received.push(message);
-                }
-            }
+            const conversation = getConversation(connectionId);
+            if (!conversation) return [];
+            
+            const unreadIds = conversation.messages
+                .filter(message => !message.outgoing && !message.readAt)
+                .map(message => message.id);
+            if (unreadIds.length === 0) return [];
+            
+            const readAt = new Date().toISOString();
+            const updated = state.messages.received
+                .filter(message => unreadIds.includes(message.id))
+                .map(message => ({ ...message, readAt }));
+            
+            // Save to database
+            await DB.saveRecords({ [DB.STORES.MESSAGES]: updated });
+            
+            // Update state
+            state.messages.received = state.messages.received.map(message =>
+                updated.find(changed => changed.id === message.id) || message
+            );
             
             // Update UI
             UI.updateMessageLists(state.messages);
             
-            return messages.length;
+            return updated;
         } catch (error) {
-            console.error('Processing received messages failed:', error);
+            console.error('Marking conversation read failed:', error);
             throw error;
         }
     };
 
     /**
-     * Process relay messages for connections
-     * @param {Object} connection - Connection to check for relays
-     * @returns {Promise} - Resolves with array of delivered relays
+     * Mark outbox messages as delivered once the recipient has acknowledged them
+     * @param {Array<string>} messageIds - IDs of the delivered messages
+     * @returns {Promise<Array>} - Resolves with the messages that changed
      */
-    const processRelaysForConnection = async (connection) => {
+    const markMessagesDelivered = async (messageIds) => {
         try {
-            // Find relays for this connection
-            const relaysToDeliver = state.messages.relays.filter(
-                r => r.targetRecipientId === connection.did
-            );
+            const delivered = getStateUpdates(messageIds, Lifecycle.STATES.DELIVERED);
             
-            if (relaysToDeliver.length === 0) {
+            if (delivered.length === 0) {
                 return [];
             }
             
-            // Process each relay
-            const deliveredRelays = [];
+            // Save to database
+            await DB.saveRecords({ [DB.STORES.MESSAGES]: delivered });
             
-            for (const relay of relaysToDeliver) {
-                // Create message from relay
-                const message = {
-                    id: uuid.v4(),
-                    senderId: relay.originalSenderId,
-                    senderName: relay.originalSenderName,
-                    recipientId: relay.targetRecipientId,
-                    recipientName: relay.targetRecipientName,
-                    encrypted: relay.encryptedContent,
-                    timestamp: new Date().toISOString(),
-                    status: 'delivered',
-                    isRelay: true
-                };
-                
-                // Remove relay from database
-                await DB.deleteRelay(relay.id);
-                
-                // Remove from state
-                state.messages.relays = state.messages.relays.filter(r => r.id !== relay.id);
-                
-                // Add to delivered list
-                deliveredRelays.push(message);
-            }
+            // Update state
+            replaceSentMessages(delivered);
             
             // Update UI
-            UI.updateRelayCount(state.messages.relays.length);
+            UI.updateMessageLists(state.messages);
             
-            return deliveredRelays;
+            return delivered;
         } catch (error) {
-            console.error('Processing relays failed:', error);
+            console.error('Marking messages delivered failed:', error);
             throw error;
         }
     };
 
     /**
-     * Prepare connection QR data
-     * @returns {Promise<string>} - Resolves with QR data string
+     * Build the versions of outbox messages moved on to a later state
+     * Messages already at or past the state are left out.
+     * @param {Array<string>} messageIds - IDs of the messages
+     * @param {string} newState - State reached, one of Lifecycle.STATES
+     * @param {string} [at] - When it was reached
+     * @param {Array} [pending] - Updates not yet saved, to build on
+     * @returns {Array} - Updated messages, not yet saved
      */
-    const prepareConnectionQRData = async () => {
-        try {
-            // This is a placeholder - actual implementation is now in Connect module
-            // which calls WebRTC to create the connection offer
-            return JSON.stringify({
-                type: 'connection',
-                timestamp: new Date().toISOString()
-            });
-        } catch (error) {
-            console.error('Preparing QR data failed:', error);
-            throw error;
+    const getStateUpdates = (messageIds, newState, at = new Date().toISOString(), pending = []) => {
+        return state.messages.sent
+            .filter(message => messageIds.includes(message.id))
+            .map(message => Lifecycle.advance(
+                pending.find(updated => updated.id === message.id) || message,
+                newState,
+                at
+            ))
+            .filter(Boolean);
+    };
+
+    /**
+     * Merge message updates, keeping the latest version of each message
+     * @param {Array} pending - Earlier updates
+     * @param {Array} updates - Later updates
+     * @returns {Array} - One update per message
+     */
+    const mergeUpdates = (pending, updates) => {
+        return [
+            ...pending.filter(message => !updates.some(updated => updated.id === message.id)),
+            ...updates
+        ];
+    };
+
+    /**
+     * Create signed receipts for the messages a peer sent us
+     * One receipt covers every message at the same state; the peer is only
+     * told about each state until it acknowledges it.
+     * @param {Array<string>} peerDIDs - Every DID the peer has used
+     * @returns {Promise<Array>} - Resolves with the receipts to hand over
+     */
+    const getReceiptsForPeer = async (peerDIDs) => {
+        const waiting = state.messages.received.filter(message =>
+            peerDIDs.includes(message.senderId) && Lifecycle.needsReceipt(message)
+        );
+        
+        const receipts = [];
+        for (const receiptState of Lifecycle.RECEIPT_STATES) {
+            const messageIds = waiting
+                .filter(message => Lifecycle.getReceiptState(message) === receiptState)
+                .map(message => message.id);
+            if (messageIds.length > 0) {
+                receipts.push(await Crypto.createMessageReceipt(state.identity, receiptState, messageIds));
+            }
         }
+        return receipts;
     };
 
     /**
-     * Prepare onboarding QR code data
-     * @returns {Promise<string>} - Resolves with QR data string
+     * Record receipts the peer has acknowledged, so they are not sent again
+     * @param {Array} receipts - Receipts from getReceiptsForPeer
+     * @returns {Promise<Array>} - Resolves with the messages that changed
+     */
+    const markReceiptsReported = async (receipts) => {
+        try {
+            let updated = [];
+            receipts.forEach(receipt => {
+                const changes = state.messages.received
+                    .filter(message => receipt.messageIds.includes(message.id))
+                    .map(message => Lifecycle.markReported(
+                        updated.find(changed => changed.id === message.id) || message,
+                        receipt.state
+                    ))
+                    .filter(Boolean);
+                updated = mergeUpdates(updated, changes);
+            });
+            
+            if (updated.length === 0) {
+                return [];
+            }
+            
+            // Save to database
+            await DB.saveRecords({ [DB.STORES.MESSAGES]: updated });
+            
+            // Update state
+            state.messages.received = state.messages.received.map(message =>
+                updated.find(changed => changed.id === message.id) || message
+            );
+            
+            return updated;
+        } catch (error) {
+            console.error('Marking receipts reported failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Check receipts and build the outbox updates they show
+     * Receipts only count for messages sent to the DID that signed them,
+     * and cannot date a change later than now.
+     * @param {Array} receipts - Receipts as handed over
+     * @param {Array<string>|null} peerDIDs - Every DID the peer has used, or null for
+     *                                       receipts carried back by relays, which any recipient signs
+     * @param {Array} [pending] - Updates not yet saved, to build on
+     * @returns {Promise<Array>} - Resolves with the updated messages, not yet saved
+     */
+    const applyReceipts = async (receipts, peerDIDs, pending = []) => {
+        let updates = pending;
+        for (const receipt of receipts) {
+            if (!Lifecycle.RECEIPT_STATES.includes(receipt.state)) continue;
+            if (peerDIDs && !peerDIDs.includes(receipt.did)) continue;
+            if (!await Crypto.verifyMessageReceipt(receipt)) {
+                console.warn('Ignoring message receipt with an invalid signature');
+                continue;
+            }
+            
+            const messageIds = state.messages.sent
+                .filter(message => receipt.messageIds.includes(message.id) && message.recipientId === receipt.did)
+                .map(message => message.id);
+            const created = new Date(receipt.created).getTime() || Date.now();
+            const at = new Date(Math.min(created, Date.now())).toISOString();
+            
+            updates = mergeUpdates(updates, getStateUpdates(messageIds, receipt.state, at, updates));
+        }
+        return updates;
+    };
+
+    /**
+     * Create the receipt relay for a message relayed to us
+     * We sign it and seal it for the sender, so the devices carrying it
+     * back can neither read nor forge it.
+     * @param {Object} relay - Sealed message relay addressed to us
+     * @param {string} senderId - Sender's DID, from the envelope
+     * @returns {Promise<Object|null>} - Receipt relay, or null if the sender's key is unknown
+     */
+    const createReceiptRelay = async (relay, senderId) => {
+        const sender = state.connections.find(connection => getConnectionDIDs(connection).includes(senderId));
+        const publicKey = sender ? sender.publicKey : Crypto.publicKeyFromDID(senderId);
+        if (!publicKey) return null;
+        
+        const receipt = await Crypto.createMessageReceipt(state.identity, Lifecycle.STATES.DELIVERED, [relay.messageId]);
+        return Routing.createReceipt(relay, state.identity, getOwnDIDs(), receipt, { did: senderId, publicKey });
+    };
+
+    /**
+     * Swap updated outbox messages into state
+     * @param {Array} updated - Saved messages
+     */
+    const replaceSentMessages = (updated) => {
+        state.messages.sent = state.messages.sent.map(message =>
+            updated.find(changed => changed.id === message.id) || message
+        );
+    };
+
+    /**
+     * Process received messages from WebRTC connection
+     * @param {Array} messages - Array of received messages
+     * @returns {Promise} - Resolves when processing is complete
+     */
+    const processReceivedMessages = async (messages) => {
+        try {
+            // Process each message
+            for (const message of messages) {
+                // Check if message already exists
+                const existingMessage = state.messages.received.find(m => m.id === message.id);
+                
+                if (!existingMessage) {
+                    // Decrypt the message content
+                    message.content = await decryptFromSender(message.senderId, message.encrypted);
+                    
+                    // Save to database
+                    await DB.saveMessage(message);
+                    
+                    // Add to state
+                    state.messages.received.push(message);
+                }
+            }
+            
+            // Update UI
+            UI.updateMessageLists(state.messages);
+            
+            return messages.length;
+        } catch (error) {
+            console.error('Processing received messages failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Choose the relays to hand to a peer during an exchange
+     * @param {Array<string>} peerDIDs - Every DID the peer has used
+     * @param {Array<string>} [reachableDIDs] - Peer's connections as sent in this exchange
+     * @returns {Promise<Array>} - Resolves with the relays to hand over
+     */
+    const getRelaysForPeer = (peerDIDs, reachableDIDs = []) => {
+        // Add the connections the peer told us about last time
+        const connection = state.connections.find(c => peerDIDs.includes(c.did));
+        const reachable = [...reachableDIDs, ...((connection && connection.connectionDIDs) || [])];
+        
+        return Routing.selectForPeer(state.messages.relays, peerDIDs, reachable);
+    };
+
+    /**
+     * Record relays a peer has acknowledged taking
+     * Relays the peer was the target of are done with, and our own messages
+     * among them are marked delivered; the target sends the senders of the
+     * rest a signed receipt. Relays the peer carries on are kept until they
+     * expire, in case we meet someone closer to the target first.
+     * @param {Array<string>} peerDIDs - Every DID the peer has used
+     * @param {Array<string>} messageIds - Message IDs of the relays the peer took
+     * @returns {Promise} - Resolves when the relays are updated
+     */
+    const recordRelayHandover = async (peerDIDs, messageIds) => {
+        try {
+            const handedOver = state.messages.relays.filter(relay => messageIds.includes(relay.messageId));
+            const delivered = [];
+            for (const relay of handedOver) {
+                if (await Routing.isAddressedTo(relay, peerDIDs)) {
+                    delivered.push(relay);
+                }
+            }
+            
+            const carried = handedOver
+                .filter(relay => !delivered.includes(relay))
+                .map(relay => ({ ...relay, handedTo: [...(relay.handedTo || []), peerDIDs[0]] }));
+            
+            // Our own messages: delivered, or on their way with a carrier
+            const sentUpdates = [
+                ...getStateUpdates(delivered
+                    .filter(relay => Routing.getKind(relay) === Routing.RELAY_KINDS.MESSAGE)
+                    .map(relay => relay.messageId), Lifecycle.STATES.DELIVERED),
+                ...getStateUpdates(carried
+                    .filter(relay => Routing.getKind(relay) === Routing.RELAY_KINDS.MESSAGE)
+                    .map(relay => relay.messageId), Lifecycle.STATES.HANDED_TO_RELAY)
+            ];
+            
+            // Save to database
+            await DB.saveRecords({
+                [DB.STORES.RELAYS]: carried,
+                [DB.STORES.MESSAGES]: sentUpdates
+            });
+            for (const relay of delivered) {
+                await DB.deleteRelay(relay.id);
+            }
+            
+            // Update state
+            state.messages.relays = [
+                ...state.messages.relays
+                    .filter(relay => !delivered.includes(relay))
+                    .map(relay => carried.find(updated => updated.id === relay.id) || relay)
+            ];
+            replaceSentMessages(sentUpdates);
+            
+            // Update UI
+            UI.updateMessageLists(state.messages);
+        } catch (error) {
+            console.error('Recording relay handover failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Prepare connection QR data
+     * @returns {Promise<string>} - Resolves with QR data string
+     */
+    const prepareConnectionQRData = async () => {
+        try {
+            // This is a placeholder - actual implementation is now in Connect module
+            // which calls WebRTC to create the connection offer
+            return JSON.stringify({
+                type: 'connection',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Preparing QR data failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Prepare onboarding QR code data
+     * @returns {Promise<string>} - Resolves with QR data string
      */
     const prepareOnboardingQRData = async () => {
         try {
@@ -577,14 +1322,457 @@ const App = (() => {
         }
     };
 
+    /**
+     * Replace the identity key with a new one
+     * The rotation record, signed by the old key, is announced to every
+     * connection through the data exchange and queued as a relay for each of
+     * them, so connections can follow the chain to the new key.
+     * @returns {Promise<Object>} - The updated profile
+     */
+    const rotateKey = async () => {
+        try {
+            const oldIdentity = state.identity;
+            const rotations = oldIdentity.rotations || [];
+            
+            const newIdentity = await Crypto.createIdentity();
+            const rotation = await Crypto.createRotation(oldIdentity, newIdentity, rotations.length + 1);
+            
+            const identity = {
+                ...newIdentity,
+                rotations: [...rotations, rotation]
+            };
+            
+            // Keep the DID from before did:key so legacy connections still match
+            if (oldIdentity.previousDID) {
+                identity.previousDID = oldIdentity.previousDID;
+            }
+            
+            const profile = {
+                ...state.profile,
+                identity,
+                updated: new Date().toISOString()
+            };
+            
+            await DB.saveProfile(profile);
+            
+            state.profile = profile;
+            state.identity = identity;
+            
+            // Announce the new key to every connection
+            for (const connection of state.connections) {
+                await createRotationRelay(connection, identity.rotations);
+            }
+            
+            UI.updateProfileDisplay(profile);
+            
+            return profile;
+        } catch (error) {
+            console.error('Key rotation failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Queue a rotation announcement for a connection
+     * @param {Object} connection - Connection to notify
+     * @param {Array<Object>} rotations - Our full rotation chain
+     * @returns {Promise} - Resolves with the created relay
+     */
+    const createRotationRelay = async (connection, rotations) => {
+        // Replace any earlier announcement for this connection
+        await clearRotationRelays(connection.did);
+        
+        const relay = {
+            id: uuid.v4(),
+            kind: 'key_rotation',
+            messageId: uuid.v4(),
+            targetRecipientId: connection.did,
+            rotations,
+            own: true,
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+        
+        await DB.saveRelay(relay);
+        
+        state.messages.relays.push(relay);
+        UI.updateRelayCount(state.messages.relays.length);
+        
+        return relay;
+    };
+
+    /**
+     * Remove our pending rotation announcements for a connection
+     * @param {string} did - DID of the connection
+     * @returns {Promise} - Resolves when the relays are removed
+     */
+    const clearRotationRelays = async (did) => {
+        const announcements = state.messages.relays.filter(relay =>
+            relay.kind === 'key_rotation' &&
+            relay.targetRecipientId === did &&
+            relay.own
+        );
+        
+        for (const relay of announcements) {
+            await DB.deleteRelay(relay.id);
+        }
+        
+        if (announcements.length > 0) {
+            state.messages.relays = state.messages.relays.filter(relay => !announcements.includes(relay));
+            UI.updateRelayCount(state.messages.relays.length);
+        }
+    };
+
+    /**
+     * Collect every rotation record we know of, ours and our connections'
+     * @returns {Array<Object>} - Rotation records to pass on
+     */
+    const getKnownRotations = () => {
+        const records = [
+            ...(state.identity.rotations || []),
+            ...state.connections.flatMap(connection => connection.rotations || [])
+        ];
+        
+        // The same record can reach us from several connections
+        const seen = new Set();
+        return records.filter(record => {
+            if (seen.has(record.signature)) return false;
+            seen.add(record.signature);
+            return true;
+        });
+    };
+
+    /**
+     * Move connections to new keys announced in rotation records
+     * A connection only moves when a valid chain leads from the key we hold.
+     * @param {Array<Object>} records - Rotation records received from a peer
+     * @returns {Promise<number>} - Number of connections updated
+     */
+    const applyRotations = async (records) => {
+        try {
+            let updated = 0;
+            
+            for (const connection of [...state.connections]) {
+                if (Crypto.isLegacyPublicKey(connection.publicKey)) continue;
+                
+                const resolved = await Crypto.resolveRotationChain(connection.publicKey, records);
+                if (!resolved) continue;
+                
+                // Already connected under the new DID; leave both records alone
+                if (state.connections.some(c => c.did === resolved.did)) continue;
+                
+                await storeConnection({
+                    ...connection,
+                    did: resolved.did,
+                    publicKey: resolved.publicKey,
+                    rotations: [...(connection.rotations || []), ...resolved.rotations]
+                });
+                updated += 1;
+            }
+            
+            if (updated > 0) {
+                UI.updateConnectionsList(state.connections);
+                UI.updateConnectionGraph(state.connections, state.profile);
+            }
+            
+            return updated;
+        } catch (error) {
+            console.error('Applying key rotations failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Get how many shares the user wants needed to rebuild their identity
+     * @param {Object} profile - User profile
+     * @returns {number} - Recovery threshold
+     */
+    const getRecoveryThreshold = (profile) => {
+        return profile.recoveryThreshold || RECOVERY_THRESHOLD;
+    };
+
+    /**
+     * Get the recovery share a connection should hold for us
+     * Only connections the user has marked as trusted for recovery get one.
+     * Each connection keeps the same share index across meetings. The share
+     * set is replaced when our identity or the threshold changes, since old
+     * shares rebuild the old key and cannot be mixed with new ones.
+     * @param {string} did - DID of the connection that will hold the share
+     * @returns {Promise<Object|null>} - Recovery share, or null if the connection is not trusted or every index is taken
+     */
+    const issueRecoveryShare = async (did) => {
+        try {
+            const connection = await DB.getConnectionByDID(did);
+            if (!connection || !connection.trustedForRecovery) {
+                return null;
+            }
+            
+            const threshold = getRecoveryThreshold(state.profile);
+            let recovery = state.profile.recovery;
+            
+            if (!recovery || recovery.did !== state.identity.did || recovery.threshold !== threshold) {
+                recovery = {
+                    ...Crypto.createRecoverySet(threshold),
+                    did: state.identity.did,
+                    issued: {}
+                };
+            }
+            
+            let index = recovery.issued[did];
+            if (!index) {
+                const used = Object.values(recovery.issued);
+                index = used.length > 0 ? Math.max(...used) + 1 : 1;
+                
+                if (index > MAX_RECOVERY_SHARES) {
+                    console.warn('No recovery share indexes left');
+                    return null;
+                }
+                
+                recovery = {
+                    ...recovery,
+                    issued: { ...recovery.issued, [did]: index }
+                };
+            }
+            
+            if (recovery !== state.profile.recovery) {
+                const profile = {
+                    ...state.profile,
+                    recovery,
+                    updated: new Date().toISOString()
+                };
+                
+                await DB.saveProfile(profile);
+                state.profile = profile;
+                UI.updateProfileDisplay(profile);
+            }
+            
+            return await Crypto.createRecoveryShare(state.identity, recovery, index);
+        } catch (error) {
+            console.error('Issuing recovery share failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Set how many trusted connections are needed to rebuild the identity
+     * Shares already given out keep their old threshold; connections get
+     * shares from a new set as they are met again.
+     * @param {number} threshold - Shares needed, at least MIN_RECOVERY_THRESHOLD
+     * @returns {Promise<Object>} - Resolves with the updated profile
+     */
+    const setRecoveryThreshold = async (threshold) => {
+        try {
+            if (!Number.isInteger(threshold) || threshold < MIN_RECOVERY_THRESHOLD || threshold > MAX_RECOVERY_SHARES) {
+                throw new Error('Recovery threshold must be between ' + MIN_RECOVERY_THRESHOLD + ' and ' + MAX_RECOVERY_SHARES);
+            }
+            
+            const profile = {
+                ...state.profile,
+                recoveryThreshold: threshold,
+                updated: new Date().toISOString()
+            };
+            
+            await DB.saveProfile(profile);
+            state.profile = profile;
+            UI.updateProfileDisplay(profile);
+            
+            return profile;
+        } catch (error) {
+            console.error('Setting recovery threshold failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Mark whether a connection is trusted to hold a recovery share
+     * Taking trust away starts a new share set, so shares given out from
+     * then on cannot be combined with the one that connection still holds.
+     * @param {string} connectionId - Connection ID
+     * @param {boolean} trusted - Whether the connection may hold a share
+     * @returns {Promise<Object>} - Resolves with the updated connection
+     */
+    const setRecoveryTrust = async (connectionId, trusted) => {
+        try {
+            const existing = await DB.getConnection(connectionId);
+            if (!existing) {
+                throw new Error('Connection not found');
+            }
+            
+            const connection = { ...existing, trustedForRecovery: Boolean(trusted) };
+            await DB.saveConnection(connection);
+            state.connections = state.connections.map(c => c.id === connectionId ? connection : c);
+            
+            const recovery = state.profile.recovery;
+            const heldShare = recovery && getConnectionDIDs(connection).some(did => recovery.issued[did]);
+            if (!trusted && heldShare) {
+                const { recovery: revoked, ...rest } = state.profile;
+                const profile = { ...rest, updated: new Date().toISOString() };
+                
+                await DB.saveProfile(profile);
+                state.profile = profile;
+            }
+            
+            UI.updateProfileDisplay(state.profile);
+            
+            return connection;
+        } catch (error) {
+            console.error('Setting recovery trust failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Load the recovery in progress on this device, starting one if needed
+     * A temporary key pair lets connections encrypt their shares for this device.
+     * @returns {Promise<Object>} - Pending recovery { publicKey, privateKey, shares, profile }
+     */
+    const getPendingRecovery = async () => {
+        const stored = await DB.getPendingRecovery();
+        if (stored) {
+            return stored;
+        }
+        
+        // Move a recovery started while it was kept in localStorage
+        const legacy = localStorage.getItem(RECOVERY_STORAGE_KEY);
+        if (legacy) {
+            const pending = JSON.parse(legacy);
+            await DB.savePendingRecovery(pending);
+            localStorage.removeItem(RECOVERY_STORAGE_KEY);
+            return pending;
+        }
+        
+        const keyPair = await Crypto.generateKeyPair();
+        const pending = {
+            publicKey: keyPair.publicKey,
+            privateKey: keyPair.privateKey,
+            shares: [],
+            profile: null,
+            started: new Date().toISOString()
+        };
+        
+        await DB.savePendingRecovery(pending);
+        return pending;
+    };
+
+    /**
+     * Summarise the recovery in progress on this device
+     * @returns {Promise<Object>} - Contains requestQRData, collected and threshold
+     */
+    const getRecoveryStatus = async () => {
+        try {
+            const pending = await getPendingRecovery();
+            const [latest] = pending.shares.slice(-1);
+            
+            return {
+                requestQRData: JSON.stringify({
+                    type: 'recovery_request',
+                    publicKey: pending.publicKey,
+                    timestamp: new Date().toISOString()
+                }),
+                collected: latest
+                    ? pending.shares.filter(share => share.setId === latest.setId).length
+                    : 0,
+                threshold: latest ? latest.threshold : null
+            };
+        } catch (error) {
+            console.error('Loading recovery status failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Hand a connection's recovery share to their new device
+     * @param {string} connectionId - Connection whose share we hold
+     * @param {Object} request - Scanned recovery request with the device's publicKey
+     * @returns {Promise<string>} - QR data carrying the encrypted share
+     */
+    const createRecoveryResponse = async (connectionId, request) => {
+        try {
+            const connection = state.connections.find(c => c.id === connectionId);
+            if (!connection || !connection.heldShare) {
+                throw new Error('No recovery share held for this connection');
+            }
+            
+            const payload = JSON.stringify({
+                share: connection.heldShare,
+                profile: {
+                    firstName: connection.firstName,
+                    lastName: connection.lastName,
+                    nickname: connection.nickname || '',
+                    bio: connection.bio || ''
+                }
+            });
+            
+            return JSON.stringify({
+                type: 'recovery_response',
+                payload: await Crypto.encryptMessage(payload, request.publicKey),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Creating recovery response failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Add a scanned recovery share and rebuild the identity once enough are collected
+     * @param {Object} response - Scanned recovery_response QR data
+     * @returns {Promise<Object>} - Contains complete, collected, threshold and, once complete, profile
+     */
+    const addRecoveryShare = async (response) => {
+        try {
+            const pending = await getPendingRecovery();
+            const { share, profile } = JSON.parse(await Crypto.decryptMessage(response.payload, pending.privateKey));
+            
+            if (!Crypto.isRecoveryShare(share)) {
+                throw new Error('Invalid recovery share');
+            }
+            
+            // Shares from an older share set can't be combined with newer ones
+            const shares = pending.shares
+                .filter(s => s.did === share.did && s.setId === share.setId && s.index !== share.index)
+                .concat(share);
+            
+            if (shares.length < share.threshold) {
+                await DB.savePendingRecovery({ ...pending, shares, profile });
+                return { complete: false, collected: shares.length, threshold: share.threshold };
+            }
+            
+            const identity = await Crypto.recoverIdentity(shares);
+            const recoveredProfile = {
+                id: uuid.v4(),
+                firstName: profile.firstName,
+                lastName: profile.lastName,
+                nickname: profile.nickname || '',
+                bio: profile.bio || '',
+                profilePicture: null,
+                identity,
+                created: new Date().toISOString(),
+                updated: new Date().toISOString()
+            };
+            
+            await DB.saveProfile(recoveredProfile);
+            await DB.clearPendingRecovery();
+            
+            state.profile = recoveredProfile;
+            state.identity = identity;
+            state.initialized = true;
+            
+            return { complete: true, collected: shares.length, threshold: share.threshold, profile: recoveredProfile };
+        } catch (error) {
+            console.error('Adding recovery share failed:', error);
+            throw error;
+        }
+    };
+
     /**
      * Export user identity
-     * @param {string} password - Password to encrypt the export
-     * @returns {string} - Encrypted identity string
+     * @param {string} passphrase - Passphrase to encrypt the export
+     * @returns {Promise<string>} - Encrypted identity string
      */
-    const exportIdentity = (password) => {
+    const exportIdentity = async (passphrase) => {
         try {
-            return Crypto.exportIdentity(state.identity, password);
+            return await Crypto.exportIdentity(state.identity, passphrase);
         } catch (error) {
             console.error('Identity export failed:', error);
             throw error;
@@ -594,16 +1782,36 @@ const App = (() => {
     /**
      * Import user identity
      * @param {string} encryptedIdentity - Encrypted identity string
-     * @param {string} password - Password to decrypt the import
+     * @param {string} passphrase - Passphrase to decrypt the import
      * @returns {Promise} - Resolves with imported profile
      */
-    const importIdentity = async (encryptedIdentity, password) => {
+    const importIdentity = async (encryptedIdentity, passphrase) => {
         try {
             // Decrypt identity
-            const identity = Crypto.importIdentity(encryptedIdentity, password);
+            let identity = await Crypto.importIdentity(encryptedIdentity, passphrase);
             
             if (!identity) {
-                throw new Error('Invalid identity or password');
+                throw new Error('Invalid identity or passphrase');
+            }
+            
+            // Exports made before WebCrypto keys carry a legacy identity
+            if (Crypto.isLegacyIdentity(identity)) {
+                identity = await Crypto.migrateIdentity(identity);
+            }
+            
+            // The DID must be the one the imported key proves, or we would
+            // present someone else's DID while signing with our own key
+            const challenge = Crypto.generateChallenge();
+            let valid = false;
+            try {
+                const signature = await Crypto.signChallenge(challenge, identity.privateKey);
+                valid = await Crypto.verifyDID(identity.did, identity.publicKey, challenge, signature);
+            } catch (error) {
+                valid = false;
+            }
+            
+            if (!valid) {
+                throw new Error('Imported key does not match the identity');
             }
             
             // Check if profile exists
@@ -644,73 +1852,434 @@ const App = (() => {
     };
 
     /**
-     * Process data received during WebRTC connection
-     * @param {Object} data - Received data object
-     * @returns {Promise} - Resolves when processing is complete
+     * Create an encrypted backup of the whole account
+     * @param {string} passphrase - Passphrase to encrypt the backup
+     * @returns {Promise<string>} - Encrypted backup string
      */
-    const processReceivedData = async (data) => {
+    const createBackup = async (passphrase) => {
         try {
-            // Process profile and create/update connection
-            if (data.profile && data.profile.did) {
-                await addConnection({
-                    did: data.profile.did,
-                    publicKey: data.profile.publicKey,
-                    profile: {
-                        firstName: data.profile.firstName,
-                        lastName: data.profile.lastName,
-                        nickname: data.profile.nickname,
-                        bio: data.profile.bio
-                    },
-                    profilePicture: data.profilePicture || null
+            const stores = await DB.exportAllData();
+            return await Crypto.exportBackup(stores, passphrase, { schemaVersion: DB.VERSION });
+        } catch (error) {
+            console.error('Backup creation failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Work out which backup records to write when merging into local data
+     * Local records win unless the backup holds a newer version of a connection.
+     * @param {Object} stores - Records from the backup
+     * @returns {Promise<Object>} - Records to write
+     */
+    const mergeBackupRecords = async (stores) => {
+        const local = await DB.exportAllData();
+        const localProfile = local[DB.STORES.PROFILE][0];
+        const backupProfile = stores[DB.STORES.PROFILE][0];
+        
+        // Merging two different identities would mix up their connections
+        if (localProfile && localProfile.identity.did !== backupProfile.identity.did) {
+            throw new Error('Backup belongs to a different identity. Restore with replace instead.');
+        }
+        
+        const localIds = (storeName) => new Set(local[storeName].map(record => record.id));
+        const messageIds = localIds(DB.STORES.MESSAGES);
+        const relayIds = localIds(DB.STORES.RELAYS);
+        
+        // Connections are matched by DID, keeping the local record id and session
+        const connections = [];
+        stores[DB.STORES.CONNECTIONS].forEach(connection => {
+            const localConnection = local[DB.STORES.CONNECTIONS].find(c => c.did === connection.did);
+            
+            if (!localConnection) {
+                connections.push(connection);
+            } else if (new Date(connection.lastConnected) > new Date(localConnection.lastConnected)) {
+                connections.push({
+                    ...connection,
+                    id: localConnection.id,
+                    ratchet: localConnection.ratchet || null
                 });
             }
+        });
+        
+        return {
+            [DB.STORES.PROFILE]: localProfile ? [] : stores[DB.STORES.PROFILE],
+            [DB.STORES.CONNECTIONS]: connections,
+            [DB.STORES.MESSAGES]: stores[DB.STORES.MESSAGES].filter(m => !messageIds.has(m.id)),
+            [DB.STORES.RELAYS]: stores[DB.STORES.RELAYS].filter(r => !relayIds.has(r.id))
+        };
+    };
+
+    /**
+     * Restore an encrypted account backup
+     * Ratchet sessions are not restored: an old chain state could reuse
+     * message keys, so sessions are re-established at the next meeting.
+     * Queued messages encrypted under those sessions lose their encrypted
+     * content, and their relays are dropped; both are made again when the
+     * app next starts.
+     * @param {string} backup - Encrypted backup string
+     * @param {string} passphrase - Passphrase used for the backup
+     * @param {string} mode - 'merge' into local data or 'replace' it
+     * @returns {Promise} - Resolves with the restored profile
+     */
+    const restoreBackup = async (backup, passphrase, mode) => {
+        try {
+            const archive = await Crypto.importBackup(backup, passphrase);
+            
+            // Backups made before schema versions were recorded use schema 1
+            const migrated = DB.migrateRecords(archive.stores, archive.schemaVersion || 1);
+            
+            // Outbox messages still queued under a session that is not restored
+            const stale = (migrated[DB.STORES.MESSAGES] || [])
+                .filter(message =>
+                    message.status !== 'received' &&
+                    Lifecycle.isPending(message) &&
+                    Ratchet.isRatchetEnvelope(message.encrypted)
+                )
+                .map(message => message.id);
+            
+            const stores = {
+                ...migrated,
+                [DB.STORES.CONNECTIONS]: (migrated[DB.STORES.CONNECTIONS] || []).map(connection => ({
+                    ...connection,
+                    ratchet: null
+                })),
+                [DB.STORES.MESSAGES]: (migrated[DB.STORES.MESSAGES] || []).map(message =>
+                    stale.includes(message.id) ? { ...message, encrypted: null } : message
+                ),
+                [DB.STORES.RELAYS]: (migrated[DB.STORES.RELAYS] || []).filter(relay =>
+                    !(relay.own && Routing.getKind(relay) === Routing.RELAY_KINDS.MESSAGE && stale.includes(relay.messageId))
+                )
+            };
+            
+            const records = mode === 'merge' ? await mergeBackupRecords(stores) : stores;
+            await DB.restoreAllData(records, mode);
+            
+            return await DB.getProfile();
+        } catch (error) {
+            console.error('Backup restore failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Restart the inactivity countdown
+     */
+    const resetInactivityTimer = () => {
+        clearTimeout(inactivityTimer);
+        inactivityTimer = setTimeout(lockApp, INACTIVITY_LOCK_MS);
+    };
+
+    /**
+     * Lock the app after a period without user activity
+     */
+    const startInactivityLock = () => {
+        ACTIVITY_EVENTS.forEach(eventName => {
+            document.addEventListener(eventName, resetInactivityTimer, { passive: true });
+        });
+        resetInactivityTimer();
+    };
+
+    /**
+     * Stop locking the app after inactivity
+     */
+    const stopInactivityLock = () => {
+        ACTIVITY_EVENTS.forEach(eventName => {
+            document.removeEventListener(eventName, resetInactivityTimer);
+        });
+        clearTimeout(inactivityTimer);
+        inactivityTimer = null;
+    };
+
+    /**
+     * Lock the app now
+     * Reloading drops every decrypted record held in memory; the passcode
+     * is asked for again on launch. It would also cut off an exchange before
+     * what the peer sent is committed, so the lock waits for it to finish.
+     * @returns {boolean} - True if the app is locking, false if an exchange holds it off
+     */
+    const lockApp = () => {
+        if (Connect.isExchanging()) {
+            clearTimeout(inactivityTimer);
+            inactivityTimer = setTimeout(lockApp, LOCK_RETRY_MS);
+            return false;
+        }
+        
+        stopInactivityLock();
+        DB.lock();
+        window.location.reload();
+        return true;
+    };
+
+    /**
+     * Set or change the app passcode
+     * @param {string} passcode - New passcode
+     * @returns {Promise} - Resolves when the database is encrypted under the passcode
+     */
+    const setPasscode = async (passcode) => {
+        try {
+            const hadPasscode = DB.hasPasscode();
+            await DB.setPasscode(passcode);
+            
+            if (!hadPasscode) {
+                startInactivityLock();
+            }
+        } catch (error) {
+            console.error('Setting passcode failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Remove the app passcode
+     * @returns {Promise} - Resolves when the database is stored without encryption
+     */
+    const removePasscode = async () => {
+        try {
+            await DB.removePasscode();
+            stopInactivityLock();
+        } catch (error) {
+            console.error('Removing passcode failed:', error);
+            throw error;
+        }
+    };
+
+    /**
+     * Apply the saved network settings to WebRTC
+     * Settings that can no longer be used are ignored so connections still work.
+     * @returns {Promise} - Resolves when the settings are applied
+     */
+    const loadNetworkSettings = async () => {
+        try {
+            WebRTC.configure(await DB.getNetworkSettings());
+        } catch (error) {
+            console.error('Saved network settings could not be applied:', error);
+            WebRTC.configure(null);
+        }
+    };
+
+    /**
+     * Save the ICE servers and LAN-only mode used for connections
+     * @param {Object} settings - Contains iceServers and lanOnly
+     * @returns {Promise} - Resolves when the settings are saved and applied
+     * @throws {Error} - If the ICE servers are not usable
+     */
+    const saveNetworkSettings = async (settings) => {
+        try {
+            // Validate before saving so a bad list never reaches the database
+            WebRTC.configure(settings);
+            await DB.saveNetworkSettings(WebRTC.getNetworkSettings());
+        } catch (error) {
+            console.error('Saving network settings failed:', error);
+            await loadNetworkSettings();
+            throw error;
+        }
+    };
+
+    /**
+     * Commit everything a peer sent during one in-person exchange
+     * Called once the exchange completes. The peer's connection is saved first,
+     * since what it carried may be encrypted under the session just set up;
+     * the carried messages, the sessions they advance, receipts for our own
+     * messages and relays we take on are then written in a single transaction,
+     * so either all of them land or none do.
+     * @param {Object} data - Received data
+     * @param {Object} data.connection - Verified peer, as passed to addConnection
+     * @param {Array} [data.rotations] - Key rotation records the peer knows about
+     * @param {Array} [data.connections] - Peer's connections (second-degree)
+     * @param {Array} [data.messages] - Messages the peer wrote to us
+     * @param {Array} [data.relays] - Relays the peer handed over, for us or to carry on
+     * @returns {Promise<Object>} - Resolves with the saved connection and the counts of new messages and relays taken on
+     */
+    const processReceivedData = async (data) => {
+        try {
+            const relays = data.relays || [];
+            
+            // Key rotations, including announcements carried as relays, update
+            // connections rather than the inbox
+            const rotations = [
+                ...(data.rotations || []),
+                ...relays
+                    .filter(relay => Routing.getKind(relay) === Routing.RELAY_KINDS.KEY_ROTATION)
+                    .flatMap(relay => relay.rotations || [])
+            ];
+            if (rotations.length > 0) {
+                await applyRotations(rotations);
+            }
             
-            // Process connections (second-degree)
-            // In a real app, we would add these to a separate store
-            // For this demo, we'll just log them
-            if (data.connections && data.connections.length > 0) {
-                console.log(`Received ${data.connections.length} second-degree connections`);
-            }
-            
-            // Process messages
-            if (data.messages && data.messages.length > 0) {
-                await processReceivedMessages(data.messages);
-            }
-            
-            // Process relays
-            if (data.relays && data.relays.length > 0) {
-                for (const relay of data.relays) {
-                    // Save as regular message
-                    const message = {
-                        id: relay.id || uuid.v4(),
-                        senderId: relay.senderId,
-                        senderName: relay.senderName,
-                        recipientId: state.identity.did,
-                        recipientName: `${state.profile.firstName} ${state.profile.lastName}`,
-                        encrypted: relay.encrypted,
-                        timestamp: relay.timestamp || new Date().toISOString(),
-                        status: 'received',
-                        isRelay: true
-                    };
-                    
-                    // Decrypt content
-                    message.content = Crypto.decryptMessage(
-                        message.encrypted,
-                        state.identity.privateKey
-                    );
-                    
-                    // Save to database
-                    await DB.saveMessage(message);
-                    
-                    // Add to state
-                    state.messages.received.push(message);
+            // Process profile and create/update connection; the peer's own
+            // connections (second-degree) decide which relays we hand it later
+            const connection = await addConnection({
+                ...data.connection,
+                connectionDIDs: (data.connections || []).map(c => c.did).filter(Boolean)
+            });
+            const peerDIDs = [...new Set([data.connection.did, ...getConnectionDIDs(connection)])];
+            
+            // Sort the relays: sealed ones are for us when their routing tag
+            // matches one of our DIDs, and are carried on otherwise
+            const ownDIDs = getOwnDIDs();
+            const relayed = [];
+            const relayedFrom = new Map();
+            const relayedReceipts = [];
+            const toCarry = [];
+            for (const relay of relays) {
+                const kind = Routing.getKind(relay);
+                if (kind === Routing.RELAY_KINDS.KEY_ROTATION) continue;
+                
+                // Devices from before sealed envelopes name the sender and
+                // target in the clear, where anyone could have written them
+                if (!Routing.isSealed(relay)) continue;
+                
+                if (!await Routing.isAddressedTo(relay, ownDIDs)) {
+                    toCarry.push(relay);
+                    continue;
                 }
                 
-                // Update UI
-                UI.updateMessageLists(state.messages);
+                const payload = await Routing.openEnvelope(relay, state.identity);
+                if (!payload) {
+                    console.warn('Relay envelope could not be opened:', relay.messageId);
+                } else if (kind === Routing.RELAY_KINDS.RECEIPT) {
+                    if (payload.receipt) relayedReceipts.push(payload.receipt);
+                } else {
+                    relayedFrom.set(relay.messageId, relay);
+                    relayed.push({
+                        id: relay.messageId,
+                        senderId: payload.senderId,
+                        senderName: payload.senderName,
+                        encrypted: payload.encrypted,
+                        replyTo: payload.replyTo || null,
+                        timestamp: payload.timestamp
+                    });
+                }
             }
             
-            return true;
+            // Collect what was written to us, directly or carried by the peer.
+            // Messages handed over directly must come from the verified peer
+            // itself; others reach us sealed in relays
+            const incoming = [
+                ...(data.messages || [])
+                    .filter(message => ownDIDs.includes(message.recipientId) && peerDIDs.includes(message.senderId))
+                    .map(message => ({
+                        id: message.id,
+                        senderId: message.senderId,
+                        senderName: message.senderName,
+                        encrypted: message.encrypted,
+                        replyTo: message.replyTo || null,
+                        timestamp: message.timestamp,
+                        isRelay: false
+                    })),
+                ...relayed.map(message => ({ ...message, isRelay: true }))
+            ].filter((message, index, all) =>
+                message.id &&
+                all.findIndex(other => other.id === message.id) === index &&
+                !state.messages.received.some(received => received.id === message.id)
+            );
+            
+            // Decrypt everything before anything is saved
+            const sessions = new Map();
+            const messages = [];
+            for (const message of incoming) {
+                messages.push({
+                    ...message,
+                    recipientId: state.identity.did,
+                    recipientName: `${state.profile.firstName} ${state.profile.lastName}`,
+                    content: await decryptWithSessions(message.senderId, message.encrypted, sessions),
+                    timestamp: message.timestamp || new Date().toISOString(),
+                    status: 'received',
+                    readAt: null,
+                    // The peer saw messages handed over in person arrive
+                    reported: message.isRelay ? null : Lifecycle.STATES.DELIVERED
+                });
+            }
+            
+            // Tell the senders of messages relayed to us that they arrived;
+            // one we could not decrypt has not been delivered in any useful sense
+            const receiptRelays = [];
+            for (const message of messages) {
+                if (!message.content) continue;
+                
+                const relay = relayedFrom.get(message.id);
+                const receiptRelay = relay ? await createReceiptRelay(relay, message.senderId) : null;
+                if (receiptRelay) receiptRelays.push(receiptRelay);
+            }
+            
+            // Receipts for messages we sent: signed by the peer for messages
+            // it received or read, and by other recipients and carried back
+            const sentUpdates = await applyReceipts(
+                relayedReceipts,
+                null,
+                await applyReceipts(data.receipts || [], peerDIDs)
+            );
+            
+            // Relays for others that we carry on, once each; our own messages
+            // are not on their path, so a carrier may offer them back to us
+            const carryContext = {
+                ownDIDs,
+                connectionDIDs: state.connections.map(c => c.did),
+                receivedFrom: connection.did
+            };
+            const heldIds = [
+                ...state.messages.relays.map(relay => relay.messageId),
+                ...state.messages.sent.map(message => message.id)
+            ];
+            const carried = [];
+            for (const relay of toCarry) {
+                const accepted = await Routing.acceptForCarrying(relay, carryContext);
+                if (accepted && !heldIds.includes(accepted.messageId)) {
+                    heldIds.push(accepted.messageId);
+                    carried.push(accepted);
+                }
+            }
+            
+            // Our relays of messages a receipt shows have arrived are no longer needed
+            const arrived = sentUpdates
+                .filter(message => !Lifecycle.isPending(message))
+                .map(message => message.id);
+            const superseded = state.messages.relays.filter(relay =>
+                relay.own &&
+                Routing.getKind(relay) === Routing.RELAY_KINDS.MESSAGE &&
+                arrived.includes(relay.messageId)
+            );
+            
+            // New relays only stay if the relay policy has room for them,
+            // possibly at the expense of ones we already hold
+            const { keep } = RelayPolicy.enforce([
+                ...state.messages.relays.filter(relay => !superseded.includes(relay)),
+                ...carried,
+                ...receiptRelays
+            ]);
+            const taken = carried.filter(relay => keep.includes(relay));
+            const receiptsQueued = receiptRelays.filter(relay => keep.includes(relay));
+            const removed = state.messages.relays.filter(relay => !keep.includes(relay));
+            
+            await DB.saveRecords({
+                [DB.STORES.CONNECTIONS]: [...sessions.values()],
+                [DB.STORES.MESSAGES]: [...messages, ...sentUpdates],
+                [DB.STORES.RELAYS]: [...taken, ...receiptsQueued]
+            });
+            for (const relay of removed) {
+                await DB.deleteRelay(relay.id);
+            }
+            
+            // Update state
+            sessions.forEach(updated => {
+                const index = state.connections.findIndex(c => c.id === updated.id);
+                if (index !== -1) {
+                    state.connections[index] = updated;
+                }
+            });
+            state.messages.received.push(...messages);
+            replaceSentMessages(sentUpdates);
+            state.messages.relays = [
+                ...state.messages.relays.filter(relay => !removed.includes(relay)),
+                ...taken,
+                ...receiptsQueued
+            ];
+            
+            // Update UI
+            UI.updateMessageLists(state.messages);
+            
+            return { connection, messageCount: messages.length, relayCount: taken.length };
         } catch (error) {
             console.error('Processing received data failed:', error);
             throw error;
@@ -725,13 +2294,39 @@ const App = (() => {
         addConnection,
         removeConnection,
         createMessage,
+        getQueuedMessages,
+        markMessagesDelivered,
+        getReceiptsForPeer,
+        markReceiptsReported,
+        getConversation,
+        getUnreadCount,
+        markConversationRead,
         prepareConnectionQRData,
         prepareOnboardingQRData,
         processReceivedData,
         processReceivedMessages,
-        processRelaysForConnection,
+        getRelaysForPeer,
+        recordRelayHandover,
+        getRelayStorage,
+        purgeRelays,
         exportIdentity,
         importIdentity,
+        createBackup,
+        restoreBackup,
+        setPasscode,
+        removePasscode,
+        lockApp,
+        saveNetworkSettings,
+        rotateKey,
+        getKnownRotations,
+        applyRotations,
+        issueRecoveryShare,
+        getRecoveryThreshold,
+        setRecoveryThreshold,
+        setRecoveryTrust,
+        getRecoveryStatus,
+        createRecoveryResponse,
+        addRecoveryShare,
         getState: () => ({ ...state }) // Return a copy of the state
     };
     })();
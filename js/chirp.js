@@ -0,0 +1,540 @@
+/**
+ * Chirp Module for CurrentCircle
+ * Short-range audio modem for handing small payloads between nearby devices
+ */
+
+const Chirp = (() => {
+    // 32-tone FSK: each 25 ms symbol carries 5 bits
+    const SYMBOL_DURATION = 0.025;
+    const BITS_PER_SYMBOL = 5;
+    const TONE_COUNT = 1 << BITS_PER_SYMBOL;
+    const BASE_FREQUENCY = 1500;
+    const TONE_SPACING = 125;
+    
+    // Frames open with a preamble alternating between two tones below the data band
+    const SYNC_FREQUENCIES = [1000, 1250];
+    const PREAMBLE = [0, 1, 0, 1];
+    
+    // Frame: payload length (2), payload, CRC-16 of length and payload (2)
+    const LENGTH_BYTES = 2;
+    const CHECKSUM_BYTES = 2;
+    const HEADER_SYMBOLS = Math.ceil(LENGTH_BYTES * 8 / BITS_PER_SYMBOL);
+    const MAX_PAYLOAD_LENGTH = 1024;
+    
+    // Transmission
+    const AMPLITUDE = 0.5;
+    const RAMP_DURATION = 0.002;
+    const REPEAT_GAP = 0.4;
+    const TRANSMIT_DURATION = 90000;
+    
+    // Reception: share of the in-band power that must sit in a sync tone
+    // (measured against the sync tones and every fourth data tone), and how
+    // many damaged copies of a frame are combined by majority vote
+    const DETECTION_SHARE = 0.5;
+    const REFERENCE_TONE_STEP = 4;
+    const VOTE_MINIMUM = 3;
+    const VOTE_HISTORY = 7;
+    const PROCESSOR_BUFFER_SIZE = 4096;
+    
+    /**
+     * Get the browser's AudioContext constructor
+     * @returns {Function|null} - AudioContext constructor, if any
+     */
+    const audioContextClass = () => {
+        return window.AudioContext || window.webkitAudioContext || null;
+    };
+    
+    /**
+     * Check whether this browser can send and receive chirps
+     * @returns {boolean} - True if audio playback and microphone capture are available
+     */
+    const isSupported = () => {
+        return !!audioContextClass() &&
+            !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    };
+    
+    /**
+     * Calculate a CRC-16/CCITT-FALSE checksum
+     * @param {Uint8Array} bytes - Bytes to check
+     * @returns {number} - 16-bit checksum
+     */
+    const crc16 = (bytes) => {
+        let crc = 0xffff;
+        for (const byte of bytes) {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+            }
+        }
+        return crc;
+    };
+    
+    /**
+     * Split bytes into symbols, most significant bit first
+     * @param {Uint8Array} bytes - Bytes to split
+     * @returns {Array<number>} - Symbols, the last one padded with zero bits
+     */
+    const bytesToSymbols = (bytes) => {
+        const symbols = [];
+        let value = 0;
+        let bits = 0;
+        
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= BITS_PER_SYMBOL) {
+                bits -= BITS_PER_SYMBOL;
+                symbols.push((value >> bits) & (TONE_COUNT - 1));
+            }
+            value &= (1 << bits) - 1;
+        }
+        
+        if (bits > 0) {
+            symbols.push((value << (BITS_PER_SYMBOL - bits)) & (TONE_COUNT - 1));
+        }
+        return symbols;
+    };
+    
+    /**
+     * Join symbols back into bytes
+     * @param {Array<number>} symbols - Symbols
+     * @param {number} byteCount - Number of bytes to read
+     * @returns {Uint8Array} - Bytes
+     */
+    const symbolsToBytes = (symbols, byteCount) => {
+        const bytes = new Uint8Array(byteCount);
+        let value = 0;
+        let bits = 0;
+        let index = 0;
+        
+        for (const symbol of symbols) {
+            if (index >= byteCount) break;
+            value = (value << BITS_PER_SYMBOL) | symbol;
+            bits += BITS_PER_SYMBOL;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[index++] = (value >> bits) & 0xff;
+                value &= (1 << bits) - 1;
+            }
+        }
+        return bytes;
+    };
+    
+    /**
+     * Wrap a payload in a frame with its length and checksum
+     * @param {Uint8Array} payload - Payload
+     * @returns {Uint8Array} - Frame bytes
+     * @throws {Error} - If the payload is too long for a chirp
+     */
+    const buildFrame = (payload) => {
+        if (payload.length === 0 || payload.length > MAX_PAYLOAD_LENGTH) {
+            throw new Error('Payload is too large to send by audio');
+        }
+        
+        const frame = new Uint8Array(LENGTH_BYTES + payload.length + CHECKSUM_BYTES);
+        const view = new DataView(frame.buffer);
+        view.setUint16(0, payload.length);
+        frame.set(payload, LENGTH_BYTES);
+        view.setUint16(LENGTH_BYTES + payload.length, crc16(frame.subarray(0, LENGTH_BYTES + payload.length)));
+        return frame;
+    };
+    
+    /**
+     * Number of symbols in a frame carrying a payload of the given length
+     * @param {number} length - Payload length in bytes
+     * @returns {number} - Symbol count, not counting the preamble
+     */
+    const frameSymbolCount = (length) => {
+        return Math.ceil((LENGTH_BYTES + length + CHECKSUM_BYTES) * 8 / BITS_PER_SYMBOL);
+    };
+    
+    /**
+     * Synthesize the audio for one frame
+     * Tones are phase-continuous and each symbol fades in and out briefly
+     * to keep clicks out of neighbouring tones.
+     * @param {Uint8Array} payload - Payload
+     * @param {number} sampleRate - Output sample rate
+     * @returns {Float32Array} - Samples
+     */
+    const modulate = (payload, sampleRate) => {
+        const symbolLength = Math.round(SYMBOL_DURATION * sampleRate);
+        const ramp = Math.max(1, Math.round(RAMP_DURATION * sampleRate));
+        const frequencies = [
+            ...PREAMBLE.map(tone => SYNC_FREQUENCIES[tone]),
+            ...bytesToSymbols(buildFrame(payload)).map(symbol => BASE_FREQUENCY + symbol * TONE_SPACING)
+        ];
+        
+        const samples = new Float32Array(frequencies.length * symbolLength);
+        let phase = 0;
+        
+        frequencies.forEach((frequency, index) => {
+            const step = 2 * Math.PI * frequency / sampleRate;
+            for (let i = 0; i < symbolLength; i++) {
+                const envelope = Math.min(1, i / ramp, (symbolLength - 1 - i) / ramp);
+                samples[index * symbolLength + i] = AMPLITUDE * envelope * Math.sin(phase);
+                phase += step;
+            }
+            phase %= 2 * Math.PI;
+        });
+        
+        return samples;
+    };
+    
+    /**
+     * Measure the power at one frequency in a window of samples (Goertzel)
+     * @param {Float32Array} samples - Samples
+     * @param {number} start - First sample of the window
+     * @param {number} length - Window length
+     * @param {number} frequency - Frequency to measure
+     * @param {number} sampleRate - Sample rate
+     * @returns {number} - Power
+     */
+    const tonePower = (samples, start, length, frequency, sampleRate) => {
+        const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+        let s1 = 0;
+        let s2 = 0;
+        
+        for (let i = start; i < start + length; i++) {
+            const s0 = samples[i] + coefficient * s1 - s2;
+            s2 = s1;
+            s1 = s0;
+        }
+        return s1 * s1 + s2 * s2 - coefficient * s1 * s2;
+    };
+    
+    /**
+     * Create a demodulator that finds frames in a stream of samples
+     * A frame that fails its checksum is kept, and once enough damaged copies
+     * of the same length arrive they are combined symbol by symbol.
+     * @param {number} sampleRate - Input sample rate
+     * @param {Function} onPayload - Called with each payload received intact
+     * @returns {Object} - Demodulator with push(samples) and reset()
+     */
+    const createDemodulator = (sampleRate, onPayload) => {
+        const symbolLength = Math.round(SYMBOL_DURATION * sampleRate);
+        const preambleLength = PREAMBLE.length * symbolLength;
+        const hop = Math.max(1, Math.floor(symbolLength / 4));
+        const step = Math.max(1, Math.floor(symbolLength / 16));
+        
+        // Ignore the edges of each symbol, where tones overlap or ring
+        const edge = Math.floor(symbolLength / 8);
+        const window = symbolLength - 2 * edge;
+        
+        const referenceFrequencies = [...SYNC_FREQUENCIES];
+        for (let tone = 0; tone < TONE_COUNT; tone += REFERENCE_TONE_STEP) {
+            referenceFrequencies.push(BASE_FREQUENCY + tone * TONE_SPACING);
+        }
+        
+        let buffer = new Float32Array(0);
+        let position = 0;
+        let frame = null;
+        let damaged = new Map();
+        
+        /**
+         * Forget buffered audio and any partly received frame
+         */
+        const reset = () => {
+            buffer = new Float32Array(0);
+            position = 0;
+            frame = null;
+            damaged = new Map();
+        };
+        
+        /**
+         * Measure how much a sync tone stands out in a symbol
+         * @param {number} start - First sample of the symbol
+         * @param {number} frequency - Sync frequency
+         * @returns {number} - Share of the reference tones' power (0-1)
+         */
+        const syncShare = (start, frequency) => {
+            const total = referenceFrequencies.reduce((sum, reference) =>
+                sum + tonePower(buffer, start + edge, window, reference, sampleRate), 0);
+            if (total === 0) return 0;
+            return tonePower(buffer, start + edge, window, frequency, sampleRate) / total;
+        };
+        
+        /**
+         * Score how well the preamble lines up at a position
+         * @param {number} start - First sample of the preamble
+         * @returns {number} - Weakest sync tone share
+         */
+        const preambleScore = (start) => {
+            return Math.min(...PREAMBLE.map((tone, i) =>
+                syncShare(start + i * symbolLength, SYNC_FREQUENCIES[tone])
+            ));
+        };
+        
+        /**
+         * Look for the next preamble in the buffer
+         * @returns {Object|null} - Where the preamble and the frame after it start
+         */
+        const findPreamble = () => {
+            while (position + symbolLength + preambleLength <= buffer.length) {
+                if (syncShare(position, SYNC_FREQUENCIES[PREAMBLE[0]]) > DETECTION_SHARE) {
+                    // Something like the first sync tone: line the preamble up exactly
+                    let best = null;
+                    for (let offset = position; offset <= position + symbolLength; offset += step) {
+                        const score = preambleScore(offset);
+                        if (!best || score > best.score) {
+                            best = { offset, score };
+                        }
+                    }
+                    
+                    if (best.score > DETECTION_SHARE) {
+                        return { preamble: best.offset, start: best.offset + preambleLength };
+                    }
+                }
+                position += hop;
+            }
+            return null;
+        };
+        
+        /**
+         * Read the strongest data tone in a symbol
+         * @param {number} start - First sample of the symbol
+         * @returns {number} - Symbol value
+         */
+        const readSymbol = (start) => {
+            let best = 0;
+            let bestPower = -1;
+            for (let tone = 0; tone < TONE_COUNT; tone++) {
+                const power = tonePower(buffer, start + edge, window, BASE_FREQUENCY + tone * TONE_SPACING, sampleRate);
+                if (power > bestPower) {
+                    best = tone;
+                    bestPower = power;
+                }
+            }
+            return best;
+        };
+        
+        /**
+         * Check a frame's symbols and extract the payload
+         * @param {Array<number>} symbols - Frame symbols
+         * @param {number} length - Payload length
+         * @returns {Uint8Array|null} - Payload, or null if the checksum fails
+         */
+        const readPayload = (symbols, length) => {
+            const bytes = symbolsToBytes(symbols, LENGTH_BYTES + length + CHECKSUM_BYTES);
+            const view = new DataView(bytes.buffer);
+            if (crc16(bytes.subarray(0, LENGTH_BYTES + length)) !== view.getUint16(LENGTH_BYTES + length)) {
+                return null;
+            }
+            return bytes.slice(LENGTH_BYTES, LENGTH_BYTES + length);
+        };
+        
+        /**
+         * Combine damaged copies of a frame by majority vote on each symbol
+         * @param {Array<Array<number>>} copies - Symbols of each copy
+         * @returns {Array<number>} - Most common symbol at each position
+         */
+        const voteSymbols = (copies) => {
+            return copies[0].map((_, index) => {
+                const counts = new Map();
+                copies.forEach(copy => counts.set(copy[index], (counts.get(copy[index]) || 0) + 1));
+                return [...counts.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+            });
+        };
+        
+        /**
+         * Handle a completely read frame
+         */
+        const finishFrame = () => {
+            const { symbols, length } = frame;
+            position = frame.start + symbols.length * symbolLength;
+            frame = null;
+            
+            let payload = readPayload(symbols, length);
+            if (!payload) {
+                const copies = damaged.get(length) || [];
+                copies.push(symbols);
+                damaged.set(length, copies.slice(-VOTE_HISTORY));
+                
+                if (copies.length >= VOTE_MINIMUM) {
+                    payload = readPayload(voteSymbols(copies), length);
+                }
+            }
+            
+            if (payload) {
+                damaged.delete(length);
+                onPayload(payload);
+            }
+        };
+        
+        /**
+         * Decode as much of the buffered audio as possible
+         */
+        const process = () => {
+            for (;;) {
+                if (!frame) {
+                    const found = findPreamble();
+                    if (!found) break;
+                    frame = { ...found, symbols: [], length: null };
+                }
+                
+                const next = frame.start + frame.symbols.length * symbolLength;
+                if (next + symbolLength > buffer.length) break;
+                frame.symbols.push(readSymbol(next));
+                
+                if (frame.length === null && frame.symbols.length === HEADER_SYMBOLS) {
+                    const length = new DataView(symbolsToBytes(frame.symbols, LENGTH_BYTES).buffer).getUint16(0);
+                    if (length === 0 || length > MAX_PAYLOAD_LENGTH) {
+                        // Not a real frame: resume the search just after the false preamble
+                        position = frame.preamble + symbolLength;
+                        frame = null;
+                        continue;
+                    }
+                    frame.length = length;
+                }
+                
+                if (frame.length !== null && frame.symbols.length === frameSymbolCount(frame.length)) {
+                    finishFrame();
+                }
+            }
+        };
+        
+        /**
+         * Feed captured samples to the demodulator
+         * @param {Float32Array} samples - New samples
+         */
+        const push = (samples) => {
+            const combined = new Float32Array(buffer.length + samples.length);
+            combined.set(buffer);
+            combined.set(samples, buffer.length);
+            buffer = combined;
+            
+            process();
+            
+            // Drop audio that has already been searched or decoded
+            const keep = frame ? Math.min(position, frame.preamble) : position;
+            if (keep > 0) {
+                buffer = buffer.slice(keep);
+                position -= keep;
+                if (frame) {
+                    frame.preamble -= keep;
+                    frame.start -= keep;
+                }
+            }
+        };
+        
+        return {
+            push,
+            reset
+        };
+    };
+    
+    /**
+     * Prepare to play a chirp
+     * Call this straight from a user gesture such as a click, before any
+     * awaits, so the browser allows the audio to start later on.
+     * @returns {Object} - Transmitter with play(payload) and stop()
+     */
+    const createTransmitter = () => {
+        const AudioContextClass = audioContextClass();
+        const context = new AudioContextClass();
+        context.resume().catch(() => {});
+        
+        let source = null;
+        let timer = null;
+        
+        /**
+         * Stop playing and release the audio device
+         */
+        const stop = () => {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            if (source) {
+                source.stop();
+                source.disconnect();
+                source = null;
+            }
+            if (context.state !== 'closed') {
+                context.close().catch(() => {});
+            }
+        };
+        
+        /**
+         * Play a payload over and over until stopped or timed out
+         * @param {Uint8Array} payload - Payload
+         * @param {Object} [options] - Options
+         * @param {number} [options.duration] - How long to keep repeating, in milliseconds
+         * @returns {Promise<number>} - Seconds one repetition takes
+         */
+        const play = async (payload, options = {}) => {
+            const samples = modulate(payload, context.sampleRate);
+            const gap = Math.round(REPEAT_GAP * context.sampleRate);
+            
+            const audioBuffer = context.createBuffer(1, samples.length + gap, context.sampleRate);
+            audioBuffer.getChannelData(0).set(samples);
+            
+            await context.resume();
+            
+            source = context.createBufferSource();
+            source.buffer = audioBuffer;
+            source.loop = true;
+            source.connect(context.destination);
+            source.start();
+            
+            timer = setTimeout(stop, options.duration || TRANSMIT_DURATION);
+            return audioBuffer.duration;
+        };
+        
+        return {
+            play,
+            stop
+        };
+    };
+    
+    /**
+     * Listen on the microphone for chirps
+     * @param {Function} onPayload - Called with each payload received intact
+     * @returns {Promise<Function>} - Stops listening and releases the microphone
+     * @throws {Error} - If the microphone cannot be opened
+     */
+    const listen = async (onPayload) => {
+        // Voice processing would filter out the tones
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        
+        const AudioContextClass = audioContextClass();
+        const context = new AudioContextClass();
+        const source = context.createMediaStreamSource(stream);
+        const processor = context.createScriptProcessor(PROCESSOR_BUFFER_SIZE, 1, 1);
+        const demodulator = createDemodulator(context.sampleRate, onPayload);
+        
+        processor.onaudioprocess = (event) => {
+            demodulator.push(event.inputBuffer.getChannelData(0));
+        };
+        
+        // The processor only runs while connected to an output; it writes silence
+        source.connect(processor);
+        processor.connect(context.destination);
+        context.resume().catch(() => {});
+        
+        return () => {
+            processor.onaudioprocess = null;
+            processor.disconnect();
+            source.disconnect();
+            stream.getTracks().forEach(track => track.stop());
+            if (context.state !== 'closed') {
+                context.close().catch(() => {});
+            }
+        };
+    };
+    
+    // Public API
+    return {
+        MAX_PAYLOAD_LENGTH,
+        isSupported,
+        modulate,
+        createDemodulator,
+        createTransmitter,
+        listen
+    };
+})();
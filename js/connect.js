@@ -7,7 +7,6 @@ const Connect = (() => {
     // Connection status
     let scannerActive = false;
     let scannerStream = null;
-    let qrCheckInterval = null;
     
     // Connection stages
     const STAGES = {
@@ -18,11 +17,33 @@ const Connect = (() => {
         ANSWER_CREATED: 'answer_created',
         ANSWER_SCANNED: 'answer_scanned',
         CONNECTED: 'connected',
+        AUTHENTICATING: 'authenticating',
         EXCHANGING: 'exchanging',
+        AWAITING_PEER: 'awaiting_peer',
         COMPLETE: 'complete',
         FAILED: 'failed'
     };
     
+    // Stages each stage may move on to. Any stage may be reset to INIT or
+    // fail; the handshake stages allow starting over by scanning another code.
+    const TRANSITIONS = {
+        [STAGES.INIT]: [STAGES.OFFER_CREATED, STAGES.SCANNING, STAGES.OFFER_SCANNED],
+        [STAGES.OFFER_CREATED]: [STAGES.SCANNING, STAGES.OFFER_SCANNED, STAGES.ANSWER_SCANNED],
+        [STAGES.SCANNING]: [STAGES.OFFER_SCANNED, STAGES.ANSWER_SCANNED],
+        [STAGES.OFFER_SCANNED]: [STAGES.SCANNING, STAGES.ANSWER_CREATED, STAGES.CONNECTED],
+        [STAGES.ANSWER_CREATED]: [STAGES.SCANNING, STAGES.OFFER_SCANNED, STAGES.CONNECTED],
+        [STAGES.ANSWER_SCANNED]: [STAGES.CONNECTED],
+        [STAGES.CONNECTED]: [STAGES.AUTHENTICATING],
+        [STAGES.AUTHENTICATING]: [STAGES.EXCHANGING],
+        [STAGES.EXCHANGING]: [STAGES.AWAITING_PEER],
+        [STAGES.AWAITING_PEER]: [STAGES.COMPLETE],
+        [STAGES.COMPLETE]: [],
+        [STAGES.FAILED]: [STAGES.SCANNING, STAGES.OFFER_SCANNED]
+    };
+    
+    // Stages between the data channel opening and the exchange finishing
+    const EXCHANGE_STAGES = [STAGES.CONNECTED, STAGES.AUTHENTICATING, STAGES.EXCHANGING, STAGES.AWAITING_PEER];
+    
     // Current connection stage
     let connectionStage = STAGES.INIT;
     
@@ -30,7 +51,70 @@ const Connect = (() => {
     let connectionData = null;
     let localDescription = null;
     let remoteDescription = null;
-    let answerQrCode = null;
+    let answerMessage = null;
+    
+    // Signaling transport carrying the offer and answer
+    let transportKind = 'qr';
+    let transport = null;
+    
+    // What to tell the user once a message has gone out, by transport
+    const TRANSPORT_INSTRUCTIONS = {
+        qr: {
+            offer: () => 'Showing connection QR code. Let the other person scan this code.',
+            answer: () => 'Now show this QR code to the other person to complete the connection.'
+        },
+        text: {
+            offer: () => 'Copy this connection code and send it to the other person, then paste their reply below.',
+            answer: () => 'Copy this reply code and send it back to the other person to complete the connection.'
+        },
+        websocket: {
+            offer: (session) => `Your session code is ${session}. Ask the other person to join it.`,
+            answer: () => 'Answer sent. Waiting for the connection...'
+        }
+    };
+    
+    // Peer authentication (signed challenge over the data channel)
+    const AUTH_TIMEOUT = 10000;
+    let expectedPeer = null;
+    let verifiedPeer = null;
+    let pendingChallenge = null;
+    let authentication = null;
+    
+    // Ratchet session handshake
+    const SESSION_TIMEOUT = 10000;
+    let handshakeWaiter = null;
+    let sessionSetup = null;
+    
+    // Recovery share the peer gave us to hold for them (resolves once decrypted)
+    let receivedShare = null;
+    
+    // Everything else the peer sends during the exchange, held until it
+    // completes and then committed through App in one go
+    let receivedData = null;
+    
+    // Peer's connections list, which says where it can carry relays
+    const CONNECTIONS_TIMEOUT = 10000;
+    let connectionsWaiter = null;
+    
+    // Animated QR code being scanned
+    let frameDecoder = null;
+    
+    // Acknowledged exchange: each step carries an id, and is sent again until
+    // the peer acknowledges it with '<type>_ack' and the same id
+    const ACK_TIMEOUT = 10000;
+    const MAX_SEND_ATTEMPTS = 3;
+    const EXCHANGE_TYPES = ['recovery_share', 'rotations', 'profile', 'connections', 'messages', 'receipts', 'relays', 'complete', 'committed'];
+    let pendingAcks = new Map();
+    let receivedExchangeIds = new Map();
+    let peerComplete = false;
+    
+    // Each side tells the other once it has committed the exchange. What the
+    // peer took from us is only recorded then, since until it commits it is
+    // just held in memory and lost if the exchange breaks off.
+    const COMMIT_TIMEOUT = 30000;
+    let commitWaiter = null;
+    let peerCommitted = false;
+    let pendingHandovers = [];
     
     /**
      * Initialize the connect module
@@ -40,7 +124,8 @@ const Connect = (() => {
         WebRTC.init({
             onConnectionStateChange: handleConnectionStateChange,
             onDataReceived: handleDataReceived,
-            onLocalDescriptionGenerated: handleLocalDescriptionGenerated
+            onLocalDescriptionGenerated: handleLocalDescriptionGenerated,
+            onTransferProgress: updateTransferProgress
         });
         
         // Generate initial QR code
@@ -48,7 +133,26 @@ const Connect = (() => {
     };
     
     /**
-     * Generate QR code for connection
+     * Move to a new connection stage
+     * @param {string} stage - Stage to move to
+     * @returns {boolean} - True if the move is allowed from the current stage
+     */
+    const setStage = (stage) => {
+        if (stage === connectionStage) return true;
+        
+        const allowed = stage === STAGES.INIT || stage === STAGES.FAILED ||
+            TRANSITIONS[connectionStage].includes(stage);
+        if (!allowed) {
+            console.warn(`Ignoring connection stage change from ${connectionStage} to ${stage}`);
+            return false;
+        }
+        
+        connectionStage = stage;
+        return true;
+    };
+    
+    /**
+     * Start a new connection offer over the selected transport
      */
     const generateQRCode = async () => {
         try {
@@ -58,8 +162,8 @@ const Connect = (() => {
             // Clear any existing QR code
             qrElement.innerHTML = '';
             
-            // Update connection stage
-            connectionStage = STAGES.INIT;
+            // Drop any earlier offer or unfinished handshake
+            resetConnectionState();
             
             // Generate initial connection offer
             await initializeConnectionOffer();
@@ -73,7 +177,7 @@ const Connect = (() => {
     };
     
     /**
-     * Initialize connection offer and generate QR code
+     * Initialize connection offer and send it over the signaling transport
      */
     const initializeConnectionOffer = async () => {
         try {
@@ -82,6 +186,9 @@ const Connect = (() => {
             const profile = state.profile;
             const identity = profile.identity;
             
+            // Open the transport for a new session
+            await openTransport(Signaling.createSessionId());
+            
             // Create connection data
             connectionData = {
                 type: 'connection',
@@ -94,26 +201,28 @@ const Connect = (() => {
                     bio: profile.bio || '',
                     profilePicture: profile.profilePicture ? true : false // Flag only, don't include actual image
                 },
+                // Lets the answer be matched to this offer and says how it may come back
+                session: transport.session,
+                answerChannels: transport.answerChannels,
                 timestamp: new Date().toISOString()
             };
             
-            // Initiate WebRTC connection
+            // Initiate WebRTC connection; this waits for ICE candidates to be gathered
+            updateConnectionInstructions('Finding network routes for the connection...');
             localDescription = await WebRTC.initiateConnection();
             
             // Update connection stage
-            connectionStage = STAGES.OFFER_CREATED;
+            setStage(STAGES.OFFER_CREATED);
             
             // Display connection instructions
-            updateConnectionInstructions('Showing connection QR code. Let the other person scan this code.');
-            
-            // Generate and display QR code with connection info
-            generateConnectionQRCode();
+            updateConnectionInstructions(TRANSPORT_INSTRUCTIONS[transportKind].offer(connectionData.session));
             
-            // Start checking for QR code scan interaction
-            startAnswerScanCheck();
+            // Send the offer with connection info
+            await sendConnectionOffer();
         } catch (error) {
             console.error('Connection offer initialization failed:', error);
-            connectionStage = STAGES.FAILED;
+            setStage(STAGES.FAILED);
+            updateConnectionInstructions(`Failed to create connection: ${error.message}`);
             
             // Display error
             const qrElement = document.getElementById('qrcode');
@@ -124,80 +233,179 @@ const Connect = (() => {
     };
     
     /**
-     * Generate QR code with connection information
+     * Send the connection offer
      */
-    const generateConnectionQRCode = () => {
-        const qrElement = document.getElementById('qrcode');
-        if (!qrElement) return;
-        
+    const sendConnectionOffer = async () => {
         // Combine connection data with WebRTC session description
-        const qrData = {
+        const message = {
             ...connectionData,
             webrtc: localDescription
         };
         
-        // Generate QR code
-        const qrCodeValue = JSON.stringify(qrData);
-        
-        new QRious({
-            element: qrElement,
-            value: qrCodeValue,
-            size: 250,
-            level: 'H' // High error correction
-        });
+        await transport.send(message);
     };
     
     /**
-     * Generate QR code with WebRTC answer
+     * Send the WebRTC answer
      */
-    const generateAnswerQRCode = () => {
-        const qrElement = document.getElementById('qrcode');
-        if (!qrElement) return;
-        
-        // Create answer QR code data
-        const qrData = {
+    const sendConnectionAnswer = async () => {
+        // Create answer message
+        const message = {
             type: 'connection_answer',
             did: connectionData.did,
+            session: connectionData.session,
             webrtc: localDescription,
             timestamp: new Date().toISOString()
         };
         
-        // Store answer QR data
-        answerQrCode = qrData;
+        // Store answer message
+        answerMessage = message;
         
-        // Generate QR code
-        const qrCodeValue = JSON.stringify(qrData);
+        await transport.send(message);
+    };
+    
+    /**
+     * Gather the options for the selected transport from the connect screen
+     * @param {string} session - Session id
+     * @returns {Object} - Transport options
+     */
+    const transportOptions = (session) => {
+        const serverInput = document.getElementById('signaling-server-url');
+        return {
+            session,
+            element: document.getElementById('qrcode'),
+            output: document.getElementById('signal-output'),
+            url: serverInput && serverInput.value.trim() ? serverInput.value.trim() : Signaling.DEFAULT_SERVER_URL
+        };
+    };
+    
+    /**
+     * Open a transport of the selected kind, replacing any earlier one
+     * @param {string} session - Session id to use or join
+     */
+    const openTransport = async (session) => {
+        closeTransport();
         
-        new QRious({
-            element: qrElement,
-            value: qrCodeValue,
-            size: 250,
-            level: 'H' // High error correction
-        });
+        const opened = Signaling.createTransport(transportKind, transportOptions(session));
+        transport = opened;
+        
+        // Ignore anything from a transport that has since been replaced
+        const current = (handler) => (data) => {
+            if (transport === opened) handler(data);
+        };
+        opened.onMessage(current(handleSignalingMessage));
+        opened.on('status', current(handleTransportStatus));
+        opened.on('close', current(handleTransportClosed));
+        opened.on('error', current(error => console.warn('Signaling transport problem:', error)));
+        
+        await opened.open();
+    };
+    
+    /**
+     * Close the current transport
+     */
+    const closeTransport = () => {
+        if (transport) {
+            const closing = transport;
+            transport = null;
+            closing.close();
+        }
+    };
+    
+    /**
+     * Update the instructions when the transport reports progress
+     * @param {string} status - 'listening' or 'playing'
+     */
+    const handleTransportStatus = (status) => {
+        if (status === 'listening' && connectionStage === STAGES.OFFER_CREATED) {
+            updateConnectionInstructions('Showing connection QR code. Let the other person scan this code, then keep your phones close while their answer plays.');
+        } else if (status === 'playing') {
+            updateConnectionInstructions('Hold your phone near the other person\'s while the answer plays. If nothing happens, show them this QR code to scan.');
+        }
     };
     
     /**
-     * Start checking for answer QR code scan
+     * Handle the transport closing before the handshake finished
      */
-    const startAnswerScanCheck = () => {
-        // Clear any existing interval
-        if (qrCheckInterval) {
-            clearInterval(qrCheckInterval);
+    const handleTransportClosed = () => {
+        const waiting = [STAGES.OFFER_CREATED, STAGES.OFFER_SCANNED, STAGES.ANSWER_CREATED];
+        if (waiting.includes(connectionStage)) {
+            setStage(STAGES.FAILED);
+            updateConnectionInstructions('Lost contact with the other device. Please try again.');
+        }
+        transport = null;
+    };
+    
+    /**
+     * Act on a handshake message from any transport
+     * @param {Object} message - Handshake message
+     */
+    const handleSignalingMessage = async (message) => {
+        if (message.type === 'connection') {
+            await handleConnectionOffer(message);
+        } else if (message.type === 'connection_answer') {
+            // Ignore repeats once an answer has been taken, by any route
+            const answered = [STAGES.ANSWER_SCANNED, ...EXCHANGE_STAGES, STAGES.COMPLETE];
+            if (answered.includes(connectionStage)) return;
+            
+            stopScanner();
+            await handleConnectionAnswer(message);
+        } else {
+            console.warn('Ignoring unexpected signaling message:', message.type);
+        }
+    };
+    
+    /**
+     * Choose the signaling transport used from the next offer on
+     * @param {string} kind - 'qr', 'text' or 'websocket'
+     */
+    const setTransport = (kind) => {
+        transportKind = kind;
+    };
+    
+    /**
+     * Join another device's session on the signaling server
+     * The offer waiting in the session arrives as a message.
+     * @param {string} code - Session code shown on the other device
+     */
+    const joinSession = async (code) => {
+        const session = Signaling.normalizeSessionId(code);
+        if (!session) {
+            alert('Please enter the other person\'s session code.');
+            return;
         }
         
-        // Set interval to check for answer scan
-        qrCheckInterval = setInterval(() => {
-            // If connection has moved beyond OFFER_CREATED, stop checking
-            if (connectionStage !== STAGES.OFFER_CREATED) {
-                clearInterval(qrCheckInterval);
-                qrCheckInterval = null;
-                return;
+        try {
+            resetConnectionState();
+            updateConnectionInstructions(`Joining session ${session}...`);
+            await openTransport(session);
+            updateConnectionInstructions(`Joined session ${session}. Waiting for the connection offer...`);
+        } catch (error) {
+            console.error('Joining session failed:', error);
+            setStage(STAGES.FAILED);
+            updateConnectionInstructions(`Could not join session ${session}: ${error.message}`);
+        }
+    };
+    
+    /**
+     * Read a pasted connection code
+     * @param {string} text - Code copied from the other device
+     */
+    const receiveText = async (text) => {
+        if (!text || !text.trim()) {
+            alert('Please paste the other person\'s code first.');
+            return;
+        }
+        
+        try {
+            if (!transport) {
+                await openTransport(Signaling.createSessionId());
             }
-            
-            // In a real implementation, we would check for WebRTC connection events
-            // and update the connection stage accordingly
-            // For now, we'll rely on the scan events
-        }, 1000);
+            await transport.receive(text);
+        } catch (error) {
+            console.error('Pasted code could not be read:', error);
+            alert('Unable to read that code. Please check it was copied completely.');
+        }
     };
     
     /**
@@ -209,6 +417,7 @@ const Connect = (() => {
             if (!qrElement) return;
             
             // Clear any existing QR code
+            closeTransport();
             qrElement.innerHTML = '';
             
             // Get onboarding data from App
@@ -243,7 +452,7 @@ const Connect = (() => {
         
         try {
             // Update connection stage
-            connectionStage = STAGES.SCANNING;
+            setStage(STAGES.SCANNING);
             
             // Update connection instructions
             updateConnectionInstructions('Point your camera at the other person\'s QR code to scan it.');
@@ -280,7 +489,7 @@ const Connect = (() => {
             }
             
             // Update connection stage
-            connectionStage = STAGES.INIT;
+            setStage(STAGES.INIT);
         }
     };
     
@@ -309,6 +518,7 @@ const Connect = (() => {
         // Reset scanner state
         scannerActive = false;
         scannerStream = null;
+        updateScanProgress(null);
     };
     
     /**
@@ -344,7 +554,10 @@ const Connect = (() => {
                         inversionAttempts: "dontInvert",
                     });
                     
-                    if (code) {
+                    if (code && Fountain.isFrame(code.data)) {
+                        // One frame of an animated code - keep scanning for the rest
+                        processScannedFrame(code.data);
+                    } else if (code) {
                         // QR code found - process it
                         processScannedCode(code.data);
                         return; // Stop scanning
@@ -371,10 +584,10 @@ const Connect = (() => {
             // Stop scanner
             stopScanner();
             
-            // Parse QR code data
+            // Parse QR code data (compact or plain JSON)
             let qrData;
             try {
-                qrData = JSON.parse(data);
+                qrData = await QRCodec.decode(data);
             } catch (e) {
                 // Check if it's a URL (for onboarding)
                 if (data.startsWith('http') && data.includes('?type=onboarding')) {
@@ -382,47 +595,136 @@ const Connect = (() => {
                     window.location.href = data;
                     return;
                 } else {
-                    throw new Error('Invalid QR code format');
+                    throw e;
                 }
             }
             
-            // Check QR code type
-            if (qrData.type === 'connection') {
-                // Handle connection offer QR code
-                await handleConnectionOffer(qrData);
-            } else if (qrData.type === 'connection_answer') {
-                // Handle connection answer QR code
-                await handleConnectionAnswer(qrData);
-            } else {
-                throw new Error('Unsupported QR code type');
-            }
+            await handleScannedPayload(qrData);
         } catch (error) {
-            console.error('QR code processing failed:', error);
-            alert('Unable to process QR code. Please try again.');
-            
-            // Reset scanner button
-            const startButton = document.getElementById('start-scan-btn');
-            if (startButton) {
-                startButton.textContent = 'Start Scanning';
-                startButton.disabled = false;
+            handleScanFailure(error);
+        }
+    };
+    
+    /**
+     * Collect one frame of an animated QR code
+     * Scanning continues until enough frames arrive to rebuild the payload.
+     * @param {string} data - Frame text
+     */
+    const processScannedFrame = async (data) => {
+        try {
+            if (!frameDecoder) {
+                frameDecoder = Fountain.createDecoder();
             }
             
-            // Update connection stage
-            connectionStage = STAGES.FAILED;
+            const result = await frameDecoder.addFrame(data);
+            
+            // The transfer already finished or scanning was stopped
+            if (!scannerActive) return;
+            
+            updateScanProgress(result.progress);
+            if (!result.complete) return;
+            
+            frameDecoder = null;
+            stopScanner();
+            
+            await handleScannedPayload(await QRCodec.unpack(result.bytes));
+        } catch (error) {
+            frameDecoder = null;
+            stopScanner();
+            handleScanFailure(error);
+        }
+    };
+    
+    /**
+     * Act on a decoded QR payload
+     * @param {Object} qrData - Decoded QR payload
+     */
+    const handleScannedPayload = async (qrData) => {
+        // Check QR code type
+        if (qrData.type === 'connection' || qrData.type === 'connection_answer') {
+            // Handshake messages are handled the same whichever way they arrive
+            await handleSignalingMessage(qrData);
+        } else if (qrData.type === 'recovery_request') {
+            // A connection's new device asking for the share we hold
+            UI.showRecoveryHelpModal(qrData);
+        } else if (qrData.type === 'recovery_response') {
+            // A share for the recovery in progress on this device
+            await UI.handleRecoveryResponse(qrData);
+        } else {
+            throw new Error('Unsupported QR code type');
         }
     };
     
+    /**
+     * Report a QR code that could not be processed
+     * @param {Error} error - What went wrong
+     */
+    const handleScanFailure = (error) => {
+        console.error('QR code processing failed:', error);
+        alert('Unable to process QR code. Please try again.');
+        
+        // Reset scanner button
+        const startButton = document.getElementById('start-scan-btn');
+        if (startButton) {
+            startButton.textContent = 'Start Scanning';
+            startButton.disabled = false;
+        }
+        
+        // Update connection stage
+        setStage(STAGES.FAILED);
+    };
+    
+    /**
+     * Show how much of an animated QR code has been received
+     * @param {number|null} progress - Fraction received (0-1), or null to hide
+     */
+    const updateScanProgress = (progress) => {
+        const container = document.getElementById('scan-progress');
+        if (!container) return;
+        
+        container.classList.toggle('hidden', progress === null);
+        if (progress === null) return;
+        
+        const percent = Math.round(progress * 100);
+        document.getElementById('scan-progress-bar').style.width = `${percent}%`;
+        document.getElementById('scan-progress-label').textContent = `Receiving animated code: ${percent}%`;
+    };
+    
+    /**
+     * Show how much of a message split over several frames has been sent or received
+     * @param {Object|null} progress - Contains direction ('send' or 'receive'), bytes and total, or null to hide
+     */
+    const updateTransferProgress = (progress) => {
+        const container = document.getElementById('transfer-progress');
+        if (!container) return;
+        
+        const done = progress === null || progress.bytes >= progress.total;
+        container.classList.toggle('hidden', done);
+        if (done) return;
+        
+        const percent = Math.round(progress.bytes / progress.total * 100);
+        const action = progress.direction === 'send' ? 'Sending' : 'Receiving';
+        document.getElementById('transfer-progress-bar').style.width = `${percent}%`;
+        document.getElementById('transfer-progress-label').textContent = `${action} data: ${percent}%`;
+    };
+    
     /**
      * Handle connection offer from QR code
      * @param {Object} offerData - Connection offer data from QR code
      */
     const handleConnectionOffer = async (offerData) => {
         try {
-            // Update connection state
-            connectionStage = STAGES.OFFER_SCANNED;
+            // An offer is only taken while no connection is under way
+            if (!setStage(STAGES.OFFER_SCANNED)) return;
             connectionData = offerData;
             remoteDescription = offerData.webrtc;
             
+            // The peer must later prove it holds the key shown in this QR code
+            expectedPeer = {
+                did: offerData.did,
+                publicKey: offerData.publicKey
+            };
+            
             // Update connection instructions
             updateConnectionInstructions('Connection offer received. Creating answer...');
             
@@ -430,7 +732,7 @@ const Connect = (() => {
             showConnectionConfirmation(offerData);
         } catch (error) {
             console.error('Connection offer handling failed:', error);
-            connectionStage = STAGES.FAILED;
+            setStage(STAGES.FAILED);
             alert('Failed to process connection offer. Please try again.');
         }
     };
@@ -441,32 +743,36 @@ const Connect = (() => {
      */
     const handleConnectionAnswer = async (answerData) => {
         try {
-            // Verify DID matches
-            if (connectionData && connectionData.did !== answerData.did) {
-                throw new Error('DID mismatch in connection answer');
+            // Verify the answer belongs to this offer; chirped answers carry
+            // only the session id, scanned ones also echo our DID
+            if (connectionData) {
+                if (!answerData.session && !answerData.did) {
+                    throw new Error('Connection answer does not identify the offer');
+                }
+                if (answerData.session && answerData.session !== connectionData.session) {
+                    throw new Error('Session mismatch in connection answer');
+                }
+                if (answerData.did && connectionData.did !== answerData.did) {
+                    throw new Error('DID mismatch in connection answer');
+                }
             }
             
+            // The answer arrived, so signaling is done
+            closeTransport();
+            
             // Update connection state
-            connectionStage = STAGES.ANSWER_SCANNED;
+            if (!setStage(STAGES.ANSWER_SCANNED)) return;
             remoteDescription = answerData.webrtc;
             
             // Update connection instructions
             updateConnectionInstructions('Connection answer received. Establishing connection...');
             
-            // Complete WebRTC connection
+            // Complete WebRTC connection; the data exchange starts once the
+            // data channel reports it is connected
             await WebRTC.completeConnection(remoteDescription);
-            
-            // Update connection stage
-            connectionStage = STAGES.CONNECTED;
-            
-            // Update connection instructions
-            updateConnectionInstructions('Connected! Exchanging data...');
-            
-            // Initiate data exchange
-            await handleDataExchange();
         } catch (error) {
             console.error('Connection answer handling failed:', error);
-            connectionStage = STAGES.FAILED;
+            setStage(STAGES.FAILED);
             alert('Failed to process connection answer. Please try again.');
         }
     };
@@ -534,20 +840,27 @@ const Connect = (() => {
                 // Hide modal
                 modal.classList.remove('active');
                 
-                // Create WebRTC answer
+                // Let the transport set up anything that needs this click, such
+                // as audio, before anything is awaited
+                transport.prepareReply(connectionData);
+                
+                // Create WebRTC answer; this waits for ICE candidates to be gathered
+                updateConnectionInstructions('Finding network routes for the connection...');
                 await createConnectionAnswer(connectionData);
                 
-                // Show QR code with answer
-                generateAnswerQRCode();
+                // Update connection instructions
+                updateConnectionInstructions(TRANSPORT_INSTRUCTIONS[transportKind].answer(connectionData.session));
                 
-                // Update connection stage
-                connectionStage = STAGES.ANSWER_CREATED;
+                // Send the answer back
+                await sendConnectionAnswer();
                 
-                // Update connection instructions
-                updateConnectionInstructions('Now show this QR code to the other person to complete the connection.');
+                // Update connection stage; the connection may already be up
+                setStage(STAGES.ANSWER_CREATED);
                 
                 // Switch to "Show QR" tab
-                switchToShowQRTab();
+                if (transportKind === 'qr') {
+                    switchToShowQRTab();
+                }
             } else {
                 // User declined connection
                 modal.classList.remove('active');
@@ -585,22 +898,47 @@ const Connect = (() => {
      */
     const resetConnectionState = () => {
         // Reset connection stage
-        connectionStage = STAGES.INIT;
+        setStage(STAGES.INIT);
         
         // Reset connection data
         connectionData = null;
         localDescription = null;
         remoteDescription = null;
-        answerQrCode = null;
+        answerMessage = null;
+        
+        // Reset peer authentication
+        if (authentication) {
+            clearTimeout(authentication.timer);
+        }
+        expectedPeer = null;
+        verifiedPeer = null;
+        pendingChallenge = null;
+        authentication = null;
+        handshakeWaiter = null;
+        sessionSetup = null;
+        receivedShare = null;
+        receivedData = null;
+        connectionsWaiter = null;
+        
+        // Stop waiting for acknowledgements
+        cancelPendingAcks(new Error('Connection was reset'));
+        receivedExchangeIds = new Map();
+        peerComplete = false;
+        commitWaiter = null;
+        peerCommitted = false;
+        pendingHandovers = [];
+        
+        // Stop any animated QR code being scanned
+        frameDecoder = null;
+        
+        // Hide progress of any transfer in flight
+        updateTransferProgress(null);
+        
+        // Close the signaling transport
+        closeTransport();
         
         // Close WebRTC connection
         WebRTC.closeConnection();
-        
-        // Clear QR check interval
-        if (qrCheckInterval) {
-            clearInterval(qrCheckInterval);
-            qrCheckInterval = null;
-        }
     };
     
     /**
@@ -622,16 +960,31 @@ const Connect = (() => {
         
         // Handle connection states
         if (state === 'connected') {
-            if (connectionStage !== STAGES.CONNECTED) {
-                connectionStage = STAGES.CONNECTED;
+            // The handshake got through, so signaling is done
+            closeTransport();
+            
+            if (setStage(STAGES.CONNECTED)) {
                 updateConnectionInstructions('Connected! Exchanging data...');
                 
                 // Start data exchange if not already started
                 handleDataExchange();
             }
         } else if (state === 'disconnected' || state === 'failed') {
-            if (connectionStage !== STAGES.COMPLETE && connectionStage !== STAGES.FAILED) {
-                connectionStage = STAGES.FAILED;
+            const closed = new Error('Connection closed');
+            
+            if (connectionStage === STAGES.AUTHENTICATING || connectionStage === STAGES.EXCHANGING) {
+                // The exchange decides whether it got far enough to finish
+                failAuthentication(closed);
+                if (handshakeWaiter) handshakeWaiter.reject(closed);
+                cancelPendingAcks(closed);
+            } else if (connectionStage === STAGES.COMPLETE) {
+                // Stop waiting for the peer to confirm its commit
+                cancelPendingAcks(closed);
+                if (commitWaiter) commitWaiter.reject(closed);
+            } else if (connectionStage !== STAGES.INIT && connectionStage !== STAGES.COMPLETE &&
+                connectionStage !== STAGES.FAILED) {
+                setStage(STAGES.FAILED);
+                closeTransport();
                 updateConnectionInstructions('Connection failed. Please try again.');
             }
         }
@@ -644,98 +997,511 @@ const Connect = (() => {
     const handleDataReceived = (data) => {
         console.log('Data received:', data);
         
+        // Acknowledgements settle the step we are waiting on
+        if (typeof data.type === 'string' && data.type.endsWith('_ack')) {
+            handleAck(data);
+            return;
+        }
+        
+        // A step sent again after we handled it, because our acknowledgement
+        // was slow or lost, is only acknowledged again, with the same details
+        if (EXCHANGE_TYPES.includes(data.type) && receivedExchangeIds.has(data.id)) {
+            acknowledge(data, receivedExchangeIds.get(data.id));
+            return;
+        }
+        
         // Process received data based on type
-        if (data.type === 'profile') {
+        if (data.type === 'challenge') {
+            // Prove our identity to the peer
+            respondToChallenge(data.challenge);
+        } else if (data.type === 'challenge_response') {
+            // Check the peer's proof of identity
+            handleChallengeResponse(data);
+        } else if (data.type === 'ratchet_init') {
+            // Peer's half of the ratchet session handshake
+            getHandshakeWaiter().resolve(data);
+        } else if (data.type === 'recovery_share') {
+            // Share of the peer's identity key for us to hold
+            receivedShare = processReceivedShare(data);
+            receivedShare.then(() => acknowledge(data));
+        } else if (data.type === 'rotations') {
+            // Key rotations the peer knows about, for us to apply and pass on
+            processReceivedRotations(data);
+        } else if (data.type === 'profile') {
             // Process profile data
             processReceivedProfile(data);
         } else if (data.type === 'connections') {
             // Process connections data
-            processReceivedConnections(data.connections);
+            processReceivedConnections(data);
         } else if (data.type === 'messages') {
             // Process messages data
-            processReceivedMessages(data.messages);
+            processReceivedMessages(data);
+        } else if (data.type === 'receipts') {
+            // Receipts for messages we sent the peer
+            processReceivedReceipts(data);
         } else if (data.type === 'relays') {
             // Process relay messages
-            processReceivedRelays(data.relays);
+            processReceivedRelays(data);
         } else if (data.type === 'complete') {
-            // Transfer complete
-            handleTransferComplete();
+            // The peer has sent everything
+            handlePeerComplete(data);
+        } else if (data.type === 'committed') {
+            // The peer has committed everything it acknowledged
+            handlePeerCommitted(data);
         }
     };
     
     /**
-     * Process received profile data
-     * @param {Object} profileData - Profile data
+     * Acknowledge an exchange step from the peer once it has been handled
+     * Steps that failed are not acknowledged, so the peer sends them again.
+     * The details are kept, so a step sent again gets the same acknowledgement.
+     * @param {Object} data - Step received
+     * @param {Object} [details] - Extra fields for the acknowledgement
+     * @returns {Promise<boolean>} - Resolves with true if the acknowledgement was sent
+     */
+    const acknowledge = (data, details = {}) => {
+        if (data.id) {
+            receivedExchangeIds.set(data.id, details);
+        }
+        
+        return WebRTC.sendData({
+            type: `${data.type}_ack`,
+            id: data.id,
+            ...details,
+            timestamp: new Date().toISOString()
+        });
+    };
+    
+    /**
+     * Settle the step an acknowledgement is for
+     * @param {Object} ack - Acknowledgement with the id of the step
      */
-    const processReceivedProfile = async (profileData) => {
+    const handleAck = (ack) => {
+        const pending = pendingAcks.get(ack.id);
+        if (!pending) return;
+        
+        pendingAcks.delete(ack.id);
+        pending.resolve(ack);
+    };
+    
+    /**
+     * Stop waiting for every outstanding acknowledgement
+     * @param {Error} error - Reason given to the steps still waiting
+     */
+    const cancelPendingAcks = (error) => {
+        const pending = [...pendingAcks.values()];
+        pendingAcks = new Map();
+        pending.forEach(entry => entry.reject(error));
+    };
+    
+    /**
+     * Wait for an acknowledgement, up to ACK_TIMEOUT
+     * @param {Object} pending - Pending acknowledgement with its promise
+     * @returns {Promise<Object|null>} - Resolves with the acknowledgement, or null on timeout
+     */
+    const waitForAck = (pending) => {
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(null), ACK_TIMEOUT);
+        });
+        
+        return Promise.race([pending.promise, timeout]).finally(() => clearTimeout(timer));
+    };
+    
+    /**
+     * Send an exchange step and wait for the peer to acknowledge it
+     * The step keeps its id when sent again, so the peer acts on it once
+     * and a late acknowledgement of an earlier attempt still counts.
+     * @param {Object} message - Step to send, with its type
+     * @returns {Promise<Object>} - Resolves with the peer's acknowledgement
+     * @throws {Error} - If the step could not be sent or was never acknowledged
+     */
+    const sendWithAck = async (message) => {
+        const data = {
+            ...message,
+            id: uuid.v4(),
+            timestamp: new Date().toISOString()
+        };
+        
+        const pending = {};
+        pending.promise = new Promise((resolve, reject) => {
+            pending.resolve = resolve;
+            pending.reject = reject;
+        });
+        pendingAcks.set(data.id, pending);
+        
         try {
-            // Add to connection data for App processing
-            const profile = profileData.profile;
-            
-            // Update connection data
-            if (connectionData) {
-                connectionData.profile = {
-                    firstName: profile.firstName,
-                    lastName: profile.lastName,
-                    nickname: profile.nickname || '',
-                    bio: profile.bio || ''
-                };
-                
-                // Add profile picture if included
-                if (profileData.profilePicture) {
-                    connectionData.profilePicture = profileData.profilePicture;
+            for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+                if (!await WebRTC.sendData(data)) {
+                    throw new Error(`Could not send ${data.type}`);
                 }
+                
+                const ack = await waitForAck(pending);
+                if (ack) return ack;
+                
+                console.warn(`No acknowledgement for ${data.type} (attempt ${attempt} of ${MAX_SEND_ATTEMPTS})`);
+            }
+            
+            throw new Error(`${data.type} was not acknowledged`);
+        } finally {
+            pendingAcks.delete(data.id);
+        }
+    };
+    
+    /**
+     * Authenticate the peer with a signed challenge over the data channel
+     * Safe to call more than once; later calls share the pending result.
+     * @returns {Promise<Object>} - Resolves with the verified peer { did, publicKey, previousDID, rotations }
+     */
+    const authenticatePeer = () => {
+        if (authentication) {
+            return authentication.promise;
+        }
+        
+        authentication = {};
+        authentication.promise = new Promise((resolve, reject) => {
+            authentication.resolve = resolve;
+            authentication.reject = reject;
+        });
+        
+        // Give up if the peer never answers
+        authentication.timer = setTimeout(() => {
+            failAuthentication(new Error('Identity challenge timed out'));
+        }, AUTH_TIMEOUT);
+        
+        // Send a fresh challenge for the peer to sign
+        pendingChallenge = Crypto.generateChallenge();
+        WebRTC.sendData({
+            type: 'challenge',
+            challenge: pendingChallenge,
+            timestamp: new Date().toISOString()
+        }).then(sent => {
+            if (!sent) {
+                failAuthentication(new Error('Could not send identity challenge'));
             }
+        });
+        
+        return authentication.promise;
+    };
+    
+    /**
+     * Reject the pending peer authentication
+     * @param {Error} error - Reason the authentication failed
+     */
+    const failAuthentication = (error) => {
+        if (!authentication || verifiedPeer) return;
+        
+        clearTimeout(authentication.timer);
+        pendingChallenge = null;
+        authentication.reject(error);
+    };
+    
+    /**
+     * Sign a challenge received from the peer
+     * @param {string} challenge - Challenge string from the peer
+     */
+    const respondToChallenge = async (challenge) => {
+        try {
+            const identity = App.getState().identity;
+            const signature = await Crypto.signChallenge(challenge, identity.privateKey);
             
-            // Send acknowledgement
             WebRTC.sendData({
-                type: 'profile_ack',
+                type: 'challenge_response',
+                did: identity.did,
+                publicKey: identity.publicKey,
+                previousDID: identity.previousDID || null,
+                rotations: identity.rotations || [],
+                signature,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            console.error('Processing received profile failed:', error);
+            console.error('Responding to identity challenge failed:', error);
         }
     };
     
     /**
-     * Process received connections data
-     * @param {Array} connections - Array of connection objects
+     * Verify the peer's signed response to our challenge
+     * @param {Object} response - Challenge response with did, publicKey and signature
+     */
+    const handleChallengeResponse = async (response) => {
+        if (!authentication || !pendingChallenge) return;
+        
+        try {
+            const valid = await Crypto.verifyDID(response.did, response.publicKey, pendingChallenge, response.signature);
+            if (!valid) {
+                throw new Error('Invalid challenge signature');
+            }
+            
+            // The answering side knows which key to expect from the scanned QR code
+            if (expectedPeer && (expectedPeer.did !== response.did || expectedPeer.publicKey !== response.publicKey)) {
+                throw new Error('Peer identity does not match the scanned QR code');
+            }
+            
+            // A known DID must keep the key we stored for it, unless that key
+            // predates WebCrypto identities and is being upgraded in person
+            const existingConnection = await DB.getConnectionByDID(response.did);
+            if (existingConnection &&
+                existingConnection.publicKey !== response.publicKey &&
+                !Crypto.isLegacyPublicKey(existingConnection.publicKey)) {
+                throw new Error('Public key does not match the stored connection');
+            }
+            
+            // Rotations are checked against our stored key when the connection is saved
+            verifiedPeer = {
+                did: response.did,
+                publicKey: response.publicKey,
+                previousDID: response.previousDID || null,
+                rotations: Array.isArray(response.rotations) ? response.rotations : []
+            };
+            
+            clearTimeout(authentication.timer);
+            pendingChallenge = null;
+            authentication.resolve(verifiedPeer);
+        } catch (error) {
+            console.error('Peer authentication failed:', error);
+            failAuthentication(error);
+        }
+    };
+    
+    /**
+     * Get the waiter for the peer's ratchet handshake message
+     * Created by whichever comes first: our handshake or the peer's message.
+     * @returns {Object} - Waiter with promise, resolve and reject
      */
-    const processReceivedConnections = (connections) => {
-        // This would be used for second-degree connections
-        // For now, just acknowledge
+    const getHandshakeWaiter = () => {
+        if (!handshakeWaiter) {
+            handshakeWaiter = {};
+            handshakeWaiter.promise = new Promise((resolve, reject) => {
+                handshakeWaiter.resolve = resolve;
+                handshakeWaiter.reject = reject;
+            });
+        }
+        return handshakeWaiter;
+    };
+    
+    /**
+     * Establish a Double Ratchet session with the verified peer
+     * Each side sends a handshake key signed with its identity key. If both
+     * still hold the same session it is kept, otherwise a new one is created.
+     * @param {Object} peer - Verified peer { did, publicKey }
+     * @returns {Promise<Object|null>} - New session state, or null to keep the current one
+     */
+    const establishSession = async (peer) => {
+        const identity = App.getState().identity;
+        
+        // Session we already hold for this peer, if any
+        const existingConnection = await DB.getConnectionByDID(peer.did);
+        const currentSessionId = existingConnection && existingConnection.ratchet
+            ? existingConnection.ratchet.sessionId
+            : null;
+        
+        // Send our signed handshake key
+        const handshakeKey = await Ratchet.generateHandshakeKey();
+        const signature = await Crypto.signChallenge(handshakeKey.publicKey, identity.privateKey);
+        
         WebRTC.sendData({
-            type: 'connections_ack',
-            count: connections.length,
+            type: 'ratchet_init',
+            publicKey: handshakeKey.publicKey,
+            signature,
+            sessionId: currentSessionId,
             timestamp: new Date().toISOString()
         });
+        
+        // Wait for the peer's handshake key
+        const waiter = getHandshakeWaiter();
+        const timer = setTimeout(() => {
+            waiter.reject(new Error('Session handshake timed out'));
+        }, SESSION_TIMEOUT);
+        
+        let remote;
+        try {
+            remote = await waiter.promise;
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        const valid = await Crypto.verifyDID(peer.did, peer.publicKey, remote.publicKey, remote.signature);
+        if (!valid) {
+            throw new Error('Invalid handshake key signature');
+        }
+        
+        // Both sides still hold the same session: keep ratcheting it
+        if (currentSessionId && remote.sessionId === currentSessionId) {
+            return null;
+        }
+        
+        return Ratchet.createSession({
+            initiator: identity.did < peer.did,
+            handshakeKey,
+            remoteHandshakeKey: remote.publicKey,
+            identityPrivateKey: identity.privateKey,
+            remoteIdentityKey: peer.publicKey
+        });
+    };
+    
+    /**
+     * Process a recovery share the peer wants us to hold
+     * @param {Object} shareData - Message with the share encrypted to our identity key
+     * @returns {Promise<Object|null>} - Decrypted share, or null if it was unusable
+     */
+    const processReceivedShare = async (shareData) => {
+        try {
+            const identity = App.getState().identity;
+            const share = JSON.parse(await Crypto.decryptMessage(shareData.share, identity.privateKey));
+            
+            if (!Crypto.isRecoveryShare(share)) {
+                throw new Error('Invalid recovery share');
+            }
+            
+            // Checked against the verified peer when the connection completes
+            return share;
+        } catch (error) {
+            console.error('Processing received recovery share failed:', error);
+            return null;
+        }
+    };
+    
+    /**
+     * Process received profile data
+     * @param {Object} profileData - Profile data
+     */
+    const processReceivedProfile = (profileData) => {
+        const profile = profileData.profile;
+        if (!profile) {
+            console.error('Received profile is empty');
+            return;
+        }
+        
+        // Held for App processing once the exchange completes
+        const received = getReceivedData();
+        received.profile = {
+            firstName: profile.firstName,
+            lastName: profile.lastName,
+            nickname: profile.nickname || '',
+            bio: profile.bio || ''
+        };
+        received.profilePicture = profileData.profilePicture || null;
+        
+        // Send acknowledgement
+        acknowledge(profileData);
+    };
+    
+    /**
+     * Get the buffer for data received during the exchange
+     * Created by whichever step arrives first.
+     * @returns {Object} - Contains profile, profilePicture, rotations, connections, messages, relays and receipts
+     */
+    const getReceivedData = () => {
+        if (!receivedData) {
+            receivedData = {
+                profile: null,
+                profilePicture: null,
+                rotations: [],
+                connections: [],
+                messages: [],
+                relays: [],
+                receipts: []
+            };
+        }
+        return receivedData;
+    };
+    
+    /**
+     * Hold a list received from the peer until the exchange completes
+     * @param {Object} data - Exchange step carrying the list
+     * @param {string} field - Name of the list in the step and in the buffer
+     * @returns {Array} - Items held
+     */
+    const bufferReceivedList = (data, field) => {
+        const items = Array.isArray(data[field]) ? data[field] : [];
+        getReceivedData()[field].push(...items);
+        return items;
+    };
+    
+    /**
+     * Process key rotation records received from the peer
+     * @param {Object} rotationsData - Message with an array of rotation records
+     */
+    const processReceivedRotations = (rotationsData) => {
+        const rotations = bufferReceivedList(rotationsData, 'rotations');
+        acknowledge(rotationsData, { count: rotations.length });
+    };
+    
+    /**
+     * Process received connections data
+     * @param {Object} connectionsData - Message with an array of connection objects
+     */
+    const processReceivedConnections = (connectionsData) => {
+        const connections = bufferReceivedList(connectionsData, 'connections');
+        getConnectionsWaiter().resolve();
+        acknowledge(connectionsData, { count: connections.length });
+    };
+    
+    /**
+     * Get the waiter for the peer's connections list
+     * @returns {Object} - Waiter with promise, resolve and reject
+     */
+    const getConnectionsWaiter = () => {
+        if (!connectionsWaiter) {
+            connectionsWaiter = {};
+            connectionsWaiter.promise = new Promise((resolve, reject) => {
+                connectionsWaiter.resolve = resolve;
+                connectionsWaiter.reject = reject;
+            });
+        }
+        return connectionsWaiter;
+    };
+    
+    /**
+     * Wait for the peer's connections list, up to CONNECTIONS_TIMEOUT
+     * @returns {Promise<Array<string>>} - DIDs the peer is connected to, or none if the list did not arrive
+     */
+    const waitForPeerConnections = async () => {
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(resolve, CONNECTIONS_TIMEOUT);
+        });
+        
+        await Promise.race([getConnectionsWaiter().promise, timeout]).finally(() => clearTimeout(timer));
+        return getReceivedData().connections.map(connection => connection.did);
     };
     
     /**
      * Process received messages
-     * @param {Array} messages - Array of message objects
+     * The acknowledgement lists the ids taken, so the peer can mark them
+     * delivered once we have committed them.
+     * @param {Object} messagesData - Message with an array of message objects
      */
-    const processReceivedMessages = (messages) => {
-        // Store messages for later processing by App module
-        // For now, just acknowledge
-        WebRTC.sendData({
-            type: 'messages_ack',
+    const processReceivedMessages = (messagesData) => {
+        const messages = bufferReceivedList(messagesData, 'messages');
+        acknowledge(messagesData, {
             count: messages.length,
-            timestamp: new Date().toISOString()
+            received: messages.map(message => message.id).filter(Boolean)
         });
     };
     
+    /**
+     * Process message receipts received from the peer
+     * Signatures are checked when the exchange is committed.
+     * @param {Object} receiptsData - Message with an array of signed receipts
+     */
+    const processReceivedReceipts = (receiptsData) => {
+        const receipts = bufferReceivedList(receiptsData, 'receipts');
+        acknowledge(receiptsData, { count: receipts.length });
+    };
+    
     /**
      * Process received relay messages
-     * @param {Array} relays - Array of relay objects
+     * Key rotation announcements among them are applied along with the rest.
+     * The acknowledgement lists the message ids taken, so the peer can record
+     * the handover once we have committed them.
+     * @param {Object} relaysData - Message with an array of relay objects
      */
-    const processReceivedRelays = (relays) => {
-        // Store relays for later processing by App module
-        // For now, just acknowledge
-        WebRTC.sendData({
-            type: 'relays_ack',
+    const processReceivedRelays = (relaysData) => {
+        const relays = bufferReceivedList(relaysData, 'relays');
+        acknowledge(relaysData, {
             count: relays.length,
-            timestamp: new Date().toISOString()
+            received: relays.map(relay => relay.messageId).filter(Boolean)
         });
     };
     
@@ -744,157 +1510,356 @@ const Connect = (() => {
      */
     const handleDataExchange = async () => {
         try {
-            // Update connection stage
-            connectionStage = STAGES.EXCHANGING;
+            // Both sides must prove their identity before anything is exchanged
+            setStage(STAGES.AUTHENTICATING);
+            updateConnectionInstructions('Connected! Verifying identity...');
+            try {
+                await authenticatePeer();
+            } catch (error) {
+                console.error('Identity verification failed:', error);
+                setStage(STAGES.FAILED);
+                updateConnectionInstructions('Could not verify the other person\'s identity. Please try again.');
+                WebRTC.closeConnection();
+                return;
+            }
+            
+            // Set up the ratchet session; without one, messages fall back to
+            // single-use envelopes for the recipient's identity key
+            sessionSetup = establishSession(verifiedPeer).catch(error => {
+                console.error('Ratchet session setup failed:', error);
+                return null;
+            });
+            await sessionSetup;
+            
+            if (!setStage(STAGES.EXCHANGING)) return;
+            updateConnectionInstructions('Identity verified. Exchanging data...');
             
             // Get data to send
             const state = App.getState();
             
+            // Send the peer its share of our identity key
+            await sendRecoveryShare(verifiedPeer);
+            
+            // Pass on the key rotations we know about
+            await sendRotationsData();
+            
             // Send user profile
             await sendProfileData(state.profile);
             
             // Send connections list (second-degree)
             await sendConnectionsData(state.connections);
             
-            // Send pending messages
-            await sendMessagesData(state.messages);
+            // Hand over the messages queued for this peer
+            await sendMessagesData(verifiedPeer);
             
-            // Send relay messages
-            await sendRelaysData(state.messages.relays);
+            // Tell the peer which of its messages we have received and read
+            await sendReceiptsData(verifiedPeer);
             
-            // Send transfer complete message
-            WebRTC.sendData({
-                type: 'complete',
-                timestamp: new Date().toISOString()
-            });
+            // Hand over relays the peer can deliver or carry on
+            await sendRelaysData(verifiedPeer);
+            
+            // Tell the peer we have sent everything
+            await sendCompleteData();
+            
+            if (!setStage(STAGES.AWAITING_PEER)) return;
+            if (peerComplete) {
+                await handleTransferComplete();
+            } else {
+                updateConnectionInstructions('Data sent. Waiting for the other person to finish...');
+            }
         } catch (error) {
             console.error('Data exchange failed:', error);
-            connectionStage = STAGES.FAILED;
+            if (!EXCHANGE_STAGES.includes(connectionStage)) return;
+            
+            setStage(STAGES.FAILED);
             updateConnectionInstructions('Data exchange failed. Please try again.');
+            WebRTC.closeConnection();
         }
     };
     
+    /**
+     * Send the verified peer the recovery share it holds for us
+     * @param {Object} peer - Verified peer { did, publicKey }
+     * @returns {Promise} - Resolves once the peer has acknowledged the share, or if there is none
+     */
+    const sendRecoveryShare = async (peer) => {
+        let share;
+        try {
+            share = await App.issueRecoveryShare(peer.did);
+        } catch (error) {
+            // The connection still works without a share
+            console.error('Issuing recovery share failed:', error);
+            return;
+        }
+        if (!share) return;
+        
+        await sendWithAck({
+            type: 'recovery_share',
+            share: await Crypto.encryptMessage(JSON.stringify(share), peer.publicKey)
+        });
+    };
+    
+    /**
+     * Send the key rotation records we know about
+     * @returns {Promise} - Resolves once the peer has acknowledged them
+     */
+    const sendRotationsData = () => {
+        return sendWithAck({
+            type: 'rotations',
+            rotations: App.getKnownRotations()
+        });
+    };
+    
     /**
      * Send profile data
      * @param {Object} profile - User profile
+     * @returns {Promise} - Resolves once the peer has acknowledged the profile
      */
-    const sendProfileData = async (profile) => {
-        return new Promise((resolve) => {
-            // Create profile data object
-            const profileData = {
-                type: 'profile',
-                profile: {
-                    firstName: profile.firstName,
-                    lastName: profile.lastName,
-                    nickname: profile.nickname || '',
-                    bio: profile.bio || '',
-                    did: profile.identity.did,
-                    publicKey: profile.identity.publicKey
-                },
-                timestamp: new Date().toISOString()
-            };
-            
-            // Add profile picture if available
-            if (profile.profilePicture) {
-                profileData.profilePicture = profile.profilePicture;
+    const sendProfileData = (profile) => {
+        // Create profile data object
+        const profileData = {
+            type: 'profile',
+            profile: {
+                firstName: profile.firstName,
+                lastName: profile.lastName,
+                nickname: profile.nickname || '',
+                bio: profile.bio || '',
+                did: profile.identity.did,
+                publicKey: profile.identity.publicKey
             }
-            
-            // Send data
-            WebRTC.sendData(profileData);
-            
-            // For now, resolve immediately (in a full implementation, we'd wait for acknowledgement)
-            setTimeout(resolve, 500);
-        });
+        };
+        
+        // Add profile picture if available
+        if (profile.profilePicture) {
+            profileData.profilePicture = profile.profilePicture;
+        }
+        
+        return sendWithAck(profileData);
     };
     
     /**
      * Send connections data
      * @param {Array} connections - User's connections
+     * @returns {Promise} - Resolves once the peer has acknowledged the list
      */
-    const sendConnectionsData = async (connections) => {
-        return new Promise((resolve) => {
-            // Create simplified connections list
-            const connectionsData = connections.map(conn => ({
-                firstName: conn.firstName,
-                lastName: conn.lastName,
-                did: conn.did
-            }));
-            
-            // Send data
-            WebRTC.sendData({
-                type: 'connections',
-                connections: connectionsData,
-                timestamp: new Date().toISOString()
-            });
-            
-            // For now, resolve immediately
-            setTimeout(resolve, 500);
+    const sendConnectionsData = (connections) => {
+        // Create simplified connections list
+        const connectionsData = connections.map(conn => ({
+            firstName: conn.firstName,
+            lastName: conn.lastName,
+            did: conn.did
+        }));
+        
+        return sendWithAck({
+            type: 'connections',
+            connections: connectionsData
         });
     };
     
     /**
-     * Send messages data
-     * @param {Object} messages - User's messages
+     * Get every DID a verified peer has used
+     * @param {Object} peer - Verified peer { did, previousDID, rotations }
+     * @returns {Array<string>} - Current DID followed by earlier ones
      */
-    const sendMessagesData = async (messages) => {
-        return new Promise((resolve) => {
-            // Get messages for the recipient
-            const messagesToSend = [];
-            
-            // In a full implementation, we would filter messages for the recipient
-            // For now, send an empty array
-            
-            // Send data
-            WebRTC.sendData({
-                type: 'messages',
-                messages: messagesToSend,
-                timestamp: new Date().toISOString()
-            });
-            
-            // For now, resolve immediately
-            setTimeout(resolve, 500);
+    const getPeerDIDs = (peer) => {
+        const dids = [
+            peer.did,
+            ...(peer.rotations || []).map(rotation => rotation.previousDID),
+            peer.previousDID
+        ];
+        
+        return [...new Set(dids.filter(Boolean))];
+    };
+    
+    /**
+     * Send the outbox messages queued for the peer
+     * Messages the peer acknowledges are marked delivered once it has
+     * committed them; the rest stay queued for the next meeting.
+     * @param {Object} peer - Verified peer { did, previousDID, rotations }
+     * @returns {Promise} - Resolves once the peer has acknowledged the messages
+     */
+    const sendMessagesData = async (peer) => {
+        const messages = App.getQueuedMessages(getPeerDIDs(peer));
+        
+        const ack = await sendWithAck({
+            type: 'messages',
+            messages
+        });
+        
+        const sentIds = messages.map(message => message.id);
+        const delivered = (Array.isArray(ack.received) ? ack.received : [])
+            .filter(id => sentIds.includes(id));
+        if (delivered.length === 0) return;
+        
+        pendingHandovers.push(async () => {
+            try {
+                await App.markMessagesDelivered(delivered);
+            } catch (error) {
+                // They stay queued and are sent again; the peer skips ones it has
+                console.error('Marking messages delivered failed:', error);
+            }
         });
     };
     
     /**
-     * Send relay messages data
-     * @param {Array} relays - Relay messages
+     * Send signed receipts for the messages the peer sent us
+     * Once the peer has committed them, each state is not reported again.
+     * @param {Object} peer - Verified peer { did, previousDID, rotations }
+     * @returns {Promise} - Resolves once the peer has acknowledged the receipts
      */
-    const sendRelaysData = async (relays) => {
-        return new Promise((resolve) => {
-            // Get relays for the recipient
-            const relaysToSend = [];
-            
-            // If we have connection data, filter relays for this recipient
-            if (connectionData && connectionData.did) {
-                // Find relays for this connection's DID
-                const did = connectionData.did;
-                
-                relays.forEach(relay => {
-                    if (relay.targetRecipientId === did) {
-                        relaysToSend.push(relay);
-                    }
-                });
+    const sendReceiptsData = async (peer) => {
+        const receipts = await App.getReceiptsForPeer(getPeerDIDs(peer));
+        
+        await sendWithAck({
+            type: 'receipts',
+            receipts
+        });
+        if (receipts.length === 0) return;
+        
+        pendingHandovers.push(async () => {
+            try {
+                await App.markReceiptsReported(receipts);
+            } catch (error) {
+                // They are sent again next time; the peer ignores states it has
+                console.error('Marking receipts reported failed:', error);
+            }
+        });
+    };
+    
+    /**
+     * Send the relays the peer can deliver or carry closer to their target
+     * The peer's connections list counts towards where it can carry them.
+     * If it does not arrive in time, App falls back on the list from our
+     * last meeting. The handover is recorded once the peer has committed them.
+     * @param {Object} peer - Verified peer { did, previousDID, rotations }
+     * @returns {Promise} - Resolves once the peer has acknowledged the relays
+     */
+    const sendRelaysData = async (peer) => {
+        const peerDIDs = getPeerDIDs(peer);
+        const reachableDIDs = await waitForPeerConnections();
+        const relays = await App.getRelaysForPeer(peerDIDs, reachableDIDs);
+        
+        const ack = await sendWithAck({
+            type: 'relays',
+            relays
+        });
+        
+        const sentIds = relays.map(relay => relay.messageId);
+        const taken = (Array.isArray(ack.received) ? ack.received : [])
+            .filter(id => sentIds.includes(id));
+        if (taken.length === 0) return;
+        
+        pendingHandovers.push(async () => {
+            try {
+                await App.recordRelayHandover(peerDIDs, taken);
+            } catch (error) {
+                // The peer drops copies it already has if they are handed over again
+                console.error('Recording relay handover failed:', error);
             }
-            
-            // Send data
-            WebRTC.sendData({
-                type: 'relays',
-                relays: relaysToSend,
-                timestamp: new Date().toISOString()
-            });
-            
-            // For now, resolve immediately
-            setTimeout(resolve, 500);
         });
     };
     
+    /**
+     * Tell the peer every step has been sent
+     * The peer closes the connection once it has this and has sent its own
+     * complete, so if it hangs up after its complete arrived, ours got through.
+     * @returns {Promise} - Resolves once the peer has acknowledged it
+     */
+    const sendCompleteData = async () => {
+        try {
+            await sendWithAck({ type: 'complete' });
+        } catch (error) {
+            if (!peerComplete) throw error;
+            console.warn('Peer closed before acknowledging complete:', error.message);
+        }
+    };
+    
+    /**
+     * Handle the peer saying it has sent everything
+     * @param {Object} data - Complete message
+     */
+    const handlePeerComplete = async (data) => {
+        await acknowledge(data);
+        peerComplete = true;
+        
+        // Finish now if our own steps are already through
+        if (connectionStage === STAGES.AWAITING_PEER) {
+            await handleTransferComplete();
+        }
+    };
+    
+    /**
+     * Get the waiter for the peer saying it has committed the exchange
+     * @returns {Object} - Waiter with promise, resolve and reject
+     */
+    const getCommitWaiter = () => {
+        if (!commitWaiter) {
+            commitWaiter = {};
+            commitWaiter.promise = new Promise((resolve, reject) => {
+                commitWaiter.resolve = resolve;
+                commitWaiter.reject = reject;
+            });
+        }
+        return commitWaiter;
+    };
+    
+    /**
+     * Handle the peer saying it has committed the exchange
+     * @param {Object} data - Committed message
+     */
+    const handlePeerCommitted = async (data) => {
+        await acknowledge(data);
+        peerCommitted = true;
+        getCommitWaiter().resolve();
+    };
+    
+    /**
+     * Tell the peer we have committed the exchange
+     * Like complete, the peer closes once it has this and has sent its own.
+     * @returns {Promise} - Resolves once the peer has acknowledged it
+     */
+    const sendCommittedData = async () => {
+        try {
+            await sendWithAck({ type: 'committed' });
+        } catch (error) {
+            if (!peerCommitted) throw error;
+            console.warn('Peer closed before acknowledging committed:', error.message);
+        }
+    };
+    
+    /**
+     * Swap commit confirmations with the peer, then record what it took
+     * If the peer never confirms, nothing is recorded and it is all handed
+     * over again at the next meeting; the peer skips what it already has.
+     */
+    const confirmCommit = async () => {
+        const waiter = getCommitWaiter();
+        const timer = setTimeout(() => {
+            waiter.reject(new Error('Peer did not confirm its commit'));
+        }, COMMIT_TIMEOUT);
+        
+        try {
+            await Promise.all([sendCommittedData(), waiter.promise]);
+        } catch (error) {
+            console.warn('Exchange was not confirmed by the peer:', error.message);
+            return;
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        const handovers = pendingHandovers;
+        pendingHandovers = [];
+        for (const handover of handovers) {
+            await handover();
+        }
+    };
+    
     /**
      * Handle transfer complete
      */
     const handleTransferComplete = async () => {
-        // Update connection stage
-        connectionStage = STAGES.COMPLETE;
+        // Both sides have sent and acknowledged everything
+        if (!setStage(STAGES.COMPLETE)) return;
         
         // Update connection instructions
         updateConnectionInstructions('Data transfer complete! Connection established.');
@@ -908,16 +1873,42 @@ const Connect = (() => {
      */
     const completeConnection = async () => {
         try {
-            // Process connection with App module
-            await App.addConnection({
-                did: connectionData.did,
-                publicKey: connectionData.publicKey,
-                profile: connectionData.profile,
-                profilePicture: connectionData.profilePicture || null
+            // Only a peer that signed our challenge becomes a connection
+            const peer = await authenticatePeer();
+            const session = sessionSetup ? await sessionSetup : null;
+            const share = receivedShare ? await receivedShare : null;
+            const received = getReceivedData();
+            
+            if (!received.profile) {
+                throw new Error('Peer profile was not received');
+            }
+            
+            // Commit the connection and everything the peer sent with App module
+            const result = await App.processReceivedData({
+                connection: {
+                    did: peer.did,
+                    publicKey: peer.publicKey,
+                    previousDID: peer.previousDID,
+                    rotations: peer.rotations,
+                    ratchet: session,
+                    heldShare: share && share.did === peer.did ? share : null,
+                    profile: received.profile,
+                    profilePicture: received.profilePicture
+                },
+                rotations: received.rotations,
+                connections: received.connections,
+                messages: received.messages,
+                relays: received.relays,
+                receipts: received.receipts
             });
             
+            // Record what the peer took, once it has committed it too
+            await confirmCommit();
+            
             // Show success message
-            alert('Connection successful!');
+            alert(result.messageCount > 0
+                ? `Connection successful! ${result.messageCount} new ${result.messageCount === 1 ? 'message' : 'messages'} received.`
+                : 'Connection successful!');
             
             // Navigate to home screen
             const homeScreen = document.getElementById('home-screen');
@@ -958,11 +1949,13 @@ const Connect = (() => {
         // Store local description
         localDescription = description;
         
-        // If we're in offer creation stage, update the QR code
+        // Resend the offer or answer if it has already gone out
+        if (!transport) return;
+        
         if (connectionStage === STAGES.OFFER_CREATED) {
-            generateConnectionQRCode();
+            sendConnectionOffer().catch(error => console.error('Offer update failed:', error));
         } else if (connectionStage === STAGES.ANSWER_CREATED) {
-            generateAnswerQRCode();
+            sendConnectionAnswer().catch(error => console.error('Answer update failed:', error));
         }
     };
     
@@ -982,6 +1975,20 @@ const Connect = (() => {
         if (scanInstructions) {
             scanInstructions.textContent = message;
         }
+        
+        // Update instructions in the copy-and-paste and server views
+        document.querySelectorAll('.signaling-instructions').forEach(element => {
+            element.textContent = message;
+        });
+    };
+    
+    /**
+     * Check whether an exchange with a peer is under way
+     * Runs from the data channel opening until what was received is committed.
+     * @returns {boolean} - True if the app should not lock or reload now
+     */
+    const isExchanging = () => {
+        return EXCHANGE_STAGES.includes(connectionStage) || connectionStage === STAGES.COMPLETE;
     };
     
     /**
@@ -1004,6 +2011,10 @@ const Connect = (() => {
         startScanner,
         stopScanner,
         handleConnectionConfirmation,
-        toggleOnboardingMode
+        toggleOnboardingMode,
+        isExchanging,
+        setTransport,
+        joinSession,
+        receiveText
     };
 })();
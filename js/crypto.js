@@ -4,42 +4,383 @@
  */
 
 const Crypto = (() => {
-    // Salt for key derivation
+    // Salt for legacy (v1) identity exports
     const SALT = 'CurrentCircle_v1_';
     
+    // Passphrase-protected envelopes
+    const PASSPHRASE_ENVELOPE_VERSION = 2;
+    const PASSPHRASE_ITERATIONS = 600000;
+    const MAX_PASSPHRASE_ITERATIONS = 10000000;
+    const IDENTITY_EXPORT_FORMAT = 'currentcircle-identity';
+    const BACKUP_FORMAT = 'currentcircle-backup';
+    const BACKUP_VERSION = 1;
+    
+    // Database encryption at rest (app lock)
+    const STORAGE_KEY_VERSION = 1;
+    const STORAGE_KEY_CHECK = 'currentcircle-storage-key';
+    
+    // Key rotation records
+    const ROTATION_VERSION = 1;
+    const ROTATION_CONTEXT = 'currentcircle-rotation';
+    
+    // Message receipts (delivered and read)
+    const RECEIPT_VERSION = 1;
+    const RECEIPT_CONTEXT = 'currentcircle-receipt';
+    
+    // Social recovery (Shamir shares of the identity key)
+    const RECOVERY_INFO = 'CurrentCircle recovery';
+    const RECOVERY_SHARE_VERSION = 1;
+    const MAX_RECOVERY_SHARES = 255;
+    
+    // WebCrypto parameters for identity keys
+    const CURVE = 'P-256';
+    const ENVELOPE_PREFIX = 'cc2';
+    const ENVELOPE_INFO = 'CurrentCircle message v2';
+    
+    // did:key encoding (W3C did:key method, multibase base58btc + multicodec)
+    const DID_KEY_PREFIX = 'did:key:';
+    const MULTIBASE_BASE58BTC = 'z';
+    const MULTICODEC_P256_PUB = [0x80, 0x24]; // varint of 0x1200
+    const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    
+    // P-256 curve parameters, needed to decompress public keys
+    const P256_P = BigInt('0xffffffff00000001000000000000000000000000ffffffffffffffffffffffff');
+    const P256_B = BigInt('0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b');
+    
+    const subtle = window.crypto.subtle;
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    
+    /**
+     * Encode bytes as unpadded base64url
+     * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+     * @returns {string} - Base64url string
+     */
+    const toBase64Url = (buffer) => {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+    
+    /**
+     * Decode an unpadded base64url string
+     * @param {string} value - Base64url string
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    const fromBase64Url = (value) => {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+    
     /**
-     * Generate a new Decentralized Identifier (DID)
-     * @returns {string} - A unique DID
+     * Encode bytes as base58btc
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base58btc string
      */
-    const generateDID = () => {
-        // Generate a UUID v4 and prefix it with 'did:cc:'
-        return 'did:cc:' + uuid.v4();
+    const encodeBase58 = (bytes) => {
+        let zeros = 0;
+        while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+        
+        let value = 0n;
+        for (const byte of bytes) {
+            value = value * 256n + BigInt(byte);
+        }
+        
+        let encoded = '';
+        while (value > 0n) {
+            encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+            value /= 58n;
+        }
+        
+        return '1'.repeat(zeros) + encoded;
     };
     
     /**
-     * Generate key pair for asymmetric encryption
-     * @returns {Object} - Contains publicKey and privateKey
+     * Decode a base58btc string
+     * @param {string} value - Base58btc string
+     * @returns {Uint8Array} - Decoded bytes
      */
-    const generateKeyPair = () => {
-        // For simplicity in this demo, we'll use a derived RSA-like approach
-        const privateKey = CryptoJS.lib.WordArray.random(32).toString();
-        const publicKey = CryptoJS.SHA256(privateKey).toString();
+    const decodeBase58 = (value) => {
+        let number = 0n;
+        for (const char of value) {
+            const digit = BASE58_ALPHABET.indexOf(char);
+            if (digit === -1) {
+                throw new Error('Invalid base58 character');
+            }
+            number = number * 58n + BigInt(digit);
+        }
+        
+        const bytes = [];
+        while (number > 0n) {
+            bytes.unshift(Number(number & 0xffn));
+            number >>= 8n;
+        }
+        
+        let zeros = 0;
+        while (value[zeros] === '1') zeros++;
+        
+        return new Uint8Array([...new Array(zeros).fill(0), ...bytes]);
+    };
+    
+    /**
+     * Convert bytes to a BigInt
+     * @param {Uint8Array} bytes - Big-endian bytes
+     * @returns {BigInt} - Integer value
+     */
+    const bytesToBigInt = (bytes) => {
+        return bytes.reduce((value, byte) => value * 256n + BigInt(byte), 0n);
+    };
+    
+    /**
+     * Convert a BigInt to fixed-length big-endian bytes
+     * @param {BigInt} value - Integer value
+     * @param {number} length - Output length in bytes
+     * @returns {Uint8Array} - Big-endian bytes
+     */
+    const bigIntToBytes = (value, length) => {
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = Number(value & 0xffn);
+            value >>= 8n;
+        }
+        return bytes;
+    };
+    
+    /**
+     * Modular exponentiation
+     * @param {BigInt} base - Base
+     * @param {BigInt} exponent - Exponent
+     * @param {BigInt} modulus - Modulus
+     * @returns {BigInt} - base^exponent mod modulus
+     */
+    const modPow = (base, exponent, modulus) => {
+        let result = 1n;
+        base %= modulus;
+        while (exponent > 0n) {
+            if (exponent & 1n) result = (result * base) % modulus;
+            base = (base * base) % modulus;
+            exponent >>= 1n;
+        }
+        return result;
+    };
+    
+    /**
+     * Compress an uncompressed P-256 point (0x04 || x || y) to 33 bytes
+     * @param {Uint8Array} raw - Uncompressed public key
+     * @returns {Uint8Array} - Compressed public key
+     */
+    const compressPoint = (raw) => {
+        const compressed = new Uint8Array(33);
+        compressed[0] = (raw[64] & 1) ? 0x03 : 0x02;
+        compressed.set(raw.slice(1, 33), 1);
+        return compressed;
+    };
+    
+    /**
+     * Decompress a 33-byte P-256 point to its uncompressed form
+     * @param {Uint8Array} compressed - Compressed public key
+     * @returns {Uint8Array} - Uncompressed public key
+     */
+    const decompressPoint = (compressed) => {
+        if (compressed.length !== 33 || (compressed[0] !== 0x02 && compressed[0] !== 0x03)) {
+            throw new Error('Invalid compressed P-256 key');
+        }
+        
+        // y^2 = x^3 - 3x + b, and p = 3 mod 4 so sqrt(a) = a^((p + 1) / 4)
+        const x = bytesToBigInt(compressed.slice(1));
+        const ySquared = ((x * x * x - 3n * x + P256_B) % P256_P + P256_P) % P256_P;
+        let y = modPow(ySquared, (P256_P + 1n) / 4n, P256_P);
+        
+        if ((y * y) % P256_P !== ySquared) {
+            throw new Error('Point is not on the P-256 curve');
+        }
+        
+        if (Number(y & 1n) !== (compressed[0] & 1)) {
+            y = P256_P - y;
+        }
+        
+        const raw = new Uint8Array(65);
+        raw[0] = 0x04;
+        raw.set(bigIntToBytes(x, 32), 1);
+        raw.set(bigIntToBytes(y, 32), 33);
+        return raw;
+    };
+    
+    /**
+     * Encode a public key as a multibase/multicodec string (the did:key method-specific id)
+     * @param {string} publicKey - Base64url raw (uncompressed) P-256 public key
+     * @returns {string} - Multibase-encoded key, e.g. 'zDn...'
+     */
+    const publicKeyToMultibase = (publicKey) => {
+        const compressed = compressPoint(fromBase64Url(publicKey));
+        return MULTIBASE_BASE58BTC + encodeBase58(new Uint8Array([...MULTICODEC_P256_PUB, ...compressed]));
+    };
+    
+    /**
+     * Extract the public key encoded in a did:key identifier
+     * @param {string} did - A did:key identifier
+     * @returns {string|null} - Base64url raw public key, or null if not a P-256 did:key
+     */
+    const publicKeyFromDID = (did) => {
+        try {
+            if (typeof did !== 'string' || !did.startsWith(DID_KEY_PREFIX + MULTIBASE_BASE58BTC)) {
+                return null;
+            }
+            
+            const bytes = decodeBase58(did.slice(DID_KEY_PREFIX.length + 1));
+            if (bytes[0] !== MULTICODEC_P256_PUB[0] || bytes[1] !== MULTICODEC_P256_PUB[1]) {
+                return null;
+            }
+            
+            return toBase64Url(decompressPoint(bytes.slice(2)));
+        } catch (error) {
+            console.error('Invalid did:key identifier:', error);
+            return null;
+        }
+    };
+    
+    /**
+     * Check whether an identity needs migrating
+     * Identities from before WebCrypto keys have a string privateKey, and
+     * identities from before did:key use an opaque 'did:cc:' identifier.
+     * @param {Object} identity - Identity object
+     * @returns {boolean} - True if the identity needs migrating
+     */
+    const isLegacyIdentity = (identity) => {
+        return !!identity && (typeof identity.privateKey === 'string' || !identity.did.startsWith(DID_KEY_PREFIX));
+    };
+    
+    /**
+     * Check whether a public key was produced by the pre-WebCrypto scheme
+     * Legacy public keys are 64-character SHA-256 hex digests.
+     * @param {string} publicKey - Public key to check
+     * @returns {boolean} - True if the key is a legacy key
+     */
+    const isLegacyPublicKey = (publicKey) => {
+        return typeof publicKey === 'string' && /^[0-9a-f]{64}$/.test(publicKey);
+    };
+    
+    /**
+     * Import a stored private key for a given algorithm
+     * The same P-256 key pair is used for ECDSA signatures and ECDH agreement,
+     * so the stored JWK is re-imported with the algorithm the caller needs.
+     * @param {Object} privateKey - Private key in JWK form
+     * @param {string} algorithm - 'ECDSA' or 'ECDH'
+     * @returns {Promise<CryptoKey>} - Imported private key
+     */
+    const importPrivateKey = (privateKey, algorithm) => {
+        const { kty, crv, x, y, d } = privateKey;
+        const usages = algorithm === 'ECDSA' ? ['sign'] : ['deriveBits'];
+        return subtle.importKey('jwk', { kty, crv, x, y, d }, { name: algorithm, namedCurve: CURVE }, false, usages);
+    };
+    
+    /**
+     * Import an encoded public key for a given algorithm
+     * @param {string} publicKey - Base64url raw (uncompressed) public key
+     * @param {string} algorithm - 'ECDSA' or 'ECDH'
+     * @returns {Promise<CryptoKey>} - Imported public key
+     */
+    const importPublicKey = (publicKey, algorithm) => {
+        const usages = algorithm === 'ECDSA' ? ['verify'] : [];
+        return subtle.importKey('raw', fromBase64Url(publicKey), { name: algorithm, namedCurve: CURVE }, true, usages);
+    };
+    
+    /**
+     * Derive an AES-GCM key from an ECDH shared secret
+     * @param {CryptoKey} privateKey - Local ECDH private key
+     * @param {CryptoKey} publicKey - Remote ECDH public key
+     * @param {Uint8Array} salt - HKDF salt (the ephemeral public key)
+     * @returns {Promise<CryptoKey>} - AES-GCM key
+     */
+    const deriveMessageKey = async (privateKey, publicKey, salt) => {
+        const sharedSecret = await subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+        const hkdfKey = await subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(ENVELOPE_INFO) },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    };
+    
+    /**
+     * Generate a Decentralized Identifier (DID) from a public key
+     * @param {string} publicKey - Base64url raw P-256 public key
+     * @returns {string} - A did:key identifier
+     */
+    const generateDID = (publicKey) => {
+        return DID_KEY_PREFIX + publicKeyToMultibase(publicKey);
+    };
+    
+    /**
+     * Resolve a did:key identifier to its DID Document
+     * did:key documents are derived from the identifier alone; the single
+     * P-256 key is listed for authentication and for key agreement.
+     * @param {string} did - A did:key identifier
+     * @returns {Object|null} - DID Document, or null if the DID cannot be resolved
+     */
+    const resolveDID = (did) => {
+        if (!publicKeyFromDID(did)) {
+            return null;
+        }
+        
+        const multibaseKey = did.slice(DID_KEY_PREFIX.length);
+        const verificationMethodId = `${did}#${multibaseKey}`;
         
         return {
-            publicKey,
-            privateKey
+            '@context': [
+                'https://www.w3.org/ns/did/v1',
+                'https://w3id.org/security/multikey/v1'
+            ],
+            id: did,
+            verificationMethod: [{
+                id: verificationMethodId,
+                type: 'Multikey',
+                controller: did,
+                publicKeyMultibase: multibaseKey
+            }],
+            authentication: [verificationMethodId],
+            assertionMethod: [verificationMethodId],
+            capabilityInvocation: [verificationMethodId],
+            capabilityDelegation: [verificationMethodId],
+            keyAgreement: [verificationMethodId]
+        };
+    };
+    
+    /**
+     * Generate key pair for asymmetric encryption and signing
+     * One P-256 key pair is used for ECDSA signatures and ECDH key agreement.
+     * @returns {Promise<Object>} - Contains publicKey (base64url raw) and privateKey (JWK)
+     */
+    const generateKeyPair = async () => {
+        const keyPair = await subtle.generateKey({ name: 'ECDSA', namedCurve: CURVE }, true, ['sign', 'verify']);
+        const publicKey = await subtle.exportKey('raw', keyPair.publicKey);
+        const { kty, crv, x, y, d } = await subtle.exportKey('jwk', keyPair.privateKey);
+        
+        return {
+            publicKey: toBase64Url(publicKey),
+            privateKey: { kty, crv, x, y, d }
         };
     };
     
     /**
      * Create a complete identity object
-     * @param {string} did - Optional DID (generates new one if not provided)
-     * @returns {Object} - Complete identity object
+     * @returns {Promise<Object>} - Complete identity object
      */
-    const createIdentity = (did = null) => {
-        const keyPair = generateKeyPair();
+    const createIdentity = async () => {
+        const keyPair = await generateKeyPair();
         return {
-            did: did || generateDID(),
+            did: generateDID(keyPair.publicKey),
+            keyType: CURVE,
             publicKey: keyPair.publicKey,
             privateKey: keyPair.privateKey,
             created: new Date().toISOString()
@@ -47,26 +388,81 @@ const Crypto = (() => {
     };
     
     /**
-     * Encrypt a message using AES encryption
+     * Migrate a legacy identity to WebCrypto keys and a did:key identifier
+     * Hash-based keys are replaced with a new key pair; WebCrypto keys are
+     * kept. The old DID (and old key, if replaced) are recorded so existing
+     * connections can match us to the connection they already hold.
+     * @param {Object} legacyIdentity - Identity flagged by isLegacyIdentity
+     * @returns {Promise<Object>} - Migrated identity
+     */
+    const migrateIdentity = async (legacyIdentity) => {
+        const identity = { ...legacyIdentity };
+        
+        if (typeof legacyIdentity.privateKey === 'string') {
+            const keyPair = await generateKeyPair();
+            identity.keyType = CURVE;
+            identity.publicKey = keyPair.publicKey;
+            identity.privateKey = keyPair.privateKey;
+            identity.previousPublicKey = legacyIdentity.publicKey;
+        }
+        
+        identity.did = generateDID(identity.publicKey);
+        if (identity.did !== legacyIdentity.did) {
+            identity.previousDID = legacyIdentity.did;
+        }
+        
+        identity.migrated = new Date().toISOString();
+        return identity;
+    };
+    
+    /**
+     * Encrypt a message for a recipient (ECIES: ephemeral ECDH + HKDF + AES-GCM)
      * @param {string} message - The message to encrypt
-     * @param {string} key - Encryption key (recipient's public key)
-     * @returns {string} - Encrypted message
+     * @param {string} key - Recipient's public key
+     * @returns {Promise<string>} - Encrypted message envelope
      */
-    const encryptMessage = (message, key) => {
-        const encrypted = CryptoJS.AES.encrypt(message, key).toString();
-        return encrypted;
+    const encryptMessage = async (message, key) => {
+        if (isLegacyPublicKey(key)) {
+            throw new Error('Recipient uses a legacy key and must reconnect in person');
+        }
+        
+        const recipientKey = await importPublicKey(key, 'ECDH');
+        const ephemeral = await subtle.generateKey({ name: 'ECDH', namedCurve: CURVE }, true, ['deriveBits']);
+        const ephemeralPublic = new Uint8Array(await subtle.exportKey('raw', ephemeral.publicKey));
+        
+        const aesKey = await deriveMessageKey(ephemeral.privateKey, recipientKey, ephemeralPublic);
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, encoder.encode(message));
+        
+        return [ENVELOPE_PREFIX, toBase64Url(ephemeralPublic), toBase64Url(iv), toBase64Url(ciphertext)].join('.');
     };
     
     /**
-     * Decrypt a message using AES decryption
+     * Decrypt a message envelope
      * @param {string} encryptedMessage - The encrypted message
-     * @param {string} key - Decryption key (recipient's private key)
-     * @returns {string} - Decrypted message
+     * @param {Object|string} key - Recipient's private key (JWK, or legacy string key)
+     * @returns {Promise<string|null>} - Decrypted message or null if failed
      */
-    const decryptMessage = (encryptedMessage, key) => {
+    const decryptMessage = async (encryptedMessage, key) => {
         try {
-            const decrypted = CryptoJS.AES.decrypt(encryptedMessage, key).toString(CryptoJS.enc.Utf8);
-            return decrypted;
+            const parts = encryptedMessage.split('.');
+            
+            if (parts[0] !== ENVELOPE_PREFIX) {
+                // Legacy CryptoJS ciphertext, only readable with the legacy string key
+                if (typeof key !== 'string') return null;
+                return CryptoJS.AES.decrypt(encryptedMessage, key).toString(CryptoJS.enc.Utf8);
+            }
+            
+            const ephemeralPublic = fromBase64Url(parts[1]);
+            const iv = fromBase64Url(parts[2]);
+            const ciphertext = fromBase64Url(parts[3]);
+            
+            const privateKey = await importPrivateKey(key, 'ECDH');
+            const ephemeralKey = await subtle.importKey('raw', ephemeralPublic, { name: 'ECDH', namedCurve: CURVE }, false, []);
+            const aesKey = await deriveMessageKey(privateKey, ephemeralKey, ephemeralPublic);
+            
+            const plaintext = await subtle.decrypt({ name: 'AES-GCM', iv }, aesKey, ciphertext);
+            return decoder.decode(plaintext);
         } catch (error) {
             console.error('Decryption failed:', error);
             return null;
@@ -74,33 +470,343 @@ const Crypto = (() => {
     };
     
     /**
-     * Export identity as a secure string
+     * Estimate the strength of a passphrase
+     * A rough entropy estimate from length and character classes, with
+     * repeated characters counting for less.
+     * @param {string} passphrase - Passphrase to rate
+     * @returns {Object} - Contains score (0-4), bits and a label
+     */
+    const estimatePassphraseStrength = (passphrase) => {
+        const labels = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+        
+        let pool = 0;
+        if (/[a-z]/.test(passphrase)) pool += 26;
+        if (/[A-Z]/.test(passphrase)) pool += 26;
+        if (/[0-9]/.test(passphrase)) pool += 10;
+        if (/[^a-zA-Z0-9]/.test(passphrase)) pool += 33;
+        
+        const uniqueCharacters = new Set(passphrase).size;
+        const effectiveLength = Math.min(passphrase.length, uniqueCharacters * 2);
+        const bits = pool > 0 ? effectiveLength * Math.log2(pool) : 0;
+        
+        let score = 0;
+        if (bits >= 80) score = 4;
+        else if (bits >= 60) score = 3;
+        else if (bits >= 40) score = 2;
+        else if (bits >= 28) score = 1;
+        
+        return {
+            score,
+            bits: Math.round(bits),
+            label: labels[score]
+        };
+    };
+    
+    /**
+     * Serialise the authenticated header of a passphrase envelope
+     * @param {Object} envelope - Envelope object
+     * @returns {Uint8Array} - Header bytes, used as AES-GCM associated data
+     */
+    const passphraseEnvelopeHeader = (envelope) => {
+        return encoder.encode(JSON.stringify({
+            format: envelope.format,
+            version: envelope.version,
+            kdf: {
+                name: envelope.kdf.name,
+                hash: envelope.kdf.hash,
+                iterations: envelope.kdf.iterations,
+                salt: envelope.kdf.salt
+            },
+            cipher: {
+                name: envelope.cipher.name,
+                iv: envelope.cipher.iv
+            }
+        }));
+    };
+    
+    /**
+     * Derive an AES-GCM key from a passphrase with PBKDF2
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iteration count
+     * @returns {Promise<CryptoKey>} - AES-GCM key
+     */
+    const derivePassphraseKey = async (passphrase, salt, iterations) => {
+        const baseKey = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    };
+    
+    /**
+     * Encrypt data under a passphrase into a versioned envelope
+     * @param {string} plaintext - Data to encrypt
+     * @param {string} passphrase - User passphrase
+     * @param {Object} options - Options
+     * @param {string} options.format - Format name stored in the envelope
+     * @param {number} [options.iterations] - PBKDF2 iteration count
+     * @returns {Promise<Object>} - Envelope object
+     */
+    const encryptWithPassphrase = async (plaintext, passphrase, options) => {
+        const iterations = options.iterations || PASSPHRASE_ITERATIONS;
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        
+        const envelope = {
+            format: options.format,
+            version: PASSPHRASE_ENVELOPE_VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64Url(salt) },
+            cipher: { name: 'AES-GCM', iv: toBase64Url(iv) }
+        };
+        
+        const key = await derivePassphraseKey(passphrase, salt, iterations);
+        const ciphertext = await subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: passphraseEnvelopeHeader(envelope) },
+            key,
+            encoder.encode(plaintext)
+        );
+        
+        // AES-GCM appends its authentication tag to the ciphertext
+        envelope.ciphertext = toBase64Url(ciphertext);
+        return envelope;
+    };
+    
+    /**
+     * Decrypt a passphrase envelope after checking its authentication tag
+     * @param {Object} envelope - Envelope object
+     * @param {string} passphrase - User passphrase
+     * @param {string} format - Expected format name
+     * @returns {Promise<string>} - Decrypted data
+     * @throws {Error} - If the envelope is malformed, tampered with or the passphrase is wrong
+     */
+    const decryptWithPassphrase = async (envelope, passphrase, format) => {
+        if (!envelope || envelope.format !== format) {
+            throw new Error('Unrecognised envelope format');
+        }
+        
+        if (envelope.version !== PASSPHRASE_ENVELOPE_VERSION) {
+            throw new Error(`Unsupported envelope version: ${envelope.version}`);
+        }
+        
+        const { kdf, cipher } = envelope;
+        if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM' ||
+            !(kdf.iterations > 0 && kdf.iterations <= MAX_PASSPHRASE_ITERATIONS)) {
+            throw new Error('Unsupported envelope parameters');
+        }
+        
+        const key = await derivePassphraseKey(passphrase, fromBase64Url(kdf.salt), kdf.iterations);
+        
+        let plaintext;
+        try {
+            plaintext = await subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64Url(cipher.iv), additionalData: passphraseEnvelopeHeader(envelope) },
+                key,
+                fromBase64Url(envelope.ciphertext)
+            );
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted data');
+        }
+        
+        return decoder.decode(plaintext);
+    };
+    
+    /**
+     * Export identity as a passphrase-protected envelope
      * @param {Object} identity - The identity object
-     * @param {string} password - Password to encrypt the export
-     * @returns {string} - Encrypted identity string
+     * @param {string} passphrase - Passphrase to encrypt the export
+     * @param {Object} [options] - Options
+     * @param {number} [options.iterations] - PBKDF2 iteration count
+     * @returns {Promise<string>} - Envelope as a JSON string
      */
-    const exportIdentity = (identity, password) => {
-        const identityString = JSON.stringify(identity);
-        const encrypted = CryptoJS.AES.encrypt(identityString, SALT + password).toString();
-        return encrypted;
+    const exportIdentity = async (identity, passphrase, options = {}) => {
+        const envelope = await encryptWithPassphrase(JSON.stringify(identity), passphrase, {
+            format: IDENTITY_EXPORT_FORMAT,
+            iterations: options.iterations
+        });
+        return JSON.stringify(envelope);
     };
     
     /**
-     * Import identity from a secure string
-     * @param {string} encryptedIdentity - Encrypted identity string
-     * @param {string} password - Password to decrypt the import
-     * @returns {Object|null} - Decrypted identity object or null if failed
+     * Import identity from an exported string
+     * Accepts the current envelope format and legacy (v1) CryptoJS exports.
+     * @param {string} encryptedIdentity - Exported identity string
+     * @param {string} passphrase - Passphrase to decrypt the import
+     * @returns {Promise<Object|null>} - Decrypted identity object or null if failed
      */
-    const importIdentity = (encryptedIdentity, password) => {
+    const importIdentity = async (encryptedIdentity, passphrase) => {
         try {
-            const decrypted = CryptoJS.AES.decrypt(encryptedIdentity, SALT + password).toString(CryptoJS.enc.Utf8);
-            return JSON.parse(decrypted);
+            let envelope = null;
+            try {
+                envelope = JSON.parse(encryptedIdentity);
+            } catch (e) {
+                // Not JSON: a legacy export
+            }
+            
+            let identity;
+            if (envelope) {
+                identity = JSON.parse(await decryptWithPassphrase(envelope, passphrase, IDENTITY_EXPORT_FORMAT));
+            } else {
+                const decrypted = CryptoJS.AES.decrypt(encryptedIdentity, SALT + passphrase).toString(CryptoJS.enc.Utf8);
+                identity = JSON.parse(decrypted);
+            }
+            
+            if (!identity || !identity.did || !identity.publicKey || !identity.privateKey) {
+                throw new Error('Export does not contain an identity');
+            }
+            
+            return identity;
         } catch (error) {
             console.error('Identity import failed:', error);
             return null;
         }
     };
     
+    /**
+     * Create a passphrase-protected backup of the whole database
+     * @param {Object} stores - Object mapping store names to record arrays
+     * @param {string} passphrase - Passphrase to encrypt the backup
+     * @param {Object} [options] - Options
+     * @param {number} [options.iterations] - PBKDF2 iteration count
+     * @param {number} [options.schemaVersion] - Database schema the records follow
+     * @returns {Promise<string>} - Envelope as a JSON string
+     */
+    const exportBackup = async (stores, passphrase, options = {}) => {
+        const archive = {
+            version: BACKUP_VERSION,
+            schemaVersion: options.schemaVersion,
+            created: new Date().toISOString(),
+            stores
+        };
+        
+        const envelope = await encryptWithPassphrase(JSON.stringify(archive), passphrase, {
+            format: BACKUP_FORMAT,
+            iterations: options.iterations
+        });
+        return JSON.stringify(envelope);
+    };
+    
+    /**
+     * Decrypt and validate a database backup
+     * @param {string} backup - Backup envelope as a JSON string
+     * @param {string} passphrase - Passphrase used for the backup
+     * @returns {Promise<Object>} - Archive with version, schemaVersion, created and stores
+     * @throws {Error} - If the backup cannot be read or fails validation
+     */
+    const importBackup = async (backup, passphrase) => {
+        let envelope;
+        try {
+            envelope = JSON.parse(backup);
+        } catch (e) {
+            throw new Error('Not a CurrentCircle backup file');
+        }
+        
+        const archive = JSON.parse(await decryptWithPassphrase(envelope, passphrase, BACKUP_FORMAT));
+        
+        if (archive.version !== BACKUP_VERSION) {
+            throw new Error(`Unsupported backup version: ${archive.version}`);
+        }
+        
+        if (!archive.stores || !Array.isArray(archive.stores.profile) || archive.stores.profile.length === 0) {
+            throw new Error('Backup does not contain a profile');
+        }
+        
+        return archive;
+    };
+    
+    /**
+     * Encrypt a value for storage under the database key
+     * @param {CryptoKey} key - Storage key
+     * @param {*} value - JSON-serialisable value
+     * @param {string} context - Where the value is stored, authenticated with it
+     *     so ciphertext cannot be moved to another record
+     * @returns {Promise<string>} - IV and ciphertext, base64url joined by '.'
+     */
+    const encryptRecord = async (key, value, context) => {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: encoder.encode(context) },
+            key,
+            encoder.encode(JSON.stringify(value))
+        );
+        return `${toBase64Url(iv)}.${toBase64Url(ciphertext)}`;
+    };
+    
+    /**
+     * Decrypt a value stored under the database key
+     * @param {CryptoKey} key - Storage key
+     * @param {string} sealed - Output of encryptRecord
+     * @param {string} context - Context the value was encrypted with
+     * @returns {Promise<*>} - Decrypted value
+     */
+    const decryptRecord = async (key, sealed, context) => {
+        const [iv, ciphertext] = sealed.split('.');
+        const plaintext = await subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64Url(iv), additionalData: encoder.encode(context) },
+            key,
+            fromBase64Url(ciphertext)
+        );
+        return JSON.parse(decoder.decode(plaintext));
+    };
+    
+    /**
+     * Create a database storage key from a new app passcode
+     * The key is derived with PBKDF2 and never leaves memory; the settings
+     * returned hold what is needed to derive and check it again at unlock.
+     * @param {string} passcode - App passcode
+     * @param {Object} [options] - Options
+     * @param {number} [options.iterations] - PBKDF2 iteration count
+     * @returns {Promise<Object>} - Contains key (CryptoKey) and settings to store
+     */
+    const createStorageKey = async (passcode, options = {}) => {
+        const iterations = options.iterations || PASSPHRASE_ITERATIONS;
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const key = await derivePassphraseKey(passcode, salt, iterations);
+        
+        return {
+            key,
+            settings: {
+                version: STORAGE_KEY_VERSION,
+                kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64Url(salt) },
+                check: await encryptRecord(key, STORAGE_KEY_CHECK, STORAGE_KEY_CHECK),
+                created: new Date().toISOString()
+            }
+        };
+    };
+    
+    /**
+     * Derive the database storage key from the app passcode
+     * @param {string} passcode - App passcode
+     * @param {Object} settings - Settings saved by createStorageKey
+     * @returns {Promise<CryptoKey>} - Storage key
+     * @throws {Error} - If the passcode is wrong or the settings are unsupported
+     */
+    const unlockStorageKey = async (passcode, settings) => {
+        const { version, kdf } = settings;
+        if (version !== STORAGE_KEY_VERSION || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+            !(kdf.iterations > 0 && kdf.iterations <= MAX_PASSPHRASE_ITERATIONS)) {
+            throw new Error('Unsupported storage key settings');
+        }
+        
+        const key = await derivePassphraseKey(passcode, fromBase64Url(kdf.salt), kdf.iterations);
+        
+        let check;
+        try {
+            check = await decryptRecord(key, settings.check, STORAGE_KEY_CHECK);
+        } catch (error) {
+            check = null;
+        }
+        
+        if (check !== STORAGE_KEY_CHECK) {
+            throw new Error('Wrong passcode');
+        }
+        
+        return key;
+    };
+    
     /**
      * Create a QR code data string for identity
      * @param {Object} profile - User profile
@@ -150,25 +856,42 @@ const Crypto = (() => {
      * @param {string} publicKey - Public key associated with the DID
      * @param {string} challenge - Challenge string
      * @param {string} signature - Signature of the challenge
-     * @returns {boolean} - True if verification succeeds
+     * @returns {Promise<boolean>} - True if verification succeeds
      */
-    const verifyDID = (did, publicKey, challenge, signature) => {
-        // For demo purposes, we'll do a simplified verification
-        // In a real implementation, this would use proper asymmetric verification
-        const expectedSignature = CryptoJS.HmacSHA256(challenge, publicKey).toString();
-        return signature === expectedSignature;
+    const verifyDID = async (did, publicKey, challenge, signature) => {
+        if (!did || !publicKey || !signature || isLegacyPublicKey(publicKey)) {
+            return false;
+        }
+        
+        // did:key identifiers are self-certifying: the key must be the one in the DID
+        if (publicKeyFromDID(did) !== publicKey) {
+            return false;
+        }
+        
+        try {
+            const key = await importPublicKey(publicKey, 'ECDSA');
+            return await subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                key,
+                fromBase64Url(signature),
+                encoder.encode(challenge)
+            );
+        } catch (error) {
+            console.error('DID verification failed:', error);
+            return false;
+        }
     };
     
     /**
      * Sign a challenge string using private key
      * @param {string} challenge - Challenge string to sign
-     * @param {string} privateKey - Private key for signing
-     * @returns {string} - Signature
+     * @param {Object} privateKey - Private key (JWK) for signing
+     * @returns {Promise<string>} - Base64url ECDSA signature
      */
-    const signChallenge = (challenge, privateKey) => {
-        // For demo purposes, we'll do a simplified signing
-        // In a real implementation, this would use proper asymmetric signing
-        return CryptoJS.HmacSHA256(challenge, privateKey).toString();
+    const signChallenge = async (challenge, privateKey) => {
+        const key = await importPrivateKey(privateKey, 'ECDSA');
+        const signature = await subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, encoder.encode(challenge));
+        return toBase64Url(signature);
     };
     
     /**
@@ -189,67 +912,337 @@ const Crypto = (() => {
     };
 
     /**
-     * Create a backup data package for a connection
-     * @param {Object} profile - User profile
-     * @param {Object} identity - User identity
-     * @returns {string} - Encrypted backup data
+     * Build the string a rotation record's signatures cover
+     * @param {Object} record - Rotation record
+     * @returns {string} - Canonical payload
      */
-    const createBackupData = (profile, identity) => {
-        // Create a backup package with essential data
-        const backupData = {
-            profile: {
-                id: profile.id,
-                firstName: profile.firstName,
-                lastName: profile.lastName,
-                nickname: profile.nickname,
-                bio: profile.bio,
-                // Don't include profile picture in backup to reduce size
-            },
-            identity: {
-                did: identity.did,
-                publicKey: identity.publicKey,
-                privateKey: identity.privateKey,
-                created: identity.created
-            },
-            backupDate: new Date().toISOString()
+    const rotationPayload = (record) => {
+        return JSON.stringify([
+            ROTATION_CONTEXT,
+            record.version,
+            record.previousDID,
+            record.previousPublicKey,
+            record.did,
+            record.publicKey,
+            record.sequence,
+            record.created
+        ]);
+    };
+    
+    /**
+     * Create a rotation record moving an identity to a new key
+     * The old key signs the record to authorise the move, and the new key
+     * signs it too so nobody can claim a key they do not hold.
+     * @param {Object} oldIdentity - Identity being replaced
+     * @param {Object} newIdentity - Identity with the new key
+     * @param {number} sequence - Position in the identity's rotation chain, from 1
+     * @returns {Promise<Object>} - Signed rotation record
+     */
+    const createRotation = async (oldIdentity, newIdentity, sequence) => {
+        const record = {
+            version: ROTATION_VERSION,
+            previousDID: oldIdentity.did,
+            previousPublicKey: oldIdentity.publicKey,
+            did: newIdentity.did,
+            publicKey: newIdentity.publicKey,
+            sequence,
+            created: new Date().toISOString()
         };
         
-        // Encrypt with the user's public key
-        return encryptMessage(JSON.stringify(backupData), identity.publicKey);
+        const payload = rotationPayload(record);
+        record.signature = await signChallenge(payload, oldIdentity.privateKey);
+        record.proof = await signChallenge(payload, newIdentity.privateKey);
+        
+        return record;
     };
     
     /**
-     * Decrypt a backup data package
-     * @param {string} encryptedBackup - Encrypted backup data
-     * @param {string} privateKey - Private key to decrypt
-     * @returns {Object|null} - Decrypted backup data or null if failed
+     * Verify both signatures on a rotation record
+     * @param {Object} record - Rotation record
+     * @returns {Promise<boolean>} - True if the record is valid
      */
-    const decryptBackupData = (encryptedBackup, privateKey) => {
+    const verifyRotation = async (record) => {
+        if (!record || record.version !== ROTATION_VERSION) {
+            return false;
+        }
+        
+        const payload = rotationPayload(record);
+        return await verifyDID(record.previousDID, record.previousPublicKey, payload, record.signature) &&
+            await verifyDID(record.did, record.publicKey, payload, record.proof);
+    };
+    
+    /**
+     * Follow valid rotation records from a known key to the newest one
+     * If a key was rotated twice to different keys (as an attacker holding a
+     * stolen key could do) the chain stops at that key rather than guess.
+     * @param {string} publicKey - Key we currently trust
+     * @param {Array<Object>} records - Rotation records, in any order
+     * @returns {Promise<Object|null>} - { did, publicKey, rotations } for the newest key, or null if there is none
+     */
+    const resolveRotationChain = async (publicKey, records) => {
+        const valid = [];
+        for (const record of records || []) {
+            if (await verifyRotation(record)) {
+                valid.push(record);
+            }
+        }
+        
+        const path = [];
+        const visited = new Set([publicKey]);
+        let current = publicKey;
+        
+        while (true) {
+            const next = new Set(valid.filter(r => r.previousPublicKey === current).map(r => r.publicKey));
+            if (next.size !== 1) break;
+            
+            const [nextKey] = next;
+            if (visited.has(nextKey)) break;
+            
+            path.push(valid.find(r => r.previousPublicKey === current && r.publicKey === nextKey));
+            visited.add(nextKey);
+            current = nextKey;
+        }
+        
+        if (path.length === 0) {
+            return null;
+        }
+        
+        const last = path[path.length - 1];
+        return {
+            did: last.did,
+            publicKey: last.publicKey,
+            rotations: path
+        };
+    };
+    
+    /**
+     * Build the string a message receipt's signature covers
+     * @param {Object} receipt - Message receipt
+     * @returns {string} - Canonical payload
+     */
+    const receiptPayload = (receipt) => {
+        return JSON.stringify([
+            RECEIPT_CONTEXT,
+            receipt.version,
+            receipt.did,
+            receipt.publicKey,
+            receipt.state,
+            receipt.messageIds,
+            receipt.created
+        ]);
+    };
+    
+    /**
+     * Create a receipt, signed by a message's recipient, saying how far messages got
+     * @param {Object} identity - Recipient's identity
+     * @param {string} state - State reached, such as 'delivered' or 'read'
+     * @param {Array<string>} messageIds - IDs of the messages
+     * @returns {Promise<Object>} - Signed receipt
+     */
+    const createMessageReceipt = async (identity, state, messageIds) => {
+        const receipt = {
+            version: RECEIPT_VERSION,
+            did: identity.did,
+            publicKey: identity.publicKey,
+            state,
+            messageIds: [...messageIds],
+            created: new Date().toISOString()
+        };
+        
+        receipt.signature = await signChallenge(receiptPayload(receipt), identity.privateKey);
+        return receipt;
+    };
+    
+    /**
+     * Verify the signature on a message receipt
+     * Only shows the receipt came from its DID; the caller checks that DID
+     * is the one the messages were sent to.
+     * @param {Object} receipt - Message receipt
+     * @returns {Promise<boolean>} - True if the receipt is valid
+     */
+    const verifyMessageReceipt = async (receipt) => {
+        if (!receipt || receipt.version !== RECEIPT_VERSION || !Array.isArray(receipt.messageIds)) {
+            return false;
+        }
+        
+        return verifyDID(receipt.did, receipt.publicKey, receiptPayload(receipt), receipt.signature);
+    };
+    
+    /**
+     * Derive the secret-sharing coefficients for a recovery share set
+     * They come from the private key and the set id, so shares can be handed
+     * out again, or to new connections, without storing the coefficients.
+     * @param {Uint8Array} secret - Private key scalar
+     * @param {Object} recovery - Share set { setId, threshold }
+     * @returns {Promise<Array<Uint8Array>>} - threshold - 1 coefficient arrays
+     */
+    const deriveRecoveryCoefficients = async (secret, recovery) => {
+        const key = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+        const bits = await subtle.deriveBits(
+            { name: 'HKDF', hash: 'SHA-256', salt: fromBase64Url(recovery.setId), info: encoder.encode(RECOVERY_INFO) },
+            key,
+            (recovery.threshold - 1) * secret.length * 8
+        );
+        
+        const bytes = new Uint8Array(bits);
+        const coefficients = [];
+        for (let k = 0; k < recovery.threshold - 1; k++) {
+            coefficients.push(bytes.slice(k * secret.length, (k + 1) * secret.length));
+        }
+        return coefficients;
+    };
+    
+    /**
+     * Create a new recovery share set description
+     * @param {number} threshold - Number of shares needed to recover
+     * @returns {Object} - Share set { setId, threshold, created }
+     */
+    const createRecoverySet = (threshold) => {
+        if (!Number.isInteger(threshold) || threshold < 2 || threshold > MAX_RECOVERY_SHARES) {
+            throw new Error('Recovery threshold must be between 2 and ' + MAX_RECOVERY_SHARES);
+        }
+        
+        return {
+            setId: toBase64Url(window.crypto.getRandomValues(new Uint8Array(16))),
+            threshold,
+            created: new Date().toISOString()
+        };
+    };
+    
+    /**
+     * Create one Shamir share of an identity's private key
+     * @param {Object} identity - Identity with did and privateKey (JWK)
+     * @param {Object} recovery - Share set { setId, threshold }
+     * @param {number} index - Share index (1-255)
+     * @returns {Promise<Object>} - Share { version, did, setId, threshold, index, share }
+     */
+    const createRecoveryShare = async (identity, recovery, index) => {
+        const secret = fromBase64Url(identity.privateKey.d);
+        const coefficients = await deriveRecoveryCoefficients(secret, recovery);
+        
+        return {
+            version: RECOVERY_SHARE_VERSION,
+            did: identity.did,
+            setId: recovery.setId,
+            threshold: recovery.threshold,
+            index,
+            share: toBase64Url(Shamir.createShare(secret, coefficients, index))
+        };
+    };
+    
+    /**
+     * Check that an object is a recovery share this version understands
+     * @param {Object} share - Candidate share
+     * @returns {boolean} - True if the share is well formed
+     */
+    const isRecoveryShare = (share) => {
+        return Boolean(share) &&
+            share.version === RECOVERY_SHARE_VERSION &&
+            typeof share.did === 'string' &&
+            typeof share.setId === 'string' &&
+            typeof share.share === 'string' &&
+            Number.isInteger(share.threshold) &&
+            Number.isInteger(share.index) && share.index >= 1 && share.index <= MAX_RECOVERY_SHARES;
+    };
+    
+    /**
+     * Rebuild an identity from recovery shares
+     * The public key comes from the did:key identifier, and the rebuilt key
+     * must sign a challenge that verifies against it.
+     * @param {Array<Object>} shares - Shares from one share set, at least its threshold
+     * @returns {Promise<Object>} - Recovered identity
+     */
+    const recoverIdentity = async (shares) => {
+        const [first] = shares;
+        if (!first || shares.some(share => share.did !== first.did || share.setId !== first.setId)) {
+            throw new Error('Shares do not belong to the same share set');
+        }
+        
+        if (shares.length < first.threshold) {
+            throw new Error(`At least ${first.threshold} shares are needed`);
+        }
+        
+        const publicKey = publicKeyFromDID(first.did);
+        if (!publicKey) {
+            throw new Error('Shares are for an unsupported DID');
+        }
+        
+        const secret = Shamir.combine(shares.map(share => ({
+            index: share.index,
+            bytes: fromBase64Url(share.share)
+        })));
+        
+        const point = fromBase64Url(publicKey);
+        const privateKey = {
+            kty: 'EC',
+            crv: CURVE,
+            x: toBase64Url(point.slice(1, 33)),
+            y: toBase64Url(point.slice(33, 65)),
+            d: toBase64Url(secret)
+        };
+        
+        // A wrong or tampered share gives a key that does not match the DID
+        const challenge = generateChallenge();
+        let valid = false;
         try {
-            const decrypted = decryptMessage(encryptedBackup, privateKey);
-            return JSON.parse(decrypted);
+            valid = await verifyDID(first.did, publicKey, challenge, await signChallenge(challenge, privateKey));
         } catch (error) {
-            console.error('Backup decryption failed:', error);
-            return null;
+            valid = false;
+        }
+        
+        if (!valid) {
+            throw new Error('Recovered key does not match the identity');
         }
+        
+        return {
+            did: first.did,
+            keyType: CURVE,
+            publicKey,
+            privateKey,
+            created: new Date().toISOString(),
+            recovered: new Date().toISOString()
+        };
     };
     
     // Public API
     return {
         generateDID,
+        resolveDID,
+        publicKeyFromDID,
         generateKeyPair,
         createIdentity,
+        migrateIdentity,
+        isLegacyIdentity,
+        isLegacyPublicKey,
         encryptMessage,
         decryptMessage,
+        estimatePassphraseStrength,
+        encryptWithPassphrase,
+        decryptWithPassphrase,
         exportIdentity,
         importIdentity,
+        exportBackup,
+        importBackup,
+        encryptRecord,
+        decryptRecord,
+        createStorageKey,
+        unlockStorageKey,
         createConnectionQRData,
         createOnboardingQRData,
         verifyDID,
         signChallenge,
         generateChallenge,
         hashData,
-        createBackupData,
-        decryptBackupData
+        createRotation,
+        verifyRotation,
+        resolveRotationChain,
+        createMessageReceipt,
+        verifyMessageReceipt,
+        createRecoverySet,
+        createRecoveryShare,
+        isRecoveryShare,
+        recoverIdentity,
+        toBase64Url,
+        fromBase64Url
     };
 })();
@@ -5,7 +5,6 @@
 
 const DB = (() => {
     const DB_NAME = 'currentCircleDB';
-    const DB_VERSION = 1;
     let db;
 
     // Object stores (tables)
@@ -16,36 +15,64 @@ const DB = (() => {
         RELAYS: 'relays'
     };
 
-    /**
-     * Initialize the database
-     * @returns {Promise} - Resolves when DB is ready
-     */
-    const init = () => {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+    // App settings such as the passcode lock; kept out of STORES so they are
+    // never exported into backups or cleared with the account data
+    const SETTINGS_STORE = 'settings';
+    const LOCK_SETTING = 'lock';
+    const NETWORK_SETTING = 'network';
+    const RECOVERY_SETTING = 'recovery';
+
+    // Settings encrypted like records when a passcode is set; the lock
+    // setting itself must stay readable to unlock
+    const SEALED_SETTINGS = [NETWORK_SETTING, RECOVERY_SETTING];
+
+    // Fields stored in the clear when records are encrypted: the key path and
+    // indexed fields, which IndexedDB must be able to read. Everything else,
+    // including private keys and message content, is sealed.
+    const CLEAR_FIELDS = {
+        [STORES.PROFILE]: ['id', 'did'],
+        [STORES.CONNECTIONS]: ['id', 'did', 'lastConnected', 'expiresOn'],
+        [STORES.MESSAGES]: ['id', 'timestamp', 'status'],
+        [STORES.RELAYS]: ['id', 'timestamp'],
+        [SETTINGS_STORE]: ['id']
+    };
 
-            // Handle database upgrades (structure changes)
-            request.onupgradeneeded = (event) => {
-                db = event.target.result;
-                console.log('Creating database structure...');
+    // Passcode lock settings (null when no passcode is set) and, while
+    // unlocked, the storage key derived from the passcode
+    let lockSettings = null;
+    let storageKey = null;
 
+    /**
+     * Schema migrations, in version order
+     * A migration may change the store structure (schema) and transform the
+     * existing records of any store (records). Record transforms return the
+     * updated record; they are also applied to backups made with an older
+     * schema. Encrypted records are skipped during the upgrade and migrated
+     * when they are next read. Never change a migration once it has shipped;
+     * add a new one.
+     */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Create profile, connections, messages and relays stores',
+            schema: (database) => {
                 // Create Profile store
-                if (!db.objectStoreNames.contains(STORES.PROFILE)) {
-                    const profileStore = db.createObjectStore(STORES.PROFILE, { keyPath: 'id' });
+                if (!database.objectStoreNames.contains(STORES.PROFILE)) {
+                    const profileStore = database.createObjectStore(STORES.PROFILE, { keyPath: 'id' });
                     profileStore.createIndex('did', 'did', { unique: true });
                 }
 
                 // Create Connections store
-                if (!db.objectStoreNames.contains(STORES.CONNECTIONS)) {
-                    const connectionsStore = db.createObjectStore(STORES.CONNECTIONS, { keyPath: 'id' });
+                if (!database.objectStoreNames.contains(STORES.CONNECTIONS)) {
+                    const connectionsStore = database.createObjectStore(STORES.CONNECTIONS, { keyPath: 'id' });
                     connectionsStore.createIndex('did', 'did', { unique: true });
                     connectionsStore.createIndex('lastConnected', 'lastConnected', { unique: false });
                     connectionsStore.createIndex('expiresOn', 'expiresOn', { unique: false });
                 }
 
                 // Create Messages store
-                if (!db.objectStoreNames.contains(STORES.MESSAGES)) {
-                    const messagesStore = db.createObjectStore(STORES.MESSAGES, { keyPath: 'id' });
+                if (!database.objectStoreNames.contains(STORES.MESSAGES)) {
+                    const messagesStore = database.createObjectStore(STORES.MESSAGES, { keyPath: 'id' });
                     messagesStore.createIndex('senderId', 'senderId', { unique: false });
                     messagesStore.createIndex('recipientId', 'recipientId', { unique: false });
                     messagesStore.createIndex('timestamp', 'timestamp', { unique: false });
@@ -53,22 +80,259 @@ const DB = (() => {
                 }
 
                 // Create Relays store
-                if (!db.objectStoreNames.contains(STORES.RELAYS)) {
-                    const relaysStore = db.createObjectStore(STORES.RELAYS, { keyPath: 'id' });
+                if (!database.objectStoreNames.contains(STORES.RELAYS)) {
+                    const relaysStore = database.createObjectStore(STORES.RELAYS, { keyPath: 'id' });
                     relaysStore.createIndex('originalSenderId', 'originalSenderId', { unique: false });
                     relaysStore.createIndex('targetRecipientId', 'targetRecipientId', { unique: false });
                     relaysStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
+            }
+        },
+        {
+            version: 2,
+            description: 'Drop connection backupData and backfill session, share and rotation fields',
+            records: {
+                // backupData held our own private key; recovery now uses Shamir shares
+                [STORES.CONNECTIONS]: (connection) => {
+                    const { backupData, ...rest } = connection;
+                    return {
+                        ...rest,
+                        ratchet: rest.ratchet || null,
+                        heldShare: rest.heldShare || null,
+                        rotations: rest.rotations || []
+                    };
+                }
+            }
+        },
+        {
+            version: 3,
+            description: 'Create settings store for the passcode lock',
+            schema: (database) => {
+                if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
+                    database.createObjectStore(SETTINGS_STORE, { keyPath: 'id' });
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Backfill relay routing fields and connection reach for multi-hop relays',
+            records: {
+                // Relays queued so far started on this device and had no route
+                [STORES.RELAYS]: (relay) => ({
+                    ...relay,
+                    kind: relay.kind || 'message',
+                    path: relay.path || [relay.originalSenderId],
+                    maxHops: relay.maxHops || 4,
+                    expiresAt: relay.expiresAt ||
+                        new Date(new Date(relay.timestamp).getTime() + 14 * 24 * 60 * 60 * 1000).toISOString(),
+                    handedTo: relay.handedTo || []
+                }),
+                [STORES.CONNECTIONS]: (connection) => ({
+                    ...connection,
+                    connectionDIDs: connection.connectionDIDs || []
+                })
+            }
+        },
+        {
+            version: 5,
+            description: 'Backfill reply references and mark earlier received messages read',
+            records: {
+                // Messages received before conversations had no unread state
+                [STORES.MESSAGES]: (message) => ({
+                    ...message,
+                    replyTo: message.replyTo || null,
+                    ...(message.status === 'received' && !('readAt' in message)
+                        ? { readAt: message.timestamp }
+                        : {})
+                })
+            }
+        },
+        {
+            version: 6,
+            description: 'Move sent messages onto the queued, handed_to_relay, delivered, read lifecycle',
+            records: {
+                // Earlier messages have no receipts to send, and sent ones
+                // were either still queued or delivered
+                [STORES.MESSAGES]: (message) => {
+                    if (message.status === 'received') {
+                        return { ...message, reported: message.reported || 'read' };
+                    }
+                    
+                    const status = message.status === 'sent' ? 'queued' : message.status;
+                    const changedAt = message.statusChangedAt || message.deliveredAt || message.timestamp;
+                    return {
+                        ...message,
+                        status,
+                        statusChangedAt: changedAt,
+                        statusHistory: message.statusHistory || { [status]: changedAt }
+                    };
+                }
+            }
+        },
+        {
+            version: 7,
+            description: 'Drop relay sender and recipient indexes so those DIDs are no longer stored in the clear',
+            schema: (database, tx) => {
+                // Relays are sealed for their recipient and looked up by id
+                const relaysStore = tx.objectStore(STORES.RELAYS);
+                ['originalSenderId', 'targetRecipientId'].forEach(indexName => {
+                    if (relaysStore.indexNames.contains(indexName)) {
+                        relaysStore.deleteIndex(indexName);
+                    }
+                });
+            }
+        },
+        {
+            version: 8,
+            description: 'Drop message sender and recipient indexes so who talks to whom is no longer stored in the clear',
+            schema: (database, tx) => {
+                // Sent and received messages are told apart after decrypting
+                const messagesStore = tx.objectStore(STORES.MESSAGES);
+                ['senderId', 'recipientId'].forEach(indexName => {
+                    if (messagesStore.indexNames.contains(indexName)) {
+                        messagesStore.deleteIndex(indexName);
+                    }
+                });
+            }
+        }
+    ];
+
+    const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    /**
+     * Transform every record of a store inside the upgrade transaction
+     * @param {IDBTransaction} tx - The version change transaction
+     * @param {string} storeName - Name of the object store
+     * @param {Function} transform - Returns the updated record
+     * @returns {Promise} - Resolves when every record has been visited
+     */
+    const transformStore = (tx, storeName, transform) => {
+        return new Promise((resolve, reject) => {
+            const request = tx.objectStore(storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+
+                // Encrypted records can only be migrated once unlocked
+                if (!cursor.value.sealed) {
+                    cursor.update(transform(cursor.value));
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    /**
+     * Apply every migration newer than the stored schema
+     * Migrations run one after another in the same version change transaction,
+     * so a failure aborts the whole upgrade and leaves the old data untouched.
+     * @param {IDBDatabase} database - The database being upgraded
+     * @param {IDBTransaction} tx - The version change transaction
+     * @param {number} oldVersion - Schema version before the upgrade (0 for a new database)
+     * @returns {Promise} - Resolves when every migration has run
+     */
+    const runMigrations = async (database, tx, oldVersion) => {
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= oldVersion) continue;
+
+            console.log(`Migrating database to version ${migration.version}: ${migration.description}`);
+
+            if (migration.schema) {
+                migration.schema(database, tx);
+            }
+
+            for (const [storeName, transform] of Object.entries(migration.records || {})) {
+                await transformStore(tx, storeName, transform);
+            }
+        }
+    };
+
+    /**
+     * Bring records exported with an older schema up to the current one
+     * @param {Object} data - Object mapping store names to record arrays
+     * @param {number} fromVersion - Schema version the records were exported with
+     * @returns {Object} - Migrated copy of the data
+     */
+    const migrateRecords = (data, fromVersion) => {
+        if (fromVersion > DB_VERSION) {
+            throw new Error(`Data was saved by a newer version of CurrentCircle (schema ${fromVersion})`);
+        }
+
+        const migrated = { ...data };
+        MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                Object.entries(migration.records || {}).forEach(([storeName, transform]) => {
+                    migrated[storeName] = (migrated[storeName] || []).map(transform);
+                });
+            });
+
+        return migrated;
+    };
+
+    /**
+     * Bring one record up to the current schema
+     * @param {string} storeName - Name of the object store
+     * @param {Object} record - Record saved with an older schema
+     * @param {number} fromVersion - Schema version the record was saved with
+     * @returns {Object} - Migrated record
+     */
+    const migrateRecord = (storeName, record, fromVersion) => {
+        return MIGRATIONS
+            .filter(migration => migration.version > fromVersion && migration.records && migration.records[storeName])
+            .reduce((migrated, migration) => migration.records[storeName](migrated), record);
+    };
+
+    /**
+     * Initialize the database
+     * @returns {Promise} - Resolves when DB is ready
+     */
+    const init = () => {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            // Handle database upgrades (structure changes)
+            request.onupgradeneeded = (event) => {
+                const database = event.target.result;
+                const tx = event.target.transaction;
+
+                runMigrations(database, tx, event.oldVersion).catch(error => {
+                    console.error('Database migration failed:', error);
+                    tx.abort();
+                });
+            };
+
+            // Another tab still has an older version open
+            request.onblocked = () => {
+                console.warn('Database upgrade is waiting for other CurrentCircle tabs to close');
             };
 
             // Handle success
             request.onsuccess = (event) => {
                 db = event.target.result;
-                console.log('Database initialized successfully');
-                resolve(db);
+
+                // Let a newer version in another tab upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    db = null;
+                };
+
+                // Find out whether records are encrypted before anything reads them
+                getSetting(LOCK_SETTING)
+                    .then(settings => {
+                        lockSettings = settings;
+                        console.log('Database initialized successfully');
+                        resolve(db);
+                    })
+                    .catch(reject);
             };
 
-            // Handle errors
+            // Handle errors (including an aborted upgrade)
             request.onerror = (event) => {
                 console.error('Database initialization error:', event.target.error);
                 reject(event.target.error);
@@ -102,16 +366,167 @@ const DB = (() => {
         });
     };
 
+    /**
+     * Get an app setting
+     * @param {string} id - Setting ID
+     * @returns {Promise} - Resolves with the setting or null if not set
+     */
+    const getSetting = (id) => {
+        return transaction(SETTINGS_STORE, 'readonly', (store) => {
+            return new Promise((resolve) => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    resolve(request.result || null);
+                };
+            });
+        });
+    };
+
+    /**
+     * Encrypt a record's sensitive fields before it is written
+     * Records are written as they are when no passcode is set.
+     * @param {string} storeName - Name of the object store
+     * @param {Object} record - Record to write
+     * @returns {Promise<Object>} - Record to put in the store
+     */
+    const sealRecord = async (storeName, record) => {
+        if (!lockSettings) return record;
+        if (!storageKey) throw new Error('Database is locked');
+
+        const clear = {};
+        const fields = {};
+        Object.entries(record).forEach(([field, value]) => {
+            if (CLEAR_FIELDS[storeName].includes(field)) {
+                clear[field] = value;
+            } else {
+                fields[field] = value;
+            }
+        });
+
+        clear.sealed = {
+            schema: DB_VERSION,
+            data: await Crypto.encryptRecord(storageKey, fields, `${storeName}:${record.id}`)
+        };
+        return clear;
+    };
+
+    /**
+     * Decrypt a record's sensitive fields after it is read
+     * @param {string} storeName - Name of the object store
+     * @param {Object|null} record - Record from the store
+     * @returns {Promise<Object|null>} - Record as it was saved, migrated to the current schema
+     */
+    const openRecord = async (storeName, record) => {
+        if (!record || !record.sealed) return record;
+        if (!storageKey) throw new Error('Database is locked');
+
+        const { sealed, ...clear } = record;
+        const fields = await Crypto.decryptRecord(storageKey, sealed.data, `${storeName}:${record.id}`);
+        return migrateRecord(storeName, { ...fields, ...clear }, sealed.schema);
+    };
+
+    /**
+     * Decrypt a list of records read from a store
+     * @param {string} storeName - Name of the object store
+     * @param {Array} records - Records from the store
+     * @returns {Promise<Array>} - Decrypted records
+     */
+    const openRecords = (storeName, records) => {
+        return Promise.all(records.map(record => openRecord(storeName, record)));
+    };
+
+    /**
+     * Encrypt a record and write it to its store
+     * @param {string} storeName - Name of the object store
+     * @param {Object} record - Record to write
+     * @returns {Promise} - Resolves when the record is saved
+     */
+    const putRecord = async (storeName, record) => {
+        const stored = await sealRecord(storeName, record);
+        return transaction(storeName, 'readwrite', (store) => {
+            return store.put(stored);
+        });
+    };
+
+    /**
+     * Read every setting that is encrypted like a record
+     * @returns {Promise<Array>} - Decrypted setting records
+     */
+    const getSealedSettings = async () => {
+        const settings = await Promise.all(SEALED_SETTINGS.map(id =>
+            getSetting(id).then(record => openRecord(SETTINGS_STORE, record))
+        ));
+        return settings.filter(Boolean);
+    };
+
+    /**
+     * Read one setting that is encrypted like a record
+     * @param {string} id - Setting ID, one of SEALED_SETTINGS
+     * @returns {Promise} - Resolves with the setting without its id, or null if not set
+     */
+    const getSealedSetting = async (id) => {
+        const record = await openRecord(SETTINGS_STORE, await getSetting(id));
+        if (!record) return null;
+
+        const { id: settingId, ...settings } = record;
+        return settings;
+    };
+
+    /**
+     * Get the network settings for WebRTC
+     * @returns {Promise} - Resolves with { iceServers, lanOnly } or null if never saved
+     */
+    const getNetworkSettings = () => {
+        return getSealedSetting(NETWORK_SETTING);
+    };
+
+    /**
+     * Save the network settings for WebRTC
+     * They hold TURN credentials, so they are encrypted when a passcode is set.
+     * @param {Object} settings - Contains iceServers and lanOnly
+     * @returns {Promise} - Resolves when the settings are saved
+     */
+    const saveNetworkSettings = (settings) => {
+        return putRecord(SETTINGS_STORE, { ...settings, id: NETWORK_SETTING });
+    };
+
+    /**
+     * Get the identity recovery in progress on this device
+     * @returns {Promise} - Resolves with { publicKey, privateKey, shares, profile, started } or null if none
+     */
+    const getPendingRecovery = () => {
+        return getSealedSetting(RECOVERY_SETTING);
+    };
+
+    /**
+     * Save the identity recovery in progress on this device
+     * It holds a private key and the shares collected so far, so it is
+     * encrypted when a passcode is set.
+     * @param {Object} recovery - Contains publicKey, privateKey, shares, profile and started
+     * @returns {Promise} - Resolves when the recovery is saved
+     */
+    const savePendingRecovery = (recovery) => {
+        return putRecord(SETTINGS_STORE, { ...recovery, id: RECOVERY_SETTING });
+    };
+
+    /**
+     * Forget the identity recovery in progress on this device
+     * @returns {Promise} - Resolves when the recovery is removed
+     */
+    const clearPendingRecovery = () => {
+        return transaction(SETTINGS_STORE, 'readwrite', (store) => {
+            return store.delete(RECOVERY_SETTING);
+        });
+    };
+
     /**
      * Save the user's profile
      * @param {Object} profile - User profile object
      * @returns {Promise} - Resolves when profile is saved
      */
     const saveProfile = (profile) => {
-        return transaction(STORES.PROFILE, 'readwrite', (store) => {
-            // Only one profile record should exist
-            return store.put(profile);
-        });
+        // Only one profile record should exist
+        return putRecord(STORES.PROFILE, profile);
     };
 
     /**
@@ -128,7 +543,7 @@ const DB = (() => {
                     resolve(request.result.length > 0 ? request.result[0] : null);
                 };
             });
-        });
+        }).then(record => openRecord(STORES.PROFILE, record));
     };
 
     /**
@@ -137,9 +552,7 @@ const DB = (() => {
      * @returns {Promise} - Resolves when connection is saved
      */
     const saveConnection = (connection) => {
-        return transaction(STORES.CONNECTIONS, 'readwrite', (store) => {
-            return store.put(connection);
-        });
+        return putRecord(STORES.CONNECTIONS, connection);
     };
 
     /**
@@ -154,7 +567,7 @@ const DB = (() => {
                     resolve(request.result);
                 };
             });
-        });
+        }).then(records => openRecords(STORES.CONNECTIONS, records));
     };
 
     /**
@@ -170,7 +583,7 @@ const DB = (() => {
                     resolve(request.result || null);
                 };
             });
-        });
+        }).then(record => openRecord(STORES.CONNECTIONS, record));
     };
 
     /**
@@ -187,7 +600,7 @@ const DB = (() => {
                     resolve(request.result || null);
                 };
             });
-        });
+        }).then(record => openRecord(STORES.CONNECTIONS, record));
     };
 
     /**
@@ -238,9 +651,7 @@ const DB = (() => {
      * @returns {Promise} - Resolves when message is saved
      */
     const saveMessage = (message) => {
-        return transaction(STORES.MESSAGES, 'readwrite', (store) => {
-            return store.put(message);
-        });
+        return putRecord(STORES.MESSAGES, message);
     };
 
     /**
@@ -255,41 +666,31 @@ const DB = (() => {
                     resolve(request.result);
                 };
             });
-        });
+        }).then(records => openRecords(STORES.MESSAGES, records));
     };
 
     /**
      * Get received messages
+     * The recipient is sealed with the rest of the message, so every
+     * message is read and filtered once decrypted.
      * @param {string} recipientId - Recipient ID (user's DID)
      * @returns {Promise} - Resolves with an array of messages
      */
-    const getReceivedMessages = (recipientId) => {
-        return transaction(STORES.MESSAGES, 'readonly', (store) => {
-            return new Promise((resolve) => {
-                const index = store.index('recipientId');
-                const request = index.getAll(recipientId);
-                request.onsuccess = () => {
-                    resolve(request.result);
-                };
-            });
-        });
+    const getReceivedMessages = async (recipientId) => {
+        const messages = await getAllMessages();
+        return messages.filter(message => message.recipientId === recipientId);
     };
 
     /**
      * Get sent messages
+     * The sender is sealed with the rest of the message, so every message
+     * is read and filtered once decrypted.
      * @param {string} senderId - Sender ID (user's DID)
      * @returns {Promise} - Resolves with an array of messages
      */
-    const getSentMessages = (senderId) => {
-        return transaction(STORES.MESSAGES, 'readonly', (store) => {
-            return new Promise((resolve) => {
-                const index = store.index('senderId');
-                const request = index.getAll(senderId);
-                request.onsuccess = () => {
-                    resolve(request.result);
-                };
-            });
-        });
+    const getSentMessages = async (senderId) => {
+        const messages = await getAllMessages();
+        return messages.filter(message => message.senderId === senderId);
     };
 
     /**
@@ -298,9 +699,7 @@ const DB = (() => {
      * @returns {Promise} - Resolves when relay is saved
      */
     const saveRelay = (relay) => {
-        return transaction(STORES.RELAYS, 'readwrite', (store) => {
-            return store.put(relay);
-        });
+        return putRecord(STORES.RELAYS, relay);
     };
 
     /**
@@ -315,37 +714,250 @@ const DB = (() => {
                     resolve(request.result);
                 };
             });
+        }).then(records => openRecords(STORES.RELAYS, records));
+    };
+
+    /**
+     * Delete a relay message
+     * @param {string} id - Relay ID
+     * @returns {Promise} - Resolves when relay is deleted
+     */
+    const deleteRelay = (id) => {
+        return transaction(STORES.RELAYS, 'readwrite', (store) => {
+            return store.delete(id);
         });
     };
 
     /**
-     * Get relay messages for a specific recipient
-     * @param {string} targetRecipientId - Target recipient ID
-     * @returns {Promise} - Resolves with an array of relay messages
+     * Get every record in a store
+     * @param {string} storeName - Name of the object store
+     * @returns {Promise} - Resolves with an array of records
      */
-    const getRelaysForRecipient = (targetRecipientId) => {
-        return transaction(STORES.RELAYS, 'readonly', (store) => {
+    const getAllRecords = (storeName) => {
+        return transaction(storeName, 'readonly', (store) => {
             return new Promise((resolve) => {
-                const index = store.index('targetRecipientId');
-                const request = index.getAll(targetRecipientId);
+                const request = store.getAll();
                 request.onsuccess = () => {
                     resolve(request.result);
                 };
             });
-        });
+        }).then(records => openRecords(storeName, records));
     };
 
     /**
-     * Delete a relay message
-     * @param {string} id - Relay ID
-     * @returns {Promise} - Resolves when relay is deleted
+     * Export the contents of every store (for backups)
+     * @returns {Promise} - Resolves with an object mapping store names to record arrays
      */
-    const deleteRelay = (id) => {
-        return transaction(STORES.RELAYS, 'readwrite', (store) => {
-            return store.delete(id);
+    const exportAllData = async () => {
+        const data = {};
+        for (const storeName of Object.values(STORES)) {
+            data[storeName] = await getAllRecords(storeName);
+        }
+        return data;
+    };
+
+    /**
+     * Encrypt records and write them into every store in a single transaction
+     * Either every record is written or, on error, nothing is.
+     * @param {Object} data - Object mapping store names (and optionally the settings store) to record arrays
+     * @param {string} mode - 'replace' clears each store first, 'merge' writes over it
+     * @param {Object|null} [settings] - Lock settings to save (null removes them) in the same transaction
+     * @returns {Promise} - Resolves when the write is committed
+     */
+    const writeAllRecords = async (data, mode, settings) => {
+        const storeNames = Object.values(STORES);
+        const records = {};
+        for (const storeName of storeNames) {
+            records[storeName] = await Promise.all((data[storeName] || []).map(record => sealRecord(storeName, record)));
+        }
+
+        // Only sealed settings come through data; the lock setting has its own argument
+        const sealedSettings = (data[SETTINGS_STORE] || []).filter(record => SEALED_SETTINGS.includes(record.id));
+        records[SETTINGS_STORE] = await Promise.all(sealedSettings.map(record => sealRecord(SETTINGS_STORE, record)));
+
+        return new Promise((resolve, reject) => {
+            if (!db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const tx = db.transaction([...storeNames, SETTINGS_STORE], 'readwrite');
+
+            storeNames.forEach(storeName => {
+                const store = tx.objectStore(storeName);
+
+                if (mode === 'replace') {
+                    store.clear();
+                }
+
+                records[storeName].forEach(record => {
+                    store.put(record);
+                });
+            });
+
+            // Settings are only ever written over, never cleared
+            records[SETTINGS_STORE].forEach(record => {
+                tx.objectStore(SETTINGS_STORE).put(record);
+            });
+
+            if (settings) {
+                tx.objectStore(SETTINGS_STORE).put({ id: LOCK_SETTING, ...settings });
+            } else if (settings === null) {
+                tx.objectStore(SETTINGS_STORE).delete(LOCK_SETTING);
+            }
+
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = (event) => reject(event.target.error);
+            tx.onabort = (event) => reject(event.target.error || new Error('Write aborted'));
         });
     };
 
+    /**
+     * Write backup records into every store in a single transaction
+     * Either every record is written or, on error, nothing is.
+     * @param {Object} data - Object mapping store names to record arrays
+     * @param {string} mode - 'replace' clears each store first, 'merge' writes over it
+     * @returns {Promise} - Resolves when the restore is committed
+     */
+    const restoreAllData = (data, mode) => {
+        return writeAllRecords(data, mode);
+    };
+
+    /**
+     * Save records into several stores in a single transaction
+     * Either every record is written or, on error, nothing is.
+     * @param {Object} data - Object mapping store names to record arrays
+     * @returns {Promise} - Resolves when every record is saved
+     */
+    const saveRecords = (data) => {
+        return writeAllRecords(data, 'merge');
+    };
+
+    /**
+     * Re-encrypt every record after the storage key changes
+     * On failure the previous key and settings stay in use.
+     * @param {CryptoKey|null} key - New storage key, or null to store records in the clear
+     * @param {Object|null} settings - Lock settings for the new key
+     * @returns {Promise} - Resolves when every record has been rewritten
+     */
+    const rekeyAllData = async (key, settings) => {
+        const data = await exportAllData();
+        data[SETTINGS_STORE] = await getSealedSettings();
+        const previous = { lockSettings, storageKey };
+
+        lockSettings = settings;
+        storageKey = key;
+        try {
+            await writeAllRecords(data, 'replace', settings);
+        } catch (error) {
+            lockSettings = previous.lockSettings;
+            storageKey = previous.storageKey;
+            throw error;
+        }
+    };
+
+    /**
+     * Set or change the app passcode and encrypt all records under it
+     * @param {string} passcode - New passcode
+     * @returns {Promise} - Resolves when every record is encrypted under the new key
+     */
+    const setPasscode = async (passcode) => {
+        if (isLocked()) {
+            throw new Error('Database is locked');
+        }
+
+        const { key, settings } = await Crypto.createStorageKey(passcode);
+        await rekeyAllData(key, settings);
+    };
+
+    /**
+     * Remove the app passcode and store all records in the clear again
+     * @returns {Promise} - Resolves when every record is decrypted
+     */
+    const removePasscode = async () => {
+        if (isLocked()) {
+            throw new Error('Database is locked');
+        }
+
+        await rekeyAllData(null, null);
+    };
+
+    /**
+     * Unlock the database with the app passcode
+     * @param {string} passcode - App passcode
+     * @returns {Promise<boolean>} - Resolves with true if unlocked, false if the passcode is wrong
+     */
+    const unlock = async (passcode) => {
+        if (!lockSettings) return true;
+
+        try {
+            storageKey = await Crypto.unlockStorageKey(passcode, lockSettings);
+        } catch (error) {
+            console.warn('Unlock failed:', error.message);
+            return false;
+        }
+
+        try {
+            await resealStaleRecords();
+        } catch (error) {
+            // Left as they are until they are next saved
+            console.error('Sealing records again failed:', error);
+        }
+        return true;
+    };
+
+    /**
+     * Seal records again that hold fields in the clear which no longer belong there
+     * Records sealed before a migration took a field out of CLEAR_FIELDS
+     * keep it readable until they are rewritten, which needs the storage key.
+     * @returns {Promise<number>} - Resolves with the number of records rewritten
+     */
+    const resealStaleRecords = async () => {
+        let count = 0;
+        for (const storeName of Object.values(STORES)) {
+            const records = await transaction(storeName, 'readonly', (store) => {
+                return new Promise((resolve) => {
+                    const request = store.getAll();
+                    request.onsuccess = () => {
+                        resolve(request.result);
+                    };
+                });
+            });
+
+            const stale = records.filter(record => record.sealed && Object.keys(record).some(field =>
+                field !== 'sealed' && !CLEAR_FIELDS[storeName].includes(field)
+            ));
+            for (const record of stale) {
+                await putRecord(storeName, await openRecord(storeName, record));
+            }
+            count += stale.length;
+        }
+        return count;
+    };
+
+    /**
+     * Forget the storage key until the passcode is entered again
+     */
+    const lock = () => {
+        storageKey = null;
+    };
+
+    /**
+     * Check whether a passcode is set
+     * @returns {boolean} - True if records are encrypted under a passcode
+     */
+    const hasPasscode = () => {
+        return lockSettings !== null;
+    };
+
+    /**
+     * Check whether the database needs the passcode before it can be read
+     * @returns {boolean} - True if a passcode is set and not yet entered
+     */
+    const isLocked = () => {
+        return lockSettings !== null && storageKey === null;
+    };
+
     /**
      * Clear all data (for testing or reset)
      * @returns {Promise} - Resolves when all data is cleared
@@ -363,6 +975,7 @@ const DB = (() => {
     // Public API
     return {
         init,
+        migrateRecords,
         saveProfile,
         getProfile,
         saveConnection,
@@ -378,9 +991,23 @@ const DB = (() => {
         getSentMessages,
         saveRelay,
         getAllRelays,
-        getRelaysForRecipient,
         deleteRelay,
+        saveRecords,
+        exportAllData,
+        restoreAllData,
         clearAllData,
-        STORES
+        setPasscode,
+        removePasscode,
+        unlock,
+        lock,
+        hasPasscode,
+        isLocked,
+        getNetworkSettings,
+        saveNetworkSettings,
+        getPendingRecovery,
+        savePendingRecovery,
+        clearPendingRecovery,
+        STORES,
+        VERSION: DB_VERSION
     };
 })();
@@ -0,0 +1,326 @@
+/**
+ * Fountain Module for CurrentCircle
+ * LT fountain coding for payloads sent as an animated sequence of QR codes
+ */
+
+const Fountain = (() => {
+    // Frame text is 'CCF', the frame format version, ':' and base45 of the frame bytes
+    const FRAME_PREFIX = 'CCF';
+    const FRAME_VERSION = 1;
+    const FRAME_PATTERN = /^CCF(\d+):/;
+    
+    // Frame header: transfer id (4), payload length (4), block size (2), sequence (4)
+    const HEADER_LENGTH = 14;
+    const DEFAULT_BLOCK_SIZE = 200;
+    const MAX_PAYLOAD_LENGTH = 4 * 1024 * 1024;
+    
+    // Robust soliton distribution parameters
+    const SOLITON_C = 0.1;
+    const SOLITON_DELTA = 0.5;
+    
+    /**
+     * Create a deterministic pseudo-random generator (mulberry32)
+     * Sender and receiver must pick the same blocks for a frame, so this
+     * is seeded from the transfer id and sequence number.
+     * @param {number} seed - 32-bit seed
+     * @returns {Function} - Returns numbers in [0, 1)
+     */
+    const createRandom = (seed) => {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+    
+    /**
+     * Cumulative robust soliton distribution of frame degrees
+     * @param {number} blockCount - Number of source blocks
+     * @returns {Array<number>} - cdf[d] is the probability of a degree up to d
+     */
+    const solitonCdf = (blockCount) => {
+        const k = blockCount;
+        const r = SOLITON_C * Math.log(k / SOLITON_DELTA) * Math.sqrt(k);
+        const spike = Math.max(1, Math.min(k, Math.floor(k / r)));
+        
+        const weights = [0];
+        for (let d = 1; d <= k; d++) {
+            const rho = d === 1 ? 1 / k : 1 / (d * (d - 1));
+            let tau = 0;
+            if (d < spike) tau = r / (d * k);
+            else if (d === spike) tau = r * Math.log(r / SOLITON_DELTA) / k;
+            weights.push(rho + Math.max(0, tau));
+        }
+        
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let cumulative = 0;
+        return weights.map(weight => {
+            cumulative += weight / total;
+            return cumulative;
+        });
+    };
+    
+    /**
+     * Work out which source blocks a frame combines
+     * The first blockCount frames carry one block each in order, so a clean
+     * scan of one pass is enough; later frames mix blocks at random.
+     * @param {Object} transfer - Contains id, blockCount and cdf
+     * @param {number} sequence - Frame sequence number
+     * @returns {Array<number>} - Block indexes
+     */
+    const blockIndexes = (transfer, sequence) => {
+        const { id, blockCount, cdf } = transfer;
+        if (sequence < blockCount) return [sequence];
+        
+        const random = createRandom(id ^ Math.imul(sequence, 0x9e3779b1));
+        
+        const sample = random();
+        let degree = 1;
+        while (degree < blockCount && cdf[degree] < sample) {
+            degree += 1;
+        }
+        
+        const indexes = new Set();
+        while (indexes.size < degree) {
+            indexes.add(Math.floor(random() * blockCount));
+        }
+        return [...indexes];
+    };
+    
+    /**
+     * XOR one block into another
+     * @param {Uint8Array} target - Block to update
+     * @param {Uint8Array} source - Block to mix in
+     */
+    const xorInto = (target, source) => {
+        for (let i = 0; i < target.length; i++) {
+            target[i] ^= source[i];
+        }
+    };
+    
+    /**
+     * Derive the transfer id from the payload, doubling as its checksum
+     * @param {Uint8Array} bytes - Payload
+     * @returns {Promise<number>} - First 32 bits of the SHA-256 digest
+     */
+    const transferId = async (bytes) => {
+        const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', bytes));
+        return new DataView(digest.buffer).getUint32(0);
+    };
+    
+    /**
+     * Check whether scanned text is a fountain frame
+     * @param {string} text - Scanned QR code text
+     * @returns {boolean} - True for frames of any version
+     */
+    const isFrame = (text) => {
+        return typeof text === 'string' && FRAME_PATTERN.test(text);
+    };
+    
+    /**
+     * Create an encoder producing an endless stream of frames for a payload
+     * @param {Uint8Array} bytes - Payload
+     * @param {Object} [options] - Options
+     * @param {number} [options.blockSize] - Bytes of payload per frame
+     * @returns {Promise<Object>} - Encoder with blockCount and nextFrame()
+     */
+    const createEncoder = async (bytes, options = {}) => {
+        if (bytes.length > MAX_PAYLOAD_LENGTH) {
+            throw new Error('Payload is too large for an animated QR transfer');
+        }
+        
+        const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+        const blockCount = Math.max(1, Math.ceil(bytes.length / blockSize));
+        const transfer = {
+            id: await transferId(bytes),
+            blockCount,
+            cdf: solitonCdf(blockCount)
+        };
+        
+        // Source blocks, the last one padded with zeros
+        const blocks = [];
+        for (let i = 0; i < blockCount; i++) {
+            const block = new Uint8Array(blockSize);
+            block.set(bytes.subarray(i * blockSize, (i + 1) * blockSize));
+            blocks.push(block);
+        }
+        
+        let sequence = 0;
+        
+        /**
+         * Produce the next frame
+         * @returns {string} - Frame text for one QR code
+         */
+        const nextFrame = () => {
+            const frame = new Uint8Array(HEADER_LENGTH + blockSize);
+            const header = new DataView(frame.buffer);
+            header.setUint32(0, transfer.id);
+            header.setUint32(4, bytes.length);
+            header.setUint16(8, blockSize);
+            header.setUint32(10, sequence);
+            
+            const data = frame.subarray(HEADER_LENGTH);
+            blockIndexes(transfer, sequence).forEach(index => xorInto(data, blocks[index]));
+            
+            sequence = (sequence + 1) >>> 0;
+            return `${FRAME_PREFIX}${FRAME_VERSION}:${QRCodec.toBase45(frame)}`;
+        };
+        
+        return {
+            blockCount,
+            nextFrame
+        };
+    };
+    
+    /**
+     * Create a decoder that collects frames until the payload can be rebuilt
+     * Frames may arrive in any order and repeat. A frame from a different
+     * transfer starts over.
+     * @returns {Object} - Decoder with addFrame(text) and reset()
+     */
+    const createDecoder = () => {
+        let transfer = null;
+        
+        /**
+         * Forget any partly received transfer
+         */
+        const reset = () => {
+            transfer = null;
+        };
+        
+        /**
+         * Mark a block as known and peel it out of the waiting frames
+         * @param {number} index - Block index
+         * @param {Uint8Array} data - Block contents
+         */
+        const resolveBlock = (index, data) => {
+            const queue = [[index, data]];
+            
+            while (queue.length > 0) {
+                const [blockIndex, blockData] = queue.pop();
+                if (transfer.blocks[blockIndex]) continue;
+                
+                transfer.blocks[blockIndex] = blockData;
+                transfer.known += 1;
+                
+                transfer.pending = transfer.pending.filter(frame => {
+                    if (!frame.indexes.has(blockIndex)) return true;
+                    
+                    frame.indexes.delete(blockIndex);
+                    xorInto(frame.data, blockData);
+                    
+                    if (frame.indexes.size === 1) {
+                        queue.push([frame.indexes.values().next().value, frame.data]);
+                        return false;
+                    }
+                    return frame.indexes.size > 0;
+                });
+            }
+        };
+        
+        /**
+         * Add a scanned frame
+         * @param {string} text - Frame text
+         * @returns {Promise<Object>} - Contains progress (0-1), frames, complete and, once complete, bytes
+         * @throws {Error} - If the frame is invalid or the rebuilt payload fails its checksum
+         */
+        const addFrame = async (text) => {
+            const match = text.match(FRAME_PATTERN);
+            if (!match) {
+                throw new Error('Not an animated QR frame');
+            }
+            
+            const version = parseInt(match[1], 10);
+            if (version !== FRAME_VERSION) {
+                throw new Error(`Animated QR code uses a newer format (version ${version}). Please update CurrentCircle.`);
+            }
+            
+            const frame = QRCodec.fromBase45(text.slice(match[0].length));
+            if (frame.length <= HEADER_LENGTH) {
+                throw new Error('Animated QR frame is too short');
+            }
+            
+            const header = new DataView(frame.buffer, frame.byteOffset, HEADER_LENGTH);
+            const id = header.getUint32(0);
+            const length = header.getUint32(4);
+            const blockSize = header.getUint16(8);
+            const sequence = header.getUint32(10);
+            
+            if (blockSize === 0 || frame.length !== HEADER_LENGTH + blockSize || length > MAX_PAYLOAD_LENGTH) {
+                throw new Error('Invalid animated QR frame');
+            }
+            
+            if (!transfer || transfer.id !== id || transfer.length !== length || transfer.blockSize !== blockSize) {
+                const blockCount = Math.max(1, Math.ceil(length / blockSize));
+                transfer = {
+                    id,
+                    length,
+                    blockSize,
+                    blockCount,
+                    cdf: solitonCdf(blockCount),
+                    blocks: new Array(blockCount).fill(null),
+                    known: 0,
+                    pending: [],
+                    seen: new Set()
+                };
+            }
+            
+            if (!transfer.seen.has(sequence) && transfer.known < transfer.blockCount) {
+                transfer.seen.add(sequence);
+                
+                // Remove blocks we already have from the frame
+                const data = frame.slice(HEADER_LENGTH);
+                const indexes = new Set();
+                blockIndexes(transfer, sequence).forEach(index => {
+                    if (transfer.blocks[index]) {
+                        xorInto(data, transfer.blocks[index]);
+                    } else {
+                        indexes.add(index);
+                    }
+                });
+                
+                if (indexes.size === 1) {
+                    resolveBlock(indexes.values().next().value, data);
+                } else if (indexes.size > 1) {
+                    transfer.pending.push({ indexes, data });
+                }
+            }
+            
+            const result = {
+                progress: transfer.known / transfer.blockCount,
+                frames: transfer.seen.size,
+                complete: transfer.known === transfer.blockCount
+            };
+            
+            if (!result.complete) {
+                return result;
+            }
+            
+            const bytes = new Uint8Array(transfer.blockCount * transfer.blockSize);
+            transfer.blocks.forEach((block, index) => bytes.set(block, index * transfer.blockSize));
+            const payload = bytes.slice(0, transfer.length);
+            
+            if (await transferId(payload) !== transfer.id) {
+                reset();
+                throw new Error('Animated QR transfer failed its checksum');
+            }
+            
+            return { ...result, bytes: payload };
+        };
+        
+        return {
+            addFrame,
+            reset
+        };
+    };
+    
+    // Public API
+    return {
+        isFrame,
+        createEncoder,
+        createDecoder
+    };
+})();
@@ -0,0 +1,246 @@
+/**
+ * Framing Module for CurrentCircle
+ * Splits data channel messages into chunks and reassembles them on arrival
+ *
+ * Browsers only promise to carry data channel messages of about 16 KiB, so
+ * every message is sent as a start frame followed by chunk frames:
+ *   start: version (1), type (1), message id (4), length (4), chunk count (4), SHA-256 (32)
+ *   chunk: version (1), type (1), message id (4), chunk index (4), data
+ * The receiver checks the digest before handing the message on.
+ */
+
+const Framing = (() => {
+    const FRAME_VERSION = 1;
+    const FRAME_TYPES = {
+        START: 1,
+        CHUNK: 2
+    };
+    
+    const START_HEADER_LENGTH = 46;
+    const CHUNK_HEADER_LENGTH = 10;
+    const DIGEST_LENGTH = 32;
+    
+    // Largest frame sent; no browser splits or rejects messages this size
+    const MAX_FRAME_LENGTH = 16 * 1024;
+    const CHUNK_DATA_LENGTH = MAX_FRAME_LENGTH - CHUNK_HEADER_LENGTH;
+    
+    // Limits that stop a peer from making the receiver hold too much
+    const MAX_MESSAGE_LENGTH = 32 * 1024 * 1024;
+    const MAX_PENDING_MESSAGES = 4;
+    
+    /**
+     * Hash message bytes
+     * @param {Uint8Array} bytes - Message bytes
+     * @returns {Promise<Uint8Array>} - SHA-256 digest
+     */
+    const digest = async (bytes) => {
+        return new Uint8Array(await window.crypto.subtle.digest('SHA-256', bytes));
+    };
+    
+    /**
+     * Split a message into frames
+     * @param {Object} data - Message to send; must survive JSON.stringify
+     * @param {number} id - Message id, unique among messages in flight
+     * @returns {Promise<Object>} - Contains id, length (bytes) and frames (ArrayBuffers)
+     * @throws {Error} - If the message is too large
+     */
+    const encodeMessage = async (data, id) => {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        if (bytes.length > MAX_MESSAGE_LENGTH) {
+            throw new Error(`Message is too large to send (${bytes.length} bytes)`);
+        }
+        
+        const count = Math.max(1, Math.ceil(bytes.length / CHUNK_DATA_LENGTH));
+        
+        const start = new Uint8Array(START_HEADER_LENGTH);
+        const startView = new DataView(start.buffer);
+        start[0] = FRAME_VERSION;
+        start[1] = FRAME_TYPES.START;
+        startView.setUint32(2, id);
+        startView.setUint32(6, bytes.length);
+        startView.setUint32(10, count);
+        start.set(await digest(bytes), 14);
+        
+        const frames = [start.buffer];
+        for (let index = 0; index < count; index++) {
+            const chunk = bytes.subarray(index * CHUNK_DATA_LENGTH, (index + 1) * CHUNK_DATA_LENGTH);
+            const frame = new Uint8Array(CHUNK_HEADER_LENGTH + chunk.length);
+            const view = new DataView(frame.buffer);
+            frame[0] = FRAME_VERSION;
+            frame[1] = FRAME_TYPES.CHUNK;
+            view.setUint32(2, id);
+            view.setUint32(6, index);
+            frame.set(chunk, CHUNK_HEADER_LENGTH);
+            frames.push(frame.buffer);
+        }
+        
+        return { id, length: bytes.length, frames };
+    };
+    
+    /**
+     * Check whether two digests match
+     * @param {Uint8Array} a - First digest
+     * @param {Uint8Array} b - Second digest
+     * @returns {boolean} - True if they are the same
+     */
+    const digestsMatch = (a, b) => {
+        return a.length === b.length && a.every((byte, index) => byte === b[index]);
+    };
+    
+    /**
+     * Create a receiver that puts frames back together into messages
+     * Messages are handed on in the order they completed, even though each
+     * digest is checked asynchronously.
+     * @param {Function} onMessage - Called with each complete message
+     * @param {Function} [onProgress] - Called with { id, bytes, total } as chunks arrive
+     * @returns {Object} - Contains push(frame) and reset()
+     */
+    const createReassembler = (onMessage, onProgress = () => {}) => {
+        // Messages being received by id: { length, count, digest, chunks, received, bytes }
+        let pending = new Map();
+        let delivery = Promise.resolve();
+        
+        /**
+         * Start receiving a message
+         * @param {DataView} view - Start frame
+         * @param {Uint8Array} frame - Start frame bytes
+         * @throws {Error} - If the header is not valid
+         */
+        const handleStart = (view, frame) => {
+            if (frame.length !== START_HEADER_LENGTH) {
+                throw new Error('Invalid start frame');
+            }
+            
+            const id = view.getUint32(2);
+            const length = view.getUint32(6);
+            const count = view.getUint32(10);
+            
+            if (length > MAX_MESSAGE_LENGTH) {
+                throw new Error(`Incoming message is too large (${length} bytes)`);
+            }
+            if (count !== Math.max(1, Math.ceil(length / CHUNK_DATA_LENGTH))) {
+                throw new Error('Chunk count does not match message length');
+            }
+            
+            // A peer that never finishes its messages cannot pile them up
+            if (pending.size >= MAX_PENDING_MESSAGES) {
+                const oldest = pending.keys().next().value;
+                console.warn(`Dropping unfinished message ${oldest}`);
+                pending.delete(oldest);
+            }
+            
+            pending.set(id, {
+                length,
+                count,
+                digest: frame.slice(14, 14 + DIGEST_LENGTH),
+                chunks: new Array(count),
+                received: 0,
+                bytes: 0
+            });
+        };
+        
+        /**
+         * Check and decode a message once every chunk has arrived
+         * @param {number} id - Message id
+         * @param {Object} message - Pending message
+         * @returns {Promise} - Resolves once the message is handed on
+         * @throws {Error} - If the message is corrupt
+         */
+        const finishMessage = async (id, message) => {
+            const bytes = new Uint8Array(message.length);
+            let offset = 0;
+            message.chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+            });
+            
+            if (!digestsMatch(await digest(bytes), message.digest)) {
+                throw new Error(`Message ${id} failed its integrity check`);
+            }
+            
+            onMessage(JSON.parse(new TextDecoder().decode(bytes)));
+        };
+        
+        /**
+         * Store one chunk of a message
+         * @param {DataView} view - Chunk frame
+         * @param {Uint8Array} frame - Chunk frame bytes
+         * @returns {Promise} - Resolves once the message, if now complete, is handed on
+         * @throws {Error} - If the chunk does not belong to a message being received
+         */
+        const handleChunk = (view, frame) => {
+            const id = view.getUint32(2);
+            const index = view.getUint32(6);
+            const message = pending.get(id);
+            
+            if (!message) {
+                throw new Error(`Chunk for unknown message ${id}`);
+            }
+            if (index >= message.count) {
+                throw new Error(`Chunk ${index} is out of range for message ${id}`);
+            }
+            
+            // Every chunk but the last is full size
+            const data = frame.slice(CHUNK_HEADER_LENGTH);
+            const expected = index < message.count - 1
+                ? CHUNK_DATA_LENGTH
+                : message.length - CHUNK_DATA_LENGTH * (message.count - 1);
+            if (data.length !== expected) {
+                throw new Error(`Chunk ${index} of message ${id} has the wrong length`);
+            }
+            
+            if (message.chunks[index]) return delivery;
+            
+            message.chunks[index] = data;
+            message.received += 1;
+            message.bytes += data.length;
+            onProgress({ id, bytes: message.bytes, total: message.length });
+            
+            if (message.received < message.count) return delivery;
+            
+            pending.delete(id);
+            const finished = delivery.then(() => finishMessage(id, message));
+            delivery = finished.catch(() => {});
+            return finished;
+        };
+        
+        return {
+            /**
+             * Take in one frame from the data channel
+             * @param {ArrayBuffer} buffer - Frame bytes
+             * @returns {Promise} - Resolves once any message the frame completes is handed on
+             */
+            push: async (buffer) => {
+                const frame = new Uint8Array(buffer);
+                if (frame.length < CHUNK_HEADER_LENGTH || frame[0] !== FRAME_VERSION) {
+                    throw new Error('Unsupported frame');
+                }
+                
+                const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+                if (frame[1] === FRAME_TYPES.START) {
+                    handleStart(view, frame);
+                } else if (frame[1] === FRAME_TYPES.CHUNK) {
+                    await handleChunk(view, frame);
+                } else {
+                    throw new Error(`Unknown frame type ${frame[1]}`);
+                }
+            },
+            
+            /**
+             * Drop every message still being received
+             */
+            reset: () => {
+                pending = new Map();
+                delivery = Promise.resolve();
+            }
+        };
+    };
+    
+    // Public API
+    return {
+        MAX_FRAME_LENGTH,
+        MAX_MESSAGE_LENGTH,
+        encodeMessage,
+        createReassembler
+    };
+})();
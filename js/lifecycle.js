@@ -0,0 +1,121 @@
+/**
+ * Lifecycle Module for CurrentCircle
+ * Tracks how far a message we sent has got on its way to being read
+ *
+ * A sent message only ever moves forward through:
+ *   queued -> handed_to_relay -> delivered -> read
+ * States may be skipped (a message handed over in person goes straight from
+ * queued to delivered), but a message never goes back, so receipts that
+ * arrive late, twice or by more than one route change nothing. Each state
+ * records when it was reached.
+ *
+ * The recipient reports delivered and read in signed receipts. Received
+ * messages remember the last state the sender has acknowledged (reported),
+ * so each receipt is only handed over until it gets through.
+ */
+
+const Lifecycle = (() => {
+    const STATES = {
+        QUEUED: 'queued',
+        HANDED_TO_RELAY: 'handed_to_relay',
+        DELIVERED: 'delivered',
+        READ: 'read'
+    };
+    
+    const ORDER = [STATES.QUEUED, STATES.HANDED_TO_RELAY, STATES.DELIVERED, STATES.READ];
+    
+    // States a recipient reports back in receipts
+    const RECEIPT_STATES = [STATES.DELIVERED, STATES.READ];
+    
+    // Status values written before the lifecycle existed
+    const LEGACY_STATES = {
+        sent: STATES.QUEUED
+    };
+    
+    /**
+     * Get the state of a message we sent
+     * @param {Object} message - Sent message
+     * @returns {string} - One of STATES
+     */
+    const getState = (message) => {
+        if (LEGACY_STATES[message.status]) return LEGACY_STATES[message.status];
+        return ORDER.includes(message.status) ? message.status : STATES.QUEUED;
+    };
+    
+    /**
+     * Get how far along the lifecycle a state is
+     * @param {string} state - State
+     * @returns {number} - Position in ORDER, or -1 if it is not a state
+     */
+    const rank = (state) => {
+        return ORDER.indexOf(state);
+    };
+    
+    /**
+     * Check whether a message we sent has yet to reach its recipient
+     * @param {Object} message - Sent message
+     * @returns {boolean} - True if it should still be handed over
+     */
+    const isPending = (message) => {
+        return rank(getState(message)) < rank(STATES.DELIVERED);
+    };
+    
+    /**
+     * Move a message we sent to a later state
+     * @param {Object} message - Sent message
+     * @param {string} state - State reached
+     * @param {string} [at] - When it was reached
+     * @returns {Object|null} - Updated message, or null if it is already at or past the state
+     */
+    const advance = (message, state, at = new Date().toISOString()) => {
+        if (rank(state) <= rank(getState(message))) return null;
+        
+        return {
+            ...message,
+            status: state,
+            statusChangedAt: at,
+            statusHistory: { ...(message.statusHistory || {}), [state]: at }
+        };
+    };
+    
+    /**
+     * Get the state the sender should hear about for a message we received
+     * @param {Object} message - Received message
+     * @returns {string} - STATES.READ once read, STATES.DELIVERED before
+     */
+    const getReceiptState = (message) => {
+        return message.readAt ? STATES.READ : STATES.DELIVERED;
+    };
+    
+    /**
+     * Check whether the sender still needs a receipt for a message we received
+     * @param {Object} message - Received message
+     * @returns {boolean} - True if the sender has not acknowledged its current state
+     */
+    const needsReceipt = (message) => {
+        return rank(message.reported) < rank(getReceiptState(message));
+    };
+    
+    /**
+     * Record that the sender has acknowledged a receipt for a message we received
+     * @param {Object} message - Received message
+     * @param {string} state - State the receipt reported
+     * @returns {Object|null} - Updated message, or null if a later state was already reported
+     */
+    const markReported = (message, state) => {
+        if (rank(state) <= rank(message.reported)) return null;
+        return { ...message, reported: state };
+    };
+    
+    // Public API
+    return {
+        STATES,
+        RECEIPT_STATES,
+        getState,
+        isPending,
+        advance,
+        getReceiptState,
+        needsReceipt,
+        markReported
+    };
+})();
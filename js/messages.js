@@ -4,6 +4,11 @@
  */
 
 const Messages = (() => {
+    // Open conversation: the connection, the screen to go back to, the
+    // messages that were unread when it opened (marked until it is left)
+    // and the message being replied to
+    let conversation = null;
+    
     /**
      * Initialize the messages module
      */
@@ -54,6 +59,41 @@ const Messages = (() => {
         if (messageContent) {
             messageContent.addEventListener('input', updateCharacterCount);
         }
+        
+        // Conversation listeners
+        const backBtn = document.getElementById('conversation-back-btn');
+        const detailsBtn = document.getElementById('conversation-details-btn');
+        const cancelReplyBtn = document.getElementById('cancel-reply-btn');
+        const conversationSendBtn = document.getElementById('conversation-send-btn');
+        const conversationInput = document.getElementById('conversation-input');
+        
+        if (backBtn) {
+            backBtn.addEventListener('click', closeConversation);
+        }
+        
+        if (detailsBtn) {
+            detailsBtn.addEventListener('click', () => {
+                if (conversation) UI.showConnectionDetails(conversation.connectionId);
+            });
+        }
+        
+        if (cancelReplyBtn) {
+            cancelReplyBtn.addEventListener('click', () => setReplyTo(null));
+        }
+        
+        if (conversationSendBtn) {
+            conversationSendBtn.addEventListener('click', sendConversationMessage);
+        }
+        
+        // Enter sends, Shift+Enter starts a new line
+        if (conversationInput) {
+            conversationInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' && !event.shiftKey) {
+                    event.preventDefault();
+                    sendConversationMessage();
+                }
+            });
+        }
     };
     
     /**
@@ -142,7 +182,7 @@ const Messages = (() => {
         sortedMessages.forEach(message => {
             // Create message element
             const messageEl = document.createElement('div');
-            messageEl.className = 'message';
+            messageEl.className = message.readAt ? 'message' : 'message unread';
             
             // Format date
             const date = new Date(message.timestamp);
@@ -204,8 +244,8 @@ const Messages = (() => {
                     <div class="message-date">${dateStr}</div>
                 </div>
                 <div class="message-content">${message.content}</div>
-                <div style="margin-top: 0.5rem; font-size: 0.8rem; color: #718096;">
-                    ${message.isRelay ? 'Will be delivered via relay' : 'Direct message'}
+                <div class="message-status ${Lifecycle.getState(message)}">
+                    ${UI.describeMessageStatus(message)}${message.isRelay ? ' (also sent via relay)' : ''}
                 </div>
             `;
             
@@ -231,48 +271,8 @@ const Messages = (() => {
         const container = document.getElementById('relay-messages');
         if (!container) return;
         
-        // Clear container
-        container.innerHTML = '';
-        
-        // Sort relays by timestamp (newest first)
-        const sortedRelays = [...relays].sort((a, b) => {
-            return new Date(b.timestamp) - new Date(a.timestamp);
-        });
-        
-        // Add each relay to the container
-        sortedRelays.forEach(relay => {
-            // Create relay element
-            const relayEl = document.createElement('div');
-            relayEl.className = 'message';
-            
-            // Format date
-            const date = new Date(relay.timestamp);
-            const dateStr = date.toLocaleString();
-            
-            // Build relay HTML
-            relayEl.innerHTML = `
-                <div class="message-header">
-                    <div class="message-sender">To: ${relay.targetRecipientName}</div>
-                    <div class="message-date">${dateStr}</div>
-                </div>
-                <div class="message-content">
-                    <p><strong>From:</strong> ${relay.originalSenderName}</p>
-                    <p><em>Message is encrypted and will be delivered when you connect with ${relay.targetRecipientName}.</em></p>
-                </div>
-            `;
-            
-            // Add to container
-            container.appendChild(relayEl);
-        });
-        
-        // Show empty state if no relays
-        if (sortedRelays.length === 0) {
-            container.innerHTML = `
-                <div style="text-align: center; padding: 2rem;">
-                    <p>No messages to relay.</p>
-                </div>
-            `;
-        }
+        // Relays are sealed, so only a summary is shown
+        UI.updateRelayList(container, relays);
     };
     
     /**
@@ -419,7 +419,7 @@ const Messages = (() => {
             loadMessages();
             
             // Show success message
-            alert('Message sent successfully!');
+            alert('Message queued. It will be delivered when you next meet.');
             
             // Switch to outbox tab
             switchTab('outbox');
@@ -429,11 +429,256 @@ const Messages = (() => {
         }
     };
     
+    /**
+     * Open the conversation with a connection
+     * Messages that were unread keep their marker while the conversation
+     * stays open, but are stored as read straight away.
+     * @param {string} connectionId - Connection ID
+     */
+    const openConversation = async (connectionId) => {
+        const thread = App.getConversation(connectionId);
+        if (!thread) {
+            alert('Connection not found.');
+            return;
+        }
+        
+        // Going back leads to where the first conversation was opened from
+        const activeScreen = document.querySelector('.screen.active');
+        let returnScreen = activeScreen ? activeScreen.id : 'home-screen';
+        if (returnScreen === 'conversation-screen') {
+            returnScreen = conversation ? conversation.returnScreen : 'home-screen';
+        }
+        
+        conversation = {
+            connectionId,
+            returnScreen,
+            unreadIds: thread.messages
+                .filter(message => !message.outgoing && !message.readAt)
+                .map(message => message.id),
+            replyTo: null
+        };
+        
+        const input = document.getElementById('conversation-input');
+        if (input) input.value = '';
+        setReplyTo(null);
+        
+        UI.showScreen('conversation-screen');
+        UI.selectNavItem('messages-screen');
+        renderConversation(thread);
+        
+        try {
+            await App.markConversationRead(connectionId);
+        } catch (error) {
+            // The markers come back next time; nothing else depends on them
+            console.error('Marking conversation read failed:', error);
+        }
+    };
+    
+    /**
+     * Leave the open conversation for the screen it was opened from
+     */
+    const closeConversation = () => {
+        const returnScreen = conversation ? conversation.returnScreen : 'home-screen';
+        conversation = null;
+        
+        UI.showScreen(returnScreen);
+        UI.selectNavItem(returnScreen);
+    };
+    
+    /**
+     * Show the open conversation again after messages change
+     */
+    const updateConversation = () => {
+        const screen = document.getElementById('conversation-screen');
+        if (!conversation || !screen || !screen.classList.contains('active')) return;
+        
+        const thread = App.getConversation(conversation.connectionId);
+        if (!thread) {
+            // The connection was removed while its conversation was open
+            closeConversation();
+            return;
+        }
+        
+        renderConversation(thread);
+    };
+    
+    /**
+     * Shorten message content for a reply quote
+     * @param {string|null} content - Message content
+     * @returns {string} - First line, cut to fit
+     */
+    const summarise = (content) => {
+        if (!content) return 'Message could not be decrypted';
+        const line = content.split('\n')[0];
+        return line.length > 80 ? `${line.slice(0, 80)}…` : line;
+    };
+    
+    /**
+     * Build the element for one message in a conversation
+     * @param {Object} message - Message from App.getConversation
+     * @param {Array} messages - Every message in the conversation
+     * @returns {HTMLElement} - Message element
+     */
+    const createConversationMessage = (message, messages) => {
+        const messageEl = document.createElement('div');
+        messageEl.className = `conversation-message ${message.outgoing ? 'outgoing' : 'incoming'}`;
+        messageEl.dataset.id = message.id;
+        if (conversation.unreadIds.includes(message.id)) {
+            messageEl.classList.add('unread');
+        }
+        
+        // Quote the message this one replies to
+        if (message.replyTo) {
+            const original = messages.find(other => other.id === message.replyTo);
+            const quote = document.createElement('div');
+            quote.className = 'reply-quote';
+            quote.textContent = original ? summarise(original.content) : 'Earlier message';
+            if (original) {
+                quote.addEventListener('click', () => {
+                    const target = document.querySelector(`.conversation-message[data-id="${original.id}"]`);
+                    if (target) target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                });
+            }
+            messageEl.appendChild(quote);
+        }
+        
+        const content = document.createElement('div');
+        content.className = 'message-content';
+        content.textContent = message.content || 'Message could not be decrypted';
+        messageEl.appendChild(content);
+        
+        // Time, and for our own messages how far they have got
+        const meta = document.createElement('div');
+        meta.className = 'message-date';
+        const time = new Date(message.timestamp).toLocaleString();
+        meta.textContent = message.outgoing ? `${time} · ${UI.describeMessageStatus(message)}` : time;
+        messageEl.appendChild(meta);
+        
+        const replyBtn = document.createElement('button');
+        replyBtn.className = 'reply-btn';
+        replyBtn.title = 'Reply';
+        replyBtn.innerHTML = '<i class="fas fa-reply"></i>';
+        replyBtn.addEventListener('click', () => setReplyTo(message));
+        messageEl.appendChild(replyBtn);
+        
+        return messageEl;
+    };
+    
+    /**
+     * Show a conversation, oldest message first
+     * Scrolls to the first unread message, or to the newest.
+     * @param {Object} thread - Conversation from App.getConversation
+     */
+    const renderConversation = (thread) => {
+        const container = document.getElementById('conversation-thread');
+        const title = document.getElementById('conversation-name');
+        if (!container) return;
+        
+        if (title) {
+            title.textContent = `${thread.connection.firstName} ${thread.connection.lastName}`;
+        }
+        
+        // Clear container
+        container.innerHTML = '';
+        
+        let firstUnread = null;
+        thread.messages.forEach(message => {
+            // Mark where the unread messages start
+            if (!firstUnread && conversation.unreadIds.includes(message.id)) {
+                firstUnread = document.createElement('div');
+                firstUnread.className = 'unread-divider';
+                firstUnread.textContent = 'New messages';
+                container.appendChild(firstUnread);
+            }
+            
+            container.appendChild(createConversationMessage(message, thread.messages));
+        });
+        
+        // Show empty state if no messages
+        if (thread.messages.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 2rem;">
+                    <p>No messages yet. Anything you write is delivered when you next meet.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        if (firstUnread) {
+            firstUnread.scrollIntoView({ block: 'start' });
+        } else {
+            container.lastElementChild.scrollIntoView({ block: 'end' });
+        }
+    };
+    
+    /**
+     * Choose the message the next one replies to
+     * @param {Object|null} message - Message to reply to, or null for none
+     */
+    const setReplyTo = (message) => {
+        const preview = document.getElementById('reply-preview');
+        const previewText = document.getElementById('reply-preview-text');
+        
+        if (conversation) {
+            conversation.replyTo = message ? message.id : null;
+        }
+        
+        if (preview && previewText) {
+            previewText.textContent = message ? summarise(message.content) : '';
+            preview.classList.toggle('hidden', !message);
+        }
+        
+        const input = document.getElementById('conversation-input');
+        if (message && input) input.focus();
+    };
+    
+    /**
+     * Send the message written in the conversation composer
+     */
+    const sendConversationMessage = async () => {
+        const input = document.getElementById('conversation-input');
+        const relayCheckbox = document.getElementById('conversation-relay');
+        if (!conversation || !input) return;
+        
+        const content = input.value.trim();
+        
+        // Validate
+        if (!content) return;
+        
+        if (content.length > 1000) {
+            alert('Message is too long. Please limit to 1000 characters.');
+            return;
+        }
+        
+        try {
+            // Send message; the conversation is redrawn as the outbox changes
+            await App.createMessage({
+                recipientId: conversation.connectionId,
+                content,
+                isRelay: relayCheckbox ? relayCheckbox.checked : false,
+                replyTo: conversation.replyTo
+            });
+            
+            input.value = '';
+            setReplyTo(null);
+            
+            const thread = document.getElementById('conversation-thread');
+            if (thread && thread.lastElementChild) {
+                thread.lastElementChild.scrollIntoView({ block: 'end' });
+            }
+        } catch (error) {
+            console.error('Sending message failed:', error);
+            alert('Failed to send message. Please try again.');
+        }
+    };
+    
     // Public API
     return {
         init,
         loadMessages,
         showComposeModal,
-        sendMessage
+        sendMessage,
+        openConversation,
+        updateConversation
     };
 })();
@@ -0,0 +1,328 @@
+/**
+ * QR Codec Module for CurrentCircle
+ * Packs connection offers and answers into compact QR code text
+ */
+
+const QRCodec = (() => {
+    // Header is 'CC', the format version and ':' so formats can be told apart;
+    // older clients only understand plain JSON
+    const FORMAT_PREFIX = 'CC';
+    const FORMAT_VERSION = 1;
+    const FORMAT_PATTERN = /^CC(\d+):/;
+    
+    // Base45 (RFC 9285) only uses characters from the QR alphanumeric set
+    const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+    
+    // Defaults assumed for data channel sessions when rebuilding an SDP
+    const DEFAULT_SCTP_PORT = '5000';
+    const CANDIDATE_ATTRIBUTES = ['raddr', 'rport', 'tcptype'];
+    
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    
+    /**
+     * Encode bytes as base45
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base45 text
+     */
+    const toBase45 = (bytes) => {
+        let output = '';
+        for (let i = 0; i < bytes.length; i += 2) {
+            if (i + 1 < bytes.length) {
+                const value = bytes[i] * 256 + bytes[i + 1];
+                output += BASE45_ALPHABET[value % 45] +
+                    BASE45_ALPHABET[Math.floor(value / 45) % 45] +
+                    BASE45_ALPHABET[Math.floor(value / 2025)];
+            } else {
+                output += BASE45_ALPHABET[bytes[i] % 45] + BASE45_ALPHABET[Math.floor(bytes[i] / 45)];
+            }
+        }
+        return output;
+    };
+    
+    /**
+     * Decode base45 text
+     * @param {string} text - Base45 text
+     * @returns {Uint8Array} - Decoded bytes
+     * @throws {Error} - If the text is not valid base45
+     */
+    const fromBase45 = (text) => {
+        if (text.length % 3 === 1) {
+            throw new Error('Invalid base45 length');
+        }
+        
+        const bytes = [];
+        for (let i = 0; i < text.length; i += 3) {
+            const digits = text.slice(i, i + 3).split('').map(char => BASE45_ALPHABET.indexOf(char));
+            if (digits.includes(-1)) {
+                throw new Error('Invalid base45 character');
+            }
+            
+            const value = digits.reduce((sum, digit, position) => sum + digit * 45 ** position, 0);
+            if (digits.length === 3) {
+                if (value > 0xffff) throw new Error('Invalid base45 value');
+                bytes.push(value >> 8, value & 0xff);
+            } else {
+                if (value > 0xff) throw new Error('Invalid base45 value');
+                bytes.push(value);
+            }
+        }
+        return new Uint8Array(bytes);
+    };
+    
+    /**
+     * Run bytes through a compression or decompression stream
+     * @param {Uint8Array} bytes - Input bytes
+     * @param {TransformStream} stream - CompressionStream or DecompressionStream
+     * @returns {Promise<Uint8Array>} - Output bytes
+     */
+    const transformBytes = async (bytes, stream) => {
+        const output = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(output);
+    };
+    
+    /**
+     * Shorten an ICE candidate to the fields needed to connect
+     * Drops the 'candidate:' prefix and extensions such as generation,
+     * ufrag and network-id.
+     * @param {string} candidate - Candidate line
+     * @returns {string} - Compact candidate
+     */
+    const compactCandidate = (candidate) => {
+        const tokens = candidate.replace(/^(a=)?candidate:/, '').split(' ');
+        const compact = tokens.slice(0, 8);
+        
+        for (let i = 8; i + 1 < tokens.length; i += 2) {
+            if (CANDIDATE_ATTRIBUTES.includes(tokens[i])) {
+                compact.push(tokens[i], tokens[i + 1]);
+            }
+        }
+        return compact.join(' ');
+    };
+    
+    /**
+     * Strip a session description down to the fields that matter
+     * Only data channel sessions (a single application m-line) are supported.
+     * @param {Object} description - Description with type, sdp and optional candidates
+     * @returns {Object} - Compact description
+     * @throws {Error} - If the session cannot be compacted
+     */
+    const compactDescription = (description) => {
+        const lines = description.sdp.split(/\r?\n/).filter(Boolean);
+        const value = (prefix) => {
+            const line = lines.find(l => l.startsWith(prefix));
+            return line ? line.slice(prefix.length) : null;
+        };
+        
+        const media = lines.filter(line => line.startsWith('m='));
+        if (media.length !== 1 || !media[0].startsWith('m=application ')) {
+            throw new Error('Only data channel sessions can be compacted');
+        }
+        
+        const ufrag = value('a=ice-ufrag:');
+        const pwd = value('a=ice-pwd:');
+        const fingerprint = value('a=fingerprint:');
+        if (!ufrag || !pwd || !fingerprint) {
+            throw new Error('Session description is missing ICE or DTLS parameters');
+        }
+        
+        // Candidates may be carried separately or still be in the SDP
+        const candidates = description.candidates
+            ? description.candidates.map(candidate => candidate.candidate)
+            : lines.filter(line => line.startsWith('a=candidate:'));
+        
+        const [hash, digest] = fingerprint.split(' ');
+        const compact = {
+            t: description.type === 'offer' ? 'o' : 'a',
+            u: ufrag,
+            p: pwd,
+            h: hash,
+            f: Crypto.toBase64Url(new Uint8Array(digest.split(':').map(byte => parseInt(byte, 16)))),
+            s: value('a=setup:'),
+            m: value('a=mid:') || '0',
+            c: candidates.map(compactCandidate)
+        };
+        
+        const sctpPort = value('a=sctp-port:');
+        if (sctpPort && sctpPort !== DEFAULT_SCTP_PORT) compact.sp = sctpPort;
+        
+        const maxMessageSize = value('a=max-message-size:');
+        if (maxMessageSize) compact.mm = maxMessageSize;
+        
+        return compact;
+    };
+    
+    /**
+     * Rebuild a valid session description from its compact form
+     * @param {Object} compact - Compact description
+     * @returns {Object} - Description with type, sdp and candidates
+     */
+    const expandDescription = (compact) => {
+        const fingerprint = Array.from(Crypto.fromBase64Url(compact.f))
+            .map(byte => byte.toString(16).toUpperCase().padStart(2, '0'))
+            .join(':');
+        
+        const lines = [
+            'v=0',
+            'o=- 0 2 IN IP4 127.0.0.1',
+            's=-',
+            't=0 0',
+            `a=group:BUNDLE ${compact.m}`,
+            'a=msid-semantic: WMS',
+            'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+            'c=IN IP4 0.0.0.0',
+            `a=ice-ufrag:${compact.u}`,
+            `a=ice-pwd:${compact.p}`,
+            'a=ice-options:trickle',
+            `a=fingerprint:${compact.h} ${fingerprint}`,
+            `a=setup:${compact.s || (compact.t === 'o' ? 'actpass' : 'active')}`,
+            `a=mid:${compact.m}`,
+            `a=sctp-port:${compact.sp || DEFAULT_SCTP_PORT}`
+        ];
+        
+        if (compact.mm) {
+            lines.push(`a=max-message-size:${compact.mm}`);
+        }
+        
+        return {
+            type: compact.t === 'o' ? 'offer' : 'answer',
+            sdp: lines.join('\r\n') + '\r\n',
+            candidates: (compact.c || []).map(candidate => ({
+                candidate: `candidate:${candidate}`,
+                sdpMid: compact.m,
+                sdpMLineIndex: 0
+            }))
+        };
+    };
+    
+    /**
+     * Check whether QR code text uses the compact format
+     * @param {string} text - Scanned QR code text
+     * @returns {boolean} - True for compact codes of any version
+     */
+    const isEncoded = (text) => {
+        return typeof text === 'string' && FORMAT_PATTERN.test(text);
+    };
+    
+    /**
+     * Compact and deflate a QR payload
+     * @param {Object} payload - QR payload, optionally with a webrtc description
+     * @returns {Promise<Uint8Array>} - Deflated JSON
+     */
+    const deflatePayload = (payload) => {
+        const compact = payload.webrtc
+            ? { ...payload, webrtc: compactDescription(payload.webrtc) }
+            : payload;
+        
+        return transformBytes(encoder.encode(JSON.stringify(compact)), new CompressionStream('deflate-raw'));
+    };
+    
+    /**
+     * Inflate a QR payload and rebuild its webrtc description
+     * @param {Uint8Array} bytes - Deflated JSON
+     * @returns {Promise<Object>} - QR payload
+     * @throws {Error} - If the bytes do not hold a payload
+     */
+    const inflatePayload = async (bytes) => {
+        let payload;
+        try {
+            const inflated = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+            payload = JSON.parse(decoder.decode(inflated));
+        } catch (e) {
+            throw new Error('Invalid QR code format');
+        }
+        
+        return payload.webrtc
+            ? { ...payload, webrtc: expandDescription(payload.webrtc) }
+            : payload;
+    };
+    
+    /**
+     * Check a format version read from a code
+     * @param {number} version - Format version
+     * @throws {Error} - If this client cannot read the version
+     */
+    const checkVersion = (version) => {
+        if (version !== FORMAT_VERSION) {
+            throw new Error(`QR code uses a newer format (version ${version}). Please update CurrentCircle.`);
+        }
+    };
+    
+    /**
+     * Encode a QR payload into compact text
+     * The WebRTC description is compacted, then the JSON is deflated and
+     * written as base45 behind the versioned header.
+     * @param {Object} payload - QR payload, optionally with a webrtc description
+     * @returns {Promise<string>} - QR code text
+     */
+    const encode = async (payload) => {
+        const deflated = await deflatePayload(payload);
+        return `${FORMAT_PREFIX}${FORMAT_VERSION}:${toBase45(deflated)}`;
+    };
+    
+    /**
+     * Decode QR code text into its payload
+     * Plain JSON from older clients is accepted as it is.
+     * @param {string} text - Scanned QR code text
+     * @returns {Promise<Object>} - QR payload
+     * @throws {Error} - If the text is not a CurrentCircle code or uses a newer format
+     */
+    const decode = async (text) => {
+        const match = typeof text === 'string' ? text.match(FORMAT_PATTERN) : null;
+        if (!match) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw new Error('Invalid QR code format');
+            }
+        }
+        
+        checkVersion(parseInt(match[1], 10));
+        
+        let bytes;
+        try {
+            bytes = fromBase45(text.slice(match[0].length));
+        } catch (e) {
+            throw new Error('Invalid QR code format');
+        }
+        
+        return inflatePayload(bytes);
+    };
+    
+    /**
+     * Pack a QR payload into bytes for transfers that span several codes
+     * @param {Object} payload - QR payload
+     * @returns {Promise<Uint8Array>} - Format version byte followed by the deflated payload
+     */
+    const pack = async (payload) => {
+        const deflated = await deflatePayload(payload);
+        const packed = new Uint8Array(deflated.length + 1);
+        packed[0] = FORMAT_VERSION;
+        packed.set(deflated, 1);
+        return packed;
+    };
+    
+    /**
+     * Unpack bytes made by pack
+     * @param {Uint8Array} bytes - Packed payload
+     * @returns {Promise<Object>} - QR payload
+     * @throws {Error} - If the bytes are invalid or use a newer format
+     */
+    const unpack = async (bytes) => {
+        checkVersion(bytes[0]);
+        return inflatePayload(bytes.slice(1));
+    };
+    
+    // Public API
+    return {
+        encode,
+        decode,
+        isEncoded,
+        pack,
+        unpack,
+        toBase45,
+        fromBase45,
+        compactDescription,
+        expandDescription
+    };
+})();
@@ -0,0 +1,323 @@
+/**
+ * Ratchet Module for CurrentCircle
+ * Double Ratchet sessions giving every message to a connection its own key
+ */
+
+const Ratchet = (() => {
+    // Envelope and key derivation parameters
+    const ENVELOPE_PREFIX = 'cc3';
+    const CURVE = 'P-256';
+    const ROOT_INFO = 'CurrentCircle ratchet';
+    const SESSION_INFO = 'CurrentCircle session';
+    const MAX_SKIP = 100;
+    const MAX_STORED_SKIPPED = 500;
+    
+    const subtle = window.crypto.subtle;
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    
+    /**
+     * Generate an ECDH key pair in storable form
+     * @returns {Promise<Object>} - Contains publicKey (base64url raw) and privateKey (JWK)
+     */
+    const generateDH = async () => {
+        const keyPair = await subtle.generateKey({ name: 'ECDH', namedCurve: CURVE }, true, ['deriveBits']);
+        const publicKey = await subtle.exportKey('raw', keyPair.publicKey);
+        const { kty, crv, x, y, d } = await subtle.exportKey('jwk', keyPair.privateKey);
+        
+        return {
+            publicKey: Crypto.toBase64Url(publicKey),
+            privateKey: { kty, crv, x, y, d }
+        };
+    };
+    
+    /**
+     * Compute an ECDH shared secret
+     * @param {Object} privateKey - Local private key (JWK)
+     * @param {string} publicKey - Remote public key (base64url raw)
+     * @returns {Promise<Uint8Array>} - 32-byte shared secret
+     */
+    const dh = async (privateKey, publicKey) => {
+        const { kty, crv, x, y, d } = privateKey;
+        const local = await subtle.importKey('jwk', { kty, crv, x, y, d }, { name: 'ECDH', namedCurve: CURVE }, false, ['deriveBits']);
+        const remote = await subtle.importKey('raw', Crypto.fromBase64Url(publicKey), { name: 'ECDH', namedCurve: CURVE }, false, []);
+        return new Uint8Array(await subtle.deriveBits({ name: 'ECDH', public: remote }, local, 256));
+    };
+    
+    /**
+     * HKDF-SHA256
+     * @param {Uint8Array} ikm - Input key material
+     * @param {Uint8Array} salt - Salt
+     * @param {string} info - Context string
+     * @param {number} length - Output length in bytes
+     * @returns {Promise<Uint8Array>} - Derived bytes
+     */
+    const hkdf = async (ikm, salt, info, length) => {
+        const key = await subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+        const bits = await subtle.deriveBits(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(info) },
+            key,
+            length * 8
+        );
+        return new Uint8Array(bits);
+    };
+    
+    /**
+     * HMAC-SHA256
+     * @param {Uint8Array} keyBytes - HMAC key
+     * @param {Uint8Array} data - Data to authenticate
+     * @returns {Promise<Uint8Array>} - MAC
+     */
+    const hmac = async (keyBytes, data) => {
+        const key = await subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        return new Uint8Array(await subtle.sign('HMAC', key, data));
+    };
+    
+    /**
+     * Root chain step: mix a DH output into the root key
+     * @param {string} rootKey - Current root key (base64url)
+     * @param {Uint8Array} dhOutput - DH shared secret
+     * @returns {Promise<Object>} - New rootKey and chainKey (base64url)
+     */
+    const kdfRoot = async (rootKey, dhOutput) => {
+        const output = await hkdf(dhOutput, Crypto.fromBase64Url(rootKey), ROOT_INFO, 64);
+        return {
+            rootKey: Crypto.toBase64Url(output.slice(0, 32)),
+            chainKey: Crypto.toBase64Url(output.slice(32))
+        };
+    };
+    
+    /**
+     * Symmetric chain step: derive a message key and advance the chain
+     * @param {string} chainKey - Current chain key (base64url)
+     * @returns {Promise<Object>} - Next chainKey and messageKey (base64url)
+     */
+    const kdfChain = async (chainKey) => {
+        const key = Crypto.fromBase64Url(chainKey);
+        return {
+            messageKey: Crypto.toBase64Url(await hmac(key, new Uint8Array([0x01]))),
+            chainKey: Crypto.toBase64Url(await hmac(key, new Uint8Array([0x02])))
+        };
+    };
+    
+    /**
+     * Copy a session so a failed decryption leaves the stored state untouched
+     * @param {Object} session - Session state
+     * @returns {Object} - Deep copy
+     */
+    const cloneSession = (session) => {
+        return JSON.parse(JSON.stringify(session));
+    };
+    
+    /**
+     * Perform a DH ratchet step on receiving a new ratchet key
+     * @param {Object} session - Session state (mutated)
+     * @param {string} remoteKey - Peer's new ratchet public key
+     */
+    const dhRatchet = async (session, remoteKey) => {
+        session.previousCount = session.sendCount;
+        session.sendCount = 0;
+        session.receiveCount = 0;
+        session.remoteKey = remoteKey;
+        
+        const receiving = await kdfRoot(session.rootKey, await dh(session.localKey.privateKey, remoteKey));
+        session.rootKey = receiving.rootKey;
+        session.receiveChainKey = receiving.chainKey;
+        
+        session.localKey = await generateDH();
+        
+        const sending = await kdfRoot(session.rootKey, await dh(session.localKey.privateKey, remoteKey));
+        session.rootKey = sending.rootKey;
+        session.sendChainKey = sending.chainKey;
+    };
+    
+    /**
+     * Store message keys for messages skipped in the receiving chain
+     * @param {Object} session - Session state (mutated)
+     * @param {number} until - Message number to skip up to
+     */
+    const skipMessageKeys = async (session, until) => {
+        if (!session.receiveChainKey) return;
+        
+        if (until - session.receiveCount > MAX_SKIP) {
+            throw new Error('Too many skipped messages');
+        }
+        
+        while (session.receiveCount < until) {
+            const step = await kdfChain(session.receiveChainKey);
+            session.receiveChainKey = step.chainKey;
+            session.skippedKeys[`${session.remoteKey}:${session.receiveCount}`] = step.messageKey;
+            session.receiveCount += 1;
+        }
+        
+        // Keep the skipped-key store bounded, dropping the oldest entries
+        const skippedIds = Object.keys(session.skippedKeys);
+        skippedIds.slice(0, Math.max(0, skippedIds.length - MAX_STORED_SKIPPED)).forEach(id => {
+            delete session.skippedKeys[id];
+        });
+    };
+    
+    /**
+     * Generate the ephemeral key sent in the Connect handshake
+     * @returns {Promise<Object>} - Contains publicKey and privateKey
+     */
+    const generateHandshakeKey = () => {
+        return generateDH();
+    };
+    
+    /**
+     * Create a session from the keys exchanged in the Connect handshake
+     * The initiator's handshake key becomes its first ratchet key. The responder
+     * applies one DH ratchet step straight away, so both sides can send before
+     * hearing from the other (messages are carried until the next meeting).
+     * @param {Object} options - Session options
+     * @param {boolean} options.initiator - Whether we take the initiator role
+     * @param {Object} options.handshakeKey - Our handshake key pair
+     * @param {string} options.remoteHandshakeKey - Peer's handshake public key
+     * @param {Object} options.identityPrivateKey - Our identity private key (JWK)
+     * @param {string} options.remoteIdentityKey - Peer's identity public key
+     * @returns {Promise<Object>} - New session state
+     */
+    const createSession = async (options) => {
+        const { initiator, handshakeKey, remoteHandshakeKey, identityPrivateKey, remoteIdentityKey } = options;
+        
+        // Initiator's handshake key always comes first so both sides agree
+        const orderedKeys = initiator
+            ? [handshakeKey.publicKey, remoteHandshakeKey]
+            : [remoteHandshakeKey, handshakeKey.publicKey];
+        
+        // Shared secret binds both handshake keys and both identity keys
+        const handshakeSecret = await dh(handshakeKey.privateKey, remoteHandshakeKey);
+        const identitySecret = await dh(identityPrivateKey, remoteIdentityKey);
+        const sharedSecret = await hkdf(
+            new Uint8Array([...handshakeSecret, ...identitySecret]),
+            new Uint8Array(32),
+            SESSION_INFO,
+            32
+        );
+        
+        const transcript = encoder.encode(orderedKeys.join('.'));
+        const sessionHash = new Uint8Array(await subtle.digest('SHA-256', transcript));
+        
+        const session = {
+            sessionId: Crypto.toBase64Url(sessionHash.slice(0, 16)),
+            localKey: handshakeKey,
+            remoteKey: null,
+            rootKey: Crypto.toBase64Url(sharedSecret),
+            sendChainKey: null,
+            receiveChainKey: null,
+            sendCount: 0,
+            receiveCount: 0,
+            previousCount: 0,
+            skippedKeys: {},
+            created: new Date().toISOString()
+        };
+        
+        if (initiator) {
+            session.remoteKey = remoteHandshakeKey;
+            const sending = await kdfRoot(session.rootKey, handshakeSecret);
+            session.rootKey = sending.rootKey;
+            session.sendChainKey = sending.chainKey;
+        } else {
+            await dhRatchet(session, remoteHandshakeKey);
+        }
+        
+        return session;
+    };
+    
+    /**
+     * Check whether a ciphertext is a ratchet envelope
+     * @param {string} envelope - Encrypted message
+     * @returns {boolean} - True if the message was encrypted with a ratchet session
+     */
+    const isRatchetEnvelope = (envelope) => {
+        return typeof envelope === 'string' && envelope.startsWith(ENVELOPE_PREFIX + '.');
+    };
+    
+    /**
+     * Encrypt a message with the next sending key
+     * @param {Object} session - Session state
+     * @param {string} plaintext - Message to encrypt
+     * @returns {Promise<Object>} - Contains envelope and the advanced session
+     */
+    const encrypt = async (session, plaintext) => {
+        const next = cloneSession(session);
+        const step = await kdfChain(next.sendChainKey);
+        next.sendChainKey = step.chainKey;
+        
+        const header = {
+            sid: next.sessionId,
+            dh: next.localKey.publicKey,
+            pn: next.previousCount,
+            n: next.sendCount
+        };
+        next.sendCount += 1;
+        
+        const headerBytes = encoder.encode(JSON.stringify(header));
+        const key = await subtle.importKey('raw', Crypto.fromBase64Url(step.messageKey), 'AES-GCM', false, ['encrypt']);
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: headerBytes }, key, encoder.encode(plaintext));
+        
+        return {
+            envelope: [ENVELOPE_PREFIX, Crypto.toBase64Url(headerBytes), Crypto.toBase64Url(iv), Crypto.toBase64Url(ciphertext)].join('.'),
+            session: next
+        };
+    };
+    
+    /**
+     * Decrypt a ratchet envelope
+     * The stored session is only replaced by the returned one on success.
+     * @param {Object} session - Session state
+     * @param {string} envelope - Ratchet envelope
+     * @returns {Promise<Object>} - Contains plaintext and the advanced session
+     */
+    const decrypt = async (session, envelope) => {
+        const parts = envelope.split('.');
+        const headerBytes = Crypto.fromBase64Url(parts[1]);
+        const header = JSON.parse(decoder.decode(headerBytes));
+        
+        if (header.sid !== session.sessionId) {
+            throw new Error('Message belongs to a different session');
+        }
+        
+        const next = cloneSession(session);
+        const skippedId = `${header.dh}:${header.n}`;
+        let messageKey = next.skippedKeys[skippedId];
+        
+        if (messageKey) {
+            delete next.skippedKeys[skippedId];
+        } else {
+            if (header.dh !== next.remoteKey) {
+                await skipMessageKeys(next, header.pn);
+                await dhRatchet(next, header.dh);
+            }
+            
+            await skipMessageKeys(next, header.n);
+            const step = await kdfChain(next.receiveChainKey);
+            next.receiveChainKey = step.chainKey;
+            next.receiveCount += 1;
+            messageKey = step.messageKey;
+        }
+        
+        const key = await subtle.importKey('raw', Crypto.fromBase64Url(messageKey), 'AES-GCM', false, ['decrypt']);
+        const plaintext = await subtle.decrypt(
+            { name: 'AES-GCM', iv: Crypto.fromBase64Url(parts[2]), additionalData: headerBytes },
+            key,
+            Crypto.fromBase64Url(parts[3])
+        );
+        
+        return {
+            plaintext: decoder.decode(plaintext),
+            session: next
+        };
+    };
+    
+    // Public API
+    return {
+        generateHandshakeKey,
+        createSession,
+        isRatchetEnvelope,
+        encrypt,
+        decrypt
+    };
+})();
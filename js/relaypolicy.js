@@ -0,0 +1,191 @@
+/**
+ * Relay Policy Module for CurrentCircle
+ * Decides which relays carried for other people this device keeps
+ *
+ * Relays we started ourselves are always kept. Relays carried for others are
+ * subject to:
+ *   - expiry: dropped once past their expiry or older than MAX_AGE
+ *   - a per-originator cap, so one peer cannot fill the store; carried
+ *     relays do not say who wrote them, so the originator is the connection
+ *     that handed them to us
+ *   - a total cap on the bytes carried
+ * When a cap is reached, relays addressed to first-degree connections win
+ * over the rest, and newer relays win over older ones. Eviction therefore
+ * runs: expired relays, then the oldest relays for strangers, then the
+ * oldest relays for connections.
+ */
+
+const RelayPolicy = (() => {
+    const MAX_TOTAL_BYTES = 5 * 1024 * 1024;
+    const MAX_ORIGINATOR_BYTES = 512 * 1024;
+    const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+    
+    const EVICTION_REASONS = {
+        EXPIRED: 'expired',
+        ORIGINATOR_QUOTA: 'originator_quota',
+        STORAGE_QUOTA: 'storage_quota'
+    };
+    
+    /**
+     * Measure the storage a relay takes up
+     * @param {Object} relay - Relay
+     * @returns {number} - Size in bytes, as JSON
+     */
+    const measure = (relay) => {
+        return new TextEncoder().encode(JSON.stringify(relay)).length;
+    };
+    
+    /**
+     * Check whether a relay is past its expiry or too old to keep
+     * @param {Object} relay - Relay
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} - True if it should be dropped
+     */
+    const isStale = (relay, now) => {
+        const written = new Date(relay.timestamp).getTime();
+        return Routing.isExpired(relay, now) || (written > 0 && now - written > MAX_AGE);
+    };
+    
+    /**
+     * Check whether we started a relay
+     * @param {Object} relay - Relay
+     * @returns {boolean} - True if it carries our own message or key rotation
+     */
+    const isOwn = (relay) => {
+        return Boolean(relay.own);
+    };
+    
+    /**
+     * Check whether a relay is addressed to one of our first-degree connections
+     * Worked out from its routing tag when we took it.
+     * @param {Object} relay - Relay
+     * @returns {boolean} - True if its target is a connection
+     */
+    const isFirstDegree = (relay) => {
+        return Boolean(relay.firstDegree);
+    };
+    
+    /**
+     * Get who a carried relay counts against for the per-originator cap
+     * @param {Object} relay - Carried relay
+     * @returns {string} - DID of the connection that handed it to us
+     */
+    const getOriginator = (relay) => {
+        return relay.receivedFrom || 'unknown';
+    };
+    
+    /**
+     * Sort carried relays from most to least worth keeping
+     * @param {Array} relays - Carried relays
+     * @returns {Array} - Sorted copy
+     */
+    const sortByPriority = (relays) => {
+        return [...relays].sort((a, b) => {
+            const priority = Number(isFirstDegree(b)) - Number(isFirstDegree(a));
+            return priority || new Date(b.timestamp) - new Date(a.timestamp);
+        });
+    };
+    
+    /**
+     * Apply the policy to every relay held
+     * @param {Array} relays - Relays held, including any just received
+     * @param {Object} [context] - Options
+     * @param {number} [context.now] - Current time in milliseconds
+     * @returns {Object} - Contains keep (relays) and evict ({ relay, reason } entries)
+     */
+    const enforce = (relays, context = {}) => {
+        const now = context.now || Date.now();
+        const keep = [];
+        const evict = [];
+        
+        // Our own relays are never evicted, but do use up the total
+        const own = relays.filter(isOwn);
+        keep.push(...own);
+        let totalBytes = own.reduce((sum, relay) => sum + measure(relay), 0);
+        
+        const carried = relays.filter(relay => !own.includes(relay));
+        const originatorBytes = new Map();
+        
+        sortByPriority(carried).forEach(relay => {
+            if (isStale(relay, now)) {
+                evict.push({ relay, reason: EVICTION_REASONS.EXPIRED });
+                return;
+            }
+            
+            const size = measure(relay);
+            const originator = getOriginator(relay);
+            const fromOriginator = originatorBytes.get(originator) || 0;
+            if (fromOriginator + size > MAX_ORIGINATOR_BYTES) {
+                evict.push({ relay, reason: EVICTION_REASONS.ORIGINATOR_QUOTA });
+                return;
+            }
+            if (totalBytes + size > MAX_TOTAL_BYTES) {
+                evict.push({ relay, reason: EVICTION_REASONS.STORAGE_QUOTA });
+                return;
+            }
+            
+            originatorBytes.set(originator, fromOriginator + size);
+            totalBytes += size;
+            keep.push(relay);
+        });
+        
+        return { keep, evict };
+    };
+    
+    /**
+     * Summarise the storage relays take up
+     * Carried relays are only counted and measured; who they are from and
+     * for is sealed.
+     * @param {Array} relays - Relays held
+     * @returns {Object} - Contains totalBytes, limit, originatorLimit, and own and carried
+     *                     ({ count, bytes } each); firstDegree, messages and receipts
+     *                     break the carried relays down the same way
+     */
+    const getUsage = (relays) => {
+        const usage = {
+            totalBytes: 0,
+            limit: MAX_TOTAL_BYTES,
+            originatorLimit: MAX_ORIGINATOR_BYTES,
+            own: { count: 0, bytes: 0 },
+            carried: { count: 0, bytes: 0 },
+            firstDegree: { count: 0, bytes: 0 },
+            messages: { count: 0, bytes: 0 },
+            receipts: { count: 0, bytes: 0 }
+        };
+        
+        relays.forEach(relay => {
+            const size = measure(relay);
+            usage.totalBytes += size;
+            
+            if (isOwn(relay)) {
+                usage.own.count += 1;
+                usage.own.bytes += size;
+                return;
+            }
+            
+            usage.carried.count += 1;
+            usage.carried.bytes += size;
+            if (isFirstDegree(relay)) {
+                usage.firstDegree.count += 1;
+                usage.firstDegree.bytes += size;
+            }
+            
+            const byKind = Routing.getKind(relay) === Routing.RELAY_KINDS.RECEIPT ? usage.receipts : usage.messages;
+            byKind.count += 1;
+            byKind.bytes += size;
+        });
+        
+        return usage;
+    };
+    
+    // Public API
+    return {
+        MAX_TOTAL_BYTES,
+        MAX_ORIGINATOR_BYTES,
+        MAX_AGE,
+        EVICTION_REASONS,
+        measure,
+        enforce,
+        getUsage
+    };
+})();
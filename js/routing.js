@@ -0,0 +1,477 @@
+/**
+ * Routing Module for CurrentCircle
+ * Decides which relays travel between two devices when they meet
+ *
+ * A relay is handed from device to device until it reaches its target:
+ *   - straight to the target, whenever the carrier meets them
+ *   - to a connection whose own connections include the target, while the
+ *     relay is under its hop limit and has not expired
+ *
+ * Carriers never see who a relay is from or for. The sender's identity and
+ * the message travel in an envelope sealed to the recipient's key, and the
+ * target is given only as an opaque routing tag: a random salt and a hash of
+ * the salt with the target's DID. A device can tell whether a relay is for
+ * a DID it already knows, but learns nothing about DIDs it does not, and two
+ * relays for the same target do not share a tag. The devices that carry a
+ * relay are recorded the same way (path), each with a salt of its own, so
+ * the recipient of a message can send a receipt back through them. The
+ * sender is not on the path: carriers that know the sender could pick it
+ * out. The recipient learns who sent a message from the envelope and
+ * addresses the receipt to them. Every envelope is signed by whoever wrote
+ * it, so a carrier cannot pass off a relay as coming from someone else.
+ * Receipts are signed by the recipient and sealed for the sender, so
+ * carriers can neither read nor forge them.
+ * Relays are told apart by messageId, so a copy arriving by a second route
+ * is dropped.
+ */
+
+const Routing = (() => {
+    const RELAY_KINDS = {
+        MESSAGE: 'message',
+        RECEIPT: 'receipt',
+        KEY_ROTATION: 'key_rotation'
+    };
+    
+    // How long a relay keeps travelling, and how many devices may carry it
+    // on the way to its target
+    const RELAY_TTL = 14 * 24 * 60 * 60 * 1000;
+    const MAX_HOPS = 4;
+    
+    // Routing tag layout: salt followed by the truncated hash
+    const SALT_LENGTH = 16;
+    const TAG_LENGTH = 16;
+    
+    // Domain separation for envelope signatures
+    const ENVELOPE_CONTEXT = 'currentcircle-relay-envelope-v1';
+    
+    // Fields only the device holding a relay knows; never handed on. Relays
+    // from before sealed envelopes also named their sender and target.
+    const LOCAL_FIELDS = [
+        'id', 'status', 'handedTo', 'receivedFrom', 'firstDegree', 'own',
+        'originalSenderId', 'originalSenderName', 'targetRecipientId', 'targetRecipientName'
+    ];
+    
+    /**
+     * Get the kind of a relay
+     * @param {Object} relay - Relay
+     * @returns {string} - One of RELAY_KINDS; relays from before kinds existed are messages
+     */
+    const getKind = (relay) => {
+        return relay.kind || RELAY_KINDS.MESSAGE;
+    };
+    
+    /**
+     * Check whether a relay has stopped travelling
+     * @param {Object} relay - Relay
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {boolean} - True if it is past its expiry
+     */
+    const isExpired = (relay, now = Date.now()) => {
+        return Boolean(relay.expiresAt) && new Date(relay.expiresAt).getTime() <= now;
+    };
+    
+    /**
+     * Count the devices that have carried a relay
+     * @param {Object} relay - Relay
+     * @returns {number} - Devices that carried it
+     */
+    const getHops = (relay) => {
+        return (relay.path || []).length;
+    };
+    
+    /**
+     * Check whether a relay has the routing fields of a sealed relay
+     * Relays from before sealed envelopes name their sender and target instead.
+     * @param {Object} relay - Relay
+     * @returns {boolean} - True if it is routed by tag
+     */
+    const isSealed = (relay) => {
+        return typeof relay.routingTag === 'string' && Array.isArray(relay.path);
+    };
+    
+    /**
+     * Hash a DID with a relay's salt
+     * @param {Uint8Array} salt - Relay salt
+     * @param {string} did - DID
+     * @returns {Promise<Uint8Array>} - Truncated SHA-256 of salt and DID
+     */
+    const deriveTag = async (salt, did) => {
+        const didBytes = new TextEncoder().encode(did);
+        const input = new Uint8Array(salt.length + didBytes.length);
+        input.set(salt);
+        input.set(didBytes, salt.length);
+        
+        const digest = await window.crypto.subtle.digest('SHA-256', input);
+        return new Uint8Array(digest).slice(0, TAG_LENGTH);
+    };
+    
+    /**
+     * Read the salt and target hash out of a routing tag
+     * @param {string} routingTag - Routing tag
+     * @returns {Object|null} - Contains salt and tag, or null if malformed
+     */
+    const parseRoutingTag = (routingTag) => {
+        try {
+            const bytes = Crypto.fromBase64Url(routingTag);
+            if (bytes.length !== SALT_LENGTH + TAG_LENGTH) return null;
+            return { salt: bytes.slice(0, SALT_LENGTH), tag: bytes.slice(SALT_LENGTH) };
+        } catch (error) {
+            return null;
+        }
+    };
+    
+    /**
+     * Build a routing tag from a salt and target hash
+     * @param {Uint8Array} salt - Relay salt
+     * @param {Uint8Array} tag - Hash of the salt and target DID
+     * @returns {string} - Routing tag
+     */
+    const formatRoutingTag = (salt, tag) => {
+        const bytes = new Uint8Array(SALT_LENGTH + TAG_LENGTH);
+        bytes.set(salt);
+        bytes.set(tag, SALT_LENGTH);
+        return Crypto.toBase64Url(bytes);
+    };
+    
+    /**
+     * Create a tag that stands for a DID under a fresh salt
+     * Used for a relay's target and for each device on its path.
+     * @param {string} did - DID
+     * @returns {Promise<string>} - Salt followed by the hash of the salt and DID
+     */
+    const createTag = async (did) => {
+        const salt = window.crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+        return formatRoutingTag(salt, await deriveTag(salt, did));
+    };
+    
+    /**
+     * Check whether a tag stands for any of several DIDs
+     * Path entries from before each hop had its own salt are a bare hash
+     * made with the salt of the relay's routing tag.
+     * @param {Object} relay - Sealed relay the tag belongs to
+     * @param {string} entry - Routing tag or path entry
+     * @param {Array<string>} dids - DIDs to test
+     * @returns {Promise<boolean>} - True if it stands for one of them
+     */
+    const tagMatches = async (relay, entry, dids) => {
+        let parsed = parseRoutingTag(entry);
+        if (!parsed) {
+            const routing = parseRoutingTag(relay.routingTag);
+            if (!routing || typeof entry !== 'string') return false;
+            parsed = { salt: routing.salt, tag: null };
+        }
+        
+        const expected = parsed.tag ? Crypto.toBase64Url(parsed.tag) : entry;
+        for (const did of dids) {
+            if (Crypto.toBase64Url(await deriveTag(parsed.salt, did)) === expected) {
+                return true;
+            }
+        }
+        return false;
+    };
+    
+    /**
+     * Give a path entry the salt it was made with
+     * Bare entries from before each hop had its own salt only match under
+     * the salt of the relay they came from, so they take it with them.
+     * @param {Object} relay - Sealed relay the entry belongs to
+     * @param {string} entry - Path entry
+     * @returns {string} - Entry with its own salt
+     */
+    const rebaseTag = (relay, entry) => {
+        if (parseRoutingTag(entry)) return entry;
+        return formatRoutingTag(parseRoutingTag(relay.routingTag).salt, Crypto.fromBase64Url(entry));
+    };
+    
+    /**
+     * Check whether any of several tags stands for any of several DIDs
+     * @param {Object} relay - Sealed relay the tags belong to
+     * @param {Array<string>} entries - Path or route entries
+     * @param {Array<string>} dids - DIDs to test
+     * @returns {Promise<boolean>} - True if one of the entries stands for one of the DIDs
+     */
+    const anyTagMatches = async (relay, entries, dids) => {
+        for (const entry of entries || []) {
+            if (await tagMatches(relay, entry, dids)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    
+    /**
+     * Check whether a relay is addressed to any of several DIDs
+     * @param {Object} relay - Relay
+     * @param {Array<string>} dids - DIDs to test
+     * @returns {Promise<boolean>} - True if its target is one of them
+     */
+    const isAddressedTo = async (relay, dids) => {
+        // Rotation announcements are only ever handed to their target in person
+        if (getKind(relay) === RELAY_KINDS.KEY_ROTATION) {
+            return dids.includes(relay.targetRecipientId);
+        }
+        
+        if (!isSealed(relay) || !parseRoutingTag(relay.routingTag)) return false;
+        return tagMatches(relay, relay.routingTag, dids);
+    };
+    
+    /**
+     * Create the routing fields for a new relay
+     * The path starts empty: the sender is named only inside the envelope.
+     * @param {string} targetDID - DID of the recipient
+     * @param {number} [maxHops] - Devices allowed to carry it
+     * @returns {Promise<Object>} - Contains routingTag, path, maxHops and expiresAt
+     */
+    const createRoute = async (targetDID, maxHops = MAX_HOPS) => {
+        return {
+            routingTag: await createTag(targetDID),
+            path: [],
+            maxHops,
+            expiresAt: new Date(Date.now() + RELAY_TTL).toISOString()
+        };
+    };
+    
+    /**
+     * Get the DID that wrote an envelope's payload
+     * @param {Object} payload - Envelope payload
+     * @returns {string|undefined} - The message's sender, or the receipt's signer
+     */
+    const getAuthor = (payload) => {
+        return payload.receipt ? payload.receipt.did : payload.senderId;
+    };
+    
+    /**
+     * Build the string an envelope's signature covers
+     * It names the recipient's key, so a recipient cannot pass a signed
+     * payload on to someone else as if it had been written to them.
+     * @param {Object} payload - Envelope payload
+     * @param {string} publicKey - Recipient's public key
+     * @returns {string} - Canonical payload
+     */
+    const envelopePayload = (payload, publicKey) => {
+        return JSON.stringify([
+            ENVELOPE_CONTEXT,
+            publicKey,
+            payload.messageId,
+            getAuthor(payload),
+            payload.senderName || null,
+            payload.encrypted || null,
+            payload.replyTo || null,
+            payload.timestamp || null,
+            payload.receipt || null
+        ]);
+    };
+    
+    /**
+     * Sign and seal a message's sender and content, or a receipt, for its recipient
+     * @param {Object} payload - Contains messageId, and senderId, senderName, encrypted and timestamp or receipt
+     * @param {string} publicKey - Recipient's public key
+     * @param {Object} identity - Identity of the sender, or of the receipt's signer
+     * @returns {Promise<string>} - Envelope only the recipient can open
+     */
+    const sealEnvelope = async (payload, publicKey, identity) => {
+        if (getAuthor(payload) !== identity.did) {
+            throw new Error('Envelope must be signed by the identity it names');
+        }
+        
+        const signature = await Crypto.signChallenge(envelopePayload(payload, publicKey), identity.privateKey);
+        return Crypto.encryptMessage(JSON.stringify({ ...payload, signature }), publicKey);
+    };
+    
+    /**
+     * Open the envelope of a relay addressed to us
+     * The signature must come from the key of the DID the payload names, so
+     * a relay built by anyone else is rejected.
+     * @param {Object} relay - Sealed message or receipt relay
+     * @param {Object} identity - Our identity, with publicKey and privateKey
+     * @returns {Promise<Object|null>} - Payload, or null if it cannot be opened, is not signed by its author or does not match the relay
+     */
+    const openEnvelope = async (relay, identity) => {
+        if (typeof relay.envelope !== 'string') return null;
+        
+        const plaintext = await Crypto.decryptMessage(relay.envelope, identity.privateKey);
+        if (!plaintext) return null;
+        
+        let payload;
+        try {
+            payload = JSON.parse(plaintext);
+        } catch (error) {
+            return null;
+        }
+        if (!payload || payload.messageId !== relay.messageId) return null;
+        if ((getKind(relay) === RELAY_KINDS.RECEIPT) !== Boolean(payload.receipt)) return null;
+        
+        const author = getAuthor(payload);
+        const signed = await Crypto.verifyDID(
+            author,
+            Crypto.publicKeyFromDID(author),
+            envelopePayload(payload, identity.publicKey),
+            payload.signature
+        );
+        return signed ? payload : null;
+    };
+    
+    /**
+     * Check whether a relay may be handed to a peer
+     * @param {Object} relay - Relay we hold
+     * @param {Array<string>} peerDIDs - Every DID the peer has used
+     * @param {Array<string>} reachableDIDs - DIDs of the peer's own connections
+     * @returns {Promise<boolean>} - True if the peer should get it
+     */
+    const shouldHandOver = async (relay, peerDIDs, reachableDIDs) => {
+        if (isExpired(relay)) return false;
+        
+        // Delivery is always allowed
+        if (await isAddressedTo(relay, peerDIDs)) return true;
+        
+        // Rotation announcements only go to the connection they are for, and
+        // relays from before sealed envelopes are not passed on
+        const kind = getKind(relay);
+        if (kind === RELAY_KINDS.KEY_ROTATION || !isSealed(relay)) return false;
+        
+        // Never back to the device we got it from, one that carried it or
+        // one that already has it
+        if (peerDIDs.includes(relay.receivedFrom)) return false;
+        if (peerDIDs.some(did => (relay.handedTo || []).includes(did))) return false;
+        if (getHops(relay) >= (relay.maxHops || MAX_HOPS)) return false;
+        if (await anyTagMatches(relay, relay.path, peerDIDs)) return false;
+        
+        // Receipts retrace the path; messages go to whoever knows the target
+        if (kind === RELAY_KINDS.RECEIPT) {
+            return anyTagMatches(relay, relay.route, peerDIDs);
+        }
+        return isAddressedTo(relay, reachableDIDs);
+    };
+    
+    /**
+     * Choose the relays to hand to a peer
+     * @param {Array} relays - Relays we hold
+     * @param {Array<string>} peerDIDs - Every DID the peer has used
+     * @param {Array<string>} reachableDIDs - DIDs of the peer's own connections
+     * @returns {Promise<Array>} - Relays to hand over, without the fields only we know
+     */
+    const selectForPeer = async (relays, peerDIDs, reachableDIDs) => {
+        const selected = [];
+        for (const relay of relays) {
+            if (await shouldHandOver(relay, peerDIDs, reachableDIDs)) {
+                selected.push(toWire(relay));
+            }
+        }
+        return selected;
+    };
+    
+    /**
+     * Strip the fields only the holding device knows
+     * @param {Object} relay - Relay we hold
+     * @returns {Object} - Relay as handed over
+     */
+    const toWire = (relay) => {
+        const wire = { ...relay };
+        LOCAL_FIELDS.forEach(field => delete wire[field]);
+        
+        // Rotation announcements go straight to their target; the signed
+        // rotations say who they are from
+        if (getKind(relay) === RELAY_KINDS.KEY_ROTATION) {
+            wire.targetRecipientId = relay.targetRecipientId;
+        }
+        return wire;
+    };
+    
+    /**
+     * Check a relay handed to us for carrying, and add ourselves to its path
+     * The hop limit and expiry are capped at our own, so a peer cannot make
+     * a relay travel further or longer than we would.
+     * @param {Object} relay - Relay as handed over
+     * @param {Object} context - Who we are and who handed it over
+     * @param {Array<string>} context.ownDIDs - Every DID we have used, current first
+     * @param {Array<string>} context.connectionDIDs - DIDs of our connections
+     * @param {string} context.receivedFrom - DID of the peer that handed it over
+     * @returns {Promise<Object|null>} - Relay to store, or null if it should be dropped
+     */
+    const acceptForCarrying = async (relay, context) => {
+        const kind = getKind(relay);
+        if (kind === RELAY_KINDS.KEY_ROTATION || !relay.messageId) return null;
+        if (!isSealed(relay) || !parseRoutingTag(relay.routingTag)) return null;
+        if (typeof relay.envelope !== 'string') return null;
+        
+        // A relay that has been through us before is going in circles
+        const path = relay.path.filter(tag => typeof tag === 'string');
+        if (await anyTagMatches(relay, path, context.ownDIDs)) return null;
+        
+        const latestExpiry = Date.now() + RELAY_TTL;
+        const expiresAt = relay.expiresAt
+            ? Math.min(new Date(relay.expiresAt).getTime() || 0, latestExpiry)
+            : latestExpiry;
+        const maxHops = Math.min(Number(relay.maxHops) || MAX_HOPS, MAX_HOPS);
+        
+        const carried = {
+            ...toWire(relay),
+            id: uuid.v4(),
+            kind,
+            path: [...path, await createTag(context.ownDIDs[0])],
+            maxHops,
+            expiresAt: new Date(expiresAt).toISOString(),
+            receivedFrom: context.receivedFrom,
+            firstDegree: await isAddressedTo(relay, context.connectionDIDs),
+            handedTo: [],
+            status: 'pending'
+        };
+        
+        if (isExpired(carried) || getHops(carried) > maxHops) return null;
+        return carried;
+    };
+    
+    /**
+     * Create the receipt for a message relay addressed to us
+     * It is addressed to the sender named in the envelope and goes back
+     * through the devices that carried the message, newest first. The
+     * signed receipt travels in an envelope only the sender can open.
+     * @param {Object} relay - Message relay we received
+     * @param {Object} identity - Our identity, which signed the receipt
+     * @param {Array<string>} ownDIDs - Every DID we have used, current first
+     * @param {Object} receipt - Receipt we signed for the message
+     * @param {Object} sender - Sender's did, from the envelope, and publicKey
+     * @returns {Promise<Object>} - Receipt relay
+     */
+    const createReceipt = async (relay, identity, ownDIDs, receipt, sender) => {
+        const route = [];
+        for (const entry of relay.path) {
+            if (!await tagMatches(relay, entry, ownDIDs)) {
+                route.unshift(rebaseTag(relay, entry));
+            }
+        }
+        const messageId = uuid.v4();
+        
+        return {
+            id: uuid.v4(),
+            kind: RELAY_KINDS.RECEIPT,
+            messageId,
+            envelope: await sealEnvelope({ messageId, receipt }, sender.publicKey, identity),
+            routingTag: await createTag(sender.did),
+            route,
+            path: [],
+            maxHops: Math.max(route.length, 1),
+            expiresAt: new Date(Date.now() + RELAY_TTL).toISOString(),
+            handedTo: [],
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+    };
+    
+    // Public API
+    return {
+        RELAY_KINDS,
+        MAX_HOPS,
+        getKind,
+        isExpired,
+        getHops,
+        isSealed,
+        isAddressedTo,
+        createRoute,
+        sealEnvelope,
+        openEnvelope,
+        selectForPeer,
+        acceptForCarrying,
+        createReceipt
+    };
+})();
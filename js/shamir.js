@@ -0,0 +1,116 @@
+/**
+ * Shamir Module for CurrentCircle
+ * Shamir secret sharing over GF(256), used to split the identity key between connections
+ */
+
+const Shamir = (() => {
+    // Log and exponent tables for GF(256) with the AES polynomial (x^8 + x^4 + x^3 + x + 1)
+    const EXP = new Uint8Array(510);
+    const LOG = new Uint8Array(256);
+    
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        EXP[i] = value;
+        EXP[i + 255] = value;
+        LOG[value] = i;
+        
+        // Multiply by the generator 3
+        value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+    }
+    
+    /**
+     * Multiply two field elements
+     * @param {number} a - Field element
+     * @param {number} b - Field element
+     * @returns {number} - Product
+     */
+    const multiply = (a, b) => {
+        if (a === 0 || b === 0) return 0;
+        return EXP[LOG[a] + LOG[b]];
+    };
+    
+    /**
+     * Divide two field elements
+     * @param {number} a - Dividend
+     * @param {number} b - Divisor (non-zero)
+     * @returns {number} - Quotient
+     */
+    const divide = (a, b) => {
+        if (a === 0) return 0;
+        return EXP[LOG[a] + 255 - LOG[b]];
+    };
+    
+    /**
+     * Create the share for one index of a secret-sharing polynomial
+     * The polynomial for each byte has the secret byte as its constant term
+     * and the matching byte of each coefficient as its higher terms, so the
+     * same coefficients always give the same share for an index.
+     * @param {Uint8Array} secret - Secret bytes
+     * @param {Array<Uint8Array>} coefficients - threshold - 1 arrays, each as long as the secret
+     * @param {number} index - Share index (1-255)
+     * @returns {Uint8Array} - Share bytes
+     */
+    const createShare = (secret, coefficients, index) => {
+        if (!Number.isInteger(index) || index < 1 || index > 255) {
+            throw new Error('Share index must be between 1 and 255');
+        }
+        
+        const share = new Uint8Array(secret.length);
+        for (let i = 0; i < secret.length; i++) {
+            // Horner's rule, highest coefficient first
+            let result = 0;
+            for (let k = coefficients.length - 1; k >= 0; k--) {
+                result = multiply(result, index) ^ coefficients[k][i];
+            }
+            share[i] = multiply(result, index) ^ secret[i];
+        }
+        
+        return share;
+    };
+    
+    /**
+     * Rebuild a secret from shares by Lagrange interpolation at zero
+     * Needs at least as many shares as the threshold they were created with;
+     * fewer shares give a wrong result rather than an error.
+     * @param {Array<Object>} shares - Shares as { index, bytes }
+     * @returns {Uint8Array} - Secret bytes
+     */
+    const combine = (shares) => {
+        if (shares.length === 0) {
+            throw new Error('No shares to combine');
+        }
+        
+        const indexes = shares.map(share => share.index);
+        if (new Set(indexes).size !== indexes.length) {
+            throw new Error('Shares must have distinct indexes');
+        }
+        
+        const length = shares[0].bytes.length;
+        if (shares.some(share => share.bytes.length !== length)) {
+            throw new Error('Shares have different lengths');
+        }
+        
+        const secret = new Uint8Array(length);
+        shares.forEach((share, j) => {
+            // Lagrange basis polynomial for this share, evaluated at zero
+            let basis = 1;
+            shares.forEach((other, m) => {
+                if (m !== j) {
+                    basis = multiply(basis, divide(other.index, other.index ^ share.index));
+                }
+            });
+            
+            for (let i = 0; i < length; i++) {
+                secret[i] ^= multiply(share.bytes[i], basis);
+            }
+        });
+        
+        return secret;
+    };
+    
+    // Public API
+    return {
+        createShare,
+        combine
+    };
+})();
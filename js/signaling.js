@@ -0,0 +1,490 @@
+/**
+ * Signaling Module for CurrentCircle
+ * Transports that carry the connection handshake (offer and answer) between devices
+ *
+ * Every transport has the same shape, so Connect runs one handshake over any of them:
+ *   kind            - 'qr', 'text' or 'websocket'
+ *   session         - Id shared by both ends of one handshake
+ *   answerChannels  - Extra ways this end can receive an answer, advertised in the offer
+ *   open()          - Get ready to carry messages
+ *   send(message)   - Deliver a handshake message to the other device
+ *   receive(text)   - Hand in text captured outside the transport (pasted or scanned)
+ *   prepareReply(m) - Call straight from the user gesture that leads to replying to m
+ *   onMessage(fn)   - fn(message) for each message that arrives
+ *   on(event, fn)   - Lifecycle events: open, peer, status, close, error
+ *   close()         - Stop and release any devices or sockets
+ */
+
+const Signaling = (() => {
+    // Session ids are short enough to read out or type in
+    const SESSION_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const SESSION_LENGTH = 6;
+    
+    const EVENTS = ['message', 'open', 'peer', 'status', 'close', 'error'];
+    
+    // QR transport: payloads whose code would be longer than this are shown
+    // as a cycle of fountain-coded frames
+    const SINGLE_QR_LIMIT = 900;
+    const FRAME_INTERVAL = 200;
+    const CODE_SIZE = 250;
+    
+    // Codec and fountain frame text only uses the QR alphanumeric set, which
+    // packs 11 bits into two characters instead of 8 bits into one
+    const ALPHANUMERIC_PATTERN = /^[0-9A-Z $%*+\-./:]*$/;
+    
+    // QR transport answer back-channel: the answerer also plays its answer as
+    // a chirp, so the offerer's microphone can pick it up without a second scan
+    const ANSWER_CHANNEL_AUDIO = 'audio';
+    
+    // WebSocket transport
+    const DEFAULT_SERVER_URL = 'ws://localhost:8765';
+    const OPEN_TIMEOUT = 10000;
+    
+    /**
+     * Create a random session id
+     * @returns {string} - Session id from an alphabet without look-alike characters
+     */
+    const createSessionId = () => {
+        const bytes = window.crypto.getRandomValues(new Uint8Array(SESSION_LENGTH));
+        return Array.from(bytes, byte => SESSION_ALPHABET[byte % SESSION_ALPHABET.length]).join('');
+    };
+    
+    /**
+     * Tidy a session id typed in by hand
+     * @param {string} session - Session id as entered
+     * @returns {string} - Upper-case session id without spaces
+     */
+    const normalizeSessionId = (session) => {
+        return String(session || '').replace(/\s+/g, '').toUpperCase();
+    };
+    
+    /**
+     * Create the parts every transport shares
+     * Transports override open, send, receive, prepareReply and close as needed.
+     * @param {string} kind - Transport name
+     * @param {string} [session] - Session id; a new one is made if omitted
+     * @returns {Object} - Contains the transport and emit(event, data)
+     */
+    const createBaseTransport = (kind, session) => {
+        const handlers = {};
+        EVENTS.forEach(event => {
+            handlers[event] = [];
+        });
+        
+        /**
+         * Call the handlers for an event
+         * @param {string} event - Event name
+         * @param {*} [data] - Event data
+         */
+        const emit = (event, data) => {
+            handlers[event].forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Signaling ${event} handler failed:`, error);
+                }
+            });
+        };
+        
+        const transport = {
+            kind,
+            session: session || createSessionId(),
+            answerChannels: [],
+            
+            open: async () => {
+                emit('open');
+            },
+            
+            send: async () => {},
+            
+            receive: async (text) => {
+                emit('message', await QRCodec.decode(text.trim()));
+            },
+            
+            prepareReply: () => {},
+            
+            close: () => {
+                emit('close');
+            },
+            
+            on: (event, handler) => {
+                if (!handlers[event]) {
+                    throw new Error(`Unknown signaling event: ${event}`);
+                }
+                handlers[event].push(handler);
+            },
+            
+            onMessage: (handler) => {
+                transport.on('message', handler);
+            }
+        };
+        
+        return { transport, emit };
+    };
+    
+    /**
+     * Create a transport that shows messages as QR codes
+     * Replies come back through the camera scanner, or as a chirp when both
+     * devices can use audio.
+     * @param {Object} options - Options
+     * @param {HTMLElement} options.element - Element to draw codes into
+     * @param {string} [options.session] - Session id
+     * @returns {Object} - Signaling transport
+     */
+    const createQRTransport = (options) => {
+        const { transport, emit } = createBaseTransport('qr', options.session);
+        const element = options.element;
+        
+        let frameTimer = null;
+        let listener = null;
+        let transmitter = null;
+        let closed = false;
+        
+        transport.answerChannels = Chirp.isSupported() ? [ANSWER_CHANNEL_AUDIO] : [];
+        
+        /**
+         * Get the canvas codes are drawn on, creating it inside the element if needed
+         * @returns {HTMLCanvasElement} - Canvas
+         */
+        const getCanvas = () => {
+            if (element.tagName === 'CANVAS') return element;
+            
+            let canvas = element.querySelector('canvas');
+            if (!canvas) {
+                canvas = document.createElement('canvas');
+                element.appendChild(canvas);
+            }
+            return canvas;
+        };
+        
+        /**
+         * Draw one code
+         * QRious only writes byte mode, so codes are built with qrcode-generator,
+         * which can use alphanumeric mode for codec text.
+         * @param {string} value - QR code text
+         */
+        const drawCode = (value) => {
+            // Medium error correction keeps the code sparse enough to scan
+            const qr = qrcode(0, 'M');
+            qr.addData(value, ALPHANUMERIC_PATTERN.test(value) ? 'Alphanumeric' : 'Byte');
+            qr.make();
+            
+            const modules = qr.getModuleCount();
+            const cellSize = Math.max(1, Math.floor(CODE_SIZE / modules));
+            const canvas = getCanvas();
+            canvas.width = cellSize * modules;
+            canvas.height = cellSize * modules;
+            qr.renderTo2dContext(canvas.getContext('2d'), cellSize);
+        };
+        
+        /**
+         * Stop cycling animated QR frames
+         */
+        const stopAnimation = () => {
+            if (frameTimer) {
+                clearInterval(frameTimer);
+                frameTimer = null;
+            }
+        };
+        
+        /**
+         * Show a message as a single code, or as animated frames if it is too large
+         * @param {Object} message - Handshake message
+         */
+        const showMessage = async (message) => {
+            const qrCodeValue = await QRCodec.encode(message);
+            if (qrCodeValue.length <= SINGLE_QR_LIMIT) {
+                stopAnimation();
+                drawCode(qrCodeValue);
+                return;
+            }
+            
+            const encoder = await Fountain.createEncoder(await QRCodec.pack(message));
+            stopAnimation();
+            drawCode(encoder.nextFrame());
+            frameTimer = setInterval(() => drawCode(encoder.nextFrame()), FRAME_INTERVAL);
+        };
+        
+        /**
+         * Stop listening for a chirped reply
+         */
+        const stopListening = () => {
+            if (listener) {
+                listener();
+                listener = null;
+            }
+        };
+        
+        /**
+         * Listen for a reply played back as a chirp
+         * If the microphone is unavailable the reply can still be scanned.
+         */
+        const startListening = async () => {
+            stopListening();
+            const session = transport.session;
+            
+            try {
+                const stop = await Chirp.listen(async (payload) => {
+                    try {
+                        const message = await QRCodec.unpack(payload);
+                        if (message.session === session) {
+                            emit('message', message);
+                        }
+                    } catch (error) {
+                        console.error('Chirped message could not be read:', error);
+                    }
+                });
+                
+                // The transport may have moved on while the microphone was opening
+                if (closed || listener) {
+                    stop();
+                    return;
+                }
+                
+                listener = stop;
+                emit('status', 'listening');
+            } catch (error) {
+                emit('error', error);
+            }
+        };
+        
+        /**
+         * Stop playing a chirp
+         */
+        const stopTransmitter = () => {
+            if (transmitter) {
+                transmitter.stop();
+                transmitter = null;
+            }
+        };
+        
+        /**
+         * Play a message as a chirp
+         * Only the fields needed to route and apply it are sent, to keep the sound short.
+         * @param {Object} message - Handshake message
+         */
+        const playMessage = async (message) => {
+            try {
+                const payload = await QRCodec.pack({
+                    type: message.type,
+                    session: message.session,
+                    webrtc: message.webrtc
+                });
+                
+                if (payload.length > Chirp.MAX_PAYLOAD_LENGTH) {
+                    throw new Error('Message is too long to play');
+                }
+                
+                await transmitter.play(payload);
+                emit('status', 'playing');
+            } catch (error) {
+                stopTransmitter();
+                emit('error', error);
+            }
+        };
+        
+        transport.send = async (message) => {
+            stopListening();
+            await showMessage(message);
+            
+            if ((message.answerChannels || []).includes(ANSWER_CHANNEL_AUDIO)) {
+                startListening();
+            }
+            
+            if (transmitter) {
+                await playMessage(message);
+            }
+        };
+        
+        transport.prepareReply = (message) => {
+            stopTransmitter();
+            
+            const channels = message.answerChannels || [];
+            if (!channels.includes(ANSWER_CHANNEL_AUDIO) || !Chirp.isSupported()) return;
+            
+            try {
+                transmitter = Chirp.createTransmitter();
+            } catch (error) {
+                emit('error', error);
+            }
+        };
+        
+        transport.close = () => {
+            closed = true;
+            stopAnimation();
+            stopListening();
+            stopTransmitter();
+            emit('close');
+        };
+        
+        return transport;
+    };
+    
+    /**
+     * Create a transport that shows messages as text to copy and paste
+     * Replies are handed in with receive(text).
+     * @param {Object} options - Options
+     * @param {HTMLTextAreaElement} options.output - Field the outgoing text is written to
+     * @param {string} [options.session] - Session id
+     * @returns {Object} - Signaling transport
+     */
+    const createTextTransport = (options) => {
+        const { transport, emit } = createBaseTransport('text', options.session);
+        const output = options.output;
+        
+        transport.send = async (message) => {
+            output.value = await QRCodec.encode(message);
+        };
+        
+        transport.close = () => {
+            output.value = '';
+            emit('close');
+        };
+        
+        return transport;
+    };
+    
+    /**
+     * Create a transport that relays messages through a WebSocket server
+     * Both devices join the same session on the server, which passes each
+     * message to the other one and holds it until they join.
+     * @param {Object} options - Options
+     * @param {string} [options.url] - Server address
+     * @param {string} [options.session] - Session id to join
+     * @returns {Object} - Signaling transport
+     */
+    const createWebSocketTransport = (options) => {
+        const { transport, emit } = createBaseTransport('websocket', normalizeSessionId(options.session) || null);
+        const url = options.url || DEFAULT_SERVER_URL;
+        
+        let socket = null;
+        let closing = false;
+        
+        /**
+         * Send a frame to the server
+         * @param {Object} frame - Frame with an action
+         */
+        const sendFrame = (frame) => {
+            if (!socket || socket.readyState !== WebSocket.OPEN) {
+                throw new Error('Not connected to the signaling server');
+            }
+            socket.send(JSON.stringify(frame));
+        };
+        
+        transport.open = () => new Promise((resolve, reject) => {
+            let opened = false;
+            
+            const timer = setTimeout(() => {
+                if (opened) return;
+                reject(new Error('Signaling server did not respond'));
+                transport.close();
+            }, OPEN_TIMEOUT);
+            
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                clearTimeout(timer);
+                reject(error);
+                return;
+            }
+            
+            socket.onopen = () => {
+                sendFrame({ action: 'join', session: transport.session });
+            };
+            
+            socket.onmessage = (event) => {
+                let frame;
+                try {
+                    frame = JSON.parse(event.data);
+                } catch (error) {
+                    emit('error', new Error('Invalid frame from signaling server'));
+                    return;
+                }
+                
+                if (frame.action === 'joined') {
+                    opened = true;
+                    clearTimeout(timer);
+                    resolve();
+                    emit('open');
+                    if (frame.peers > 1) emit('peer');
+                } else if (frame.action === 'peer-joined') {
+                    emit('peer');
+                } else if (frame.action === 'signal') {
+                    emit('message', frame.message);
+                } else if (frame.action === 'error') {
+                    const error = new Error(frame.reason || 'Signaling server error');
+                    if (!opened) {
+                        clearTimeout(timer);
+                        reject(error);
+                    }
+                    emit('error', error);
+                }
+            };
+            
+            socket.onerror = () => {
+                if (!opened) {
+                    clearTimeout(timer);
+                    reject(new Error('Could not reach the signaling server'));
+                }
+            };
+            
+            socket.onclose = () => {
+                clearTimeout(timer);
+                socket = null;
+                if (!opened) {
+                    reject(new Error('Could not reach the signaling server'));
+                }
+                if (!closing) {
+                    emit('close');
+                }
+            };
+        });
+        
+        transport.send = async (message) => {
+            sendFrame({ action: 'signal', message });
+        };
+        
+        transport.close = () => {
+            if (closing) return;
+            closing = true;
+            
+            if (socket) {
+                socket.close();
+                socket = null;
+            }
+            emit('close');
+        };
+        
+        return transport;
+    };
+    
+    // Transport factories by kind
+    const TRANSPORTS = {
+        qr: createQRTransport,
+        text: createTextTransport,
+        websocket: createWebSocketTransport
+    };
+    
+    /**
+     * Create a signaling transport
+     * @param {string} kind - 'qr', 'text' or 'websocket'
+     * @param {Object} options - Options for that transport
+     * @returns {Object} - Signaling transport
+     * @throws {Error} - If the kind is unknown
+     */
+    const createTransport = (kind, options = {}) => {
+        const factory = TRANSPORTS[kind];
+        if (!factory) {
+            throw new Error(`Unknown signaling transport: ${kind}`);
+        }
+        return factory(options);
+    };
+    
+    // Public API
+    return {
+        DEFAULT_SERVER_URL,
+        createSessionId,
+        normalizeSessionId,
+        createTransport
+    };
+})();
@@ -11,6 +11,7 @@ const UI = (() => {
             home: document.getElementById('home-screen'),
             connect: document.getElementById('connect-screen'),
             messages: document.getElementById('messages-screen'),
+            conversation: document.getElementById('conversation-screen'),
             profile: document.getElementById('profile-screen')
         },
         nav: {
@@ -24,7 +25,9 @@ const UI = (() => {
             lastNameInput: document.getElementById('last-name'),
             nicknameInput: document.getElementById('nickname'),
             bioInput: document.getElementById('bio'),
-            createProfileBtn: document.getElementById('create-profile-btn')
+            createProfileBtn: document.getElementById('create-profile-btn'),
+            restoreBtn: document.getElementById('setup-restore-btn'),
+            recoverBtn: document.getElementById('setup-recover-btn')
         },
         home: {
             connectionGraph: document.getElementById('connection-graph'),
@@ -42,7 +45,20 @@ const UI = (() => {
             qrcode: document.getElementById('qrcode'),
             scannerView: document.getElementById('scanner-view'),
             scanner: document.getElementById('scanner'),
-            startScanBtn: document.getElementById('start-scan-btn')
+            startScanBtn: document.getElementById('start-scan-btn'),
+            transportSelect: document.getElementById('signaling-transport'),
+            transportPanels: {
+                qr: document.getElementById('qr-signaling'),
+                text: document.getElementById('text-signaling'),
+                websocket: document.getElementById('websocket-signaling')
+            },
+            signalOutput: document.getElementById('signal-output'),
+            copySignalBtn: document.getElementById('copy-signal-btn'),
+            signalInput: document.getElementById('signal-input'),
+            useSignalBtn: document.getElementById('use-signal-btn'),
+            serverUrlInput: document.getElementById('signaling-server-url'),
+            joinSessionInput: document.getElementById('join-session-code'),
+            joinSessionBtn: document.getElementById('join-session-btn')
         },
         messages: {
             tabs: {
@@ -67,8 +83,22 @@ const UI = (() => {
             profileName: document.getElementById('profile-name'),
             profileNickname: document.getElementById('profile-nickname'),
             profileBio: document.getElementById('profile-bio'),
+            recoveryStatus: document.getElementById('recovery-status'),
+            recoveryThreshold: document.getElementById('recovery-threshold'),
             exportIdentityBtn: document.getElementById('export-identity-btn'),
             importIdentityBtn: document.getElementById('import-identity-btn'),
+            rotateKeyBtn: document.getElementById('rotate-key-btn'),
+            createBackupBtn: document.getElementById('create-backup-btn'),
+            restoreBackupBtn: document.getElementById('restore-backup-btn'),
+            appLockStatus: document.getElementById('app-lock-status'),
+            setPasscodeBtn: document.getElementById('set-passcode-btn'),
+            removePasscodeBtn: document.getElementById('remove-passcode-btn'),
+            lockNowBtn: document.getElementById('lock-now-btn'),
+            networkStatus: document.getElementById('network-status'),
+            networkSettingsBtn: document.getElementById('network-settings-btn'),
+            diagnosticsBtn: document.getElementById('connection-diagnostics-btn'),
+            relayStorageStatus: document.getElementById('relay-storage-status'),
+            relayStorageBtn: document.getElementById('relay-storage-btn'),
             editProfileBtn: document.getElementById('edit-profile-btn')
         },
         modals: {
@@ -91,6 +121,7 @@ const UI = (() => {
                 firstDate: document.getElementById('connection-first-date'),
                 lastDate: document.getElementById('connection-last-date'),
                 expiryDate: document.getElementById('connection-expiry-date'),
+                recoveryTrusted: document.getElementById('connection-recovery-trusted'),
                 messageBtn: document.getElementById('message-connection-btn'),
                 removeBtn: document.getElementById('remove-connection-btn')
             },
@@ -106,6 +137,14 @@ const UI = (() => {
             export: {
                 modal: document.getElementById('export-modal'),
                 closeBtn: document.getElementById('close-export-modal'),
+                passphraseForm: document.getElementById('export-passphrase-form'),
+                passphrase: document.getElementById('export-passphrase'),
+                passphraseConfirm: document.getElementById('export-passphrase-confirm'),
+                strengthBar: document.getElementById('passphrase-strength-bar'),
+                strengthLabel: document.getElementById('passphrase-strength-label'),
+                exportError: document.getElementById('export-error'),
+                encryptBtn: document.getElementById('encrypt-export-btn'),
+                result: document.getElementById('export-result'),
                 identityKey: document.getElementById('identity-key'),
                 copyBtn: document.getElementById('copy-key-btn'),
                 downloadBtn: document.getElementById('download-key-btn')
@@ -114,17 +153,95 @@ const UI = (() => {
                 modal: document.getElementById('import-modal'),
                 closeBtn: document.getElementById('close-import-modal'),
                 importKey: document.getElementById('import-key'),
+                passphrase: document.getElementById('import-passphrase'),
                 uploadBtn: document.getElementById('upload-key-btn'),
                 keyFileInput: document.getElementById('key-file-input'),
                 importError: document.getElementById('import-error'),
                 importBtn: document.getElementById('import-key-btn')
+            },
+            backup: {
+                modal: document.getElementById('backup-modal'),
+                closeBtn: document.getElementById('close-backup-modal'),
+                passphrase: document.getElementById('backup-passphrase'),
+                passphraseConfirm: document.getElementById('backup-passphrase-confirm'),
+                strengthBar: document.getElementById('backup-strength-bar'),
+                strengthLabel: document.getElementById('backup-strength-label'),
+                backupError: document.getElementById('backup-error'),
+                downloadBtn: document.getElementById('download-backup-btn')
+            },
+            restore: {
+                modal: document.getElementById('restore-modal'),
+                closeBtn: document.getElementById('close-restore-modal'),
+                selectFileBtn: document.getElementById('select-backup-btn'),
+                fileInput: document.getElementById('backup-file-input'),
+                fileName: document.getElementById('backup-file-name'),
+                passphrase: document.getElementById('restore-passphrase'),
+                restoreError: document.getElementById('restore-error'),
+                restoreBtn: document.getElementById('restore-backup-file-btn')
+            },
+            recovery: {
+                modal: document.getElementById('recovery-modal'),
+                closeBtn: document.getElementById('close-recovery-modal'),
+                qrcode: document.getElementById('recovery-qrcode'),
+                progress: document.getElementById('recovery-progress'),
+                scanBtn: document.getElementById('scan-recovery-share-btn')
+            },
+            recoveryHelp: {
+                modal: document.getElementById('recovery-help-modal'),
+                closeBtn: document.getElementById('close-recovery-help-modal'),
+                connectionSelect: document.getElementById('recovery-connection'),
+                showShareBtn: document.getElementById('show-recovery-share-btn'),
+                result: document.getElementById('recovery-help-result'),
+                qrcode: document.getElementById('recovery-help-qrcode')
+            },
+            passcode: {
+                modal: document.getElementById('passcode-modal'),
+                closeBtn: document.getElementById('close-passcode-modal'),
+                passcode: document.getElementById('new-passcode'),
+                passcodeConfirm: document.getElementById('new-passcode-confirm'),
+                passcodeError: document.getElementById('passcode-error'),
+                saveBtn: document.getElementById('save-passcode-btn')
+            },
+            network: {
+                modal: document.getElementById('network-modal'),
+                closeBtn: document.getElementById('close-network-modal'),
+                lanOnly: document.getElementById('lan-only-mode'),
+                serverList: document.getElementById('ice-server-list'),
+                addServerBtn: document.getElementById('add-ice-server-btn'),
+                resetServersBtn: document.getElementById('reset-ice-servers-btn'),
+                networkError: document.getElementById('network-error'),
+                saveBtn: document.getElementById('save-network-btn')
+            },
+            diagnostics: {
+                modal: document.getElementById('diagnostics-modal'),
+                closeBtn: document.getElementById('close-diagnostics-modal'),
+                content: document.getElementById('diagnostics-content'),
+                refreshBtn: document.getElementById('refresh-diagnostics-btn')
+            },
+            relayStorage: {
+                modal: document.getElementById('relay-storage-modal'),
+                closeBtn: document.getElementById('close-relay-storage-modal'),
+                content: document.getElementById('relay-storage-content'),
+                purgeBtn: document.getElementById('purge-relays-btn')
+            },
+            unlock: {
+                modal: document.getElementById('unlock-modal'),
+                passcode: document.getElementById('unlock-passcode'),
+                unlockError: document.getElementById('unlock-error'),
+                unlockBtn: document.getElementById('unlock-btn')
             }
         }
     };
 
+    // Shortest passcode accepted for the app lock
+    const MIN_PASSCODE_LENGTH = 6;
+
     // Graph visualization instance
     let connectionGraph = null;
 
+    // Contents of the backup file chosen for restore
+    let selectedBackup = null;
+
     /**
      * Initialize event listeners
      */
@@ -153,6 +270,10 @@ const UI = (() => {
 
         elements.setup.createProfileBtn.addEventListener('click', handleProfileCreation);
 
+        elements.setup.restoreBtn.addEventListener('click', showRestoreModal);
+
+        elements.setup.recoverBtn.addEventListener('click', showRecoveryModal);
+
         // Connect screen tab events
         elements.connect.tabs.showQr.addEventListener('click', () => {
             switchTab('show-qr', elements.connect.tabs, elements.connect.tabContents);
@@ -162,7 +283,30 @@ const UI = (() => {
             switchTab('scan-qr', elements.connect.tabs, elements.connect.tabContents);
         });
 
-        elements.connect.startScanBtn.addEventListener('click', startQRScanner);
+        elements.connect.startScanBtn.addEventListener('click', Connect.startScanner);
+
+        // Signaling transport events
+        elements.connect.transportSelect.addEventListener('change', () => {
+            selectTransport(elements.connect.transportSelect.value);
+            Connect.generateQRCode();
+        });
+
+        elements.connect.serverUrlInput.addEventListener('change', () => {
+            if (elements.connect.transportSelect.value === 'websocket') {
+                Connect.generateQRCode();
+            }
+        });
+
+        elements.connect.copySignalBtn.addEventListener('click', copySignalToClipboard);
+
+        elements.connect.useSignalBtn.addEventListener('click', () => {
+            Connect.receiveText(elements.connect.signalInput.value);
+            elements.connect.signalInput.value = '';
+        });
+
+        elements.connect.joinSessionBtn.addEventListener('click', () => {
+            Connect.joinSession(elements.connect.joinSessionInput.value);
+        });
 
         // Messages screen tab events
         elements.messages.tabs.inbox.addEventListener('click', () => {
@@ -182,6 +326,16 @@ const UI = (() => {
         // Profile screen events
         elements.profile.exportIdentityBtn.addEventListener('click', showExportModal);
         elements.profile.importIdentityBtn.addEventListener('click', showImportModal);
+        elements.profile.rotateKeyBtn.addEventListener('click', handleKeyRotation);
+        elements.profile.recoveryThreshold.addEventListener('change', handleRecoveryThresholdChange);
+        elements.profile.createBackupBtn.addEventListener('click', showBackupModal);
+        elements.profile.restoreBackupBtn.addEventListener('click', showRestoreModal);
+        elements.profile.setPasscodeBtn.addEventListener('click', showPasscodeModal);
+        elements.profile.removePasscodeBtn.addEventListener('click', handlePasscodeRemoval);
+        elements.profile.lockNowBtn.addEventListener('click', handleLockNow);
+        elements.profile.networkSettingsBtn.addEventListener('click', showNetworkModal);
+        elements.profile.diagnosticsBtn.addEventListener('click', showDiagnosticsModal);
+        elements.profile.relayStorageBtn.addEventListener('click', showRelayStorageModal);
         elements.profile.editProfileBtn.addEventListener('click', showEditProfileModal);
 
         // Modal events - Compose
@@ -202,20 +356,24 @@ const UI = (() => {
             // Get active connection ID from the modal
             const connectionId = elements.modals.connection.modal.getAttribute('data-connection-id');
             hideModal(elements.modals.connection.modal);
-            showComposeModal(connectionId);
+            Messages.openConversation(connectionId);
         });
 
         elements.modals.connection.removeBtn.addEventListener('click', handleConnectionRemoval);
 
+        elements.modals.connection.recoveryTrusted.addEventListener('change', handleRecoveryTrustChange);
+
         // Modal events - Confirmation
         elements.modals.confirmation.closeBtn.addEventListener('click', () => {
             hideModal(elements.modals.confirmation.modal);
         });
 
-        elements.modals.confirmation.yesBtn.addEventListener('click', handleConnectionConfirmation);
+        elements.modals.confirmation.yesBtn.addEventListener('click', () => {
+            Connect.handleConnectionConfirmation(true);
+        });
 
         elements.modals.confirmation.noBtn.addEventListener('click', () => {
-            hideModal(elements.modals.confirmation.modal);
+            Connect.handleConnectionConfirmation(false);
         });
 
         // Modal events - Export
@@ -223,6 +381,12 @@ const UI = (() => {
             hideModal(elements.modals.export.modal);
         });
 
+        elements.modals.export.passphrase.addEventListener('input', () => {
+            renderPassphraseStrength(elements.modals.export);
+        });
+
+        elements.modals.export.encryptBtn.addEventListener('click', handleIdentityExport);
+
         elements.modals.export.copyBtn.addEventListener('click', copyIdentityToClipboard);
 
         elements.modals.export.downloadBtn.addEventListener('click', downloadIdentityFile);
@@ -239,6 +403,78 @@ const UI = (() => {
         elements.modals.import.keyFileInput.addEventListener('change', handleKeyFileUpload);
 
         elements.modals.import.importBtn.addEventListener('click', handleIdentityImport);
+
+        // Modal events - Backup
+        elements.modals.backup.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.backup.modal);
+        });
+
+        elements.modals.backup.passphrase.addEventListener('input', () => {
+            renderPassphraseStrength(elements.modals.backup);
+        });
+
+        elements.modals.backup.downloadBtn.addEventListener('click', handleBackupCreation);
+
+        // Modal events - Restore
+        elements.modals.restore.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.restore.modal);
+        });
+
+        elements.modals.restore.selectFileBtn.addEventListener('click', () => {
+            elements.modals.restore.fileInput.click();
+        });
+
+        elements.modals.restore.fileInput.addEventListener('change', handleBackupFileSelection);
+
+        elements.modals.restore.restoreBtn.addEventListener('click', handleBackupRestore);
+
+        // Modal events - Social recovery
+        elements.modals.recovery.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.recovery.modal);
+        });
+
+        elements.modals.recovery.scanBtn.addEventListener('click', startRecoveryScan);
+
+        elements.modals.recoveryHelp.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.recoveryHelp.modal);
+        });
+
+        elements.modals.recoveryHelp.showShareBtn.addEventListener('click', handleRecoveryShareDisplay);
+
+        // Modal events - Passcode
+        elements.modals.passcode.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.passcode.modal);
+        });
+
+        elements.modals.passcode.saveBtn.addEventListener('click', handlePasscodeSave);
+
+        // Modal events - Network settings
+        elements.modals.network.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.network.modal);
+        });
+
+        elements.modals.network.lanOnly.addEventListener('change', () => {
+            elements.modals.network.serverList.classList.toggle('disabled', elements.modals.network.lanOnly.checked);
+        });
+        elements.modals.network.addServerBtn.addEventListener('click', () => addIceServerRow({ urls: '' }));
+        elements.modals.network.resetServersBtn.addEventListener('click', () => {
+            renderIceServers(WebRTC.getDefaultIceServers());
+        });
+        elements.modals.network.saveBtn.addEventListener('click', handleNetworkSave);
+
+        // Modal events - Diagnostics
+        elements.modals.diagnostics.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.diagnostics.modal);
+        });
+
+        elements.modals.diagnostics.refreshBtn.addEventListener('click', renderDiagnostics);
+
+        // Modal events - Relay storage
+        elements.modals.relayStorage.closeBtn.addEventListener('click', () => {
+            hideModal(elements.modals.relayStorage.modal);
+        });
+
+        elements.modals.relayStorage.purgeBtn.addEventListener('click', handleRelayPurge);
     };
 
     /**
@@ -259,7 +495,7 @@ const UI = (() => {
 
         // Perform additional actions for specific screens
         if (screenId === 'connect-screen') {
-            generateQRCode();
+            Connect.generateQRCode();
         } else if (screenId === 'home-screen') {
             // Refresh connection graph
             if (connectionGraph) {
@@ -269,6 +505,16 @@ const UI = (() => {
         }
     };
 
+    /**
+     * Highlight the bottom navigation item for a screen
+     * @param {string} screenId - ID of the screen the item opens
+     */
+    const selectNavItem = (screenId) => {
+        elements.nav.items.forEach(item => {
+            item.classList.toggle('active', item.getAttribute('data-screen') === screenId);
+        });
+    };
+
     /**
      * Switch between tabs in a tabbed interface
      * @param {string} tabId - ID of the tab to activate
@@ -290,6 +536,45 @@ const UI = (() => {
         contents[tabId].classList.add('active');
     };
 
+    /**
+     * Choose how connection offers and answers are exchanged
+     * Takes effect from the next offer.
+     * @param {string} kind - 'qr', 'text' or 'websocket'
+     */
+    const selectTransport = (kind) => {
+        elements.connect.transportSelect.value = kind;
+        
+        Object.entries(elements.connect.transportPanels).forEach(([panelKind, panel]) => {
+            panel.classList.toggle('hidden', panelKind !== kind);
+        });
+        
+        Connect.setTransport(kind);
+    };
+
+    /**
+     * Copy this device's connection code to the clipboard
+     */
+    const copySignalToClipboard = () => {
+        const output = elements.connect.signalOutput;
+        if (!output.value) {
+            alert('Your code is not ready yet.');
+            return;
+        }
+        
+        navigator.clipboard.writeText(output.value)
+            .then(() => {
+                alert('Code copied to clipboard.');
+            })
+            .catch((error) => {
+                console.error('Clipboard write failed:', error);
+                
+                // Fallback selection method
+                output.select();
+                document.execCommand('copy');
+                alert('Code copied to clipboard.');
+            });
+    };
+
     /**
      * Show a modal
      * @param {HTMLElement} modal - The modal element to show
@@ -434,184 +719,55 @@ const UI = (() => {
         elements.profile.profileName.textContent = `${profile.firstName} ${profile.lastName}`;
         elements.profile.profileNickname.textContent = profile.nickname || '';
         elements.profile.profileBio.textContent = profile.bio || 'No bio provided.';
-    };
 
-    /**
-     * Generate QR code for connection
-     */
-    const generateQRCode = async () => {
-        try {
-            // Get QR data
-            const qrData = await App.prepareConnectionQRData();
-            
-            // Generate QR code
-            new QRious({
-                element: elements.connect.qrcode,
-                value: qrData,
-                size: 250,
-                level: 'H' // High error correction
-            });
-        } catch (error) {
-            console.error('QR code generation failed:', error);
-            elements.connect.qrcode.innerHTML = 'Failed to generate QR code.';
-        }
-    };
+        // Shares from an earlier identity no longer count
+        const recovery = profile.recovery && profile.recovery.did === profile.identity.did ? profile.recovery : null;
+        const holders = recovery ? Object.keys(recovery.issued).length : 0;
+        elements.profile.recoveryStatus.textContent = holders > 0
+            ? `${holders} ${holders === 1 ? 'connection holds' : 'connections hold'} a share of your identity. Any ${recovery.threshold} of them can help you recover it.`
+            : 'Mark connections you trust in their details to give them recovery shares of your identity when you next meet.';
+        elements.profile.recoveryThreshold.value = String(App.getRecoveryThreshold(profile));
 
-    /**
-     * Start QR code scanner
-     */
-    const startQRScanner = async () => {
-        try {
-            // Request camera access
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                video: { facingMode: 'environment' } 
-            });
-            
-            // Set up video stream
-            elements.connect.scanner.srcObject = stream;
-            elements.connect.scanner.play();
-            
-            // Change button text
-            elements.connect.startScanBtn.textContent = 'Scanning...';
-            elements.connect.startScanBtn.disabled = true;
-            
-            // Start scanning for QR codes
-            scanQRCode(stream);
-        } catch (error) {
-            console.error('Camera access failed:', error);
-            alert('Failed to access camera. Please ensure you have granted camera permissions.');
-            elements.connect.startScanBtn.textContent = 'Try Again';
-            elements.connect.startScanBtn.disabled = false;
-        }
+        updateAppLockDisplay();
+        updateNetworkDisplay();
+        updateRelayStorageDisplay();
     };
 
     /**
-     * Scan for QR codes in video stream
-     * @param {MediaStream} stream - Video stream
+     * Update the app lock section of the profile screen
      */
-    const scanQRCode = (stream) => {
-        // Set up canvas for frame analysis
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const video = elements.connect.scanner;
-        
-        // Function to analyze video frames
-        const scanFrame = () => {
-            if (video.readyState === video.HAVE_ENOUGH_DATA) {
-                // Resize canvas to match video dimensions
-                canvas.width = video.videoWidth;
-                canvas.height = video.videoHeight;
-                
-                // Draw current frame to canvas
-                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-                
-                // Get image data
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                
-                // Scan for QR code
-                try {
-                    const code = jsQR(imageData.data, imageData.width, imageData.height);
-                    
-                    if (code) {
-                        // QR code found
-                        handleScannedQRCode(code.data, stream);
-                        return; // Stop scanning
-                    }
-                } catch (error) {
-                    console.error('QR processing error:', error);
-                }
-            }
-            
-            // Continue scanning
-            requestAnimationFrame(scanFrame);
-        };
-        
-        // Start scanning
-        scanFrame();
-    };
+    const updateAppLockDisplay = () => {
+        const enabled = DB.hasPasscode();
 
-    /**
-     * Handle scanned QR code data
-     * @param {string} data - QR code data
-     * @param {MediaStream} stream - Video stream to stop
-     */
-    const handleScannedQRCode = (data, stream) => {
-        try {
-            // Stop video stream
-            stream.getTracks().forEach(track => track.stop());
-            
-            // Reset button
-            elements.connect.startScanBtn.textContent = 'Start Scanning';
-            elements.connect.startScanBtn.disabled = false;
-            
-            // Parse QR code data
-            const qrData = JSON.parse(data);
-            
-            // Check QR code type
-            if (qrData.type === 'connection') {
-                // Show confirmation modal
-                showConnectionConfirmation(qrData);
-            } else {
-                alert('Invalid QR code. Please scan a CurrentCircle connection QR code.');
-            }
-        } catch (error) {
-            console.error('QR code handling failed:', error);
-            alert('Failed to process QR code. Please try again.');
-            
-            // Reset button
-            elements.connect.startScanBtn.textContent = 'Start Scanning';
-            elements.connect.startScanBtn.disabled = false;
-        }
+        elements.profile.appLockStatus.textContent = enabled
+            ? 'Your data on this device is encrypted with your passcode.'
+            : 'Set a passcode to encrypt your data on this device and lock the app when you are away.';
+        elements.profile.setPasscodeBtn.textContent = enabled ? 'Change Passcode' : 'Set Passcode';
+        elements.profile.removePasscodeBtn.classList.toggle('hidden', !enabled);
+        elements.profile.lockNowBtn.classList.toggle('hidden', !enabled);
     };
 
     /**
-     * Show connection confirmation modal
-     * @param {Object} connectionData - Data from QR code
+     * Update the network section of the profile screen
      */
-    const showConnectionConfirmation = (connectionData) => {
-        // Set connection data for confirmation modal
-        elements.modals.confirmation.modal.setAttribute('data-connection-data', JSON.stringify(connectionData));
-        
-        // Update modal content
-        elements.modals.confirmation.name.textContent = `${connectionData.profile.firstName} ${connectionData.profile.lastName}`;
-        elements.modals.confirmation.nickname.textContent = connectionData.profile.nickname || '';
-        
-        // Show modal
-        showModal(elements.modals.confirmation.modal);
+    const updateNetworkDisplay = () => {
+        const settings = WebRTC.getNetworkSettings();
+        const count = settings.iceServers.length;
+
+        elements.profile.networkStatus.textContent = settings.lanOnly
+            ? 'LAN only: connections stay on the local network.'
+            : `Using ${count} ICE ${count === 1 ? 'server' : 'servers'} to connect across networks.`;
     };
 
     /**
-     * Handle connection confirmation
+     * Update the relay storage section of the profile screen
      */
-    const handleConnectionConfirmation = async () => {
-        try {
-            // Get connection data from modal
-            const connectionDataString = elements.modals.confirmation.modal.getAttribute('data-connection-data');
-            const connectionData = JSON.parse(connectionDataString);
-            
-            // Hide modal
-            hideModal(elements.modals.confirmation.modal);
-            
-            // Process connection data
-            await App.handleDataTransfer(connectionData, true);
-            
-            // Show success message
-            alert('Connection successful!');
-            
-            // Switch to home screen
-            showScreen('home-screen');
-            
-            // Update active nav item
-            elements.nav.items.forEach(item => {
-                item.classList.remove('active');
-                if (item.getAttribute('data-screen') === 'home-screen') {
-                    item.classList.add('active');
-                }
-            });
-        } catch (error) {
-            console.error('Connection confirmation failed:', error);
-            alert('Failed to establish connection. Please try again.');
-        }
+    const updateRelayStorageDisplay = () => {
+        const usage = App.getRelayStorage();
+
+        elements.profile.relayStorageStatus.textContent = usage.carried.count > 0
+            ? `Carrying ${usage.carried.count} ${usage.carried.count === 1 ? 'relay' : 'relays'} for others, using ${formatBytes(usage.totalBytes)} of ${formatBytes(usage.limit)}.`
+            : `Not carrying any relays for others. Up to ${formatBytes(usage.limit)} can be used.`;
     };
 
     /**
@@ -720,8 +876,8 @@ const UI = (() => {
             // Don't handle clicks on user node
             if (nodeId === 'user') return;
             
-            // Show connection details modal
-            showConnectionDetails(nodeId);
+            // Open the conversation with this connection
+            Messages.openConversation(nodeId);
         });
     };
 
@@ -828,9 +984,13 @@ const UI = (() => {
             const lastConnected = new Date(connection.lastConnected);
             const lastConnectedStr = lastConnected.toLocaleDateString();
             
+            // Messages not yet read in the conversation
+            const unread = App.getUnreadCount(connection.id);
+            const unreadBadge = unread > 0 ? `<span class="unread-count">${unread}</span>` : '';
+            
             // Add name and date info
             info.innerHTML = `
-                <div class="connection-name">${connection.firstName} ${connection.lastName}</div>
+                <div class="connection-name">${connection.firstName} ${connection.lastName} ${unreadBadge}</div>
                 <div class="connection-date">
                     Last connected: ${lastConnectedStr}
                 </div>
@@ -845,7 +1005,7 @@ const UI = (() => {
             
             // Add click event
             connectionElement.addEventListener('click', () => {
-                showConnectionDetails(connection.id);
+                Messages.openConversation(connection.id);
             });
             
             // Add to list
@@ -901,6 +1061,8 @@ const UI = (() => {
             elements.modals.connection.lastDate.textContent = lastDate.toLocaleDateString();
             elements.modals.connection.expiryDate.textContent = expiryDate.toLocaleDateString();
             
+            elements.modals.connection.recoveryTrusted.checked = Boolean(connection.trustedForRecovery);
+            
             // Show modal
             showModal(elements.modals.connection.modal);
         } catch (error) {
@@ -945,6 +1107,48 @@ const UI = (() => {
             alert('Failed to remove connection. Please try again.');
         }
     };
+
+    /**
+     * Handle the connection details "trusted for recovery" checkbox
+     */
+    const handleRecoveryTrustChange = async () => {
+        const checkbox = elements.modals.connection.recoveryTrusted;
+        const trusted = checkbox.checked;
+        
+        try {
+            const connectionId = elements.modals.connection.modal.getAttribute('data-connection-id');
+            
+            if (!connectionId) {
+                throw new Error('Connection ID not found');
+            }
+            
+            const connection = await App.setRecoveryTrust(connectionId, trusted);
+            
+            if (!trusted) {
+                const name = `${connection.firstName} ${connection.lastName}`;
+                alert(`${name} will not get new recovery shares. Any share they already hold stays valid for your current key; rotate your key if you need to make it useless.`);
+            }
+        } catch (error) {
+            console.error('Changing recovery trust failed:', error);
+            checkbox.checked = !trusted;
+            alert('Failed to update the connection. Please try again.');
+        }
+    };
+
+    /**
+     * Handle a change of how many trusted connections are needed to recover
+     */
+    const handleRecoveryThresholdChange = async () => {
+        const profile = App.getState().profile;
+        
+        try {
+            await App.setRecoveryThreshold(parseInt(elements.profile.recoveryThreshold.value, 10));
+        } catch (error) {
+            console.error('Changing recovery threshold failed:', error);
+            elements.profile.recoveryThreshold.value = String(App.getRecoveryThreshold(profile));
+            alert('Failed to change the recovery threshold. Please try again.');
+        }
+    };
     
     /**
      * Show compose message modal
@@ -1038,18 +1242,11 @@ const UI = (() => {
             hideModal(elements.modals.compose.modal);
             
             // Show success message
-            alert('Message sent successfully.');
+            alert('Message queued. It will be delivered when you next meet.');
             
             // Navigate to messages screen
             showScreen('messages-screen');
-            
-            // Update nav
-            elements.nav.items.forEach(item => {
-                item.classList.remove('active');
-                if (item.getAttribute('data-screen') === 'messages-screen') {
-                    item.classList.add('active');
-                }
-            });
+            selectNavItem('messages-screen');
             
             // Switch to outbox tab
             switchTab('outbox', elements.messages.tabs, elements.messages.tabContents);
@@ -1075,6 +1272,30 @@ const UI = (() => {
         
         // Update counts
         updateMessageCounts(messages.received.length, messages.sent.length, messages.relays.length);
+        
+        // Relays taken on or dropped change the storage used
+        updateRelayStorageDisplay();
+        
+        // Unread counts and any open conversation
+        updateConnectionsList(App.getState().connections);
+        Messages.updateConversation();
+    };
+    
+    /**
+     * Describe where an outbox message is on its way to the recipient
+     * @param {Object} message - Sent message
+     * @returns {string} - Status text, with when it last changed
+     */
+    const describeMessageStatus = (message) => {
+        const labels = {
+            [Lifecycle.STATES.QUEUED]: `Queued until you next meet ${message.recipientName}`,
+            [Lifecycle.STATES.HANDED_TO_RELAY]: 'Handed to a relay',
+            [Lifecycle.STATES.DELIVERED]: 'Delivered',
+            [Lifecycle.STATES.READ]: 'Read'
+        };
+        
+        const changedAt = message.statusChangedAt || message.deliveredAt || message.timestamp;
+        return `${labels[Lifecycle.getState(message)]} · ${new Date(changedAt).toLocaleString()}`;
     };
     
     /**
@@ -1096,7 +1317,7 @@ const UI = (() => {
         sortedMessages.forEach(message => {
             // Create message element
             const messageElement = document.createElement('div');
-            messageElement.className = 'message';
+            messageElement.className = type === 'inbox' && !message.readAt ? 'message unread' : 'message';
             
             // Determine sender/recipient label
             const nameLabel = type === 'inbox' ? 'From: ' : 'To: ';
@@ -1106,6 +1327,11 @@ const UI = (() => {
             const date = new Date(message.timestamp);
             const dateStr = date.toLocaleString();
             
+            // Outbox messages show how far they have got
+            const status = type === 'outbox'
+                ? `<div class="message-status ${Lifecycle.getState(message)}">${describeMessageStatus(message)}</div>`
+                : '';
+            
             // Create message content
             messageElement.innerHTML = `
                 <div class="message-header">
@@ -1113,6 +1339,7 @@ const UI = (() => {
                     <div class="message-date">${dateStr}</div>
                 </div>
                 <div class="message-content">${message.content}</div>
+                ${status}
             `;
             
             // Add to container
@@ -1129,8 +1356,43 @@ const UI = (() => {
         }
     };
     
+    /**
+     * Build a table of labelled values
+     * @param {Array<Array<string>>} rows - Label and value pairs
+     * @returns {HTMLTableElement} - Table element
+     */
+    const createSummaryTable = (rows) => {
+        const table = document.createElement('table');
+        table.className = 'diagnostics-table';
+        rows.forEach(([label, value]) => {
+            const row = table.insertRow();
+            const heading = document.createElement('th');
+            heading.textContent = label;
+            row.appendChild(heading);
+            row.insertCell().textContent = value;
+        });
+        return table;
+    };
+    
+    /**
+     * Describe what the relays held are, by count and size only
+     * Carried relays are sealed, so who they are from and for is never shown.
+     * @param {Object} usage - Usage from App.getRelayStorage
+     * @returns {Array<Array<string>>} - Label and value pairs
+     */
+    const describeRelayUsage = (usage) => {
+        const describe = ({ count, bytes }) => `${count} (${formatBytes(bytes)})`;
+        return [
+            ['Your messages waiting', describe(usage.own)],
+            ['Messages carried for others', describe(usage.messages)],
+            ['Delivery receipts carried', describe(usage.receipts)],
+            ['For your connections', describe(usage.firstDegree)]
+        ];
+    };
+    
     /**
      * Update relay list
+     * Shows a summary rather than the relays themselves.
      * @param {HTMLElement} container - Container for the relay list
      * @param {Array} relays - Array of relay objects
      */
@@ -1138,39 +1400,12 @@ const UI = (() => {
         // Clear container
         container.innerHTML = '';
         
-        // Sort relays by timestamp (newest first)
-        const sortedRelays = [...relays].sort((a, b) => {
-            return new Date(b.timestamp) - new Date(a.timestamp);
-        });
-        
-        // Add relays to container
-        sortedRelays.forEach(relay => {
-            // Create relay element
-            const relayElement = document.createElement('div');
-            relayElement.className = 'message';
-            
-            // Format date
-            const date = new Date(relay.timestamp);
-            const dateStr = date.toLocaleString();
-            
-            // Create relay content
-            relayElement.innerHTML = `
-                <div class="message-header">
-                    <div class="message-sender">To: ${relay.targetRecipientName}</div>
-                    <div class="message-date">${dateStr}</div>
-                </div>
-                <div class="message-content">
-                    <p><strong>From:</strong> ${relay.originalSenderName}</p>
-                    <p><em>Message is encrypted and can only be read by the recipient.</em></p>
-                </div>
-            `;
-            
-            // Add to container
-            container.appendChild(relayElement);
-        });
+        if (relays.length > 0) {
+            container.appendChild(createSummaryTable(describeRelayUsage(App.getRelayStorage(relays))));
+        }
         
         // Show message if no relays
-        if (sortedRelays.length === 0) {
+        if (relays.length === 0) {
             container.innerHTML = `
                 <div style="text-align: center; padding: 2rem;">
                     <p>No messages to relay.</p>
@@ -1213,18 +1448,87 @@ const UI = (() => {
      * Show export identity modal
      */
     const showExportModal = () => {
+        // Start with an empty passphrase form
+        elements.modals.export.passphrase.value = '';
+        elements.modals.export.passphraseConfirm.value = '';
+        elements.modals.export.exportError.classList.add('hidden');
+        elements.modals.export.identityKey.textContent = '';
+        elements.modals.export.passphraseForm.classList.remove('hidden');
+        elements.modals.export.result.classList.add('hidden');
+        renderPassphraseStrength(elements.modals.export);
+        
+        // Show modal
+        showModal(elements.modals.export.modal);
+    };
+    
+    /**
+     * Update a passphrase strength meter
+     * @param {Object} form - Modal elements with passphrase, strengthBar and strengthLabel
+     */
+    const renderPassphraseStrength = (form) => {
+        const passphrase = form.passphrase.value;
+        const strength = Crypto.estimatePassphraseStrength(passphrase);
+        const colors = ['#e53e3e', '#dd6b20', '#d69e2e', '#38a169', '#2f855a'];
+        
+        form.strengthBar.style.width = passphrase ? `${(strength.score + 1) * 20}%` : '0';
+        form.strengthBar.style.backgroundColor = colors[strength.score];
+        form.strengthLabel.textContent = passphrase ? strength.label : '';
+    };
+    
+    /**
+     * Check a newly chosen passphrase and its confirmation
+     * @param {string} passphrase - Chosen passphrase
+     * @param {string} confirmation - Passphrase typed again
+     * @returns {string|null} - Error message, or null if the passphrase is acceptable
+     */
+    const validateNewPassphrase = (passphrase, confirmation) => {
+        if (Crypto.estimatePassphraseStrength(passphrase).score < 2) {
+            return 'Please choose a stronger passphrase. Longer phrases with mixed characters work best.';
+        }
+        
+        if (passphrase !== confirmation) {
+            return 'Passphrases do not match.';
+        }
+        
+        return null;
+    };
+    
+    /**
+     * Handle identity export once a passphrase is chosen
+     */
+    const handleIdentityExport = async () => {
+        const passphrase = elements.modals.export.passphrase.value;
+        const confirmation = elements.modals.export.passphraseConfirm.value;
+        const showError = (message) => {
+            elements.modals.export.exportError.textContent = message;
+            elements.modals.export.exportError.classList.remove('hidden');
+        };
+        
+        // Validate passphrase
+        const validationError = validateNewPassphrase(passphrase, confirmation);
+        if (validationError) {
+            showError(validationError);
+            return;
+        }
+        
+        elements.modals.export.exportError.classList.add('hidden');
+        elements.modals.export.encryptBtn.textContent = 'Encrypting...';
+        elements.modals.export.encryptBtn.disabled = true;
+        
         try {
-            // Get identity
-            const exportedIdentity = App.exportIdentity('CurrentCircle');
+            // Encrypt identity
+            const exportedIdentity = await App.exportIdentity(passphrase);
             
-            // Update modal content
+            // Show the encrypted key
             elements.modals.export.identityKey.textContent = exportedIdentity;
-            
-            // Show modal
-            showModal(elements.modals.export.modal);
+            elements.modals.export.passphraseForm.classList.add('hidden');
+            elements.modals.export.result.classList.remove('hidden');
         } catch (error) {
             console.error('Exporting identity failed:', error);
-            alert('Failed to export identity. Please try again.');
+            showError('Failed to export identity. Please try again.');
+        } finally {
+            elements.modals.export.encryptBtn.textContent = 'Encrypt Identity';
+            elements.modals.export.encryptBtn.disabled = false;
         }
     };
     
@@ -1263,6 +1567,31 @@ const UI = (() => {
         }
     };
     
+    /**
+     * Save text content as a downloaded file
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     */
+    const downloadFile = (content, filename) => {
+        // Create blob and download link
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.style.display = 'none';
+        
+        document.body.appendChild(a);
+        a.click();
+        
+        // Clean up
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
+    };
+    
     /**
      * Download identity key as a file
      */
@@ -1271,23 +1600,7 @@ const UI = (() => {
             // Get identity key
             const identityKey = elements.modals.export.identityKey.textContent;
             
-            // Create blob and download link
-            const blob = new Blob([identityKey], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'currentcircle-identity.txt';
-            a.style.display = 'none';
-            
-            document.body.appendChild(a);
-            a.click();
-            
-            // Clean up
-            setTimeout(() => {
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            }, 100);
+            downloadFile(identityKey, 'currentcircle-identity.json');
         } catch (error) {
             console.error('Download identity failed:', error);
             alert('Failed to download identity key. Please try again or manually copy the text.');
@@ -1300,6 +1613,7 @@ const UI = (() => {
     const showImportModal = () => {
         // Clear previous values
         elements.modals.import.importKey.value = '';
+        elements.modals.import.passphrase.value = '';
         elements.modals.import.importError.classList.add('hidden');
         
         // Show modal
@@ -1345,8 +1659,11 @@ const UI = (() => {
                 throw new Error('Please enter or upload an identity key.');
             }
             
+            // Older exports were made with a fixed passphrase
+            const passphrase = elements.modals.import.passphrase.value || 'CurrentCircle';
+            
             // Import identity
-            const profile = await App.importIdentity(identityKey, 'CurrentCircle');
+            const profile = await App.importIdentity(identityKey, passphrase);
             
             // Hide modal
             hideModal(elements.modals.import.modal);
@@ -1363,11 +1680,642 @@ const UI = (() => {
             console.error('Importing identity failed:', error);
             
             // Show error message
-            elements.modals.import.importError.textContent = 'Failed to import identity. Please check your key and try again.';
+            elements.modals.import.importError.textContent = 'Failed to import identity. Please check your key and passphrase and try again.';
             elements.modals.import.importError.classList.remove('hidden');
         }
     };
     
+    /**
+     * Handle identity key rotation
+     */
+    const handleKeyRotation = async () => {
+        const confirmed = confirm(
+            'Replace your identity key with a new one? Your connections will switch to the new key ' +
+            'when they next meet you or someone who has met you. Do this if your key may have been exposed.'
+        );
+        if (!confirmed) return;
+        
+        try {
+            await App.rotateKey();
+            alert('Your identity key has been rotated.');
+        } catch (error) {
+            console.error('Key rotation failed:', error);
+            alert('Failed to rotate your identity key. Please try again.');
+        }
+    };
+    
+    /**
+     * Show create backup modal
+     */
+    const showBackupModal = () => {
+        elements.modals.backup.passphrase.value = '';
+        elements.modals.backup.passphraseConfirm.value = '';
+        elements.modals.backup.backupError.classList.add('hidden');
+        renderPassphraseStrength(elements.modals.backup);
+        
+        showModal(elements.modals.backup.modal);
+    };
+    
+    /**
+     * Handle backup creation once a passphrase is chosen
+     */
+    const handleBackupCreation = async () => {
+        const passphrase = elements.modals.backup.passphrase.value;
+        const confirmation = elements.modals.backup.passphraseConfirm.value;
+        const showError = (message) => {
+            elements.modals.backup.backupError.textContent = message;
+            elements.modals.backup.backupError.classList.remove('hidden');
+        };
+        
+        // Validate passphrase
+        const validationError = validateNewPassphrase(passphrase, confirmation);
+        if (validationError) {
+            showError(validationError);
+            return;
+        }
+        
+        elements.modals.backup.backupError.classList.add('hidden');
+        elements.modals.backup.downloadBtn.textContent = 'Encrypting...';
+        elements.modals.backup.downloadBtn.disabled = true;
+        
+        try {
+            const backup = await App.createBackup(passphrase);
+            const date = new Date().toISOString().slice(0, 10);
+            
+            downloadFile(backup, `currentcircle-backup-${date}.json`);
+            hideModal(elements.modals.backup.modal);
+        } catch (error) {
+            console.error('Creating backup failed:', error);
+            showError('Failed to create backup. Please try again.');
+        } finally {
+            elements.modals.backup.downloadBtn.textContent = 'Encrypt & Download Backup';
+            elements.modals.backup.downloadBtn.disabled = false;
+        }
+    };
+    
+    /**
+     * Show restore backup modal
+     */
+    const showRestoreModal = () => {
+        // Clear previous values
+        selectedBackup = null;
+        elements.modals.restore.fileInput.value = '';
+        elements.modals.restore.fileName.textContent = 'No file selected';
+        elements.modals.restore.passphrase.value = '';
+        elements.modals.restore.restoreError.classList.add('hidden');
+        
+        showModal(elements.modals.restore.modal);
+    };
+    
+    /**
+     * Handle backup file selection
+     * @param {Event} event - Change event from file input
+     */
+    const handleBackupFileSelection = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        // Read file
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            selectedBackup = e.target.result;
+            elements.modals.restore.fileName.textContent = file.name;
+        };
+        reader.readAsText(file);
+    };
+    
+    /**
+     * Handle backup restore
+     */
+    const handleBackupRestore = async () => {
+        const showError = (message) => {
+            elements.modals.restore.restoreError.textContent = message;
+            elements.modals.restore.restoreError.classList.remove('hidden');
+        };
+        
+        if (!selectedBackup) {
+            showError('Please choose a backup file.');
+            return;
+        }
+        
+        const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+        
+        if (mode === 'replace' && !confirm('Replace all data on this device with the backup?')) {
+            return;
+        }
+        
+        elements.modals.restore.restoreError.classList.add('hidden');
+        elements.modals.restore.restoreBtn.textContent = 'Restoring...';
+        elements.modals.restore.restoreBtn.disabled = true;
+        
+        try {
+            await App.restoreBackup(selectedBackup, elements.modals.restore.passphrase.value, mode);
+            
+            alert('Backup restored successfully.');
+            
+            // Reload page to refresh state
+            window.location.reload();
+        } catch (error) {
+            console.error('Restoring backup failed:', error);
+            showError(error.message.includes('different identity')
+                ? error.message
+                : 'Failed to restore backup. Please check the file and passphrase and try again.');
+        } finally {
+            elements.modals.restore.restoreBtn.textContent = 'Restore Backup';
+            elements.modals.restore.restoreBtn.disabled = false;
+        }
+    };
+    
+    /**
+     * Show the social recovery modal with this device's request code
+     */
+    const showRecoveryModal = async () => {
+        try {
+            const status = await App.getRecoveryStatus();
+            
+            new QRious({
+                element: elements.modals.recovery.qrcode,
+                value: status.requestQRData,
+                size: 250,
+                level: 'H' // High error correction
+            });
+            
+            elements.modals.recovery.progress.textContent = status.threshold
+                ? `${status.collected} of ${status.threshold} shares collected.`
+                : 'No shares collected yet.';
+            
+            showModal(elements.modals.recovery.modal);
+        } catch (error) {
+            console.error('Starting recovery failed:', error);
+            alert('Failed to start recovery. Please try again.');
+        }
+    };
+    
+    /**
+     * Open the scanner to read a share shown by a connection
+     */
+    const startRecoveryScan = () => {
+        hideModal(elements.modals.recovery.modal);
+        selectTransport('qr');
+        showScreen('connect-screen');
+        switchTab('scan-qr', elements.connect.tabs, elements.connect.tabContents);
+        Connect.startScanner();
+    };
+    
+    /**
+     * Handle a scanned recovery share on the recovering device
+     * @param {Object} response - Scanned recovery_response QR data
+     */
+    const handleRecoveryResponse = async (response) => {
+        if (App.getState().profile) {
+            alert('This device already has a profile. Recovery shares can only be used on a new device.');
+            return;
+        }
+        
+        try {
+            const result = await App.addRecoveryShare(response);
+            
+            if (result.complete) {
+                alert('Identity recovered successfully.');
+                
+                // Reload page to refresh state
+                window.location.reload();
+                return;
+            }
+            
+            alert(`Share added. ${result.collected} of ${result.threshold} shares collected.`);
+            showScreen('setup-screen');
+            showRecoveryModal();
+        } catch (error) {
+            console.error('Recovery share handling failed:', error);
+            alert('This recovery share could not be used. Please ask the connection to show it again.');
+        }
+    };
+    
+    /**
+     * Show the modal for handing a held share to a connection's new device
+     * @param {Object} request - Scanned recovery_request QR data
+     */
+    const showRecoveryHelpModal = (request) => {
+        const holders = App.getState().connections.filter(connection => connection.heldShare);
+        
+        if (holders.length === 0) {
+            alert('You do not hold a recovery share for any of your connections.');
+            return;
+        }
+        
+        // Keep the request for when a connection is chosen
+        elements.modals.recoveryHelp.modal.setAttribute('data-recovery-request', JSON.stringify(request));
+        
+        elements.modals.recoveryHelp.connectionSelect.innerHTML = '';
+        holders.forEach(connection => {
+            const option = document.createElement('option');
+            option.value = connection.id;
+            option.textContent = `${connection.firstName} ${connection.lastName}`;
+            elements.modals.recoveryHelp.connectionSelect.appendChild(option);
+        });
+        
+        elements.modals.recoveryHelp.result.classList.add('hidden');
+        showModal(elements.modals.recoveryHelp.modal);
+    };
+    
+    /**
+     * Show the chosen connection's share, encrypted for their new device
+     */
+    const handleRecoveryShareDisplay = async () => {
+        try {
+            const request = JSON.parse(elements.modals.recoveryHelp.modal.getAttribute('data-recovery-request'));
+            const connectionId = elements.modals.recoveryHelp.connectionSelect.value;
+            
+            const qrData = await App.createRecoveryResponse(connectionId, request);
+            
+            new QRious({
+                element: elements.modals.recoveryHelp.qrcode,
+                value: qrData,
+                size: 250,
+                level: 'H' // High error correction
+            });
+            
+            elements.modals.recoveryHelp.result.classList.remove('hidden');
+        } catch (error) {
+            console.error('Showing recovery share failed:', error);
+            alert('Failed to show the recovery share. Please try again.');
+        }
+    };
+    
+    /**
+     * Show set passcode modal
+     */
+    const showPasscodeModal = () => {
+        elements.modals.passcode.passcode.value = '';
+        elements.modals.passcode.passcodeConfirm.value = '';
+        elements.modals.passcode.passcodeError.classList.add('hidden');
+        
+        showModal(elements.modals.passcode.modal);
+    };
+    
+    /**
+     * Handle saving a new passcode
+     */
+    const handlePasscodeSave = async () => {
+        const passcode = elements.modals.passcode.passcode.value;
+        const confirmation = elements.modals.passcode.passcodeConfirm.value;
+        const showError = (message) => {
+            elements.modals.passcode.passcodeError.textContent = message;
+            elements.modals.passcode.passcodeError.classList.remove('hidden');
+        };
+        
+        if (passcode.length < MIN_PASSCODE_LENGTH) {
+            showError(`Passcodes must be at least ${MIN_PASSCODE_LENGTH} characters long.`);
+            return;
+        }
+        
+        if (passcode !== confirmation) {
+            showError('Passcodes do not match.');
+            return;
+        }
+        
+        elements.modals.passcode.passcodeError.classList.add('hidden');
+        elements.modals.passcode.saveBtn.textContent = 'Encrypting...';
+        elements.modals.passcode.saveBtn.disabled = true;
+        
+        try {
+            await App.setPasscode(passcode);
+            
+            hideModal(elements.modals.passcode.modal);
+            updateAppLockDisplay();
+        } catch (error) {
+            console.error('Saving passcode failed:', error);
+            showError('Failed to save passcode. Please try again.');
+        } finally {
+            elements.modals.passcode.saveBtn.textContent = 'Save Passcode';
+            elements.modals.passcode.saveBtn.disabled = false;
+        }
+    };
+    
+    /**
+     * Handle removing the passcode
+     */
+    const handlePasscodeRemoval = async () => {
+        const confirmed = confirm(
+            'Remove your passcode? Your data on this device will no longer be encrypted, ' +
+            'and anyone with access to this device can read it.'
+        );
+        if (!confirmed) return;
+        
+        try {
+            await App.removePasscode();
+            updateAppLockDisplay();
+        } catch (error) {
+            console.error('Removing passcode failed:', error);
+            alert('Failed to remove passcode. Please try again.');
+        }
+    };
+    
+    /**
+     * Handle locking the app on request
+     */
+    const handleLockNow = () => {
+        if (!App.lockApp()) {
+            alert('A connection is in progress. The app will lock once it has finished.');
+        }
+    };
+    
+    /**
+     * Add an editable ICE server to the network settings modal
+     * @param {Object} server - Contains urls and, for TURN, username and credential
+     */
+    const addIceServerRow = (server) => {
+        const row = document.createElement('div');
+        row.className = 'ice-server';
+        
+        const urls = document.createElement('input');
+        urls.type = 'text';
+        urls.className = 'ice-server-urls';
+        urls.placeholder = 'stun:host:port or turn:host:port (comma separated)';
+        urls.value = [].concat(server.urls || []).join(', ');
+        
+        const username = document.createElement('input');
+        username.type = 'text';
+        username.className = 'ice-server-username';
+        username.placeholder = 'TURN username';
+        username.autocomplete = 'off';
+        username.value = server.username || '';
+        
+        const credential = document.createElement('input');
+        credential.type = 'password';
+        credential.className = 'ice-server-credential';
+        credential.placeholder = 'TURN credential';
+        credential.autocomplete = 'new-password';
+        credential.value = server.credential || '';
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => row.remove());
+        
+        row.append(urls, username, credential, removeBtn);
+        elements.modals.network.serverList.appendChild(row);
+    };
+    
+    /**
+     * Show a list of ICE servers in the network settings modal
+     * @param {Array} iceServers - ICE server entries
+     */
+    const renderIceServers = (iceServers) => {
+        elements.modals.network.serverList.innerHTML = '';
+        iceServers.forEach(addIceServerRow);
+    };
+    
+    /**
+     * Read the ICE servers entered in the network settings modal
+     * Rows left completely empty are skipped.
+     * @returns {Array} - ICE server entries
+     */
+    const readIceServers = () => {
+        const rows = elements.modals.network.serverList.querySelectorAll('.ice-server');
+        return Array.from(rows)
+            .map(row => ({
+                urls: row.querySelector('.ice-server-urls').value.split(',').map(url => url.trim()).filter(Boolean),
+                username: row.querySelector('.ice-server-username').value.trim(),
+                credential: row.querySelector('.ice-server-credential').value
+            }))
+            .filter(server => server.urls.length > 0 || server.username || server.credential);
+    };
+    
+    /**
+     * Show network settings modal
+     */
+    const showNetworkModal = () => {
+        const settings = WebRTC.getNetworkSettings();
+        
+        elements.modals.network.lanOnly.checked = settings.lanOnly;
+        elements.modals.network.serverList.classList.toggle('disabled', settings.lanOnly);
+        renderIceServers(settings.iceServers);
+        elements.modals.network.networkError.classList.add('hidden');
+        
+        showModal(elements.modals.network.modal);
+    };
+    
+    /**
+     * Handle saving the network settings
+     */
+    const handleNetworkSave = async () => {
+        const settings = {
+            iceServers: readIceServers(),
+            lanOnly: elements.modals.network.lanOnly.checked
+        };
+        const showError = (message) => {
+            elements.modals.network.networkError.textContent = message;
+            elements.modals.network.networkError.classList.remove('hidden');
+        };
+        
+        if (!settings.lanOnly && settings.iceServers.length === 0) {
+            showError('Add at least one server, or choose LAN only.');
+            return;
+        }
+        
+        elements.modals.network.networkError.classList.add('hidden');
+        elements.modals.network.saveBtn.textContent = 'Saving...';
+        elements.modals.network.saveBtn.disabled = true;
+        
+        try {
+            await App.saveNetworkSettings(settings);
+            
+            hideModal(elements.modals.network.modal);
+            updateNetworkDisplay();
+        } catch (error) {
+            showError(error.message || 'Failed to save network settings. Please try again.');
+        } finally {
+            elements.modals.network.saveBtn.textContent = 'Save Settings';
+            elements.modals.network.saveBtn.disabled = false;
+        }
+    };
+    
+    /**
+     * Describe a candidate for the diagnostics view
+     * @param {Object|null} candidate - Candidate summary from WebRTC.getDiagnostics
+     * @returns {string} - Type, protocol and address
+     */
+    const formatCandidate = (candidate) => {
+        if (!candidate) return 'unknown';
+        
+        const address = candidate.address ? ` ${candidate.address}:${candidate.port}` : '';
+        const relay = candidate.relayProtocol ? ` via ${candidate.relayProtocol}` : '';
+        return `${candidate.type} ${candidate.protocol}${address}${relay}`;
+    };
+    
+    /**
+     * Describe candidate counts for the diagnostics view
+     * @param {Object} counts - Map of candidate type to count
+     * @returns {string} - Counts such as "host 2, srflx 1"
+     */
+    const formatCandidateCounts = (counts) => {
+        const entries = Object.entries(counts);
+        return entries.length > 0
+            ? entries.map(([type, count]) => `${type} ${count}`).join(', ')
+            : 'none';
+    };
+    
+    /**
+     * Show the latest connection diagnostics
+     */
+    const renderDiagnostics = async () => {
+        const content = elements.modals.diagnostics.content;
+        
+        let diagnostics;
+        try {
+            diagnostics = await WebRTC.getDiagnostics();
+        } catch (error) {
+            console.error('Reading connection diagnostics failed:', error);
+            content.textContent = 'Connection statistics could not be read.';
+            return;
+        }
+        
+        if (!diagnostics) {
+            content.textContent = 'No connection yet. Diagnostics appear here once you start connecting with someone.';
+            return;
+        }
+        
+        const pair = diagnostics.selectedPair;
+        const rows = [
+            ['Captured', new Date(diagnostics.capturedAt).toLocaleTimeString()],
+            ['Mode', diagnostics.lanOnly ? 'LAN only' : `${diagnostics.iceServers} ICE servers`],
+            ['Connection', diagnostics.connectionState],
+            ['ICE', `${diagnostics.iceConnectionState} (gathering ${diagnostics.iceGatheringState})`],
+            ['Local candidates', formatCandidateCounts(diagnostics.localCandidates)],
+            ['Remote candidates', formatCandidateCounts(diagnostics.remoteCandidates)],
+            ['Selected local', pair ? formatCandidate(pair.local) : 'none selected'],
+            ['Selected remote', pair ? formatCandidate(pair.remote) : 'none selected'],
+            ['Round trip', pair && pair.roundTripTime !== null ? `${Math.round(pair.roundTripTime * 1000)} ms` : 'unknown']
+        ];
+        
+        const table = document.createElement('table');
+        table.className = 'diagnostics-table';
+        rows.forEach(([label, value]) => {
+            const row = table.insertRow();
+            const heading = document.createElement('th');
+            heading.textContent = label;
+            row.appendChild(heading);
+            row.insertCell().textContent = value;
+        });
+        
+        content.innerHTML = '';
+        content.appendChild(table);
+    };
+    
+    /**
+     * Show connection diagnostics modal
+     */
+    const showDiagnosticsModal = () => {
+        elements.modals.diagnostics.content.textContent = 'Reading connection statistics...';
+        showModal(elements.modals.diagnostics.modal);
+        renderDiagnostics();
+    };
+    
+    /**
+     * Describe a number of bytes
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Size such as "12.5 KB"
+     */
+    const formatBytes = (bytes) => {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    };
+    
+    /**
+     * Show how relay storage is being used
+     */
+    const renderRelayStorage = () => {
+        const usage = App.getRelayStorage();
+        const content = elements.modals.relayStorage.content;
+        
+        const rows = [
+            ['In use', `${formatBytes(usage.totalBytes)} of ${formatBytes(usage.limit)}`],
+            ...describeRelayUsage(usage),
+            ['Limit per connection', formatBytes(usage.originatorLimit)]
+        ];
+        
+        content.innerHTML = '';
+        content.appendChild(createSummaryTable(rows));
+        elements.modals.relayStorage.purgeBtn.disabled = usage.carried.count === 0;
+    };
+    
+    /**
+     * Show relay storage modal
+     */
+    const showRelayStorageModal = () => {
+        renderRelayStorage();
+        showModal(elements.modals.relayStorage.modal);
+    };
+    
+    /**
+     * Handle purging the relays carried for others
+     */
+    const handleRelayPurge = async () => {
+        const confirmed = confirm(
+            'Delete every relay you are carrying for other people? They will not reach their recipients ' +
+            'through you. Relays for your own messages are kept.'
+        );
+        if (!confirmed) return;
+        
+        try {
+            const count = await App.purgeRelays();
+            renderRelayStorage();
+            alert(`${count} ${count === 1 ? 'relay' : 'relays'} deleted.`);
+        } catch (error) {
+            console.error('Purging relays failed:', error);
+            alert('Failed to delete relays. Please try again.');
+        }
+    };
+    
+    /**
+     * Ask for the passcode until the database unlocks
+     * Runs before initEventListeners, so it wires up its own modal.
+     * @returns {Promise} - Resolves once the database is unlocked
+     */
+    const requestUnlock = () => {
+        const form = elements.modals.unlock;
+        
+        return new Promise((resolve) => {
+            const attemptUnlock = async () => {
+                form.unlockError.classList.add('hidden');
+                form.unlockBtn.textContent = 'Unlocking...';
+                form.unlockBtn.disabled = true;
+                
+                const unlocked = await DB.unlock(form.passcode.value);
+                
+                form.unlockBtn.textContent = 'Unlock';
+                form.unlockBtn.disabled = false;
+                
+                if (!unlocked) {
+                    form.unlockError.textContent = 'Wrong passcode. Please try again.';
+                    form.unlockError.classList.remove('hidden');
+                    form.passcode.select();
+                    return;
+                }
+                
+                form.passcode.value = '';
+                form.unlockBtn.removeEventListener('click', attemptUnlock);
+                form.passcode.removeEventListener('keydown', handleKey);
+                hideModal(form.modal);
+                resolve();
+            };
+            
+            const handleKey = (event) => {
+                if (event.key === 'Enter' && !form.unlockBtn.disabled) {
+                    attemptUnlock();
+                }
+            };
+            
+            form.unlockBtn.addEventListener('click', attemptUnlock);
+            form.passcode.addEventListener('keydown', handleKey);
+            
+            showModal(form.modal);
+            form.passcode.focus();
+        });
+    };
+    
     /**
      * Show edit profile modal
      * Note: Since we didn't include this modal in the HTML, we'd normally implement it,
@@ -1416,12 +2364,19 @@ const UI = (() => {
     return {
         initEventListeners,
         showScreen,
+        selectNavItem,
+        showConnectionDetails,
         updateProfileDisplay,
         updateConnectionsList,
         updateConnectionGraph,
         initConnectionGraph,
         updateMessageLists,
+        describeMessageStatus,
+        updateRelayList,
         updateMessageCounts,
-        updateRelayCount
+        updateRelayCount,
+        showRecoveryHelpModal,
+        handleRecoveryResponse,
+        requestUnlock
     };
 })();
\ No newline at end of file
@@ -4,25 +4,51 @@
  */
 
 const WebRTC = (() => {
-    // WebRTC configuration
-    const config = {
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' },
-            { urls: 'stun:stun2.l.google.com:19302' },
-        ]
+    // ICE servers used until the user saves their own
+    const DEFAULT_ICE_SERVERS = [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' },
+        { urls: 'stun:stun2.l.google.com:19302' }
+    ];
+    
+    // URL schemes RTCPeerConnection accepts for ICE servers
+    const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):[^\s]+$/;
+    
+    // Network settings: the ICE servers to use, and whether to keep to the
+    // local network by only using host candidates
+    let networkSettings = {
+        iceServers: DEFAULT_ICE_SERVERS,
+        lanOnly: false
     };
     
+    // How long to wait for ICE gathering before sending the candidates found so far
+    const ICE_GATHERING_TIMEOUT = 5000;
+    
+    // Backpressure: stop handing frames to the channel above the high mark and
+    // carry on once it has drained to the low mark
+    const BUFFERED_AMOUNT_HIGH = 1024 * 1024;
+    const BUFFERED_AMOUNT_LOW = 256 * 1024;
+    
     // Connection state
     let peerConnection = null;
     let dataChannel = null;
     let isInitiator = false;
     let connectionState = 'disconnected';
+    let localCandidates = [];
+    
+    // Framed transfer: outgoing messages are sent one at a time in order
+    let sendQueue = Promise.resolve();
+    let nextMessageId = 1;
+    let reassembler = null;
+    
+    // Diagnostics captured when the last connection opened, kept after it closes
+    let lastDiagnostics = null;
     
     // Callbacks
     let onConnectionStateChange = null;
     let onDataReceived = null;
     let onLocalDescriptionGenerated = null;
+    let onTransferProgress = null;
     
     /**
      * Initialize WebRTC module
@@ -33,11 +59,94 @@ const WebRTC = (() => {
         onConnectionStateChange = callbacks.onConnectionStateChange || (() => {});
         onDataReceived = callbacks.onDataReceived || (() => {});
         onLocalDescriptionGenerated = callbacks.onLocalDescriptionGenerated || (() => {});
+        onTransferProgress = callbacks.onTransferProgress || (() => {});
         
         // Reset connection state
         resetConnection();
     };
     
+    /**
+     * Get a copy of the default ICE servers
+     * @returns {Array} - ICE server entries
+     */
+    const getDefaultIceServers = () => {
+        return DEFAULT_ICE_SERVERS.map(server => ({ ...server }));
+    };
+    
+    /**
+     * Check a list of ICE servers before it is used
+     * @param {Array} iceServers - Entries with urls and, for TURN, username and credential
+     * @returns {Array} - Entries tidied into the shape RTCPeerConnection expects
+     * @throws {Error} - If an entry is not usable
+     */
+    const validateIceServers = (iceServers) => {
+        if (!Array.isArray(iceServers)) {
+            throw new Error('ICE servers must be a list');
+        }
+        
+        return iceServers.map(server => {
+            const urls = [].concat(server.urls || [])
+                .map(url => String(url).trim())
+                .filter(Boolean);
+            
+            if (urls.length === 0) {
+                throw new Error('Every ICE server needs a URL');
+            }
+            
+            const invalid = urls.find(url => !ICE_URL_PATTERN.test(url));
+            if (invalid) {
+                throw new Error(`Not a STUN or TURN URL: ${invalid}`);
+            }
+            
+            const entry = { urls: urls.length === 1 ? urls[0] : urls };
+            
+            // TURN servers relay traffic, so they always require credentials
+            if (urls.some(url => url.startsWith('turn'))) {
+                if (!server.username || !server.credential) {
+                    throw new Error(`TURN server ${urls[0]} needs a username and credential`);
+                }
+                entry.username = server.username;
+                entry.credential = server.credential;
+            }
+            
+            return entry;
+        });
+    };
+    
+    /**
+     * Apply network settings to future connections
+     * @param {Object|null} settings - Contains iceServers and lanOnly; null restores the defaults
+     * @throws {Error} - If the ICE servers are not usable
+     */
+    const configure = (settings) => {
+        networkSettings = {
+            iceServers: settings && settings.iceServers ? validateIceServers(settings.iceServers) : DEFAULT_ICE_SERVERS,
+            lanOnly: Boolean(settings && settings.lanOnly)
+        };
+    };
+    
+    /**
+     * Get the network settings in use
+     * @returns {Object} - Contains iceServers and lanOnly
+     */
+    const getNetworkSettings = () => {
+        return {
+            iceServers: networkSettings.iceServers.map(server => ({ ...server })),
+            lanOnly: networkSettings.lanOnly
+        };
+    };
+    
+    /**
+     * Check whether a candidate may be used under the current settings
+     * In LAN-only mode only host candidates are used, so traffic never leaves
+     * the local network.
+     * @param {string} candidate - Candidate line
+     * @returns {boolean} - True if the candidate may be used
+     */
+    const isCandidateAllowed = (candidate) => {
+        return !networkSettings.lanOnly || / typ host( |$)/.test(candidate);
+    };
+    
     /**
      * Reset connection state
      */
@@ -56,6 +165,10 @@ const WebRTC = (() => {
         // Reset state
         isInitiator = false;
         connectionState = 'disconnected';
+        localCandidates = [];
+        sendQueue = Promise.resolve();
+        nextMessageId = 1;
+        reassembler = null;
         
         // Notify state change
         onConnectionStateChange(connectionState);
@@ -70,8 +183,11 @@ const WebRTC = (() => {
         // Set initiator flag
         isInitiator = initiator;
         
-        // Create new peer connection
-        peerConnection = new RTCPeerConnection(config);
+        // Create new peer connection; without ICE servers only host
+        // candidates are gathered
+        peerConnection = new RTCPeerConnection({
+            iceServers: networkSettings.lanOnly ? [] : networkSettings.iceServers
+        });
         
         // Set up data channel
         if (isInitiator) {
@@ -88,32 +204,31 @@ const WebRTC = (() => {
             };
         }
         
-        // Set up ICE candidate handling
+        // Collect ICE candidates; signaling transports carry one message each
+        // way, so they all travel with the description instead of trickling
+        localCandidates = [];
         peerConnection.onicecandidate = (event) => {
-            if (event.candidate) {
-                // In a real app, we'd send this to the other peer through signaling
-                // Here, we'll store it with the local description for QR code
-                const serializedCandidate = JSON.stringify(event.candidate);
-                console.log('New ICE candidate:', serializedCandidate);
+            if (event.candidate && event.candidate.candidate) {
+                console.log('New ICE candidate:', event.candidate.candidate);
+                if (!isCandidateAllowed(event.candidate.candidate)) return;
                 
-                // Add to local description
-                if (peerConnection.localDescription) {
-                    const description = {
-                        type: peerConnection.localDescription.type,
-                        sdp: peerConnection.localDescription.sdp,
-                        candidate: serializedCandidate
-                    };
-                    
-                    // Notify local description change
-                    onLocalDescriptionGenerated(description);
-                }
+                localCandidates.push({
+                    candidate: event.candidate.candidate,
+                    sdpMid: event.candidate.sdpMid,
+                    sdpMLineIndex: event.candidate.sdpMLineIndex
+                });
             }
         };
         
         // Set up connection state change handling
         peerConnection.onconnectionstatechange = () => {
+            console.log('Connection state changed:', peerConnection.connectionState);
+
+            // 'connected' is reported once the data channel opens, since nothing
+            // can be exchanged before then
+            if (peerConnection.connectionState === 'connected') return;
+
             connectionState = peerConnection.connectionState;
-            console.log('Connection state changed:', connectionState);
             onConnectionStateChange(connectionState);
         };
         
@@ -130,10 +245,30 @@ const WebRTC = (() => {
      * @param {RTCDataChannel} channel - The data channel to set up
      */
     const setupDataChannel = (channel) => {
+        // Frames arrive as binary; flow control waits on bufferedamountlow
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW;
+        
+        reassembler = Framing.createReassembler(
+            data => onDataReceived(data),
+            progress => {
+                // Only messages split over several frames are worth showing
+                if (progress.total > Framing.MAX_FRAME_LENGTH) {
+                    onTransferProgress({ direction: 'receive', ...progress });
+                }
+            }
+        );
+        const channelReassembler = reassembler;
+        
         channel.onopen = () => {
             console.log('Data channel opened');
             connectionState = 'connected';
             onConnectionStateChange(connectionState);
+            
+            // Keep a snapshot so the path can be inspected after the exchange closes
+            getDiagnostics().catch(error => {
+                console.error('Error reading connection statistics:', error);
+            });
         };
         
         channel.onclose = () => {
@@ -149,17 +284,105 @@ const WebRTC = (() => {
         };
         
         channel.onmessage = (event) => {
-            // Process received data
-            console.log('Data received:', event.data);
-            try {
-                const data = JSON.parse(event.data);
-                onDataReceived(data);
-            } catch (error) {
-                console.error('Error parsing received data:', error);
+            // Peers on older versions send each message as a single JSON string
+            if (typeof event.data === 'string') {
+                try {
+                    onDataReceived(JSON.parse(event.data));
+                } catch (error) {
+                    console.error('Error parsing received data:', error);
+                }
+                return;
             }
+            
+            channelReassembler.push(event.data).catch(error => {
+                console.error('Error reassembling received data:', error);
+            });
         };
     };
     
+    /**
+     * Wait until ICE gathering completes or times out
+     * @param {RTCPeerConnection} connection - Peer connection gathering candidates
+     * @returns {Promise<boolean>} - Resolves with true if gathering completed, false on timeout
+     */
+    const waitForIceGathering = (connection) => {
+        return new Promise((resolve) => {
+            if (connection.iceGatheringState === 'complete') {
+                resolve(true);
+                return;
+            }
+            
+            const finish = (complete) => {
+                clearTimeout(timer);
+                connection.removeEventListener('icegatheringstatechange', handleStateChange);
+                resolve(complete);
+            };
+            
+            const handleStateChange = () => {
+                if (connection.iceGatheringState === 'complete') {
+                    finish(true);
+                }
+            };
+            
+            const timer = setTimeout(() => {
+                console.warn(`ICE gathering timed out with ${localCandidates.length} candidates`);
+                finish(false);
+            }, ICE_GATHERING_TIMEOUT);
+            
+            connection.addEventListener('icegatheringstatechange', handleStateChange);
+        });
+    };
+    
+    /**
+     * Build the description to send once candidates have been gathered
+     * Candidate lines are taken out of the SDP and carried in candidates,
+     * so each candidate is sent once whether or not gathering finished.
+     * @returns {Promise<Object>} - Contains type, sdp and candidates
+     */
+    const gatherLocalDescription = async () => {
+        const connection = peerConnection;
+        await waitForIceGathering(connection);
+        
+        if (connection !== peerConnection) {
+            throw new Error('Connection was reset while gathering candidates');
+        }
+        
+        const sdp = connection.localDescription.sdp
+            .split('\r\n')
+            .filter(line => !line.startsWith('a=candidate:') && line !== 'a=end-of-candidates')
+            .join('\r\n');
+        
+        return {
+            type: connection.localDescription.type,
+            sdp,
+            candidates: [...localCandidates]
+        };
+    };
+    
+    /**
+     * Apply every ICE candidate carried with a remote description
+     * @param {Object} description - Remote description with candidates
+     */
+    const addRemoteCandidates = async (description) => {
+        // Peers on older versions send a single serialized candidate
+        const candidates = description.candidates ||
+            (description.candidate ? [JSON.parse(description.candidate)] : []);
+        
+        let added = 0;
+        for (const candidate of candidates) {
+            if (!isCandidateAllowed(candidate.candidate)) continue;
+            
+            try {
+                await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+                added += 1;
+            } catch (e) {
+                console.error('Error adding ICE candidate:', e);
+            }
+        }
+        
+        console.log(`Added ${added} of ${candidates.length} remote ICE candidates`);
+    };
+    
     /**
      * Initiate connection as the caller
      * @returns {Promise<Object>} - Resolves with the local session description
@@ -173,11 +396,8 @@ const WebRTC = (() => {
             const offer = await peerConnection.createOffer();
             await peerConnection.setLocalDescription(offer);
             
-            // Return local description
-            const description = {
-                type: peerConnection.localDescription.type,
-                sdp: peerConnection.localDescription.sdp
-            };
+            // Return local description with every gathered candidate
+            const description = await gatherLocalDescription();
             
             // Notify local description generated
             onLocalDescriptionGenerated(description);
@@ -191,7 +411,7 @@ const WebRTC = (() => {
     
     /**
      * Accept connection as the callee
-     * @param {Object} remoteDescription - Remote session description from QR code
+     * @param {Object} remoteDescription - Remote session description from the signaling transport
      * @returns {Promise<Object>} - Resolves with the local answer description
      */
     const acceptConnection = async (remoteDescription) => {
@@ -207,25 +427,15 @@ const WebRTC = (() => {
             
             await peerConnection.setRemoteDescription(rtcSessionDescription);
             
-            // If remote ICE candidate was provided, add it
-            if (remoteDescription.candidate) {
-                try {
-                    const candidate = JSON.parse(remoteDescription.candidate);
-                    await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-                } catch (e) {
-                    console.error('Error adding ICE candidate:', e);
-                }
-            }
+            // Add the caller's candidates
+            await addRemoteCandidates(remoteDescription);
             
             // Create answer
             const answer = await peerConnection.createAnswer();
             await peerConnection.setLocalDescription(answer);
             
-            // Return local description
-            const description = {
-                type: peerConnection.localDescription.type,
-                sdp: peerConnection.localDescription.sdp
-            };
+            // Return local description with every gathered candidate
+            const description = await gatherLocalDescription();
             
             // Notify local description generated
             onLocalDescriptionGenerated(description);
@@ -256,15 +466,8 @@ const WebRTC = (() => {
             
             await peerConnection.setRemoteDescription(rtcSessionDescription);
             
-            // If remote ICE candidate was provided, add it
-            if (remoteAnswer.candidate) {
-                try {
-                    const candidate = JSON.parse(remoteAnswer.candidate);
-                    await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-                } catch (e) {
-                    console.error('Error adding ICE candidate:', e);
-                }
-            }
+            // Add the callee's candidates
+            await addRemoteCandidates(remoteAnswer);
             
             return true;
         } catch (error) {
@@ -273,28 +476,83 @@ const WebRTC = (() => {
         }
     };
     
+    /**
+     * Wait until the channel has room for more frames
+     * @param {RTCDataChannel} channel - Data channel being written to
+     * @returns {Promise} - Resolves once the buffer drains or the channel closes
+     */
+    const waitForBufferedAmountLow = (channel) => {
+        return new Promise((resolve) => {
+            const finish = () => {
+                channel.removeEventListener('bufferedamountlow', finish);
+                channel.removeEventListener('close', finish);
+                resolve();
+            };
+            
+            channel.addEventListener('bufferedamountlow', finish);
+            channel.addEventListener('close', finish);
+        });
+    };
+    
+    /**
+     * Split a message into frames and write them to the channel
+     * @param {RTCDataChannel} channel - Data channel to write to
+     * @param {Object} data - Data to send
+     * @returns {Promise<boolean>} - Resolves with true once every frame is handed to the channel
+     */
+    const sendFrames = async (channel, data) => {
+        const message = await Framing.encodeMessage(data, nextMessageId++);
+        const showProgress = message.length > Framing.MAX_FRAME_LENGTH;
+        
+        // The first frame only describes the message; the rest carry its bytes
+        const chunkCount = message.frames.length - 1;
+        
+        for (const [index, frame] of message.frames.entries()) {
+            if (channel.bufferedAmount > BUFFERED_AMOUNT_HIGH) {
+                await waitForBufferedAmountLow(channel);
+            }
+            
+            if (channel !== dataChannel || channel.readyState !== 'open') {
+                console.error('Data channel closed while sending');
+                return false;
+            }
+            
+            channel.send(frame);
+            
+            if (showProgress && index > 0) {
+                onTransferProgress({
+                    direction: 'send',
+                    id: message.id,
+                    type: data.type,
+                    bytes: Math.round(message.length * index / chunkCount),
+                    total: message.length
+                });
+            }
+        }
+        
+        return true;
+    };
+    
     /**
      * Send data through the data channel
+     * Messages go out in the order sendData is called, each split into frames
+     * small enough for any browser, without overfilling the channel's buffer.
      * @param {Object} data - Data to send
-     * @returns {boolean} - True if data was sent successfully
+     * @returns {Promise<boolean>} - Resolves with true if data was sent successfully
      */
     const sendData = (data) => {
-        if (!dataChannel || dataChannel.readyState !== 'open') {
+        const channel = dataChannel;
+        if (!channel || channel.readyState !== 'open') {
             console.error('Data channel not open');
-            return false;
+            return Promise.resolve(false);
         }
         
-        try {
-            // Convert data to JSON string
-            const jsonData = JSON.stringify(data);
-            
-            // Send data
-            dataChannel.send(jsonData);
-            return true;
-        } catch (error) {
+        const sent = sendQueue.then(() => sendFrames(channel, data)).catch(error => {
             console.error('Error sending data:', error);
             return false;
-        }
+        });
+        sendQueue = sent;
+        return sent;
     };
     
     /**
@@ -305,6 +563,86 @@ const WebRTC = (() => {
         return connectionState;
     };
     
+    /**
+     * Summarize one candidate from a statistics report
+     * @param {Object} stats - local-candidate or remote-candidate report
+     * @returns {Object|null} - Contains type, protocol, address and port
+     */
+    const describeCandidate = (stats) => {
+        if (!stats) return null;
+        return {
+            type: stats.candidateType,
+            protocol: stats.protocol,
+            address: stats.address || stats.ip || null,
+            port: stats.port,
+            relayProtocol: stats.relayProtocol || null
+        };
+    };
+    
+    /**
+     * Count candidates by type
+     * @param {Array} candidates - Candidate summaries
+     * @returns {Object} - Map of candidate type to count
+     */
+    const countCandidateTypes = (candidates) => {
+        return candidates.reduce((counts, candidate) => {
+            counts[candidate.type] = (counts[candidate.type] || 0) + 1;
+            return counts;
+        }, {});
+    };
+    
+    /**
+     * Get diagnostics for the current connection from getStats()
+     * When no connection is open, the snapshot taken when the last one
+     * opened is returned instead.
+     * @returns {Promise<Object|null>} - Contains states, candidate types and the selected pair, or null
+     */
+    const getDiagnostics = async () => {
+        const connection = peerConnection;
+        if (!connection) {
+            return lastDiagnostics;
+        }
+        
+        const report = await connection.getStats();
+        const stats = new Map();
+        report.forEach(entry => stats.set(entry.id, entry));
+        
+        const entries = [...stats.values()];
+        const localCandidateStats = entries.filter(entry => entry.type === 'local-candidate');
+        const remoteCandidateStats = entries.filter(entry => entry.type === 'remote-candidate');
+        
+        // The transport names the pair in use; browsers without it mark the pair
+        // as selected or nominated instead
+        const transport = entries.find(entry => entry.type === 'transport' && entry.selectedCandidatePairId);
+        const pair = transport ? stats.get(transport.selectedCandidatePairId) :
+            entries.find(entry => entry.type === 'candidate-pair' &&
+                (entry.selected || (entry.nominated && entry.state === 'succeeded')));
+        
+        const diagnostics = {
+            capturedAt: new Date().toISOString(),
+            connectionState: connection.connectionState,
+            iceConnectionState: connection.iceConnectionState,
+            iceGatheringState: connection.iceGatheringState,
+            lanOnly: networkSettings.lanOnly,
+            iceServers: networkSettings.lanOnly ? 0 : networkSettings.iceServers.length,
+            localCandidates: countCandidateTypes(localCandidateStats.map(describeCandidate)),
+            remoteCandidates: countCandidateTypes(remoteCandidateStats.map(describeCandidate)),
+            selectedPair: pair ? {
+                local: describeCandidate(stats.get(pair.localCandidateId)),
+                remote: describeCandidate(stats.get(pair.remoteCandidateId)),
+                state: pair.state,
+                roundTripTime: pair.currentRoundTripTime !== undefined ? pair.currentRoundTripTime : null
+            } : null
+        };
+        
+        // Only snapshot the connection still in use
+        if (connection === peerConnection && pair) {
+            lastDiagnostics = diagnostics;
+        }
+        
+        return diagnostics;
+    };
+    
     /**
      * Close current connection
      */
@@ -320,6 +658,10 @@ const WebRTC = (() => {
         completeConnection,
         sendData,
         getConnectionState,
-        closeConnection
+        closeConnection,
+        configure,
+        getNetworkSettings,
+        getDefaultIceServers,
+        getDiagnostics
     };
 })();
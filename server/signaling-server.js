@@ -0,0 +1,320 @@
+/**
+ * Signaling Server for CurrentCircle
+ * Short-lived WebSocket rendezvous that relays connection handshakes between two devices
+ *
+ * Run with: node server/signaling-server.js [port]
+ *
+ * Devices join a session by its code and every message one sends is passed to
+ * the other. Messages sent before the other device joins are held until it does.
+ * Sessions are dropped once both devices leave, or after SESSION_TTL. Nothing is
+ * stored on disk. It needs no packages beyond Node itself.
+ *
+ * Browsers only allow ws:// from pages served over http or from localhost; put the
+ * server behind TLS (wss://) to use it from the hosted app.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8765;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Limits that keep the server short-lived and small
+const SESSION_TTL = 10 * 60 * 1000;
+const MAX_PEERS = 2;
+const MAX_FRAME_LENGTH = 256 * 1024;
+const MAX_QUEUED_MESSAGES = 16;
+const SESSION_PATTERN = /^[A-Z0-9]{4,32}$/;
+
+// WebSocket opcodes
+const OPCODES = {
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+// Sessions by id: { peers: Set of clients, queue: messages waiting for a peer, timer }
+const sessions = new Map();
+
+/**
+ * Encode a frame from the server (never masked)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} - Frame bytes
+ */
+const encodeFrame = (opcode, payload) => {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Decode the first complete frame in a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} - Contains fin, opcode, payload and length used, or null if incomplete
+ * @throws {Error} - If the frame breaks the protocol or is too large
+ */
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return null;
+    
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    
+    if (!masked) {
+        throw new Error('Client frames must be masked');
+    }
+    
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    
+    if (length > MAX_FRAME_LENGTH) {
+        throw new Error('Frame too large');
+    }
+    
+    if (buffer.length < offset + 4 + length) return null;
+    
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+        payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+    }
+    
+    return { fin, opcode, payload, used: offset + 4 + length };
+};
+
+/**
+ * Send a JSON frame to a client
+ * @param {Object} client - Client
+ * @param {Object} frame - Frame with an action
+ */
+const sendJson = (client, frame) => {
+    if (client.socket.writable) {
+        client.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(frame))));
+    }
+};
+
+/**
+ * Remove a client from its session, dropping the session once it is empty
+ * @param {Object} client - Client
+ */
+const leaveSession = (client) => {
+    const session = client.session && sessions.get(client.session);
+    client.session = null;
+    if (!session) return;
+    
+    session.peers.delete(client);
+    session.peers.forEach(peer => sendJson(peer, { action: 'peer-left' }));
+    
+    if (session.peers.size === 0) {
+        clearTimeout(session.timer);
+        sessions.delete(session.id);
+    }
+};
+
+/**
+ * Close a client's connection
+ * @param {Object} client - Client
+ */
+const closeClient = (client) => {
+    if (client.closed) return;
+    client.closed = true;
+    
+    leaveSession(client);
+    if (client.socket.writable) {
+        client.socket.end(encodeFrame(OPCODES.CLOSE, Buffer.alloc(0)));
+    }
+};
+
+/**
+ * Add a client to a session, creating the session if needed
+ * @param {Object} client - Client
+ * @param {string} id - Session id
+ */
+const joinSession = (client, id) => {
+    if (typeof id !== 'string' || !SESSION_PATTERN.test(id)) {
+        sendJson(client, { action: 'error', reason: 'Invalid session code' });
+        return;
+    }
+    
+    let session = sessions.get(id);
+    if (!session) {
+        session = { id, peers: new Set(), queue: [], timer: null };
+        session.timer = setTimeout(() => {
+            session.peers.forEach(closeClient);
+            sessions.delete(id);
+        }, SESSION_TTL);
+        sessions.set(id, session);
+    }
+    
+    if (session.peers.size >= MAX_PEERS) {
+        sendJson(client, { action: 'error', reason: 'Session is full' });
+        return;
+    }
+    
+    leaveSession(client);
+    client.session = id;
+    session.peers.add(client);
+    
+    sendJson(client, { action: 'joined', session: id, peers: session.peers.size });
+    session.peers.forEach(peer => {
+        if (peer !== client) sendJson(peer, { action: 'peer-joined' });
+    });
+    
+    // Hand over anything sent while this device was not here
+    const waiting = session.queue.filter(queued => queued.from !== client);
+    session.queue = session.queue.filter(queued => queued.from === client);
+    waiting.forEach(queued => sendJson(client, { action: 'signal', message: queued.message }));
+};
+
+/**
+ * Pass a message to the other device in the session, or hold it until one joins
+ * @param {Object} client - Sending client
+ * @param {Object} message - Handshake message
+ */
+const relaySignal = (client, message) => {
+    const session = client.session && sessions.get(client.session);
+    if (!session) {
+        sendJson(client, { action: 'error', reason: 'Join a session first' });
+        return;
+    }
+    
+    const peers = [...session.peers].filter(peer => peer !== client);
+    if (peers.length > 0) {
+        peers.forEach(peer => sendJson(peer, { action: 'signal', message }));
+    } else if (session.queue.length < MAX_QUEUED_MESSAGES) {
+        session.queue.push({ from: client, message });
+    } else {
+        sendJson(client, { action: 'error', reason: 'Too many messages waiting' });
+    }
+};
+
+/**
+ * Handle a text frame from a client
+ * @param {Object} client - Client
+ * @param {string} text - Frame text
+ */
+const handleText = (client, text) => {
+    let frame;
+    try {
+        frame = JSON.parse(text);
+    } catch (error) {
+        sendJson(client, { action: 'error', reason: 'Invalid JSON' });
+        return;
+    }
+    
+    if (frame.action === 'join') {
+        joinSession(client, frame.session);
+    } else if (frame.action === 'signal') {
+        relaySignal(client, frame.message);
+    } else {
+        sendJson(client, { action: 'error', reason: 'Unknown action' });
+    }
+};
+
+/**
+ * Read frames from a client's socket
+ * @param {Object} client - Client
+ * @param {Buffer} data - Newly received bytes
+ */
+const handleData = (client, data) => {
+    client.buffer = Buffer.concat([client.buffer, data]);
+    
+    try {
+        let frame;
+        while (!client.closed && (frame = decodeFrame(client.buffer))) {
+            client.buffer = client.buffer.subarray(frame.used);
+            
+            if (frame.opcode === OPCODES.CLOSE) {
+                closeClient(client);
+            } else if (frame.opcode === OPCODES.PING) {
+                client.socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+            } else if (frame.opcode === OPCODES.TEXT && frame.fin) {
+                handleText(client, frame.payload.toString('utf8'));
+            } else if (frame.opcode !== OPCODES.PONG) {
+                // Fragmented and binary messages are never sent by the app
+                throw new Error('Unsupported frame');
+            }
+        }
+    } catch (error) {
+        console.warn('Dropping client:', error.message);
+        closeClient(client);
+    }
+};
+
+/**
+ * Complete the WebSocket handshake for an upgrade request
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Client socket
+ */
+const handleUpgrade = (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    const client = { socket, buffer: Buffer.alloc(0), session: null, closed: false };
+    socket.on('data', data => handleData(client, data));
+    socket.on('close', () => {
+        client.closed = true;
+        leaveSession(client);
+    });
+    socket.on('error', () => closeClient(client));
+};
+
+/**
+ * Start the server
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} - Listening server
+ */
+const start = (port) => {
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('CurrentCircle signaling server: connect with a WebSocket\n');
+    });
+    
+    server.on('upgrade', handleUpgrade);
+    server.listen(port, () => {
+        console.log(`CurrentCircle signaling server listening on ws://localhost:${port}`);
+    });
+    return server;
+};
+
+if (require.main === module) {
+    start(parseInt(process.argv[2], 10) || DEFAULT_PORT);
+}
+
+module.exports = { start };
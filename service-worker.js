@@ -1,6 +1,6 @@
 // Service Worker for CurrentCircle PWA
 
-const CACHE_NAME = 'currentcircle-v1';
+const CACHE_NAME = 'currentcircle-v2';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -9,6 +9,16 @@ const STATIC_ASSETS = [
   '/js/db.js',
   '/js/ui.js',
   '/js/crypto.js',
+  '/js/ratchet.js',
+  '/js/shamir.js',
+  '/js/qrcodec.js',
+  '/js/fountain.js',
+  '/js/chirp.js',
+  '/js/signaling.js',
+  '/js/framing.js',
+  '/js/routing.js',
+  '/js/relaypolicy.js',
+  '/js/lifecycle.js',
   '/js/webrtc.js',
   '/js/connect.js',
   '/js/messages.js',
@@ -16,6 +26,7 @@ const STATIC_ASSETS = [
   '/images/icon-512x512.png',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/5.15.4/css/all.min.css',
   'https://cdnjs.cloudflare.com/ajax/libs/qrious/4.0.2/qrious.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/qrcode-generator/1.4.4/qrcode.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.1.1/crypto-js.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/uuid/8.3.2/uuid.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/jsQR/1.3.1/jsQR.min.js',
@@ -0,0 +1,475 @@
+/**
+ * Upgrade tests for the database migrations in js/db.js
+ * Each test builds a database as an older version left it, opens it with
+ * the current DB module and checks the records came through. Encrypted
+ * records are skipped during the upgrade and migrated when read, so each
+ * record migration is checked both ways.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules, openDatabase, putRecords, getStoredRecords } = require('./support');
+
+const DB_NAME = 'currentCircleDB';
+const PASSCODE = 'correct horse battery';
+
+// Fields stored in the clear for encrypted records, as the schema that
+// sealed them had it
+const CLEAR_FIELDS = {
+    profile: ['id', 'did'],
+    connections: ['id', 'did', 'lastConnected', 'expiresOn'],
+    messages: ['id', 'senderId', 'recipientId', 'timestamp', 'status'],
+    relays: ['id', 'originalSenderId', 'targetRecipientId', 'timestamp']
+};
+
+/**
+ * Create the stores an older schema version had
+ * @param {IDBDatabase} database - Database being created
+ * @param {number} version - Schema version to build
+ */
+const createSchema = (database, version) => {
+    const profileStore = database.createObjectStore('profile', { keyPath: 'id' });
+    profileStore.createIndex('did', 'did', { unique: true });
+    
+    const connectionsStore = database.createObjectStore('connections', { keyPath: 'id' });
+    connectionsStore.createIndex('did', 'did', { unique: true });
+    connectionsStore.createIndex('lastConnected', 'lastConnected', { unique: false });
+    connectionsStore.createIndex('expiresOn', 'expiresOn', { unique: false });
+    
+    const messagesStore = database.createObjectStore('messages', { keyPath: 'id' });
+    messagesStore.createIndex('senderId', 'senderId', { unique: false });
+    messagesStore.createIndex('recipientId', 'recipientId', { unique: false });
+    messagesStore.createIndex('timestamp', 'timestamp', { unique: false });
+    messagesStore.createIndex('status', 'status', { unique: false });
+    
+    const relaysStore = database.createObjectStore('relays', { keyPath: 'id' });
+    relaysStore.createIndex('originalSenderId', 'originalSenderId', { unique: false });
+    relaysStore.createIndex('targetRecipientId', 'targetRecipientId', { unique: false });
+    relaysStore.createIndex('timestamp', 'timestamp', { unique: false });
+    
+    if (version >= 3) {
+        database.createObjectStore('settings', { keyPath: 'id' });
+    }
+};
+
+/**
+ * Encrypt a record the way an older schema version stored it
+ * @param {Object} Crypto - Crypto module
+ * @param {CryptoKey} key - Storage key
+ * @param {string} storeName - Name of the object store
+ * @param {Object} record - Record to seal
+ * @param {number} version - Schema version that sealed it
+ * @returns {Promise<Object>} - Stored record
+ */
+const sealRecord = async (Crypto, key, storeName, record, version) => {
+    const clear = {};
+    const fields = {};
+    Object.entries(record).forEach(([field, value]) => {
+        if (CLEAR_FIELDS[storeName].includes(field)) {
+            clear[field] = value;
+        } else {
+            fields[field] = value;
+        }
+    });
+    
+    return {
+        ...clear,
+        sealed: {
+            schema: version,
+            data: await Crypto.encryptRecord(key, fields, `${storeName}:${record.id}`)
+        }
+    };
+};
+
+/**
+ * Build a database at an older version and open it with the current DB module
+ * @param {number} version - Schema version to start from (0 for no database)
+ * @param {Object} [records] - Object mapping store names to records to store
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.sealed] - Encrypt the records under a passcode
+ * @returns {Promise<Object>} - Contains DB, the upgraded database and the stored records
+ */
+const upgradeFrom = async (version, records = {}, { sealed = false } = {}) => {
+    const sandbox = loadModules(['crypto.js', 'db.js']);
+    const Crypto = sandbox.module('Crypto');
+    const DB = sandbox.module('DB');
+    
+    if (version > 0) {
+        const stored = {};
+        if (sealed) {
+            const { key, settings } = await Crypto.createStorageKey(PASSCODE, { iterations: 1000 });
+            stored.settings = [{ id: 'lock', ...settings }];
+            for (const [storeName, list] of Object.entries(records)) {
+                stored[storeName] = await Promise.all(list.map(record =>
+                    sealRecord(Crypto, key, storeName, record, version)
+                ));
+            }
+        } else {
+            Object.assign(stored, records);
+        }
+        
+        const old = await openDatabase(sandbox.indexedDB, DB_NAME, version, database => createSchema(database, version));
+        await putRecords(old, stored);
+        old.close();
+    }
+    
+    await DB.init();
+    if (sealed) {
+        assert.equal(await DB.unlock(PASSCODE), true);
+    }
+    
+    const database = await openDatabase(sandbox.indexedDB, DB_NAME);
+    return { DB, database };
+};
+
+/**
+ * Copy a value out of the sandbox so it compares with plain objects
+ * @param {*} value - Value from the sandbox
+ * @returns {*} - Plain copy
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Find a record by id
+ * @param {Array} records - Records to search
+ * @param {string} id - Record ID
+ * @returns {Object} - Plain copy of the record
+ */
+const byId = (records, id) => plain(records.find(record => record.id === id));
+
+test('v1 creates the profile, connections, messages and relays stores', async () => {
+    const { DB, database } = await upgradeFrom(0);
+    
+    assert.equal(database.version, DB.VERSION);
+    ['profile', 'connections', 'messages', 'relays', 'settings'].forEach(storeName => {
+        assert.ok(database.objectStoreNames.contains(storeName), `${storeName} store exists`);
+    });
+    
+    const tx = database.transaction(['connections', 'messages'], 'readonly');
+    assert.equal(tx.objectStore('connections').index('did').unique, true);
+    assert.deepEqual(
+        [...tx.objectStore('messages').indexNames].sort(),
+        ['status', 'timestamp']
+    );
+    database.close();
+});
+
+test('v2 drops connection backupData and backfills session, share and rotation fields', async () => {
+    const rotation = { previousDID: 'did:key:zOld', did: 'did:key:zBob' };
+    const { database } = await upgradeFrom(1, {
+        connections: [
+            { id: 'c1', did: 'did:key:zAlice', firstName: 'Alice', backupData: 'private key' },
+            { id: 'c2', did: 'did:key:zBob', firstName: 'Bob', rotations: [rotation] }
+        ]
+    });
+    
+    const connections = await getStoredRecords(database, 'connections');
+    assert.deepEqual(byId(connections, 'c1'), {
+        id: 'c1',
+        did: 'did:key:zAlice',
+        firstName: 'Alice',
+        ratchet: null,
+        heldShare: null,
+        rotations: [],
+        connectionDIDs: []
+    });
+    assert.deepEqual(byId(connections, 'c2').rotations, [rotation]);
+    database.close();
+});
+
+test('v3 creates the settings store', async () => {
+    const { DB, database } = await upgradeFrom(2);
+    
+    assert.ok(database.objectStoreNames.contains('settings'));
+    assert.equal(DB.hasPasscode(), false);
+    assert.equal(await DB.getNetworkSettings(), null);
+    database.close();
+});
+
+for (const sealed of [false, true]) {
+    const how = sealed ? 'encrypted' : 'clear';
+    
+    test(`v4 backfills relay routing fields and connection reach (${how} records)`, async () => {
+        const { DB, database } = await upgradeFrom(3, {
+            relays: [
+                {
+                    id: 'r1',
+                    messageId: 'm1',
+                    originalSenderId: 'did:key:zMe',
+                    targetRecipientId: 'did:key:zAlice',
+                    encryptedContent: 'ciphertext',
+                    timestamp: '2025-01-01T00:00:00.000Z'
+                },
+                {
+                    id: 'r2',
+                    messageId: 'm2',
+                    kind: 'receipt',
+                    path: ['did:key:zMe', 'did:key:zBob'],
+                    maxHops: 2,
+                    expiresAt: '2025-02-01T00:00:00.000Z',
+                    handedTo: ['did:key:zBob'],
+                    timestamp: '2025-01-01T00:00:00.000Z'
+                }
+            ],
+            connections: [
+                { id: 'c1', did: 'did:key:zAlice', ratchet: null, heldShare: null, rotations: [] }
+            ]
+        }, { sealed });
+        
+        const relays = await DB.getAllRelays();
+        assert.deepEqual(byId(relays, 'r1'), {
+            id: 'r1',
+            messageId: 'm1',
+            originalSenderId: 'did:key:zMe',
+            targetRecipientId: 'did:key:zAlice',
+            encryptedContent: 'ciphertext',
+            timestamp: '2025-01-01T00:00:00.000Z',
+            kind: 'message',
+            path: ['did:key:zMe'],
+            maxHops: 4,
+            expiresAt: '2025-01-15T00:00:00.000Z',
+            handedTo: []
+        });
+        
+        // Fields a relay already had are kept
+        const receipt = byId(relays, 'r2');
+        assert.equal(receipt.kind, 'receipt');
+        assert.deepEqual(receipt.path, ['did:key:zMe', 'did:key:zBob']);
+        assert.equal(receipt.maxHops, 2);
+        assert.equal(receipt.expiresAt, '2025-02-01T00:00:00.000Z');
+        assert.deepEqual(receipt.handedTo, ['did:key:zBob']);
+        
+        const connections = await DB.getAllConnections();
+        assert.deepEqual(byId(connections, 'c1').connectionDIDs, []);
+        database.close();
+    });
+    
+    test(`v5 backfills reply references and marks earlier received messages read (${how} records)`, async () => {
+        const { DB, database } = await upgradeFrom(4, {
+            messages: [
+                {
+                    id: 'm1',
+                    senderId: 'did:key:zAlice',
+                    recipientId: 'did:key:zMe',
+                    status: 'received',
+                    timestamp: '2025-01-01T00:00:00.000Z'
+                },
+                {
+                    id: 'm2',
+                    senderId: 'did:key:zMe',
+                    recipientId: 'did:key:zAlice',
+                    status: 'sent',
+                    timestamp: '2025-01-02T00:00:00.000Z'
+                }
+            ]
+        }, { sealed });
+        
+        const messages = await DB.getAllMessages();
+        const received = byId(messages, 'm1');
+        assert.equal(received.replyTo, null);
+        assert.equal(received.readAt, '2025-01-01T00:00:00.000Z');
+        
+        const sent = byId(messages, 'm2');
+        assert.equal(sent.replyTo, null);
+        assert.equal('readAt' in sent, false);
+        database.close();
+    });
+    
+    test(`v6 moves sent messages onto the lifecycle and marks received ones reported (${how} records)`, async () => {
+        const { DB, database } = await upgradeFrom(5, {
+            messages: [
+                {
+                    id: 'm1',
+                    senderId: 'did:key:zAlice',
+                    recipientId: 'did:key:zMe',
+                    status: 'received',
+                    replyTo: null,
+                    readAt: null,
+                    timestamp: '2025-01-01T00:00:00.000Z'
+                },
+                {
+                    id: 'm2',
+                    senderId: 'did:key:zMe',
+                    recipientId: 'did:key:zAlice',
+                    status: 'sent',
+                    replyTo: null,
+                    timestamp: '2025-01-02T00:00:00.000Z'
+                },
+                {
+                    id: 'm3',
+                    senderId: 'did:key:zMe',
+                    recipientId: 'did:key:zAlice',
+                    status: 'delivered',
+                    deliveredAt: '2025-01-04T00:00:00.000Z',
+                    replyTo: null,
+                    timestamp: '2025-01-03T00:00:00.000Z'
+                }
+            ]
+        }, { sealed });
+        
+        const messages = await DB.getAllMessages();
+        assert.equal(byId(messages, 'm1').reported, 'read');
+        
+        const queued = byId(messages, 'm2');
+        assert.equal(queued.status, 'queued');
+        assert.equal(queued.statusChangedAt, '2025-01-02T00:00:00.000Z');
+        assert.deepEqual(queued.statusHistory, { queued: '2025-01-02T00:00:00.000Z' });
+        
+        const delivered = byId(messages, 'm3');
+        assert.equal(delivered.status, 'delivered');
+        assert.equal(delivered.statusChangedAt, '2025-01-04T00:00:00.000Z');
+        assert.deepEqual(delivered.statusHistory, { delivered: '2025-01-04T00:00:00.000Z' });
+        database.close();
+    });
+    
+    test(`v7 drops the relay sender and recipient indexes (${how} records)`, async () => {
+        const relay = {
+            id: 'r1',
+            messageId: 'm1',
+            originalSenderId: 'did:key:zMe',
+            targetRecipientId: 'did:key:zAlice',
+            kind: 'message',
+            envelope: 'sealed for the recipient',
+            path: ['tag'],
+            maxHops: 4,
+            expiresAt: '2025-01-15T00:00:00.000Z',
+            handedTo: [],
+            timestamp: '2025-01-01T00:00:00.000Z'
+        };
+        const { DB, database } = await upgradeFrom(6, { relays: [relay] }, { sealed });
+        
+        const tx = database.transaction('relays', 'readonly');
+        assert.deepEqual([...tx.objectStore('relays').indexNames], ['timestamp']);
+        
+        // Unlocking seals the DIDs an earlier version kept in the clear
+        const [stored] = await getStoredRecords(database, 'relays');
+        if (sealed) {
+            assert.deepEqual(Object.keys(stored).sort(), ['id', 'sealed', 'timestamp']);
+        }
+        
+        const [read] = await DB.getAllRelays();
+        assert.deepEqual(plain(read), relay);
+        database.close();
+    });
+    
+    test(`v8 drops the message sender and recipient indexes (${how} records)`, async () => {
+        const sent = {
+            id: 'm1',
+            senderId: 'did:key:zMe',
+            recipientId: 'did:key:zAlice',
+            content: 'Hello',
+            status: 'queued',
+            statusChangedAt: '2025-01-01T00:00:00.000Z',
+            statusHistory: { queued: '2025-01-01T00:00:00.000Z' },
+            replyTo: null,
+            timestamp: '2025-01-01T00:00:00.000Z'
+        };
+        const received = {
+            id: 'm2',
+            senderId: 'did:key:zAlice',
+            recipientId: 'did:key:zMe',
+            content: 'Hi',
+            status: 'received',
+            readAt: null,
+            reported: 'delivered',
+            replyTo: null,
+            timestamp: '2025-01-02T00:00:00.000Z'
+        };
+        const { DB, database } = await upgradeFrom(7, { messages: [sent, received] }, { sealed });
+        
+        const tx = database.transaction('messages', 'readonly');
+        assert.deepEqual([...tx.objectStore('messages').indexNames].sort(), ['status', 'timestamp']);
+        
+        // Unlocking seals the DIDs an earlier version kept in the clear
+        if (sealed) {
+            const stored = await getStoredRecords(database, 'messages');
+            stored.forEach(record => {
+                assert.deepEqual(Object.keys(record).sort(), ['id', 'sealed', 'status', 'timestamp']);
+            });
+        }
+        
+        assert.deepEqual(plain(await DB.getSentMessages('did:key:zMe')), [sent]);
+        assert.deepEqual(plain(await DB.getReceivedMessages('did:key:zMe')), [received]);
+        database.close();
+    });
+}
+
+test('encrypted records are left sealed during the upgrade and migrated when read', async () => {
+    const { DB, database } = await upgradeFrom(3, {
+        connections: [
+            {
+                id: 'c1',
+                did: 'did:key:zAlice',
+                lastConnected: '2025-01-01T00:00:00.000Z',
+                expiresOn: '2026-01-01T00:00:00.000Z',
+                ratchet: null
+            }
+        ]
+    }, { sealed: true });
+    
+    // The upgrade could not read it, so it is stored as version 3 sealed it
+    const [stored] = await getStoredRecords(database, 'connections');
+    assert.equal(stored.sealed.schema, 3);
+    
+    // Saving it again seals it under the current schema
+    const [connection] = await DB.getAllConnections();
+    assert.deepEqual(plain(connection.connectionDIDs), []);
+    await DB.saveConnection(connection);
+    
+    const [resaved] = await getStoredRecords(database, 'connections');
+    assert.equal(resaved.sealed.schema, DB.VERSION);
+    database.close();
+});
+
+test('encrypted records with fields no longer kept in the clear are sealed again on unlock', async () => {
+    const { DB, database } = await upgradeFrom(5, {
+        messages: [
+            {
+                id: 'm1',
+                senderId: 'did:key:zMe',
+                recipientId: 'did:key:zAlice',
+                status: 'sent',
+                replyTo: null,
+                timestamp: '2025-01-02T00:00:00.000Z'
+            }
+        ]
+    }, { sealed: true });
+    
+    // Version 5 kept the sender and recipient in the clear; unlocking
+    // migrates the record and seals them
+    const [stored] = await getStoredRecords(database, 'messages');
+    assert.equal(stored.sealed.schema, DB.VERSION);
+    assert.equal(stored.status, 'queued');
+    assert.equal('senderId' in stored, false);
+    
+    const [message] = await DB.getAllMessages();
+    assert.equal(message.senderId, 'did:key:zMe');
+    assert.equal(message.status, 'queued');
+    database.close();
+});
+
+test('backups made with an older schema are migrated in version order', async () => {
+    const DB = loadModules(['crypto.js', 'db.js']).module('DB');
+    
+    const migrated = DB.migrateRecords({
+        messages: [
+            { id: 'm1', status: 'received', timestamp: '2025-01-01T00:00:00.000Z' },
+            { id: 'm2', status: 'sent', timestamp: '2025-01-02T00:00:00.000Z' }
+        ],
+        connections: [
+            { id: 'c1', did: 'did:key:zAlice', backupData: 'private key' }
+        ]
+    }, 1);
+    
+    assert.deepEqual(byId(migrated.messages, 'm1'), {
+        id: 'm1',
+        status: 'received',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        replyTo: null,
+        readAt: '2025-01-01T00:00:00.000Z',
+        reported: 'read'
+    });
+    assert.equal(byId(migrated.messages, 'm2').status, 'queued');
+    assert.equal('backupData' in byId(migrated.connections, 'c1'), false);
+    assert.throws(() => DB.migrateRecords({}, DB.VERSION + 1), /newer version/);
+});
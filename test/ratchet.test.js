@@ -0,0 +1,105 @@
+/**
+ * Tests for the double ratchet in js/ratchet.js
+ * Each test sets up two sessions the way the Connect handshake does and
+ * passes envelopes between them.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./support');
+
+/**
+ * Create a pair of sessions sharing a handshake
+ * @returns {Promise<Object>} - Contains Ratchet, initiator and responder sessions
+ */
+const createSessions = async () => {
+    const sandbox = loadModules(['db.js', 'crypto.js', 'ratchet.js']);
+    const Crypto = sandbox.module('Crypto');
+    const Ratchet = sandbox.module('Ratchet');
+    
+    const alice = await Crypto.createIdentity();
+    const bob = await Crypto.createIdentity();
+    const aliceHandshake = await Ratchet.generateHandshakeKey();
+    const bobHandshake = await Ratchet.generateHandshakeKey();
+    
+    const initiator = await Ratchet.createSession({
+        initiator: true,
+        handshakeKey: aliceHandshake,
+        remoteHandshakeKey: bobHandshake.publicKey,
+        identityPrivateKey: alice.privateKey,
+        remoteIdentityKey: bob.publicKey
+    });
+    const responder = await Ratchet.createSession({
+        initiator: false,
+        handshakeKey: bobHandshake,
+        remoteHandshakeKey: aliceHandshake.publicKey,
+        identityPrivateKey: bob.privateKey,
+        remoteIdentityKey: alice.publicKey
+    });
+    
+    return { Ratchet, initiator, responder };
+};
+
+test('both sides agree on the session and can send first', async () => {
+    const { Ratchet, initiator, responder } = await createSessions();
+    assert.equal(initiator.sessionId, responder.sessionId);
+    
+    const fromInitiator = await Ratchet.encrypt(initiator, 'hello from the initiator');
+    assert.ok(Ratchet.isRatchetEnvelope(fromInitiator.envelope));
+    assert.equal((await Ratchet.decrypt(responder, fromInitiator.envelope)).plaintext, 'hello from the initiator');
+    
+    const fromResponder = await Ratchet.encrypt(responder, 'hello from the responder');
+    assert.equal((await Ratchet.decrypt(initiator, fromResponder.envelope)).plaintext, 'hello from the responder');
+});
+
+test('replies ratchet forward in both directions', async () => {
+    const sessions = await createSessions();
+    const { Ratchet } = sessions;
+    let { initiator, responder } = sessions;
+    
+    for (let round = 0; round < 3; round++) {
+        const sent = await Ratchet.encrypt(initiator, `ping ${round}`);
+        initiator = sent.session;
+        const received = await Ratchet.decrypt(responder, sent.envelope);
+        responder = received.session;
+        assert.equal(received.plaintext, `ping ${round}`);
+        
+        const reply = await Ratchet.encrypt(responder, `pong ${round}`);
+        responder = reply.session;
+        const answered = await Ratchet.decrypt(initiator, reply.envelope);
+        initiator = answered.session;
+        assert.equal(answered.plaintext, `pong ${round}`);
+    }
+});
+
+test('messages carried out of order still decrypt', async () => {
+    const { Ratchet, initiator, responder } = await createSessions();
+    
+    const first = await Ratchet.encrypt(initiator, 'first');
+    const second = await Ratchet.encrypt(first.session, 'second');
+    
+    const late = await Ratchet.decrypt(responder, second.envelope);
+    assert.equal(late.plaintext, 'second');
+    assert.equal((await Ratchet.decrypt(late.session, first.envelope)).plaintext, 'first');
+});
+
+test('a tampered envelope is rejected', async () => {
+    const { Ratchet, initiator, responder } = await createSessions();
+    
+    const { envelope } = await Ratchet.encrypt(initiator, 'hello');
+    const parts = envelope.split('.');
+    const ciphertext = parts[3];
+    parts[3] = (ciphertext[0] === 'A' ? 'B' : 'A') + ciphertext.slice(1);
+    
+    await assert.rejects(Ratchet.decrypt(responder, parts.join('.')));
+    assert.equal((await Ratchet.decrypt(responder, envelope)).plaintext, 'hello');
+});
+
+test('an envelope from another session is rejected', async () => {
+    const { Ratchet, initiator } = await createSessions();
+    const other = await createSessions();
+    
+    const { envelope } = await Ratchet.encrypt(initiator, 'hello');
+    await assert.rejects(Ratchet.decrypt(other.responder, envelope), /different session/);
+    assert.equal(Ratchet.isRatchetEnvelope('not an envelope'), false);
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the relay storage policy in js/relaypolicy.js
+ * Relays are padded out to a known size so the caps are reached with a
+ * handful of them.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./support');
+
+const sandbox = loadModules(['db.js', 'crypto.js', 'routing.js', 'relaypolicy.js']);
+const RelayPolicy = sandbox.module('RelayPolicy');
+
+const NOW = Date.parse('2026-01-15T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Create a relay carried for someone else
+ * @param {string} id - Relay ID
+ * @param {Object} [fields] - Fields to set
+ * @param {number} [fields.size] - Bytes of padding in the envelope
+ * @param {number} [fields.age] - Hours since it was written
+ * @returns {Object} - Relay
+ */
+const carried = (id, { size = 100, age = 1, ...fields } = {}) => {
+    return {
+        id,
+        kind: 'message',
+        envelope: 'x'.repeat(size),
+        routingTag: 'tag',
+        path: [],
+        timestamp: new Date(NOW - age * HOUR).toISOString(),
+        expiresAt: new Date(NOW + 24 * HOUR).toISOString(),
+        receivedFrom: 'did:key:zCarrier',
+        ...fields
+    };
+};
+
+/**
+ * Sort the IDs of relays
+ * @param {Array} relays - Relays
+ * @returns {Array<string>} - Sorted IDs
+ */
+const ids = (relays) => [...relays].map(relay => relay.id).sort();
+
+/**
+ * Index eviction reasons by relay ID
+ * @param {Array} evict - Evicted entries
+ * @returns {Object} - Reason for each relay ID
+ */
+const reasons = (evict) => {
+    return Object.fromEntries([...evict].map(entry => [entry.relay.id, entry.reason]));
+};
+
+test('own relays are kept and expired carried relays are evicted', () => {
+    const relays = [
+        carried('own', { own: true, expiresAt: new Date(NOW - HOUR).toISOString() }),
+        carried('expired', { expiresAt: new Date(NOW - HOUR).toISOString() }),
+        carried('old', { age: 24 * 31 }),
+        carried('fresh')
+    ];
+    
+    const { keep, evict } = RelayPolicy.enforce(relays, { now: NOW });
+    assert.deepEqual(ids(keep), ['fresh', 'own']);
+    assert.deepEqual(reasons(evict), {
+        expired: RelayPolicy.EVICTION_REASONS.EXPIRED,
+        old: RelayPolicy.EVICTION_REASONS.EXPIRED
+    });
+});
+
+test('one originator cannot carry more than its share, oldest first out', () => {
+    const size = RelayPolicy.MAX_ORIGINATOR_BYTES / 4;
+    const relays = [1, 2, 3, 4].map(age => carried(`from-carrier-${age}`, { size, age }));
+    relays.push(carried('from-other', { size, receivedFrom: 'did:key:zOther' }));
+    
+    const { keep, evict } = RelayPolicy.enforce(relays, { now: NOW });
+    assert.deepEqual(ids(keep), ['from-carrier-1', 'from-carrier-2', 'from-carrier-3', 'from-other']);
+    assert.deepEqual(reasons(evict), {
+        'from-carrier-4': RelayPolicy.EVICTION_REASONS.ORIGINATOR_QUOTA
+    });
+});
+
+test('relays for connections win over newer relays for strangers once storage is full', () => {
+    const size = RelayPolicy.MAX_ORIGINATOR_BYTES / 2;
+    const count = Math.floor(RelayPolicy.MAX_TOTAL_BYTES / size) - 1;
+    const relays = [];
+    for (let i = 0; i < count; i++) {
+        relays.push(carried(`connection-${i}`, { size, age: 10 + i, firstDegree: true, receivedFrom: `did:key:z${i}` }));
+    }
+    relays.push(carried('stranger', { size, age: 1, receivedFrom: 'did:key:zStranger' }));
+    
+    const { keep, evict } = RelayPolicy.enforce(relays, { now: NOW });
+    assert.equal(keep.length, count);
+    assert.equal(keep.some(relay => relay.id === 'stranger'), false);
+    assert.deepEqual(reasons(evict), {
+        stranger: RelayPolicy.EVICTION_REASONS.STORAGE_QUOTA
+    });
+});
+
+test('own relays use up the storage carried relays could have', () => {
+    const size = RelayPolicy.MAX_ORIGINATOR_BYTES / 2;
+    const count = Math.floor(RelayPolicy.MAX_TOTAL_BYTES / size);
+    const relays = [];
+    for (let i = 0; i < count; i++) {
+        relays.push(carried(`own-${i}`, { size, own: true }));
+    }
+    relays.push(carried('carried', { size: 100 }));
+    
+    const { keep, evict } = RelayPolicy.enforce(relays, { now: NOW });
+    assert.equal(keep.length, count);
+    assert.deepEqual(reasons(evict), {
+        carried: RelayPolicy.EVICTION_REASONS.STORAGE_QUOTA
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for relay routing in js/routing.js
+ * Relays are built the way the app builds them and handed between
+ * identities standing in for the sender, carriers and recipient.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('crypto');
+const { loadModules } = require('./support');
+
+const sandbox = loadModules(['db.js', 'crypto.js', 'routing.js']);
+const Crypto = sandbox.module('Crypto');
+const Routing = sandbox.module('Routing');
+
+/**
+ * Build a message relay from one identity to another
+ * @param {Object} sender - Sender's identity
+ * @param {Object} recipient - Recipient's identity
+ * @returns {Promise<Object>} - Relay as handed to the first carrier
+ */
+const buildRelay = async (sender, recipient) => {
+    const messageId = globalThis.crypto.randomUUID();
+    const envelope = await Routing.sealEnvelope({
+        messageId,
+        senderId: sender.did,
+        senderName: 'Sender',
+        encrypted: 'ciphertext',
+        timestamp: new Date().toISOString()
+    }, recipient.publicKey, sender);
+    
+    return {
+        kind: Routing.RELAY_KINDS.MESSAGE,
+        messageId,
+        envelope,
+        ...await Routing.createRoute(recipient.did),
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Hand a relay to a carrier
+ * @param {Object} relay - Relay as handed over
+ * @param {Object} carrier - Carrier's identity
+ * @param {string} receivedFrom - DID of the device handing it over
+ * @returns {Promise<Object|null>} - Relay as the carrier stores it
+ */
+const carry = (relay, carrier, receivedFrom) => {
+    return Routing.acceptForCarrying(relay, {
+        ownDIDs: [carrier.did],
+        connectionDIDs: [],
+        receivedFrom
+    });
+};
+
+test('a routing tag matches only its target and is different every time', async () => {
+    const [sender, recipient, stranger] = await Promise.all([
+        Crypto.createIdentity(), Crypto.createIdentity(), Crypto.createIdentity()
+    ]);
+    const first = await buildRelay(sender, recipient);
+    const second = await buildRelay(sender, recipient);
+    
+    assert.equal(await Routing.isAddressedTo(first, [stranger.did, recipient.did]), true);
+    assert.equal(await Routing.isAddressedTo(first, [sender.did, stranger.did]), false);
+    assert.notEqual(first.routingTag, second.routingTag);
+    assert.equal(first.envelope.includes(sender.did), false);
+});
+
+test('each carrier is added to the path under its own tag', async () => {
+    const [sender, recipient, carrier, next] = await Promise.all([
+        Crypto.createIdentity(), Crypto.createIdentity(), Crypto.createIdentity(), Crypto.createIdentity()
+    ]);
+    const relay = await buildRelay(sender, recipient);
+    
+    const carried = await carry(relay, carrier, sender.did);
+    assert.equal(carried.path.length, 1);
+    assert.equal(carried.path[0].includes(carrier.did), false);
+    
+    // A carrier already on the path is not handed it again, and does not take it back
+    const [wire] = await Routing.selectForPeer([carried], [next.did], [recipient.did]);
+    assert.ok(wire);
+    const onward = await carry(wire, next, carrier.did);
+    assert.equal(onward.path.length, 2);
+    assert.notEqual(onward.path[1], carried.path[0]);
+    assert.equal(await carry(onward, carrier, next.did), null);
+    
+    const handBack = await Routing.selectForPeer([{ ...onward, receivedFrom: 'did:key:zOther' }], [carrier.did], [recipient.did]);
+    assert.equal(handBack.length, 0);
+});
+
+test('path entries from before each hop had its own salt still match', async () => {
+    const [sender, recipient, carrier] = await Promise.all([
+        Crypto.createIdentity(), Crypto.createIdentity(), Crypto.createIdentity()
+    ]);
+    const relay = await buildRelay(sender, recipient);
+    
+    const salt = Buffer.from(Crypto.fromBase64Url(relay.routingTag).slice(0, 16));
+    const bare = createHash('sha256').update(salt).update(carrier.did).digest().subarray(0, 16);
+    relay.path = [Crypto.toBase64Url(new Uint8Array(bare))];
+    
+    assert.equal(await carry(relay, carrier, sender.did), null);
+});
+
+test('the recipient opens a signed envelope and a forged one is rejected', async () => {
+    const [sender, recipient, forger] = await Promise.all([
+        Crypto.createIdentity(), Crypto.createIdentity(), Crypto.createIdentity()
+    ]);
+    const relay = await buildRelay(sender, recipient);
+    
+    const payload = await Routing.openEnvelope(relay, recipient);
+    assert.equal(payload.senderId, sender.did);
+    assert.equal(await Routing.openEnvelope(relay, forger), null);
+    
+    // Signed by the forger but naming the sender
+    const forged = await Crypto.encryptMessage(JSON.stringify({
+        ...payload,
+        signature: await Crypto.signChallenge('anything', forger.privateKey)
+    }), recipient.publicKey);
+    assert.equal(await Routing.openEnvelope({ ...relay, envelope: forged }, recipient), null);
+    
+    await assert.rejects(Routing.sealEnvelope({ messageId: relay.messageId, senderId: sender.did }, recipient.publicKey, forger));
+});
+
+test('a receipt retraces the carriers back to the sender', async () => {
+    const [sender, recipient, carrier, stranger] = await Promise.all([
+        Crypto.createIdentity(), Crypto.createIdentity(), Crypto.createIdentity(), Crypto.createIdentity()
+    ]);
+    const carried = await carry(await buildRelay(sender, recipient), carrier, sender.did);
+    const [delivered] = await Routing.selectForPeer([carried], [recipient.did], []);
+    
+    const receipt = await Routing.createReceipt(delivered, recipient, [recipient.did], { did: recipient.did }, {
+        did: sender.did,
+        publicKey: sender.publicKey
+    });
+    assert.equal(receipt.route.length, 1);
+    assert.equal(await Routing.isAddressedTo(receipt, [sender.did]), true);
+    
+    assert.equal((await Routing.selectForPeer([receipt], [stranger.did], [sender.did])).length, 0);
+    assert.equal((await Routing.selectForPeer([receipt], [carrier.did], [])).length, 1);
+    
+    const opened = await Routing.openEnvelope(receipt, sender);
+    assert.equal(opened.receipt.did, recipient.did);
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for the secret sharing in js/shamir.js
+ * Secrets are split the way recovery shares are issued: one set of random
+ * coefficients, one share per trusted connection.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./support');
+
+const Shamir = loadModules(['shamir.js']).module('Shamir');
+
+/**
+ * Split a random secret into shares
+ * @param {number} threshold - Shares needed to rebuild it
+ * @param {number} count - Shares to create
+ * @returns {Object} - Contains secret, coefficients and shares ({ index, bytes } each)
+ */
+const split = (threshold, count) => {
+    const secret = globalThis.crypto.getRandomValues(new Uint8Array(32));
+    const coefficients = Array.from({ length: threshold - 1 }, () => {
+        return globalThis.crypto.getRandomValues(new Uint8Array(secret.length));
+    });
+    
+    const shares = [];
+    for (let index = 1; index <= count; index++) {
+        shares.push({ index, bytes: Shamir.createShare(secret, coefficients, index) });
+    }
+    return { secret, coefficients, shares };
+};
+
+test('any threshold of shares rebuilds the secret', () => {
+    const { secret, shares } = split(3, 5);
+    
+    for (let a = 0; a < shares.length; a++) {
+        for (let b = a + 1; b < shares.length; b++) {
+            for (let c = b + 1; c < shares.length; c++) {
+                const combined = Shamir.combine([shares[c], shares[a], shares[b]]);
+                assert.deepEqual([...combined], [...secret]);
+            }
+        }
+    }
+});
+
+test('fewer shares than the threshold do not rebuild the secret', () => {
+    const { secret, shares } = split(3, 5);
+    
+    const combined = Shamir.combine(shares.slice(0, 2));
+    assert.notDeepEqual([...combined], [...secret]);
+});
+
+test('the same coefficients always give the same share', () => {
+    const { secret, coefficients, shares } = split(2, 3);
+    
+    assert.deepEqual([...Shamir.createShare(secret, coefficients, 2)], [...shares[1].bytes]);
+});
+
+test('bad share indexes are rejected', () => {
+    const { secret, coefficients, shares } = split(2, 2);
+    
+    assert.throws(() => Shamir.createShare(secret, coefficients, 0), /between 1 and 255/);
+    assert.throws(() => Shamir.createShare(secret, coefficients, 256), /between 1 and 255/);
+    assert.throws(() => Shamir.combine([shares[0], shares[0]]), /distinct indexes/);
+    assert.throws(() => Shamir.combine([]), /No shares/);
+});
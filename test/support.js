@@ -0,0 +1,106 @@
+/**
+ * Test support for CurrentCircle
+ * Loads the browser modules into a sandbox backed by a fake IndexedDB
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Load browser modules into a new sandbox
+ * Each sandbox has its own empty IndexedDB, so tests never share a database.
+ * @param {Array<string>} files - Module files in js/, in load order
+ * @returns {Object} - Sandbox with indexedDB and a module getter
+ */
+const loadModules = (files) => {
+    const sandbox = {
+        console: { ...console, log: () => {} },
+        indexedDB: new IDBFactory(),
+        IDBKeyRange,
+        crypto: globalThis.crypto,
+        TextEncoder,
+        TextDecoder,
+        atob,
+        btoa,
+        // Stands in for the uuid library the page loads from a CDN
+        uuid: { v4: () => globalThis.crypto.randomUUID() },
+        setTimeout,
+        clearTimeout
+    };
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+    
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), sandbox, { filename: file });
+    });
+    
+    return {
+        indexedDB: sandbox.indexedDB,
+        module: (name) => vm.runInContext(name, sandbox)
+    };
+};
+
+/**
+ * Open a database, creating or upgrading it to a version
+ * @param {IDBFactory} indexedDB - IndexedDB to open it in
+ * @param {string} name - Database name
+ * @param {number} [version] - Version to open, the current one if left out
+ * @param {Function} [upgrade] - Called with the database if it is upgraded
+ * @returns {Promise<IDBDatabase>} - Resolves with the open database
+ */
+const openDatabase = (indexedDB, name, version, upgrade) => {
+    return new Promise((resolve, reject) => {
+        const request = version ? indexedDB.open(name, version) : indexedDB.open(name);
+        request.onupgradeneeded = () => {
+            if (upgrade) upgrade(request.result);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Write records straight into a database's stores
+ * @param {IDBDatabase} database - Open database
+ * @param {Object} records - Object mapping store names to record arrays
+ * @returns {Promise} - Resolves when the write is committed
+ */
+const putRecords = (database, records) => {
+    const storeNames = Object.keys(records);
+    if (storeNames.length === 0) return Promise.resolve();
+    
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeNames, 'readwrite');
+        storeNames.forEach(storeName => {
+            records[storeName].forEach(record => tx.objectStore(storeName).put(record));
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+/**
+ * Read every record of a store as it is stored, without opening sealed ones
+ * @param {IDBDatabase} database - Open database
+ * @param {string} storeName - Name of the object store
+ * @returns {Promise<Array>} - Resolves with the stored records
+ */
+const getStoredRecords = (database, storeName) => {
+    return new Promise((resolve, reject) => {
+        const request = database.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+module.exports = {
+    loadModules,
+    openDatabase,
+    putRecords,
+    getStoredRecords
+};